@@ -5,5 +5,9 @@ import pluginJs from "@eslint/js";
 export default [
   { files: ["**/*.js"], languageOptions: { sourceType: "script" } },
   { languageOptions: { globals: globals.browser } },
+  {
+    files: ["test/**/*.js", "xrm-simulator/**/*.js"],
+    languageOptions: { sourceType: "commonjs", globals: globals.node },
+  },
   pluginJs.configs.recommended,
 ];
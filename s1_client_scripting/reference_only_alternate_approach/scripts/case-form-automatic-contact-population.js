@@ -1,9 +1,19 @@
 "use strict";
 
-this.cr4fd = this.window || {};
+this.cr4fd = this.cr4fd || {};
 this.cr4fd.caseFormAutomaticContactPopulation = (function () {
+  //Shared libraries, see shared/logger.js, shared/localisation.js,
+  //shared/form-notifications.js, shared/web-api.js and shared/record-cache.js
   // eslint-disable-next-line no-undef
-  const _xrm = Xrm;
+  const _logger = cr4fd.logger;
+  // eslint-disable-next-line no-undef
+  const _localisation = cr4fd.localisation;
+  // eslint-disable-next-line no-undef
+  const _notifications = cr4fd.formNotifications;
+  // eslint-disable-next-line no-undef
+  const _webApi = cr4fd.webApi;
+  // eslint-disable-next-line no-undef
+  const _recordCache = cr4fd.recordCache;
 
   //Dictionary containing logical names for entities and entity fields
   const _logicalNames = {
@@ -32,6 +42,10 @@ this.cr4fd.caseFormAutomaticContactPopulation = (function () {
    * @param {Object} executionContext  Execution context from a form event
    */
   async function populateContactOnCustomerChange(executionContext) {
+    const log = _logger.startHandler(
+      populateContactOnCustomerChange.name,
+      executionContext
+    );
     try {
       _guardExecutionContextPassed(executionContext);
       const formContext = _tryReadValidFormContextOrThrow(executionContext);
@@ -41,9 +55,20 @@ this.cr4fd.caseFormAutomaticContactPopulation = (function () {
       );
 
       _setCaseContactField(formContext, contact);
+      _notifications.clearHandlerError(
+        formContext,
+        populateContactOnCustomerChange.name
+      );
     } catch (error) {
-      console.error(error);
-      _notifyUserOfError(error);
+      log.fail(error);
+      _notifications.reportHandlerError(
+        executionContext,
+        populateContactOnCustomerChange.name,
+        error,
+        _logicalNames.caseFields.contact
+      );
+    } finally {
+      log.end();
     }
   }
 
@@ -75,7 +100,9 @@ this.cr4fd.caseFormAutomaticContactPopulation = (function () {
 
   /**
    * Retrieves the primary contact lookup value from an account record. Returns
-   * null if the primary contact field is not populated
+   * null if the primary contact field is not populated. Where the account is
+   * not available offline, the error is raised as it is, so that the contact
+   * is left unchanged with an info notification, see reportHandlerError
    *
    * @param {string} accountId  The ID of the account to retrieve the primary
    *                            contact from.
@@ -85,18 +112,21 @@ this.cr4fd.caseFormAutomaticContactPopulation = (function () {
    */
   async function _getPrimaryContactLookupValueFromAccount(accountId) {
     try {
-      const account = await _xrm.WebApi.retrieveRecord(
+      const account = await _recordCache.retrieveRecord(
         _logicalNames.tables.account,
         accountId,
         _buildSelectsQueryStringForPrimaryContact()
       );
       return _buildPrimaryContactLookupFromAccountRecord(account);
     } catch (error) {
-      console.error(error);
-      throw new Error(
-        "The form may not behave as expected Please reload the form. If the " +
-          "problem persists contact an administrator"
-      );
+      if (_webApi.isOfflineUnavailableError(error)) {
+        throw error;
+      }
+      _logger.error("Retrieving the account's primary contact failed", {
+        error: error?.message,
+        stack: error?.stack,
+      });
+      throw new Error(_localisation.getString("ReloadForm"));
     }
   }
 
@@ -169,10 +199,7 @@ this.cr4fd.caseFormAutomaticContactPopulation = (function () {
    */
   function _guardExecutionContextPassed(executionContext) {
     if (typeof executionContext?.getFormContext !== "function") {
-      throw new Error(
-        "Invalid execution context. Ensure that execution context is passed " +
-          "as the first parameter"
-      );
+      throw new Error(_localisation.getString("InvalidExecutionContext"));
     }
   }
 
@@ -186,7 +213,7 @@ this.cr4fd.caseFormAutomaticContactPopulation = (function () {
   function _tryReadValidFormContextOrThrow(executionContext) {
     const formContext = executionContext.getFormContext();
     const errorHandler = (message) => {
-      throw new Error(`Invalid form configuration: ${message}`);
+      throw _notifications.createFormConfigurationError(message);
     };
     _guardFormIsAssociatedWithTheCaseEntity(formContext, errorHandler);
     _guardContactControlIsPresent(formContext, errorHandler);
@@ -203,10 +230,12 @@ this.cr4fd.caseFormAutomaticContactPopulation = (function () {
    */
   function _guardFormIsAssociatedWithTheCaseEntity(formContext, errorHandler) {
     if (
-      formContext?.contextToken?.entityTypeName !== _logicalNames.tables.case
+      formContext?.data?.entity?.getEntityName() !== _logicalNames.tables.case
     ) {
       errorHandler(
-        `Form must be associated with ${_logicalNames.tables.case} entity`
+        _localisation.getString("FormNotAssociatedWithTable", {
+          table: _logicalNames.tables.case,
+        })
       );
     }
   }
@@ -224,24 +253,10 @@ this.cr4fd.caseFormAutomaticContactPopulation = (function () {
       _logicalNames.caseFields.contact
     );
     if (!contactField) {
-      errorHandler("The contact field control must be present in the form");
+      errorHandler(_localisation.getString("ContactControlMissingFromForm"));
     }
   }
 
-  /**
-   * Displays an error dialog to the user with a specified error message and
-   * details.
-   *
-   * @param {Error} error  The error object to display
-   */
-  function _notifyUserOfError(error) {
-    const plugInName = populateContactOnCustomerChange.name;
-    _xrm.Navigation.openErrorDialog({
-      message: `${plugInName} has encountered an error. ${error.message}`,
-      details: error.stack,
-    });
-  }
-
   // Return the API
   return {
     populateContactOnCustomerChange,
@@ -1,12 +1,27 @@
 "use strict";
 
 //Set publisher namespace
-this.cr4fd = this.window || {};
+this.cr4fd = this.cr4fd || {};
 
 // Initialise namespace for current plugin
 this.cr4fd.caseFormAvailableCommunicationChannelsUpdate = (function () {
+  //Shared libraries, see shared/logger.js, shared/localisation.js,
+  //shared/form-notifications.js, shared/form-rules.js, shared/web-api.js,
+  //shared/record-cache.js and shared/contact-channels.js
   // eslint-disable-next-line no-undef
-  const _xrm = Xrm;
+  const _logger = cr4fd.logger;
+  // eslint-disable-next-line no-undef
+  const _localisation = cr4fd.localisation;
+  // eslint-disable-next-line no-undef
+  const _notifications = cr4fd.formNotifications;
+  // eslint-disable-next-line no-undef
+  const _formRules = cr4fd.formRules;
+  // eslint-disable-next-line no-undef
+  const _webApi = cr4fd.webApi;
+  // eslint-disable-next-line no-undef
+  const _recordCache = cr4fd.recordCache;
+  // eslint-disable-next-line no-undef
+  const _contactChannels = cr4fd.contactChannels;
 
   //Dictionary containing logical names for entities and entity fields
   const _logicalNames = {
@@ -18,70 +33,135 @@ this.cr4fd.caseFormAvailableCommunicationChannelsUpdate = (function () {
       contact: "primarycontactid",
       emailAddress: "emailaddress",
     },
-    contactFields: {
-      mobilePhoneNumber: "mobilephone",
-      emailAddress: "emailaddress1",
-      doNotPhone: "donotphone",
-      doNotEmail: "donotemail",
-    },
     controls: {
       contactAvailableMethodsQuickView:
         "contact_available_contact_methods_view",
     },
   };
 
-  //Dictionary of requirement level options for a control
-  const fieldRequirementLevels = {
-    required: "required",
-    optional: "none",
+  //Unique ids for notifications raised by this script
+  const _notificationIds = {
+    recommendedChannel: "cr4fd_recommended_channel",
   };
 
+  //Rules for the case email field, see formRules.apply, applied on top of the
+  //contact's channel model. The email field is shown and required where the
+  //model recommends no channel, i.e. there is no contact or none of their
+  //channels is available, else it is hidden and optional
+  const _caseEmailRules = [
+    {
+      id: "caseEmailRequiredWithoutContactChannel",
+      when: { fact: "channels.recommendedChannel", isBlank: true },
+      then: [
+        {
+          field: _logicalNames.caseFields.emailAddress,
+          visible: true,
+          requiredLevel: "required",
+        },
+      ],
+      otherwise: [
+        {
+          field: _logicalNames.caseFields.emailAddress,
+          visible: false,
+          requiredLevel: "none",
+        },
+      ],
+    },
+  ];
+
+  //Number of the latest request started by the handler
+  let _latestRequestNumber = 0;
+
   /**
    * Updates a case form to display available channels of communication based on
-   * the contact value. Shows and requires the email field if no available
-   * channels can be derived from the contact field
+   * the contact value, see contactChannels.buildModel. The recommended channel
+   * is shown in a notification at the top of the form. Shows and requires the
+   * email field if no available channels can be derived from the contact field
+   *
+   * If the contact changes again before its record is retrieved, the outdated
+   * response is discarded so that the section reflects the current contact.
    *
    * @param {Object} executionContext   The execution context provided by the
    *                                    form event.
    */
   async function updateAvailableChannelsSection(executionContext) {
+    const log = _logger.startHandler(
+      updateAvailableChannelsSection.name,
+      executionContext
+    );
+    const isLatestRequest = _startRequest();
     try {
       _guardExecutionContextPassed(executionContext);
       const formContext = _tryReadValidFormContextOrThrow(executionContext);
 
-      const contact = await _getContactRecordFromContactField(formContext);
-      const availableContactMethods = _getContactMethodAvailability(contact);
+      const contactId = _readContactId(formContext);
+      const contact = await _getContactRecordById(contactId);
 
-      _updateContactQuickViewVisiblity(formContext, availableContactMethods);
-      _updateCaseEmailField(formContext, availableContactMethods);
+      if (!isLatestRequest() || contactId !== _readContactId(formContext)) {
+        return;
+      }
+
+      const channelModel = _contactChannels.buildModel(contact);
+
+      _updateContactQuickViewVisiblity(formContext, channelModel);
+      _updateRecommendedChannelNotification(formContext, channelModel);
+      _updateCaseEmailField(formContext, channelModel);
+      _notifications.clearHandlerError(
+        formContext,
+        updateAvailableChannelsSection.name
+      );
     } catch (error) {
-      console.error(error);
-      _notifyUserOfError(error);
+      log.fail(error);
+      if (isLatestRequest()) {
+        _notifications.reportHandlerError(
+          executionContext,
+          updateAvailableChannelsSection.name,
+          error,
+          _logicalNames.caseFields.contact
+        );
+      }
+    } finally {
+      log.end();
     }
   }
 
   /**
-   * Fetches the contact record from the contact lookup field.
+   * Reads the ID of the contact in the contact lookup field.
    * Returns undefined if the contact field is not populated.
    *
    * @param {Object} formContext  The form context provided by the execution
    *                              context.
-   * @returns {Object|undefined}  The contact record if the contact field is
+   * @returns {string|undefined}  The contact ID if the contact field is
    *                              populated, otherwise undefined.
    */
-  async function _getContactRecordFromContactField(formContext) {
+  function _readContactId(formContext) {
     const contactFieldValue = formContext
       .getAttribute(_logicalNames.caseFields.contact)
       .getValue();
 
     if (contactFieldValue && contactFieldValue.length > 0) {
-      const contactId = contactFieldValue[0].id;
+      return contactFieldValue[0].id;
+    }
+  }
+
+  /**
+   * Fetches the contact record for a contact ID.
+   * Returns undefined if no contact ID is provided.
+   *
+   * @param {string|undefined} contactId  The ID of the contact
+   * @returns {Object|undefined}  The contact record if a contact ID is
+   *                              provided, otherwise undefined.
+   */
+  async function _getContactRecordById(contactId) {
+    if (contactId) {
       return await _tryRetrieveContactRecordById(contactId);
     }
   }
 
   /**
-   * Retrieves a contact record by its ID.
+   * Retrieves a contact record by its ID. Where the contact is not available
+   * offline, the error is raised as it is, so that the section is left
+   * unchanged with an info notification, see reportHandlerError.
    *
    * @param {string} contactId  The ID of the contact record to retrieve.
    * @returns {Promise<Object>}  A promise that resolves to the contact record.
@@ -89,173 +169,94 @@ this.cr4fd.caseFormAvailableCommunicationChannelsUpdate = (function () {
    */
   async function _tryRetrieveContactRecordById(contactId) {
     try {
-      return await _xrm.WebApi.retrieveRecord(
+      return await _recordCache.retrieveRecord(
         _logicalNames.tables.contact,
         contactId,
         _getSelectsQueryStringForContact()
       );
     } catch (error) {
-      console.error(error);
-      throw new Error(
-        "The form may not behave as expected Please reload the form. If the " +
-          "problem persists contact an administrator"
-      );
+      if (_webApi.isOfflineUnavailableError(error)) {
+        throw error;
+      }
+      _logger.error("Retrieving the contact failed", {
+        error: error?.message,
+        stack: error?.stack,
+      });
+      throw new Error(_localisation.getString("ReloadForm"));
     }
   }
 
   /**
    * Builds a query string to retrieve fields needed to identify which
-   * communication channels are available for a contact.
+   * communication channels are available for a contact, see
+   * contactChannels.columns.
    *
    * @returns {string} The query string
    */
   function _getSelectsQueryStringForContact() {
-    var fields = [
-      _logicalNames.contactFields.emailAddress,
-      _logicalNames.contactFields.doNotEmail,
-      _logicalNames.contactFields.mobilePhoneNumber,
-      _logicalNames.contactFields.doNotPhone,
-    ];
-    return "?$select=" + fields.join(",");
+    return "?$select=" + _contactChannels.columns.join(",");
   }
 
   /**
-   * Returns an object indicating the availability of contact methods for a
-   * given contact.
+   * Updates the visibility of fields within the contact quick view form to
+   * show only fields with available contact methods. The quick view form itself
+   * will be hidden if no available contact methods are available. Channels
+   * whose field is not on the quick view form are skipped.
    *
-   * @param {Object} contact  The contact object containing contact method
-   *                          details.
-   * @param {string} contact.mobilePhoneNumber
-   * @param {boolean} contact.doNotPhone
-   * @param {string} contact.emailAddress
-   * @param {boolean} contact.doNotEmail
-   * @returns {Object}  An object with keys for each channel (mobilePhone,
-   *                    emailAddress) and boolean values indicating whether the
-   *                    channel is available.
+   * @param {Object} formContext  The form context object.
+   * @param {Object} channelModel  The contact's channel model
    */
-  function _getContactMethodAvailability(contact) {
-    const availability = {
-      mobilePhone: false,
-      emailAddress: false,
-    };
-
-    if (contact) {
-      availability.mobilePhone = _isContactMethodAvailable(
-        contact[_logicalNames.contactFields.mobilePhoneNumber],
-        contact[_logicalNames.contactFields.doNotPhone]
-      );
-      availability.emailAddress = _isContactMethodAvailable(
-        contact[_logicalNames.contactFields.emailAddress],
-        contact[_logicalNames.contactFields.doNotEmail]
-      );
-    }
-
-    return availability;
-  }
+  function _updateContactQuickViewVisiblity(formContext, channelModel) {
+    const quickViewControl = _tryReadContactQuickViewForm(formContext);
 
-  /**
-   * Checks if a contact method is available based on its value and the contact
-   * preference.
-   *
-   * @param {string} channelValue  The value of the contact method, e.g. email
-   * @param {boolean} doNotContactPreference  A boolean indicating whether the
-   *                                          contact method should not be used
-   * @returns {boolean}  Returns true if the contact method is available,
-   *                     otherwise false.
-   */
-  function _isContactMethodAvailable(channelValue, doNotContactPreference) {
-    if (
-      !channelValue ||
-      typeof channelValue !== "string" ||
-      typeof doNotContactPreference !== "boolean"
-    ) {
-      return false;
+    quickViewControl.setVisible(channelModel.recommendedChannel !== null);
+    for (const channel of Object.values(channelModel.channels)) {
+      quickViewControl
+        .getControl(channel.column)
+        ?.setVisible(channel.isAvailable);
     }
-
-    return !doNotContactPreference && channelValue.trim() !== "";
   }
 
   /**
-   * Updates the visibility of fields within the contact quick view form to
-   * show only fields with available contact methods. The quick view form itself
-   * will be hidden if no available contact methods are available
+   * Shows the recommended channel in a notification at the top of the form,
+   * noting where it is the contact's preferred contact method. The
+   * notification is cleared where no channel is recommended.
    *
    * @param {Object} formContext  The form context object.
-   * @param {Object} availableContactMethods  An object containing the
-   *                                          available contact methods.
-   * @param {boolean} availableContactMethods.mobilePhone
-   * @param {boolean} availableContactMethods.emailAddress
+   * @param {Object} channelModel  The contact's channel model
    */
-  function _updateContactQuickViewVisiblity(
-    formContext,
-    availableContactMethods
-  ) {
-    const contactControls = _getContactViewControls(formContext);
-
-    contactControls.quickViewControl.setVisible(
-      availableContactMethods.mobilePhone ||
-        availableContactMethods.emailAddress
-    );
+  function _updateRecommendedChannelNotification(formContext, channelModel) {
+    const channel = channelModel.recommendedChannel;
+    if (!channel) {
+      _notifications.clear(formContext, _notificationIds.recommendedChannel);
+      return;
+    }
 
-    contactControls.mobilePhoneControl?.setVisible(
-      availableContactMethods.mobilePhone
-    );
-    contactControls.emailControl?.setVisible(
-      availableContactMethods.emailAddress
-    );
+    _notifications.show(formContext, {
+      id: _notificationIds.recommendedChannel,
+      message: _localisation.getString(
+        channel.type === channelModel.preferredChannelType
+          ? "RecommendedPreferredChannel"
+          : "RecommendedChannel",
+        { channel: channel.label, value: channel.value }
+      ),
+      severity: _notifications.severities.info,
+    });
   }
 
   /**
    * Updates the email field on the case form.
    *
    * This function sets the visibility and requirement level of the email field
-   * based on the availability of contact communication channels. If no
-   * communication channels (mobile phone or email address) are available, the
-   * email field is shown and made mandatory. Otherwise, the email field is
-   * hidden and set to optional.
+   * by applying the case email rules to the contact's channel model. If no
+   * communication channel is available, the email field is shown and made
+   * mandatory. Otherwise, the email field is hidden and set to optional.
    *
    * @param {Object} formContext  The form context object.
-   * @param {Object} availableContactMethods  An object containing the available
-   *                                          contact methods.
-   * @param {boolean} availableContactMethods.mobilePhone
-   * @param {boolean} availableContactMethods.emailAddress
+   * @param {Object} channelModel  The contact's channel model
    */
-  function _updateCaseEmailField(formContext, availableContactMethods) {
-    const isNoContactCommunicationChannelsAvailable =
-      !availableContactMethods?.mobilePhone &&
-      !availableContactMethods?.emailAddress;
-
-    const requiredLevel = isNoContactCommunicationChannelsAvailable
-      ? fieldRequirementLevels.required
-      : fieldRequirementLevels.optional;
-
-    formContext
-      .getControl(_logicalNames.caseFields.emailAddress)
-      .setVisible(isNoContactCommunicationChannelsAvailable);
-    formContext
-      .getAttribute(_logicalNames.caseFields.emailAddress)
-      .setRequiredLevel(requiredLevel);
-  }
-
-  /**
-   * Returns an object with references to the controls in the contact quick view.
-   *
-   * @param {Object} formContext - The form context object.
-   * @returns {Object} An object containing references to the quick view control,
-   *                   mobile phone control, and email control.
-   */
-  function _getContactViewControls(formContext) {
-    const quickViewControl = _tryReadContactQuickViewForm(formContext);
-
-    return {
-      quickViewControl,
-      mobilePhoneControl: quickViewControl.getControl(
-        _logicalNames.contactFields.mobilePhoneNumber
-      ),
-      emailControl: quickViewControl.getControl(
-        _logicalNames.contactFields.emailAddress
-      ),
-    };
+  function _updateCaseEmailField(formContext, channelModel) {
+    _formRules.apply(formContext, _caseEmailRules, { channels: channelModel });
   }
 
   /**
@@ -268,10 +269,7 @@ this.cr4fd.caseFormAvailableCommunicationChannelsUpdate = (function () {
    */
   function _guardExecutionContextPassed(executionContext) {
     if (typeof executionContext?.getFormContext !== "function") {
-      throw new Error(
-        "Invalid execution context. Ensure that execution context is passed " +
-          "as the first parameter"
-      );
+      throw new Error(_localisation.getString("InvalidExecutionContext"));
     }
   }
 
@@ -306,11 +304,12 @@ this.cr4fd.caseFormAvailableCommunicationChannelsUpdate = (function () {
    */
   function _guardFormIsAssociatedWithCaseEntity(formContext) {
     if (
-      formContext?.contextToken?.entityTypeName !== _logicalNames.tables.case
+      formContext?.data?.entity?.getEntityName() !== _logicalNames.tables.case
     ) {
-      throw new Error(
-        "Invalid form configuration: Form must be associated with" +
-          `${_logicalNames.tables.case} entity`
+      throw _notifications.createFormConfigurationError(
+        _localisation.getString("FormNotAssociatedWithTable", {
+          table: _logicalNames.tables.case,
+        })
       );
     }
   }
@@ -326,9 +325,10 @@ this.cr4fd.caseFormAvailableCommunicationChannelsUpdate = (function () {
   function _guardFieldIsPresentInForm(formContext, fieldLogicalName) {
     const necessaryField = formContext.getAttribute(fieldLogicalName);
     if (!necessaryField) {
-      throw new Error(
-        "Invalid form configuration: Form must contain " +
-          `${fieldLogicalName} field`
+      throw _notifications.createFormConfigurationError(
+        _localisation.getString("FieldMissingFromForm", {
+          field: fieldLogicalName,
+        })
       );
     }
   }
@@ -345,27 +345,27 @@ this.cr4fd.caseFormAvailableCommunicationChannelsUpdate = (function () {
       _logicalNames.controls.contactAvailableMethodsQuickView
     );
     if (!quickViewControl) {
-      throw new Error(
-        "Invalid form configuration: Form must contain a contact quick view " +
-          "form with the name " +
-          `"${_logicalNames.controls.contactAvailableMethodsQuickView}"`
+      throw _notifications.createFormConfigurationError(
+        _localisation.getString("ContactQuickViewMissingFromForm", {
+          quickViewName:
+            _logicalNames.controls.contactAvailableMethodsQuickView,
+        })
       );
     }
     return quickViewControl;
   }
 
   /**
-   * Displays an error dialog to the user with a specified error message and
-   * details.
+   * Starts a request, superseding any request previously started by the
+   * handler. The returned function reports whether the request is still the
+   * latest, so that responses to superseded requests can be discarded.
    *
-   * @param {Error} error  The error object to display
+   * @returns {Function}  A function returning true while the request has not
+   *                      been superseded
    */
-  function _notifyUserOfError(error) {
-    const plugInName = updateAvailableChannelsSection.name;
-    _xrm.Navigation.openErrorDialog({
-      message: `${plugInName} has encountered an error. ${error.message}`,
-      details: error.stack,
-    });
+  function _startRequest() {
+    const requestNumber = ++_latestRequestNumber;
+    return () => _latestRequestNumber === requestNumber;
   }
 
   //Return the API
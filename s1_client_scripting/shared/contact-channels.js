@@ -0,0 +1,189 @@
+"use strict";
+
+//Set publisher namespace
+this.cr4fd = this.cr4fd || {};
+
+// Initialise namespace for the shared contact channels library. This library
+// must be loaded by the form after shared/localisation.js, and before any
+// script that uses it
+this.cr4fd.contactChannels = (function () {
+  //Shared libraries, see shared/localisation.js
+  // eslint-disable-next-line no-undef
+  const _localisation = cr4fd.localisation;
+
+  //Dictionary containing logical names for contact fields
+  const _logicalNames = {
+    contactFields: {
+      mobilePhoneNumber: "mobilephone",
+      telephone: "telephone1",
+      emailAddress: "emailaddress1",
+      emailAddress2: "emailaddress2",
+      doNotPhone: "donotphone",
+      doNotEmail: "donotemail",
+      doNotBulkEmail: "donotbulkemail",
+      doNotSendMarketingMaterial: "donotsendmm",
+      preferredContactMethod: "preferredcontactmethodcode",
+    },
+  };
+
+  //Communication channels of a contact, in the order they are recommended
+  //where the contact has no preferred contact method. Each channel is read
+  //from a contact column and opted out of with a do not contact column
+  const _channelDefinitions = [
+    {
+      name: "mobilePhone",
+      type: "phone",
+      column: _logicalNames.contactFields.mobilePhoneNumber,
+      optOutColumn: _logicalNames.contactFields.doNotPhone,
+      labelKey: "MobileChannel",
+    },
+    {
+      name: "emailAddress",
+      type: "email",
+      column: _logicalNames.contactFields.emailAddress,
+      optOutColumn: _logicalNames.contactFields.doNotEmail,
+      labelKey: "EmailChannel",
+    },
+    {
+      name: "telephone",
+      type: "phone",
+      column: _logicalNames.contactFields.telephone,
+      optOutColumn: _logicalNames.contactFields.doNotPhone,
+      labelKey: "TelephoneChannel",
+    },
+    {
+      name: "emailAddress2",
+      type: "email",
+      column: _logicalNames.contactFields.emailAddress2,
+      optOutColumn: _logicalNames.contactFields.doNotEmail,
+      labelKey: "SecondEmailChannel",
+    },
+  ];
+
+  //Channel types preferred by the values of the contact's preferred contact
+  //method. Any, fax and mail prefer none of the channels
+  const _preferredContactMethodChannelTypes = {
+    2: "email",
+    3: "phone",
+  };
+
+  //Patterns of well formed channel values by channel type. A phone number
+  //has at least 7 digits, optionally separated by spaces, brackets, dots and
+  //dashes, and may start with +
+  const _channelValuePatterns = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    phone: /^\+?(?:[\s().-]*\d){7,}[\s().-]*$/,
+  };
+
+  //Contact columns the channel model is built from, to be selected when the
+  //contact is retrieved
+  const columns = [
+    ...new Set(
+      _channelDefinitions.flatMap((definition) => [
+        definition.column,
+        definition.optOutColumn,
+      ])
+    ),
+    _logicalNames.contactFields.preferredContactMethod,
+    _logicalNames.contactFields.doNotBulkEmail,
+    _logicalNames.contactFields.doNotSendMarketingMaterial,
+  ];
+
+  /**
+   * Builds the communication channel model of a contact, see
+   * _channelDefinitions. Each channel holds its value and whether that value
+   * is well formed, whether the contact has opted out of it, and whether it is
+   * available, i.e. well formed and not opted out of. The available channels
+   * are ranked, see _rankChannels, and the first is recommended.
+   *
+   * Opting out of bulk email or marketing materials does not make a channel
+   * unavailable, as a case is neither, but the consents are held by the model
+   * for rules, e.g. as channels.isBulkEmailAllowed. As with the channels, a
+   * consent whose do not contact preference is not set is not given.
+   *
+   * @param {Object|undefined|null} contact  The contact record, with the
+   *                                         columns, or no contact
+   * @returns {Object}  The channel model, with the channels keyed by name, in
+   *                    the order of _channelDefinitions, the preferred
+   *                    channel type, the bulk email and marketing material
+   *                    consents and the recommended channel, or null where
+   *                    no channel is available
+   */
+  function buildModel(contact) {
+    const channels = _channelDefinitions.map((definition) =>
+      _buildChannel(definition, contact)
+    );
+    const preferredChannelType =
+      _preferredContactMethodChannelTypes[
+        contact?.[_logicalNames.contactFields.preferredContactMethod]
+      ] ?? null;
+    const rankedChannels = _rankChannels(
+      channels.filter((channel) => channel.isAvailable),
+      preferredChannelType
+    );
+
+    return {
+      channels: Object.fromEntries(
+        channels.map((channel) => [channel.name, channel])
+      ),
+      preferredChannelType,
+      isBulkEmailAllowed:
+        contact?.[_logicalNames.contactFields.doNotBulkEmail] === false,
+      isMarketingMaterialAllowed:
+        contact?.[_logicalNames.contactFields.doNotSendMarketingMaterial] ===
+        false,
+      recommendedChannel: rankedChannels[0] ?? null,
+    };
+  }
+
+  /**
+   * Builds a channel of the channel model from a contact record. A channel
+   * whose do not contact preference is not set is treated as unavailable, as
+   * the contact's consent is unknown.
+   *
+   * @param {Object} definition  The channel definition, see
+   *                             _channelDefinitions
+   * @param {Object|undefined|null} contact  The contact record
+   * @returns {Object}  The channel
+   */
+  function _buildChannel(definition, contact) {
+    const value = contact?.[definition.column];
+    const trimmedValue = typeof value === "string" ? value.trim() : "";
+    const doNotContactPreference = contact?.[definition.optOutColumn];
+    const isValid = _channelValuePatterns[definition.type].test(trimmedValue);
+
+    return {
+      name: definition.name,
+      type: definition.type,
+      column: definition.column,
+      label: _localisation.getString(definition.labelKey),
+      value: trimmedValue || null,
+      isValid,
+      isOptedOut: doNotContactPreference === true,
+      isAvailable: isValid && doNotContactPreference === false,
+    };
+  }
+
+  /**
+   * Ranks available channels for recommendation. Channels of the type the
+   * contact prefers rank first, otherwise the order of _channelDefinitions is
+   * kept.
+   *
+   * @param {Object[]} channels  The available channels
+   * @param {string|null} preferredChannelType  The preferred channel type
+   * @returns {Object[]}  The channels, best first
+   */
+  function _rankChannels(channels, preferredChannelType) {
+    return [...channels].sort(
+      (first, second) =>
+        Number(second.type === preferredChannelType) -
+        Number(first.type === preferredChannelType)
+    );
+  }
+
+  // Return the API
+  return {
+    columns,
+    buildModel,
+  };
+})();
@@ -0,0 +1,321 @@
+"use strict";
+
+//Set publisher namespace
+this.cr4fd = this.cr4fd || {};
+
+// Initialise namespace for the shared notification library. This library must
+// be loaded by the form after shared/localisation.js, and before any script
+// that uses it
+this.cr4fd.formNotifications = (function () {
+  // eslint-disable-next-line no-undef
+  const _xrm = Xrm;
+  //Shared library, see shared/localisation.js
+  // eslint-disable-next-line no-undef
+  const _localisation = cr4fd.localisation;
+
+  //Dictionary of notification severities, with the matching form
+  //notification levels
+  const severities = {
+    info: "INFO",
+    warning: "WARNING",
+    error: "ERROR",
+  };
+
+  //Control notification level used for info and warning severities, as
+  //control.addNotification only supports errors and recommendations
+  const _recommendationLevel = "RECOMMENDATION";
+
+  //Name of errors raised by a form that is not configured as a script
+  //expects, see createFormConfigurationError
+  const _formConfigurationErrorName = "FormConfigurationError";
+
+  //Name of errors raised by shared/web-api.js where the records a handler
+  //needs are not available offline, see webApi.isOfflineUnavailableError
+  const _offlineUnavailableErrorName = "WebApiOfflineUnavailableError";
+
+  //Notifications currently shown on each form, keyed by unique id
+  const _shownNotificationsByForm = new WeakMap();
+
+  //Messages of error dialogs that are currently open
+  const _openErrorDialogMessages = new Set();
+
+  /**
+   * Shows a notification. Where a field is given and its control is present
+   * on the form, the notification is shown on that control, else it is shown
+   * at the top of the form.
+   *
+   * Control notifications with the error severity use control.setNotification,
+   * which prevents the form from saving until the notification is cleared.
+   * Info and warning severities are shown as recommendations, which do not.
+   *
+   * Info and warning notifications on a control may offer actions, shown as
+   * buttons the user may click, e.g. to apply a suggested value.
+   *
+   * A notification with the same id replaces the previous one, wherever it was
+   * shown. Showing an identical notification again has no effect.
+   *
+   * @param {Object} formContext  The form context object
+   * @param {Object} notification  The notification to show
+   * @param {string} notification.id  A unique id for the notification
+   * @param {string} notification.message  The message to show
+   * @param {string} notification.severity  One of severities
+   * @param {string} [notification.fieldName]  The logical name of the field
+   *                                           the notification relates to
+   * @param {Object[]} [notification.actions]  Actions offered on a control,
+   *                                           each with a message and an
+   *                                           action function
+   */
+  function show(formContext, notification) {
+    const shownNotifications = _readShownNotifications(formContext);
+    const control = notification.fieldName
+      ? formContext.getControl(notification.fieldName)
+      : null;
+    const shownNotification = {
+      message: notification.message,
+      severity: notification.severity,
+      fieldName: control ? notification.fieldName : null,
+    };
+
+    if (
+      _isSameNotification(
+        shownNotifications.get(notification.id),
+        shownNotification
+      )
+    ) {
+      return;
+    }
+
+    clear(formContext, notification.id);
+
+    if (control) {
+      _showControlNotification(control, notification);
+    } else {
+      formContext.ui.setFormNotification(
+        notification.message,
+        notification.severity,
+        notification.id
+      );
+    }
+    shownNotifications.set(notification.id, shownNotification);
+  }
+
+  /**
+   * Clears a notification shown by show, if it is still shown. Call this once
+   * the condition that raised the notification has resolved.
+   *
+   * @param {Object} formContext  The form context object
+   * @param {string} id  The unique id of the notification
+   */
+  function clear(formContext, id) {
+    const shownNotifications = _readShownNotifications(formContext);
+    const shownNotification = shownNotifications.get(id);
+    if (!shownNotification) {
+      return;
+    }
+
+    if (shownNotification.fieldName) {
+      formContext
+        .getControl(shownNotification.fieldName)
+        ?.clearNotification(id);
+    } else {
+      formContext.ui.clearFormNotification(id);
+    }
+    shownNotifications.delete(id);
+  }
+
+  /**
+   * Reports an error caught by a form event handler, choosing how to notify
+   * the user from the nature of the error:
+   *
+   * - Without a form context, e.g. where the execution context was not passed
+   *   to the handler, the error is fatal and an error dialog is opened
+   * - Errors in the form configuration, see createFormConfigurationError, are
+   *   shown at the top of the form with the error severity, as they will
+   *   persist until the form is corrected
+   * - Records that are not available offline, see
+   *   webApi.isOfflineUnavailableError, are shown as info on the affected
+   *   field, as the handler has left the form unchanged until the records are
+   *   synced or the device is online
+   * - Other errors, such as a failed Web API request, are shown as a warning on
+   *   the affected field, or at the top of the form if there is no such field
+   *
+   * Reporting the same error again has no effect while it is shown. The
+   * notification is cleared by clearHandlerError.
+   *
+   * @param {Object} executionContext  The execution context passed to the
+   *                                   handler
+   * @param {string} handlerName  The name of the handler
+   * @param {Error} error  The error caught by the handler
+   * @param {string} [fieldName]  The logical name of the affected field
+   */
+  function reportHandlerError(executionContext, handlerName, error, fieldName) {
+    const message =
+      error.name === _offlineUnavailableErrorName
+        ? _localisation.getString("RecordsNotAvailableOffline")
+        : _localisation.getString("HandlerError", {
+            handlerName,
+            message: error.message,
+          });
+    const formContext = _tryReadFormContext(executionContext);
+
+    if (!formContext) {
+      _openErrorDialog(message, error.stack);
+      return;
+    }
+
+    const isFormConfigurationError = error.name === _formConfigurationErrorName;
+    show(formContext, {
+      id: _buildHandlerErrorId(handlerName),
+      message,
+      severity: _readHandlerErrorSeverity(error),
+      fieldName: isFormConfigurationError ? null : fieldName,
+    });
+  }
+
+  /**
+   * Clears an error reported by reportHandlerError for a handler. Call this
+   * once the handler has completed successfully.
+   *
+   * @param {Object} formContext  The form context object
+   * @param {string} handlerName  The name of the handler
+   */
+  function clearHandlerError(formContext, handlerName) {
+    clear(formContext, _buildHandlerErrorId(handlerName));
+  }
+
+  /**
+   * Creates an error for a form that is not configured as a script expects,
+   * e.g. where a field the script uses is missing. reportHandlerError shows
+   * these errors at the top of the form with the error severity.
+   *
+   * @param {string} details  The localised description of the problem
+   * @returns {Error}  The error, with a localised message
+   */
+  function createFormConfigurationError(details) {
+    const error = new Error(
+      _localisation.getString("InvalidFormConfiguration", { details })
+    );
+    error.name = _formConfigurationErrorName;
+    return error;
+  }
+
+  /**
+   * Reads the severity of the notification reporting a handler error, see
+   * reportHandlerError.
+   *
+   * @param {Error} error  The error caught by the handler
+   * @returns {string}  One of severities
+   */
+  function _readHandlerErrorSeverity(error) {
+    if (error.name === _formConfigurationErrorName) {
+      return severities.error;
+    }
+    if (error.name === _offlineUnavailableErrorName) {
+      return severities.info;
+    }
+    return severities.warning;
+  }
+
+  /**
+   * Shows a notification on a control.
+   *
+   * @param {Object} control  The control
+   * @param {Object} notification  The notification to show, see show
+   */
+  function _showControlNotification(control, notification) {
+    if (notification.severity === severities.error) {
+      control.setNotification(notification.message, notification.id);
+      return;
+    }
+    control.addNotification({
+      messages: [notification.message],
+      notificationLevel: _recommendationLevel,
+      uniqueId: notification.id,
+      actions: notification.actions?.map((action) => ({
+        message: action.message,
+        actions: [action.action],
+      })),
+    });
+  }
+
+  /**
+   * Opens an error dialog, unless a dialog with the same message is already
+   * open.
+   *
+   * @param {string} message  The message to show
+   * @param {string} details  The error details, e.g. a stack trace
+   */
+  async function _openErrorDialog(message, details) {
+    if (_openErrorDialogMessages.has(message)) {
+      return;
+    }
+
+    _openErrorDialogMessages.add(message);
+    try {
+      await _xrm?.Navigation?.openErrorDialog({ message, details });
+    } finally {
+      _openErrorDialogMessages.delete(message);
+    }
+  }
+
+  /**
+   * Reads the notifications shown on a form, keyed by unique id.
+   *
+   * @param {Object} formContext  The form context object
+   * @returns {Map<string, Object>}  The notifications shown on the form
+   */
+  function _readShownNotifications(formContext) {
+    if (!_shownNotificationsByForm.has(formContext)) {
+      _shownNotificationsByForm.set(formContext, new Map());
+    }
+    return _shownNotificationsByForm.get(formContext);
+  }
+
+  /**
+   * Compares two shown notifications by message, severity and field.
+   *
+   * @param {Object|undefined} first  The first notification
+   * @param {Object} second  The second notification
+   * @returns {boolean}  True if both notifications are the same
+   */
+  function _isSameNotification(first, second) {
+    return (
+      first?.message === second.message &&
+      first?.severity === second.severity &&
+      first?.fieldName === second.fieldName
+    );
+  }
+
+  /**
+   * Reads the form context from an execution context, if one is available.
+   *
+   * @param {Object} executionContext  The execution context
+   * @returns {Object|null}  The form context, or null
+   */
+  function _tryReadFormContext(executionContext) {
+    if (typeof executionContext?.getFormContext !== "function") {
+      return null;
+    }
+    return executionContext.getFormContext() ?? null;
+  }
+
+  /**
+   * Builds the unique id of the notification for a handler's errors.
+   *
+   * @param {string} handlerName  The name of the handler
+   * @returns {string}  The unique id
+   */
+  function _buildHandlerErrorId(handlerName) {
+    return `cr4fd_${handlerName}_error`;
+  }
+
+  // Return the API
+  return {
+    severities,
+    show,
+    clear,
+    reportHandlerError,
+    clearHandlerError,
+    createFormConfigurationError,
+  };
+})();
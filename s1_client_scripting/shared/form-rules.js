@@ -0,0 +1,444 @@
+"use strict";
+
+//Set publisher namespace
+this.cr4fd = this.cr4fd || {};
+
+// Initialise namespace for the shared form rules library. This library must
+// be loaded by the form after shared/localisation.js and
+// shared/form-notifications.js, and before any script that uses it
+this.cr4fd.formRules = (function () {
+  //Shared libraries, see shared/localisation.js and
+  //shared/form-notifications.js
+  // eslint-disable-next-line no-undef
+  const _localisation = cr4fd.localisation;
+  // eslint-disable-next-line no-undef
+  const _notifications = cr4fd.formNotifications;
+
+  //Dictionary of the comparisons a condition may make between a fact and a
+  //value, see _isConditionMet
+  const _comparisons = {
+    equals: (fact, value) => fact === value,
+    notEquals: (fact, value) => fact !== value,
+    in: (fact, values) => values.includes(fact),
+    isBlank: (fact, isBlank) => _isBlank(fact) === isBlank,
+  };
+
+  //Requirement levels an effect may set, as accepted by setRequiredLevel
+  const _requirementLevels = ["none", "required", "recommended"];
+
+  //Field properties an effect may set, with the validation of their value
+  const _fieldProperties = {
+    visible: (value) => typeof value === "boolean",
+    requiredLevel: (value) => _requirementLevels.includes(value),
+    disabled: (value) => typeof value === "boolean",
+  };
+
+  //Facts are referenced by a dotted path, e.g. customer.entityType
+  const _factPathPattern = /^\w+(\.\w+)*$/;
+
+  //Editable grid cells locked by rules in place of hiding them, keyed by the
+  //row's record id and the field name, see _lockCellInsteadOfHiding
+  const _cellsLockedInsteadOfHidden = new Set();
+
+  /**
+   * Applies rules to a form. Each rule has a when condition over facts, and
+   * the effects applied where it is met, in then, or where it is not, in the
+   * optional otherwise:
+   *
+   * {
+   *   "id": "contactHiddenForContactCustomer",
+   *   "when": { "fact": "customer.entityType", "equals": "contact" },
+   *   "then": [{ "field": "contactField", "visible": false }],
+   *   "otherwise": [{ "field": "contactField", "visible": true }]
+   * }
+   *
+   * A condition compares the fact at a dotted path with equals, notEquals,
+   * in, taking an array, or isBlank, true where the fact is missing, null or
+   * white space. Conditions are combined with all, any, taking arrays of
+   * conditions, and not.
+   *
+   * An effect either sets the visible, requiredLevel or disabled properties
+   * of a field's control and attribute, or shows a notification:
+   *
+   * {
+   *   "notification": "cr4fd_contact_without_email",
+   *   "message": "ContactWithoutEmail",
+   *   "values": { "contactName": "contact.name" },
+   *   "severity": "warning",
+   *   "field": "contactField"
+   * }
+   *
+   * The message is the name of a localised message, whose placeholders are
+   * replaced by the facts at the paths in values. The severity is one of the
+   * keys of formNotifications.severities. The field is optional.
+   *
+   * Rules are applied in order, so the effect of a later rule on the same
+   * field property wins. A notification whose rule has no effect showing it
+   * is cleared. Fields missing from the form are skipped.
+   *
+   * The controls may also be the cells of an editable grid row, which cannot
+   * be hidden. A cell is locked in place of hiding its field, and unlocked in
+   * place of showing it.
+   *
+   * @param {Object} formContext  The form context object
+   * @param {Object[]} rules  The rules, validated by findRuleSetError
+   * @param {Object} facts  The facts, keyed by the first part of their path,
+   *                        e.g. { customer: { entityType: "account" } }
+   * @param {Function} [resolveFieldName]  Maps the field named by an effect to
+   *                                       the logical name of a field on the
+   *                                       form, e.g. from a field mapping
+   */
+  function apply(formContext, rules, facts, resolveFieldName = (name) => name) {
+    const fieldProperties = new Map();
+    const notifications = new Map(
+      _readNotificationIds(rules).map((id) => [id, null])
+    );
+
+    for (const rule of rules) {
+      const effects = _isConditionMet(rule.when, facts)
+        ? rule.then
+        : rule.otherwise ?? [];
+      for (const effect of effects) {
+        if (effect.notification) {
+          notifications.set(effect.notification, effect);
+          continue;
+        }
+        const fieldName = resolveFieldName(effect.field);
+        fieldProperties.set(fieldName, {
+          ...fieldProperties.get(fieldName),
+          ..._readFieldProperties(effect),
+        });
+      }
+    }
+
+    fieldProperties.forEach((properties, fieldName) =>
+      _applyFieldProperties(formContext, fieldName, properties)
+    );
+    notifications.forEach((effect, id) => {
+      if (!effect) {
+        _notifications.clear(formContext, id);
+        return;
+      }
+      _notifications.show(formContext, {
+        id,
+        message: _localisation.getString(
+          effect.message,
+          _readNotificationValues(effect, facts)
+        ),
+        severity: _notifications.severities[effect.severity],
+        fieldName: effect.field ? resolveFieldName(effect.field) : undefined,
+      });
+    });
+  }
+
+  /**
+   * Reads the paths of the facts that rules depend on, so that a script only
+   * retrieves the related records that its rules use.
+   *
+   * @param {Object[]} rules  The rules, validated by findRuleSetError
+   * @returns {string[]}  The distinct fact paths, e.g. contact.donotemail
+   */
+  function readFactPaths(rules) {
+    const paths = new Set();
+    const addConditionPaths = (condition) => {
+      if (condition.fact) {
+        paths.add(condition.fact);
+      }
+      [condition.all, condition.any, condition.not && [condition.not]]
+        .flat()
+        .filter(Boolean)
+        .forEach(addConditionPaths);
+    };
+
+    for (const rule of rules) {
+      addConditionPaths(rule.when);
+      [...rule.then, ...(rule.otherwise ?? [])]
+        .flatMap((effect) => Object.values(effect.values ?? {}))
+        .forEach((path) => paths.add(path));
+    }
+    return [...paths];
+  }
+
+  /**
+   * Checks that rules are well formed, see apply.
+   *
+   * @param {*} rules  The rules to check
+   * @returns {string|null}  A localised description of the first problem
+   *                         found, or null where the rules are well formed
+   */
+  function findRuleSetError(rules) {
+    if (!Array.isArray(rules)) {
+      return _localisation.getString("RuleSetNotArray");
+    }
+
+    for (const [index, rule] of rules.entries()) {
+      const ruleName = rule?.id ?? String(index + 1);
+      if (!_isValidCondition(rule?.when)) {
+        return _localisation.getString("RuleConditionNotValid", {
+          rule: ruleName,
+          condition: JSON.stringify(rule?.when),
+        });
+      }
+      for (const effects of [rule.then, rule.otherwise ?? []]) {
+        if (!Array.isArray(effects)) {
+          return _localisation.getString("RuleEffectNotValid", {
+            rule: ruleName,
+            effect: JSON.stringify(effects),
+          });
+        }
+        const invalidEffect = effects.find((effect) => !_isValidEffect(effect));
+        if (invalidEffect !== undefined) {
+          return _localisation.getString("RuleEffectNotValid", {
+            rule: ruleName,
+            effect: JSON.stringify(invalidEffect),
+          });
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Evaluates a condition against facts.
+   *
+   * @param {Object} condition  The validated condition
+   * @param {Object} facts  The facts
+   * @returns {boolean}  True if the condition is met
+   */
+  function _isConditionMet(condition, facts) {
+    if (condition.all) {
+      return condition.all.every((part) => _isConditionMet(part, facts));
+    }
+    if (condition.any) {
+      return condition.any.some((part) => _isConditionMet(part, facts));
+    }
+    if (condition.not) {
+      return !_isConditionMet(condition.not, facts);
+    }
+
+    const fact = _readFact(facts, condition.fact);
+    const [comparison] = Object.keys(condition).filter((key) =>
+      Object.hasOwn(_comparisons, key)
+    );
+    return _comparisons[comparison](fact, condition[comparison]);
+  }
+
+  /**
+   * Checks that a condition is well formed, see apply.
+   *
+   * @param {*} condition  The condition to check
+   * @returns {boolean}  True if the condition is well formed
+   */
+  function _isValidCondition(condition) {
+    if (!_isPlainObject(condition)) {
+      return false;
+    }
+
+    const keys = Object.keys(condition);
+    if (keys.length === 1 && (keys[0] === "all" || keys[0] === "any")) {
+      return (
+        Array.isArray(condition[keys[0]]) &&
+        condition[keys[0]].every(_isValidCondition)
+      );
+    }
+    if (keys.length === 1 && keys[0] === "not") {
+      return _isValidCondition(condition.not);
+    }
+
+    const comparisons = keys.filter((key) => Object.hasOwn(_comparisons, key));
+    return (
+      keys.length === 2 &&
+      comparisons.length === 1 &&
+      _isFactPath(condition.fact) &&
+      (comparisons[0] !== "in" || Array.isArray(condition.in)) &&
+      (comparisons[0] !== "isBlank" || typeof condition.isBlank === "boolean")
+    );
+  }
+
+  /**
+   * Checks that an effect is well formed, see apply.
+   *
+   * @param {*} effect  The effect to check
+   * @returns {boolean}  True if the effect is well formed
+   */
+  function _isValidEffect(effect) {
+    if (!_isPlainObject(effect)) {
+      return false;
+    }
+
+    if (effect.notification !== undefined) {
+      return (
+        typeof effect.notification === "string" &&
+        typeof effect.message === "string" &&
+        Object.hasOwn(_notifications.severities, effect.severity) &&
+        (effect.field === undefined || typeof effect.field === "string") &&
+        (effect.values === undefined ||
+          (_isPlainObject(effect.values) &&
+            Object.values(effect.values).every(_isFactPath)))
+      );
+    }
+
+    const properties = Object.keys(effect).filter((key) => key !== "field");
+    return (
+      typeof effect.field === "string" &&
+      properties.length > 0 &&
+      properties.every(
+        (property) =>
+          Object.hasOwn(_fieldProperties, property) &&
+          _fieldProperties[property](effect[property])
+      )
+    );
+  }
+
+  /**
+   * Sets the properties of a field's control and attribute. A control that
+   * cannot be hidden, i.e. an editable grid cell, is locked instead, see
+   * _lockCellInsteadOfHiding.
+   *
+   * @param {Object} formContext  The form context object
+   * @param {string} fieldName  The logical name of the field
+   * @param {Object} properties  The visible, requiredLevel and disabled
+   *                             values to set, where given
+   */
+  function _applyFieldProperties(formContext, fieldName, properties) {
+    const control = formContext.getControl(fieldName);
+    if (properties.visible !== undefined) {
+      if (typeof control?.setVisible === "function") {
+        control.setVisible(properties.visible);
+      } else if (control) {
+        _lockCellInsteadOfHiding(
+          formContext,
+          fieldName,
+          control,
+          !properties.visible
+        );
+      }
+    }
+    if (properties.disabled !== undefined) {
+      control?.setDisabled(properties.disabled);
+    }
+    if (properties.requiredLevel !== undefined) {
+      formContext
+        .getAttribute(fieldName)
+        ?.setRequiredLevel(properties.requiredLevel);
+    }
+  }
+
+  /**
+   * Locks an editable grid cell that a rule hides, or unlocks it where a rule
+   * shows it again. Only cells locked by a rule are unlocked, so that a cell
+   * that is read-only, e.g. for a column the user cannot update, is left
+   * alone.
+   *
+   * @param {Object} formContext  The form context object, here a grid row
+   * @param {string} fieldName  The logical name of the field
+   * @param {Object} cell  The grid cell
+   * @param {boolean} isHidden  True if the rule hides the field
+   */
+  function _lockCellInsteadOfHiding(formContext, fieldName, cell, isHidden) {
+    const key = `${formContext.data?.entity?.getId?.() ?? ""}:${fieldName}`;
+    if (isHidden) {
+      if (!cell.getDisabled()) {
+        cell.setDisabled(true);
+        _cellsLockedInsteadOfHidden.add(key);
+      }
+    } else if (_cellsLockedInsteadOfHidden.delete(key)) {
+      cell.setDisabled(false);
+    }
+  }
+
+  /**
+   * Reads the field properties set by an effect.
+   *
+   * @param {Object} effect  The validated effect
+   * @returns {Object}  The properties, keyed by name
+   */
+  function _readFieldProperties(effect) {
+    return Object.fromEntries(
+      Object.keys(_fieldProperties)
+        .filter((property) => effect[property] !== undefined)
+        .map((property) => [property, effect[property]])
+    );
+  }
+
+  /**
+   * Reads the ids of the notifications that rules may show.
+   *
+   * @param {Object[]} rules  The validated rules
+   * @returns {string[]}  The notification ids
+   */
+  function _readNotificationIds(rules) {
+    return rules
+      .flatMap((rule) => [...rule.then, ...(rule.otherwise ?? [])])
+      .filter((effect) => effect.notification)
+      .map((effect) => effect.notification);
+  }
+
+  /**
+   * Reads the values of a notification's placeholders from the facts.
+   *
+   * @param {Object} effect  The validated notification effect
+   * @param {Object} facts  The facts
+   * @returns {Object}  The placeholder values, keyed by placeholder name
+   */
+  function _readNotificationValues(effect, facts) {
+    return Object.fromEntries(
+      Object.entries(effect.values ?? {}).map(([name, path]) => [
+        name,
+        _readFact(facts, path) ?? "",
+      ])
+    );
+  }
+
+  /**
+   * Reads the fact at a dotted path.
+   *
+   * @param {Object} facts  The facts
+   * @param {string} path  The path, e.g. customer.entityType
+   * @returns {*}  The fact, or undefined where any part of the path is missing
+   */
+  function _readFact(facts, path) {
+    return path.split(".").reduce((value, part) => value?.[part], facts);
+  }
+
+  /**
+   * Checks whether a value is a fact path, see apply.
+   *
+   * @param {*} value  The value to check
+   * @returns {boolean}  True if the value is a fact path
+   */
+  function _isFactPath(value) {
+    return typeof value === "string" && _factPathPattern.test(value);
+  }
+
+  /**
+   * Checks whether a fact is blank, i.e. missing, null or white space.
+   *
+   * @param {*} fact  The fact
+   * @returns {boolean}  True if the fact is blank
+   */
+  function _isBlank(fact) {
+    return (
+      fact === undefined ||
+      fact === null ||
+      (typeof fact === "string" && fact.trim() === "")
+    );
+  }
+
+  /**
+   * Checks whether a value is a plain object, rather than null or an array.
+   *
+   * @param {*} value  The value to check
+   * @returns {boolean}  True if the value is an object
+   */
+  function _isPlainObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+  }
+
+  // Return the API
+  return {
+    apply,
+    readFactPaths,
+    findRuleSetError,
+  };
+})();
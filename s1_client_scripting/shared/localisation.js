@@ -0,0 +1,107 @@
+"use strict";
+
+//Set publisher namespace
+this.cr4fd = this.cr4fd || {};
+
+// Initialise namespace for the shared localisation library. This library must
+// be loaded by the form after shared/logger.js, and before the other shared
+// libraries and any script that uses it
+this.cr4fd.localisation = (function () {
+  // eslint-disable-next-line no-undef
+  const _xrm = Xrm;
+  //Shared library, see shared/logger.js
+  // eslint-disable-next-line no-undef
+  const _logger = cr4fd.logger;
+
+  //Dictionary of the languages messages are translated into, by language id
+  const languageIds = {
+    english: 1033,
+    french: 1036,
+    german: 1031,
+  };
+
+  //Language used where the user's language is not translated, or a message is
+  //missing from its translation
+  const _fallbackLanguageId = languageIds.english;
+
+  //Name of the RESX web resources holding the messages, followed by the
+  //language id and extension, e.g. cr4fd_/resources/case-form-messages.1033.resx
+  const _resourceWebResourcePrefix = "cr4fd_/resources/case-form-messages";
+
+  //Placeholders in messages, e.g. {contactName}
+  const _placeholderPattern = /\{(\w+)\}/g;
+
+  /**
+   * Reads a message in the user's language, substituting its placeholders.
+   * Where the user's language is not translated, or the message is missing
+   * from its translation, the English message is used. Where the message is
+   * missing from the English resource too, the key is returned, so that a
+   * missing message never prevents a handler from completing.
+   *
+   * @param {string} key  The name of the message in the RESX web resources
+   * @param {Object} [values]  Values for the message's placeholders, keyed by
+   *                           placeholder name, e.g. { contactName: "Jo" }
+   * @returns {string}  The message
+   */
+  function getString(key, values = {}) {
+    const languageId = getLanguageId();
+    let message = _tryReadResourceString(languageId, key);
+
+    if (message === null && languageId !== _fallbackLanguageId) {
+      _logger.warn(`Message ${key} is missing for language ${languageId}`);
+      message = _tryReadResourceString(_fallbackLanguageId, key);
+    }
+    if (message === null) {
+      _logger.error(`Message ${key} is missing`);
+      return key;
+    }
+
+    return message.replace(_placeholderPattern, (placeholder, name) =>
+      Object.hasOwn(values, name) ? String(values[name]) : placeholder
+    );
+  }
+
+  /**
+   * Reads the language messages are shown in, the user's language where it is
+   * translated, else English.
+   *
+   * @returns {number}  One of languageIds
+   */
+  function getLanguageId() {
+    let userLanguageId;
+    try {
+      userLanguageId = _xrm.Utility.getGlobalContext().userSettings.languageId;
+    } catch {
+      return _fallbackLanguageId;
+    }
+    return Object.values(languageIds).includes(userLanguageId)
+      ? userLanguageId
+      : _fallbackLanguageId;
+  }
+
+  /**
+   * Reads a message from the RESX web resource of a language.
+   *
+   * @param {number} languageId  One of languageIds
+   * @param {string} key  The name of the message
+   * @returns {string|null}  The message, or null where it is missing
+   */
+  function _tryReadResourceString(languageId, key) {
+    try {
+      const message = _xrm.Utility.getResourceString(
+        `${_resourceWebResourcePrefix}.${languageId}.resx`,
+        key
+      );
+      return typeof message === "string" && message !== "" ? message : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Return the API
+  return {
+    languageIds,
+    getString,
+    getLanguageId,
+  };
+})();
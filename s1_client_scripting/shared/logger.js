@@ -0,0 +1,437 @@
+"use strict";
+
+//Set publisher namespace
+this.cr4fd = this.cr4fd || {};
+
+// Initialise namespace for the shared logger library. This library must be
+// loaded by the form before the other shared libraries and any script that
+// uses it
+this.cr4fd.logger = (function () {
+  // eslint-disable-next-line no-undef
+  const _xrm = Xrm;
+
+  //Dictionary of log levels, in increasing order of severity. Each level is
+  //written with the console function of the same name
+  const levels = {
+    debug: "debug",
+    info: "info",
+    warn: "warn",
+    error: "error",
+  };
+
+  //Lowest level written to the console, unless diagnostics mode is enabled
+  const _defaultConsoleLevel = levels.warn;
+
+  //Number of the most recent entries kept for the diagnostics panel
+  const _maxEntryCount = 100;
+
+  //Number of the most recent entries shown in the diagnostics notification
+  const _notifiedEntryCount = 5;
+
+  //Names of the URL query parameter and app setting that enable diagnostics
+  //mode. The app setting may be overridden for each user
+  const _diagnosticsParameterName = "cr4fd_diagnostics";
+  const _diagnosticsAppSettingName = "cr4fd_FormScriptDiagnostics";
+
+  //Name of the execution context shared variable holding the correlation id
+  //of a form event, shared by all handlers of the event
+  const _correlationIdVariableName = "cr4fd_correlationId";
+
+  //Unique id of the diagnostics form notification
+  const _diagnosticsNotificationId = "cr4fd_diagnostics";
+
+  //Type and level of the app notification offering the diagnostics panel, a
+  //message bar at the top of the app with the information level
+  const _appNotificationType = 2;
+  const _appNotificationInfoLevel = 4;
+
+  //Prefix of correlation ids, unique to the page, so that ids from different
+  //sessions in a support ticket can be told apart
+  const _pageId = Math.random().toString(36).slice(2, 8);
+
+  //Most recent entries, oldest first
+  const _entries = [];
+
+  //Number of the latest correlation id issued on the page
+  let _latestCorrelationNumber = 0;
+
+  //Whether diagnostics mode is enabled, read when first needed
+  let _isDiagnosticsEnabled = null;
+
+  //Whether the app notification offering the diagnostics panel was added
+  let _isDiagnosticsAppNotificationAdded = false;
+
+  /**
+   * Logs an entry at the debug level, see log.
+   *
+   * @param {string} message  The message
+   * @param {Object} [details]  Values describing the entry
+   */
+  function debug(message, details) {
+    log(levels.debug, message, details);
+  }
+
+  /**
+   * Logs an entry at the info level, see log.
+   *
+   * @param {string} message  The message
+   * @param {Object} [details]  Values describing the entry
+   */
+  function info(message, details) {
+    log(levels.info, message, details);
+  }
+
+  /**
+   * Logs an entry at the warn level, see log.
+   *
+   * @param {string} message  The message
+   * @param {Object} [details]  Values describing the entry
+   */
+  function warn(message, details) {
+    log(levels.warn, message, details);
+  }
+
+  /**
+   * Logs an entry at the error level, see log.
+   *
+   * @param {string} message  The message
+   * @param {Object} [details]  Values describing the entry
+   */
+  function error(message, details) {
+    log(levels.error, message, details);
+  }
+
+  /**
+   * Logs an entry. The most recent entries are kept for the diagnostics
+   * panel, whatever their level. Entries at the warn level and above are
+   * written to the console, or at every level in diagnostics mode.
+   *
+   * @param {string} level  One of levels
+   * @param {string} message  The message
+   * @param {Object} [details]  Values describing the entry, e.g. a
+   *                            correlationId, field values or an error
+   */
+  function log(level, message, details) {
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      message,
+      details: details ?? null,
+    };
+    _entries.push(entry);
+    if (_entries.length > _maxEntryCount) {
+      _entries.shift();
+    }
+
+    if (_isWrittenToConsole(level)) {
+      console[level](_formatEntry(entry), ...(details ? [details] : []));
+    }
+  }
+
+  /**
+   * Starts logging a form event handler. The handler is given the correlation
+   * id of its form event, shared by every handler of the event, and its start
+   * is logged with the record id and, where the event is a field change, the
+   * field's name. The field's value is logged in diagnostics mode only, as it
+   * may be personal data and the entries are copied into support tickets.
+   *
+   * Call end once the handler completes, however it completes, to log its
+   * duration. In diagnostics mode, the most recent entries are then shown in
+   * a notification at the top of the form, and the diagnostics panel is
+   * offered in a notification at the top of the app.
+   *
+   * @param {string} handlerName  The name of the handler
+   * @param {Object} executionContext  The execution context passed to the
+   *                                   handler
+   * @returns {Object}  The handler log, with the correlationId and functions
+   *                    to log at each level, fail to log the error the
+   *                    handler failed with, and end
+   */
+  function startHandler(handlerName, executionContext) {
+    const correlationId = _readCorrelationId(executionContext);
+    const startedAt = performance.now();
+    let failure = null;
+
+    const logForHandler = (level) => (message, details) =>
+      log(level, `${handlerName}: ${message}`, { correlationId, ...details });
+
+    const handlerLog = {
+      correlationId,
+      debug: logForHandler(levels.debug),
+      info: logForHandler(levels.info),
+      warn: logForHandler(levels.warn),
+      error: logForHandler(levels.error),
+      fail: (caughtError) => {
+        failure = caughtError;
+      },
+      end: () => {
+        const durationMs = Math.round(performance.now() - startedAt);
+        if (failure) {
+          handlerLog.error(`failed after ${durationMs} ms`, {
+            durationMs,
+            error: failure.message,
+            stack: failure.stack,
+          });
+        } else {
+          handlerLog.info(`completed in ${durationMs} ms`, { durationMs });
+        }
+        _showDiagnosticsNotification(executionContext);
+      },
+    };
+
+    handlerLog.debug("started", _readEventSource(executionContext));
+    return handlerLog;
+  }
+
+  /**
+   * Reads the most recent entries, oldest first.
+   *
+   * @returns {Object[]}  The entries, each with a time, level, message and
+   *                      details
+   */
+  function getEntries() {
+    return _entries.map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Checks whether diagnostics mode is enabled, either by the URL query
+   * parameter or by the app setting, which may be set for each user.
+   *
+   * @returns {boolean}  True if diagnostics mode is enabled
+   */
+  function isDiagnosticsEnabled() {
+    if (_isDiagnosticsEnabled === null) {
+      _isDiagnosticsEnabled =
+        _readDiagnosticsParameter() || _readDiagnosticsAppSetting();
+    }
+    return _isDiagnosticsEnabled;
+  }
+
+  /**
+   * Opens the diagnostics panel, a dialog listing the most recent entries as
+   * text that can be copied into a support ticket. In diagnostics mode, it is
+   * opened from the notification at the top of the app.
+   *
+   * @returns {Promise<void>}
+   */
+  async function openDiagnosticsPanel() {
+    await _xrm?.Navigation?.openAlertDialog(
+      {
+        title: _getString("DiagnosticsPanelTitle"),
+        text: _entries.map(_formatEntryWithDetails).join("\n"),
+      },
+      { height: 600, width: 900 }
+    );
+  }
+
+  /**
+   * Checks whether entries of a level are written to the console.
+   *
+   * @param {string} level  One of levels
+   * @returns {boolean}  True if the entry is written to the console
+   */
+  function _isWrittenToConsole(level) {
+    const severities = Object.values(levels);
+    return (
+      isDiagnosticsEnabled() ||
+      severities.indexOf(level) >= severities.indexOf(_defaultConsoleLevel)
+    );
+  }
+
+  /**
+   * Shows the most recent entries in a notification at the top of the form,
+   * in diagnostics mode. Editable grid rows, which have no form notifications,
+   * are skipped.
+   *
+   * @param {Object} executionContext  The execution context of the handler
+   */
+  function _showDiagnosticsNotification(executionContext) {
+    const formContext = executionContext?.getFormContext?.();
+    if (!isDiagnosticsEnabled() || !formContext?.ui) {
+      return;
+    }
+
+    _addDiagnosticsAppNotification();
+
+    const recentEntries = _entries
+      .slice(-_notifiedEntryCount)
+      .map(_formatEntry)
+      .join(" | ");
+    formContext.ui.setFormNotification(
+      _getString("DiagnosticsNotification", {
+        recentEntries,
+        entryCount: _entries.length,
+      }),
+      "INFO",
+      _diagnosticsNotificationId
+    );
+  }
+
+  /**
+   * Adds a notification at the top of the app, once for the page, with an
+   * action opening the diagnostics panel, so that the entries can be copied
+   * without the browser console. Where the app cannot add the notification,
+   * it is added again after the next handler.
+   */
+  function _addDiagnosticsAppNotification() {
+    if (
+      _isDiagnosticsAppNotificationAdded ||
+      typeof _xrm?.App?.addGlobalNotification !== "function"
+    ) {
+      return;
+    }
+
+    _isDiagnosticsAppNotificationAdded = true;
+    _xrm.App.addGlobalNotification({
+      type: _appNotificationType,
+      level: _appNotificationInfoLevel,
+      message: _getString("DiagnosticsAppNotification"),
+      showCloseButton: true,
+      action: {
+        actionLabel: _getString("DiagnosticsPanelAction"),
+        eventHandler: openDiagnosticsPanel,
+      },
+    }).catch(() => {
+      _isDiagnosticsAppNotificationAdded = false;
+    });
+  }
+
+  /**
+   * Reads the correlation id of a form event, issuing one for the first
+   * handler of the event.
+   *
+   * @param {Object} executionContext  The execution context of the handler
+   * @returns {string}  The correlation id
+   */
+  function _readCorrelationId(executionContext) {
+    const sharedCorrelationId = executionContext?.getSharedVariable?.(
+      _correlationIdVariableName
+    );
+    if (sharedCorrelationId) {
+      return sharedCorrelationId;
+    }
+
+    const correlationId = `${_pageId}-${++_latestCorrelationNumber}`;
+    executionContext?.setSharedVariable?.(
+      _correlationIdVariableName,
+      correlationId
+    );
+    return correlationId;
+  }
+
+  /**
+   * Reads the id of the record and the name of the field whose change raised
+   * the event, with the field's value in diagnostics mode only.
+   *
+   * @param {Object} executionContext  The execution context of the handler
+   * @returns {Object}  The recordId, null for an unsaved record, and the
+   *                    field and its value, where the event was raised by a
+   *                    field
+   */
+  function _readEventSource(executionContext) {
+    const recordId =
+      executionContext?.getFormContext?.()?.data?.entity?.getId?.() || null;
+    const eventSource = executionContext?.getEventSource?.();
+    const isFieldEvent =
+      typeof eventSource?.getName === "function" &&
+      typeof eventSource?.getValue === "function";
+    if (!isFieldEvent) {
+      return { recordId };
+    }
+    return isDiagnosticsEnabled()
+      ? {
+          recordId,
+          field: eventSource.getName(),
+          value: eventSource.getValue(),
+        }
+      : { recordId, field: eventSource.getName() };
+  }
+
+  /**
+   * Checks whether the URL query parameter enables diagnostics mode.
+   *
+   * @returns {boolean}  True if the parameter is "1" or "true"
+   */
+  function _readDiagnosticsParameter() {
+    if (typeof location === "undefined") {
+      return false;
+    }
+    const value = new URLSearchParams(location.search).get(
+      _diagnosticsParameterName
+    );
+    return value === "1" || value === "true";
+  }
+
+  /**
+   * Checks whether the app setting enables diagnostics mode. Where the
+   * setting is not defined for the app, it is read as disabled.
+   *
+   * @returns {boolean}  True if the setting is true
+   */
+  function _readDiagnosticsAppSetting() {
+    try {
+      const globalContext = _xrm?.Utility?.getGlobalContext?.();
+      return (
+        globalContext?.getCurrentAppSetting?.(_diagnosticsAppSettingName) ===
+        true
+      );
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Reads a message in the user's language through the shared localisation
+   * library. The library is loaded after this one, so it is read when a
+   * message is needed rather than when this library loads.
+   *
+   * @param {string} key  The name of the message in the RESX web resources
+   * @param {Object} [values]  Values for the message's placeholders
+   * @returns {string}  The message
+   */
+  function _getString(key, values) {
+    // eslint-disable-next-line no-undef
+    return cr4fd.localisation.getString(key, values);
+  }
+
+  /**
+   * Formats an entry's level, correlation id and message as a single line.
+   *
+   * @param {Object} entry  The entry
+   * @returns {string}  The line
+   */
+  function _formatEntry(entry) {
+    const correlationId = entry.details?.correlationId;
+    return (
+      entry.level.toUpperCase() +
+      (correlationId ? ` [${correlationId}]` : "") +
+      ` ${entry.message}`
+    );
+  }
+
+  /**
+   * Formats an entry as a single line with its time, followed by its details
+   * as JSON.
+   *
+   * @param {Object} entry  The entry
+   * @returns {string}  The line
+   */
+  function _formatEntryWithDetails(entry) {
+    const line = `${entry.time} ${_formatEntry(entry)}`;
+    return entry.details ? `${line} ${JSON.stringify(entry.details)}` : line;
+  }
+
+  // Return the API
+  return {
+    levels,
+    debug,
+    info,
+    warn,
+    error,
+    log,
+    startHandler,
+    getEntries,
+    isDiagnosticsEnabled,
+    openDiagnosticsPanel,
+  };
+})();
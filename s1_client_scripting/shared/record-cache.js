@@ -0,0 +1,109 @@
+"use strict";
+
+//Set publisher namespace
+this.cr4fd = this.cr4fd || {};
+
+// Initialise namespace for the shared record cache library. This library must
+// be loaded by the form after shared/logger.js and shared/web-api.js, and
+// before any script that uses it
+this.cr4fd.recordCache = (function () {
+  //Shared libraries, see shared/logger.js and shared/web-api.js
+  // eslint-disable-next-line no-undef
+  const _logger = cr4fd.logger;
+  // eslint-disable-next-line no-undef
+  const _webApi = cr4fd.webApi;
+
+  //Time a retrieved record is reused for before it is retrieved again
+  const _timeToLiveMs = 60000;
+
+  //Cached retrievals, keyed by table, record id and query options. Each entry
+  //holds the retrieval's promise and the time it expires at, which is not set
+  //while the request is in flight
+  const _entries = new Map();
+
+  /**
+   * Retrieves a record, as webApi.retrieveRecord, reusing the record where the
+   * same table, id and query options were retrieved within the time to live.
+   * A request for a record that is already in flight is shared rather than
+   * sent again. Failed requests are not cached. Hits and misses are logged at
+   * the debug level by the shared logger.
+   *
+   * The cache is shared by all scripts on the page, including forms open in
+   * other sessions, so the records returned must not be modified.
+   *
+   * @param {string} entityLogicalName  The logical name of the table
+   * @param {string} id  The ID of the record
+   * @param {string} [options]  OData system query options, e.g. $select
+   * @param {Object} [callOptions]  Overrides for the retry and timeout
+   *                                behaviour, see webApi.retrieveRecord
+   * @returns {Promise<Object>}  A promise that resolves to the record
+   * @throws {Error}  The last error if the request does not succeed
+   */
+  function retrieveRecord(entityLogicalName, id, options, callOptions) {
+    const key = _buildKey(entityLogicalName, id, options);
+    const cachedEntry = _entries.get(key);
+    if (cachedEntry && !_hasExpired(cachedEntry)) {
+      _logger.debug(`Record cache hit: ${key}`);
+      return cachedEntry.promise;
+    }
+
+    _logger.debug(`Record cache miss: ${key}`);
+    const entry = { promise: null, expiresAt: null };
+    entry.promise = _webApi
+      .retrieveRecord(entityLogicalName, id, options, callOptions)
+      .then(
+        (record) => {
+          entry.expiresAt = performance.now() + _timeToLiveMs;
+          return record;
+        },
+        (error) => {
+          if (_entries.get(key) === entry) {
+            _entries.delete(key);
+          }
+          throw error;
+        }
+      );
+    _entries.set(key, entry);
+    return entry.promise;
+  }
+
+  /**
+   * Removes all cached records, so that they are retrieved again when next
+   * requested. Register this where the records may have changed, e.g. when a
+   * form is saved or refreshed. Requests in flight are not cancelled, but their
+   * responses are not cached.
+   */
+  function clear() {
+    _entries.clear();
+  }
+
+  /**
+   * Builds the key of a retrieval. Record ids are compared without braces and
+   * case, as form lookups hold them braced and upper case.
+   *
+   * @param {string} entityLogicalName  The logical name of the table
+   * @param {string} id  The ID of the record
+   * @param {string} [options]  OData system query options
+   * @returns {string}  The key
+   */
+  function _buildKey(entityLogicalName, id, options) {
+    const normalisedId = String(id).replace(/[{}]/g, "").toLowerCase();
+    return `${entityLogicalName}(${normalisedId})${options ?? ""}`;
+  }
+
+  /**
+   * Checks whether a cached retrieval has expired. A request in flight has not.
+   *
+   * @param {Object} entry  The cached entry
+   * @returns {boolean}  True if the entry has expired
+   */
+  function _hasExpired(entry) {
+    return entry.expiresAt !== null && performance.now() >= entry.expiresAt;
+  }
+
+  // Return the API
+  return {
+    retrieveRecord,
+    clear,
+  };
+})();
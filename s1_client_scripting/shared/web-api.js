@@ -0,0 +1,460 @@
+"use strict";
+
+//Set publisher namespace
+this.cr4fd = this.cr4fd || {};
+
+// Initialise namespace for the shared Web API library. This library must be
+// loaded by the form after shared/logger.js and before any script that uses it
+this.cr4fd.webApi = (function () {
+  // eslint-disable-next-line no-undef
+  const _xrm = Xrm;
+
+  //Shared library, see shared/logger.js
+  // eslint-disable-next-line no-undef
+  const _logger = cr4fd.logger;
+
+  //Default retry and timeout behaviour. Any option may be overridden for a
+  //single call by passing call options
+  const _defaultCallOptions = {
+    maxRetries: 3,
+    baseDelayMs: 500,
+    maxDelayMs: 8000,
+    maxRetryAfterMs: 30000,
+    timeoutMs: 15000,
+  };
+
+  //HTTP status codes of errors that may succeed if the request is retried
+  const _retryableStatusCodes = [408, 429, 502, 503, 504];
+
+  //Dataverse error codes returned when service protection limits are exceeded
+  const _throttlingErrorCodes = [0x80072321, 0x80072322, 0x80072326];
+
+  //Name of errors raised when a request does not complete in time
+  const _timeoutErrorName = "WebApiTimeoutError";
+
+  //Name of errors raised where a table or record is not available in the
+  //offline store, see isOfflineUnavailableError
+  const _offlineUnavailableErrorName = "WebApiOfflineUnavailableError";
+
+  //Client state reported by the global context while the mobile app works
+  //from its offline store
+  const _offlineClientState = "Offline";
+
+  //Operation type of requests sent through executeMultiple that create,
+  //retrieve, update or delete a record
+  const _crudOperationType = 2;
+
+  //Dataverse error code returned when a record does not exist. The offline
+  //store returns it for a record that has not been synced to the device
+  const _recordNotFoundErrorCode = 0x80040217;
+
+  /**
+   * Retrieves a record, as Xrm.WebApi.retrieveRecord, retrying transient
+   * failures. While the mobile app is offline, the record is read from the
+   * offline store, see _callOnlineOrOffline.
+   *
+   * @param {string} entityLogicalName  The logical name of the table
+   * @param {string} id  The ID of the record
+   * @param {string} [options]  OData system query options, e.g. $select
+   * @param {Object} [callOptions]  Overrides for the retry and timeout
+   *                                behaviour, see _callWithRetries
+   * @returns {Promise<Object>}  A promise that resolves to the record
+   * @throws {Error}  The last error if the request does not succeed, or an
+   *                  offline unavailable error
+   */
+  function retrieveRecord(entityLogicalName, id, options, callOptions) {
+    return _callOnlineOrOffline(
+      entityLogicalName,
+      `retrieveRecord ${entityLogicalName}(${id})${options ?? ""}`,
+      (webApi) => webApi.retrieveRecord(entityLogicalName, id, options),
+      callOptions
+    );
+  }
+
+  /**
+   * Retrieves a collection of records, as
+   * Xrm.WebApi.retrieveMultipleRecords, retrying transient failures. While
+   * the mobile app is offline, only the records synced to the device are
+   * returned, see _callOnlineOrOffline.
+   *
+   * @param {string} entityLogicalName  The logical name of the table
+   * @param {string} [options]  OData system query options, e.g. $filter
+   * @param {number} [maxPageSize]  The number of records per page
+   * @param {Object} [callOptions]  Overrides for the retry and timeout
+   *                                behaviour, see _callWithRetries
+   * @returns {Promise<Object>}  A promise that resolves to the result, with
+   *                             the records in its entities property
+   * @throws {Error}  The last error if the request does not succeed, or an
+   *                  offline unavailable error
+   */
+  function retrieveMultipleRecords(
+    entityLogicalName,
+    options,
+    maxPageSize,
+    callOptions
+  ) {
+    return _callOnlineOrOffline(
+      entityLogicalName,
+      `retrieveMultipleRecords ${entityLogicalName}${options ?? ""}`,
+      (webApi) =>
+        webApi.retrieveMultipleRecords(entityLogicalName, options, maxPageSize),
+      callOptions
+    );
+  }
+
+  /**
+   * Creates a request to update a record, to be sent with others by
+   * executeMultiple.
+   *
+   * @param {string} entityLogicalName  The logical name of the table
+   * @param {string} id  The ID of the record
+   * @param {Object} data  The values to update
+   * @returns {Object}  The request
+   */
+  function createUpdateRequest(entityLogicalName, id, data) {
+    return {
+      etn: entityLogicalName,
+      id,
+      payload: data,
+      getMetadata: () => ({
+        boundParameter: null,
+        operationType: _crudOperationType,
+        operationName: "Update",
+        parameterTypes: {},
+      }),
+    };
+  }
+
+  /**
+   * Sends requests together in one batch, as
+   * Xrm.WebApi.online.executeMultiple, retrying transient failures of the
+   * batch as a whole. A retry resends every request, so only requests that
+   * may be sent more than once, such as those created by createUpdateRequest,
+   * should be batched. The offline store does not accept batches, so while the
+   * mobile app is offline an offline unavailable error is raised.
+   *
+   * Requests outside a change set are applied in order, and Dataverse stops at
+   * the first request that fails. The batch then fails with that request's
+   * error, while the requests before it have been applied, so the caller must
+   * read the records again to find out which requests were applied.
+   *
+   * @param {Object[]} requests  The requests, see createUpdateRequest
+   * @param {Object} [callOptions]  Overrides for the retry and timeout
+   *                                behaviour, see _callWithRetries
+   * @returns {Promise<Object[]>}  A promise that resolves to the responses, one
+   *                               per request and in the same order, once
+   *                               every request has been applied
+   * @throws {Error}  The last error if the batch is not sent or a request
+   *                  fails, or an offline unavailable error
+   */
+  async function executeMultiple(requests, callOptions) {
+    const description = `executeMultiple of ${requests.length} requests`;
+    if (_isOffline()) {
+      throw _createOfflineUnavailableError(
+        "Batches of requests are not available offline",
+        description
+      );
+    }
+
+    return _callWithRetries(
+      description,
+      () => _xrm.WebApi.online.executeMultiple(requests),
+      callOptions
+    );
+  }
+
+  /**
+   * Checks whether an error was raised because a table or record is not
+   * available in the offline store, e.g. where the mobile offline profile
+   * does not include the table or the record has not been synced yet. The
+   * request will succeed once the device is online or has synced, so callers
+   * should leave the form unchanged rather than report a failure.
+   *
+   * @param {Object} error  The error raised by a request
+   * @returns {boolean}  True if the data is not available offline
+   */
+  function isOfflineUnavailableError(error) {
+    return error?.name === _offlineUnavailableErrorName;
+  }
+
+  /**
+   * Sends a request through Xrm.WebApi, see _callWithRetries. While the
+   * mobile app is offline, see _isOffline, the request is sent through
+   * Xrm.WebApi.offline to the offline store instead. A table that is not
+   * available offline, or a record that has not been synced to the device,
+   * raises an offline unavailable error rather than the error of the store.
+   *
+   * @param {string} entityLogicalName  The logical name of the table
+   * @param {string} description  Describes the request in traces
+   * @param {Function} request  Sends the request through the Xrm.WebApi
+   *                            object it is passed and returns a promise
+   * @param {Object} [callOptions]  Overrides for the default call options
+   * @returns {Promise<Object>}  A promise that resolves to the response
+   * @throws {Error}  The last error if the request does not succeed, or an
+   *                  offline unavailable error
+   */
+  async function _callOnlineOrOffline(
+    entityLogicalName,
+    description,
+    request,
+    callOptions
+  ) {
+    if (!_isOffline()) {
+      return _callWithRetries(
+        description,
+        () => request(_xrm.WebApi),
+        callOptions
+      );
+    }
+
+    if (!_xrm.WebApi.offline.isAvailableOffline(entityLogicalName)) {
+      throw _createOfflineUnavailableError(
+        `The ${entityLogicalName} table is not available offline`,
+        description
+      );
+    }
+
+    try {
+      return await _callWithRetries(
+        `${description} offline`,
+        () => request(_xrm.WebApi.offline),
+        callOptions
+      );
+    } catch (error) {
+      if (_readErrorCode(error) === _recordNotFoundErrorCode) {
+        throw _createOfflineUnavailableError(
+          `The ${entityLogicalName} record has not been synced to this device`,
+          description
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Checks whether the mobile app is working from its offline store. Clients
+   * without an offline store, such as the web client, are always online.
+   *
+   * @returns {boolean}  True if requests should be sent to the offline store
+   */
+  function _isOffline() {
+    return (
+      _xrm.WebApi.offline !== undefined &&
+      _xrm.Utility.getGlobalContext().client?.getClientState() ===
+        _offlineClientState
+    );
+  }
+
+  /**
+   * Creates the error raised where a table or record is not available offline,
+   * see isOfflineUnavailableError, and traces it at the info level.
+   *
+   * @param {string} message  Describes what is not available
+   * @param {string} description  Describes the request in traces
+   * @returns {Error}  The error
+   */
+  function _createOfflineUnavailableError(message, description) {
+    _logger.info(`Web API ${description} not available offline`, {
+      error: message,
+    });
+    const error = new Error(message);
+    error.name = _offlineUnavailableErrorName;
+    return error;
+  }
+
+  /**
+   * Sends a request, retrying it while it fails with a retryable error, see
+   * _isRetryableError. Retries wait for an exponentially increasing delay,
+   * bounded by maxDelayMs, or for the Retry-After interval where the error
+   * provides one. The request is not retried if Retry-After exceeds
+   * maxRetryAfterMs, as the user would be left waiting.
+   *
+   * Each attempt is traced by the shared logger with its duration: successes
+   * at the debug level and failures at the warn level.
+   *
+   * @param {string} description  Describes the request in traces
+   * @param {Function} request  Sends the request and returns a promise
+   * @param {Object} [callOptions]  Overrides for the default call options
+   * @param {number} [callOptions.maxRetries]  The number of retries
+   * @param {number} [callOptions.baseDelayMs]  The delay before the first retry
+   * @param {number} [callOptions.maxDelayMs]  The longest delay between retries
+   * @param {number} [callOptions.maxRetryAfterMs]  The longest Retry-After
+   *                                                interval to wait for
+   * @param {number} [callOptions.timeoutMs]  The time allowed for each attempt
+   * @returns {Promise<Object>}  A promise that resolves to the response
+   * @throws {Error}  The last error if the request does not succeed
+   */
+  async function _callWithRetries(description, request, callOptions) {
+    const options = { ..._defaultCallOptions, ...callOptions };
+
+    for (let attempt = 0; ; attempt++) {
+      const startedAt = performance.now();
+      try {
+        const response = await _callWithTimeout(request, options.timeoutMs);
+        _logger.debug(`Web API ${description} succeeded`, {
+          attempt,
+          durationMs: Math.round(performance.now() - startedAt),
+        });
+        return response;
+      } catch (error) {
+        const retryDelayMs = _readRetryDelayMs(error, attempt, options);
+        const isRetried =
+          attempt < options.maxRetries &&
+          _isRetryableError(error) &&
+          retryDelayMs !== null;
+        _logger.warn(`Web API ${description} failed`, {
+          attempt,
+          durationMs: Math.round(performance.now() - startedAt),
+          status: _readHttpStatus(error),
+          errorCode: _readErrorCode(error),
+          error: error?.message,
+          retryDelayMs: isRetried ? retryDelayMs : null,
+        });
+        if (!isRetried) {
+          throw error;
+        }
+        await _wait(retryDelayMs);
+      }
+    }
+  }
+
+  /**
+   * Sends a request, rejecting with a timeout error if it does not complete
+   * in time. A request that times out is not cancelled, but its response is
+   * ignored.
+   *
+   * @param {Function} request  Sends the request and returns a promise
+   * @param {number} timeoutMs  The time allowed for the request
+   * @returns {Promise<Object>}  A promise that resolves to the response
+   * @throws {Error}  The request error, or a timeout error
+   */
+  function _callWithTimeout(request, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const timerId = setTimeout(() => {
+        const error = new Error(
+          `The request did not complete within ${timeoutMs / 1000} seconds`
+        );
+        error.name = _timeoutErrorName;
+        reject(error);
+      }, timeoutMs);
+
+      Promise.resolve()
+        .then(request)
+        .then(resolve, reject)
+        .finally(() => clearTimeout(timerId));
+    });
+  }
+
+  /**
+   * Checks whether a failed request may succeed if it is retried. Timeouts,
+   * throttling, temporarily unavailable services and connectivity drops, where
+   * no response was received (status 0), are retryable. Other errors, such as
+   * a record that does not exist (404), a missing privilege (403) or an error
+   * with neither a status nor an error code, e.g. a bug in the caller, are
+   * permanent.
+   *
+   * @param {Object} error  The error returned by the request
+   * @returns {boolean}  True if the request may be retried
+   */
+  function _isRetryableError(error) {
+    const status = _readHttpStatus(error);
+    const errorCode = _readErrorCode(error);
+
+    if (error?.name === _timeoutErrorName) {
+      return true;
+    }
+    if (status !== null) {
+      return _retryableStatusCodes.includes(status) || status === 0;
+    }
+    return errorCode !== null && _throttlingErrorCodes.includes(errorCode);
+  }
+
+  /**
+   * Reads the delay before a retry. Uses the Retry-After interval where the
+   * error provides one, else an exponential backoff from the attempt number.
+   * Returns null where Retry-After exceeds the longest interval to wait for.
+   *
+   * @param {Object} error  The error returned by the request
+   * @param {number} attempt  The number of the failed attempt, from 0
+   * @param {Object} options  The call options
+   * @returns {number|null}  The delay in milliseconds, or null
+   */
+  function _readRetryDelayMs(error, attempt, options) {
+    const retryAfterMs = _readRetryAfterMs(error);
+    if (retryAfterMs !== null) {
+      return retryAfterMs <= options.maxRetryAfterMs ? retryAfterMs : null;
+    }
+    return Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** attempt);
+  }
+
+  /**
+   * Reads the Retry-After interval from an error, where provided either as a
+   * retryAfter property or as a response header. The interval may be a number
+   * of seconds or an HTTP date.
+   *
+   * @param {Object} error  The error returned by the request
+   * @returns {number|null}  The interval in milliseconds, or null
+   */
+  function _readRetryAfterMs(error) {
+    const headers = error?.headers;
+    const retryAfter =
+      error?.retryAfter ??
+      (typeof headers?.get === "function"
+        ? headers.get("Retry-After")
+        : headers?.["Retry-After"] ?? headers?.["retry-after"]);
+
+    if (retryAfter === undefined || retryAfter === null || retryAfter === "") {
+      return null;
+    }
+
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const retryAt = Date.parse(retryAfter);
+    return Number.isNaN(retryAt) ? null : Math.max(0, retryAt - Date.now());
+  }
+
+  /**
+   * Reads the HTTP status code from an error, where provided.
+   *
+   * @param {Object} error  The error returned by the request
+   * @returns {number|null}  The status code, or null
+   */
+  function _readHttpStatus(error) {
+    const status = error?.status ?? error?.httpStatusCode;
+    return typeof status === "number" ? status : null;
+  }
+
+  /**
+   * Reads the Dataverse error code from an error as an unsigned number, as the
+   * code may be reported either signed or unsigned.
+   *
+   * @param {Object} error  The error returned by the request
+   * @returns {number|null}  The error code, or null
+   */
+  function _readErrorCode(error) {
+    const errorCode = error?.errorCode;
+    return typeof errorCode === "number" ? errorCode >>> 0 : null;
+  }
+
+  /**
+   * Waits for a delay.
+   *
+   * @param {number} delayMs  The delay in milliseconds
+   * @returns {Promise<void>}
+   */
+  function _wait(delayMs) {
+    return new Promise((resolve) => setTimeout(resolve, delayMs));
+  }
+
+  // Return the API
+  return {
+    retrieveRecord,
+    retrieveMultipleRecords,
+    createUpdateRequest,
+    executeMultiple,
+    isOfflineUnavailableError,
+  };
+})();
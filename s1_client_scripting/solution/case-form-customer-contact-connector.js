@@ -1,36 +1,281 @@
 "use strict";
 
-this.cr4fd = this.window || {};
+this.cr4fd = this.cr4fd || {};
 this.cr4fd.caseFormCustomerContactConnector = (function () {
   // eslint-disable-next-line no-undef
   const _xrm = Xrm;
 
+  //Shared libraries, see shared/logger.js, shared/localisation.js,
+  //shared/form-notifications.js, shared/form-rules.js, shared/web-api.js,
+  //shared/record-cache.js and shared/contact-channels.js
+  // eslint-disable-next-line no-undef
+  const _logger = cr4fd.logger;
+  // eslint-disable-next-line no-undef
+  const _localisation = cr4fd.localisation;
+  // eslint-disable-next-line no-undef
+  const _notifications = cr4fd.formNotifications;
+  // eslint-disable-next-line no-undef
+  const _formRules = cr4fd.formRules;
+  // eslint-disable-next-line no-undef
+  const _webApi = cr4fd.webApi;
+  // eslint-disable-next-line no-undef
+  const _recordCache = cr4fd.recordCache;
+  // eslint-disable-next-line no-undef
+  const _contactChannels = cr4fd.contactChannels;
+
   //Dictionary containing logical names for entities and entity fields
   const _logicalNames = {
     tables: {
       account: "account",
       contact: "contact",
       case: "incident",
+      webResource: "webresource",
     },
     caseFields: {
+      id: "incidentid",
+      title: "title",
+      status: "statecode",
       contact: "primarycontactid",
       customer: "customerid",
+      email: "emailaddress",
     },
     accountFields: {
+      id: "accountid",
+      name: "name",
       primaryContact: "primarycontactid",
+      parentAccount: "parentaccountid",
     },
     contactFields: {
       id: "contactid",
       fullname: "fullname",
+      state: "statecode",
+      modifiedOn: "modifiedon",
+      parentCustomer: "parentcustomerid",
+      emailAddress: "emailaddress1",
+    },
+    webResourceFields: {
+      name: "name",
+      content: "content",
+    },
+  };
+
+  //Default mapping of the table and fields used by the connector. May be
+  //overridden by a handler parameter, see _readFieldMappingOrThrow
+  const _defaultFieldMapping = {
+    table: _logicalNames.tables.case,
+    customerField: _logicalNames.caseFields.customer,
+    contactField: _logicalNames.caseFields.contact,
+  };
+
+  //Default number of parent accounts searched for a primary contact, where the
+  //customer account has none. May be overridden by the parentAccountDepth
+  //property of a field mapping
+  const _defaultParentAccountDepth = 3;
+
+  //Default rules for the contact field, see _applyFormRules. The contact
+  //field is hidden where the customer is a contact, and required where the
+  //customer is an account. May be replaced by the rules property of a field
+  //mapping
+  const _defaultRules = [
+    {
+      id: "contactHiddenForContactCustomer",
+      when: {
+        fact: "customer.entityType",
+        equals: _logicalNames.tables.contact,
+      },
+      then: [{ field: "contactField", visible: false }],
+      otherwise: [{ field: "contactField", visible: true }],
     },
+    {
+      id: "contactRequiredForAccountCustomer",
+      when: {
+        fact: "customer.entityType",
+        equals: _logicalNames.tables.account,
+      },
+      then: [{ field: "contactField", requiredLevel: "required" }],
+      otherwise: [{ field: "contactField", requiredLevel: "none" }],
+    },
+  ];
+
+  //Field mapping properties that the effects of form rules may name in place
+  //of a logical name
+  const _ruleMappedFields = ["customerField", "contactField"];
+
+  //Properties of the customer and contact lookup values, which form rules
+  //may use without a record being retrieved
+  const _ruleLookupFacts = ["id", "name", "entityType"];
+
+  //Lookup columns of the records form rules may use, which are selected as
+  //lookup value columns, see _retrieveRuleFacts
+  const _ruleFactLookupColumns = {
+    [_logicalNames.tables.account]: [
+      _logicalNames.accountFields.primaryContact,
+      _logicalNames.accountFields.parentAccount,
+    ],
+    [_logicalNames.tables.contact]: [
+      _logicalNames.contactFields.parentCustomer,
+    ],
+  };
+
+  //Annotations of a lookup value column, holding the table and display name
+  //of the referenced record
+  const _lookupLogicalNameAnnotation =
+    "@Microsoft.Dynamics.CRM.lookuplogicalname";
+  const _formattedValueAnnotation =
+    "@OData.Community.Display.V1.FormattedValue";
+
+  //Status code for an active case
+  const _caseActiveStatusCode = 0;
+
+  //State code for an active contact
+  const _contactActiveStateCode = 0;
+
+  //Dictionary of form types returned by formContext.ui.getFormType. Quick
+  //create is reported as create, other than by legacy clients
+  const _formTypes = {
+    create: 1,
+    update: 2,
+    readOnly: 3,
+    disabled: 4,
+    quickCreate: 5,
   };
 
-  //Dictionary of requirement level options for a control
-  const _requirementLevels = {
-    required: "required",
-    optional: "none",
+  //Unique ids for notifications raised by this script
+  const _notificationIds = {
+    activeCase: "cr4fd_active_case_for_customer",
+    activeCaseAction: "cr4fd_active_case_action",
+    contactNotOfCustomer: "cr4fd_contact_not_of_customer",
+    contactChannels: "cr4fd_contact_channels",
+    customerFromContact: "cr4fd_customer_from_contact",
+    inactivePrimaryContact: "cr4fd_inactive_primary_contact",
+    contactFromParentAccount: "cr4fd_contact_from_parent_account",
+    contactDrift: "cr4fd_contact_drift",
+    contactDriftUpdate: "cr4fd_contact_drift_update",
+    gridRowError: "cr4fd_grid_row_error",
   };
 
+  //Number of selected cases retrieved and updated together by
+  //applyAccountPrimaryContactToCases
+  const _bulkUpdateBatchSize = 10;
+
+  //Number of the latest request started by each handler
+  const _latestRequestNumbers = new Map();
+
+  //Field mappings loaded from configuration web resources, keyed by name
+  const _fieldMappingsByWebResource = new Map();
+
+  //Pre-search handlers filtering the contact lookup, keyed by contact field
+  const _contactLookupFilterHandlers = new Map();
+
+  //Contacts last written by this script, keyed by form context and then by
+  //contact field. Any other contact in the field was chosen by the user
+  const _contactsSetByConnector = new WeakMap();
+
+  //Whether the user chose to replace a contact they had chosen with the
+  //primary contact, keyed by form context and then by contact field.
+  //Remembered for the form session only, as the script stays loaded when the
+  //user moves to another record
+  const _replaceChosenContactDecisions = new WeakMap();
+
+  //Handlers attached by initialize, keyed by form context, so that they are
+  //attached once per form and can be detached by teardown
+  const _attachedHandlersByForm = new WeakMap();
+
+  /**
+   * Case form handler, designed for use with the form on load event. This is
+   * the only handler that needs to be registered on the form.
+   *
+   * Attaches the connector's handlers to the form's events:
+   *
+   * - Customer on change: populateContactOnCustomerChange,
+   *   notifyOfActiveCaseForCustomer, displayContactChannels and
+   *   notifyOfContactDrift
+   * - Contact on change: updateContactField, populateCustomerOnContactChange,
+   *   notifyOfActiveCaseForCustomer, displayContactChannels and
+   *   notifyOfContactDrift
+   * - Form on save: clears the shared record cache, then
+   *   validateContactBelongsToCustomer
+   * - Data on load: clears the shared record cache, then the state sync below
+   *
+   * notifyOfActiveCaseForCustomer is attached for the case table only, and
+   * events the form does not support are skipped. Each handler receives the
+   * execution context and the field mapping, so that no handler needs "pass
+   * execution context as first parameter" configured.
+   *
+   * Then syncs the form state with updateContactField, displayContactChannels,
+   * notifyOfContactDrift and notifyOfActiveCaseForCustomer. The same sync runs
+   * on the data on load event, which fires once after each save and after
+   * formContext.data.refresh. It is not attached to the form on post save
+   * event too, as the sync would then run twice for every save.
+   *
+   * Calling initialize again for the same form, e.g. where it is registered
+   * on more than one event, only syncs the form state. Handlers are attached
+   * once, see teardown.
+   *
+   * @param {Object} executionContext  Execution context passed as a first
+   *                                   parameter for a form event
+   * @param {Object|string} [fieldMapping]  A field mapping, or the name of a
+   *                                        JSON web resource containing one
+   */
+  async function initialize(executionContext, fieldMapping) {
+    const log = _logger.startHandler(initialize.name, executionContext);
+    let mapping;
+    try {
+      _guardExecutionContextIsValid(executionContext);
+      mapping = await _readFieldMappingOrThrow(fieldMapping);
+      const formContext = _tryReadValidFormContextOrThrow(
+        executionContext,
+        mapping
+      );
+
+      if (!_attachedHandlersByForm.has(formContext)) {
+        _attachedHandlersByForm.set(
+          formContext,
+          _attachHandlers(formContext, mapping)
+        );
+      }
+      _notifications.clearHandlerError(formContext, initialize.name);
+
+      await _syncFormState(executionContext, mapping);
+    } catch (error) {
+      log.fail(error);
+      _notifications.reportHandlerError(
+        executionContext,
+        initialize.name,
+        error,
+        mapping?.contactField
+      );
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Detaches the handlers attached by initialize from a form, removes the
+   * contact lookup filter and forgets the contacts set, and the choices made,
+   * on the form. Intended for tests and for hosts that reuse a form context.
+   * Has no effect on a form that was not initialized.
+   *
+   * @param {Object} formContext  The form context object
+   */
+  function teardown(formContext) {
+    const attachedHandlers = _attachedHandlersByForm.get(formContext);
+    if (!attachedHandlers) {
+      return;
+    }
+
+    attachedHandlers.detachAll();
+    _attachedHandlersByForm.delete(formContext);
+
+    _setContactLookupAccountFilter(
+      formContext,
+      attachedHandlers.fieldMapping,
+      null
+    );
+    _contactsSetByConnector.delete(formContext);
+    _replaceChosenContactDecisions.delete(formContext);
+  }
+
   /**
    * Case form handler, designed for use with the customer on change event.
    *
@@ -41,217 +286,2839 @@ this.cr4fd.caseFormCustomerContactConnector = (function () {
    * If the customer is a contact or null the contact field will be set
    * to null
    *
+   * An inactive primary contact is skipped. The account's active contacts are
+   * ranked instead, preferring those with a usable communication channel and
+   * then the most recently modified, and the user is told why a contact other
+   * than the primary contact was chosen.
+   *
+   * Where the account has no primary contact, its parent accounts are searched
+   * upwards for one with an active primary contact, up to the depth set by the
+   * parentAccountDepth property of the field mapping. The user is told which
+   * parent account the contact came from.
+   *
+   * A contact the user chose, rather than one set by this handler, is kept if
+   * it still belongs to the account. Where the account's primary contact is a
+   * different contact, the user is asked whether to replace it. Their answer
+   * is used for the rest of the form session without asking again.
+   *
+   * If the customer changes again before the primary contact is retrieved,
+   * the outdated response is discarded so that only the contact for the
+   * current customer is written.
+   *
+   * On an existing record the contact is only populated once the customer has
+   * changed since the form was loaded or saved, and on a read-only or disabled
+   * form it is never written. In both cases the contact control is updated.
+   *
+   * The table and fields default to the case customer and contact. They may be
+   * mapped to another table, such as an opportunity, by passing a field mapping
+   * as a parameter on registration, see _readFieldMappingOrThrow.
+   *
+   * @param {Object} executionContext  Execution context passed as a first
+   *                                   parameter for a form event
+   * @param {Object|string} [fieldMapping]  A field mapping, or the name of a
+   *                                        JSON web resource containing one
+   */
+  async function populateContactOnCustomerChange(
+    executionContext,
+    fieldMapping
+  ) {
+    const log = _logger.startHandler(
+      populateContactOnCustomerChange.name,
+      executionContext
+    );
+    const isLatestRequest = _startRequest(populateContactOnCustomerChange.name);
+    let mapping;
+    try {
+      _guardExecutionContextIsValid(executionContext);
+      mapping = await _readFieldMappingOrThrow(fieldMapping);
+      const formContext = _tryReadValidFormContextOrThrow(
+        executionContext,
+        mapping
+      );
+
+      if (!_shouldPopulateContact(formContext, mapping)) {
+        await _updateContactFieldControl(formContext, mapping);
+        _notifications.clearHandlerError(
+          formContext,
+          populateContactOnCustomerChange.name
+        );
+        return;
+      }
+
+      const customer = _readCustomerField(formContext, mapping);
+      const contactChoice = await _chooseContactForCustomer(
+        customer,
+        _readParentAccountDepth(mapping)
+      );
+      const contact = contactChoice.contact;
+      const currentContact = _readContactField(formContext, mapping);
+      const shouldReplaceContact = await _shouldReplaceContact(
+        formContext,
+        mapping,
+        customer,
+        currentContact,
+        contactChoice.primaryContact
+      );
+
+      if (
+        !isLatestRequest() ||
+        !_isSameLookupValue(
+          customer,
+          _readCustomerField(formContext, mapping)
+        ) ||
+        !_isSameLookupValue(
+          currentContact,
+          _readContactField(formContext, mapping)
+        )
+      ) {
+        return;
+      }
+
+      if (shouldReplaceContact) {
+        _setCaseContactField(formContext, mapping, contact);
+      } else {
+        await _updateContactFieldControl(formContext, mapping);
+      }
+      _updateContactChoiceNotifications(
+        formContext,
+        mapping,
+        customer,
+        shouldReplaceContact ? contactChoice : null
+      );
+      _notifications.clearHandlerError(
+        formContext,
+        populateContactOnCustomerChange.name
+      );
+    } catch (error) {
+      log.fail(error);
+      if (isLatestRequest()) {
+        _notifications.reportHandlerError(
+          executionContext,
+          populateContactOnCustomerChange.name,
+          error,
+          mapping?.contactField
+        );
+      }
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Case form handler, designed for use with the contact on change event.
+   *
+   * Where a contact is chosen before the customer, i.e. the customer is empty
+   * or is the same contact, and the contact's parent customer is an account,
+   * offers to set the customer to that account. The offer is shown on the
+   * customer control with an action that sets the customer and keeps the
+   * contact. The offer is cleared when the contact changes. No offer is made
+   * on a read-only or disabled form.
+   *
+   * @param {Object} executionContext  Execution context passed as a first
+   *                                   parameter for a form event
+   * @param {Object|string} [fieldMapping]  A field mapping, or the name of a
+   *                                        JSON web resource containing one
+   */
+  async function populateCustomerOnContactChange(
+    executionContext,
+    fieldMapping
+  ) {
+    const log = _logger.startHandler(
+      populateCustomerOnContactChange.name,
+      executionContext
+    );
+    const isLatestRequest = _startRequest(populateCustomerOnContactChange.name);
+    let mapping;
+    try {
+      _guardExecutionContextIsValid(executionContext);
+      mapping = await _readFieldMappingOrThrow(fieldMapping);
+      const formContext = _tryReadValidFormContextOrThrow(
+        executionContext,
+        mapping
+      );
+
+      _notifications.clear(formContext, _notificationIds.customerFromContact);
+
+      const contact = _readContactField(formContext, mapping);
+      const customer = _readCustomerField(formContext, mapping);
+      const account =
+        contact &&
+        _isWritableForm(formContext) &&
+        (!customer || _isSameLookupValue(customer, contact))
+          ? await _getParentAccountLookupValueOfContact(contact.id)
+          : null;
+
+      if (
+        !isLatestRequest() ||
+        !_isSameLookupValue(contact, _readContactField(formContext, mapping)) ||
+        !_isSameLookupValue(customer, _readCustomerField(formContext, mapping))
+      ) {
+        return;
+      }
+
+      if (account) {
+        _offerToSetCustomerToAccount(formContext, mapping, contact, account);
+      }
+      _notifications.clearHandlerError(
+        formContext,
+        populateCustomerOnContactChange.name
+      );
+    } catch (error) {
+      log.fail(error);
+      if (isLatestRequest()) {
+        _notifications.reportHandlerError(
+          executionContext,
+          populateCustomerOnContactChange.name,
+          error,
+          mapping?.customerField
+        );
+      }
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Case form event handler, designed for use with the case form on load and
+   * contact on change events.
+   *
+   * This handler, updates the visibility and requirement level of the contact
+   * control in a case form based on the value of the customer field, by
+   * applying the form rules, see _applyFormRules. By default:
+   *
+   * If the customer is a contact the field is hidden, else it is visible
+   * If the customer is an account the field is required, else it is optional
+   * If the customer is an account the contact lookup is filtered to contacts
+   * belonging to that account
+   *
+   * @param {Object} executionContext  Execution context passed as a first
+   *                                   parameter for a form event
+   * @param {Object|string} [fieldMapping]  A field mapping, or the name of a
+   *                                        JSON web resource containing one
+   */
+  async function updateContactField(executionContext, fieldMapping) {
+    const log = _logger.startHandler(updateContactField.name, executionContext);
+    try {
+      _guardExecutionContextIsValid(executionContext);
+      const mapping = await _readFieldMappingOrThrow(fieldMapping);
+      const formContext = _tryReadValidFormContextOrThrow(
+        executionContext,
+        mapping
+      );
+
+      await _updateContactFieldControl(formContext, mapping);
+      _notifications.clearHandlerError(formContext, updateContactField.name);
+    } catch (error) {
+      log.fail(error);
+      _notifications.reportHandlerError(
+        executionContext,
+        updateContactField.name,
+        error
+      );
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Case form handler, designed for use with the customer and contact on
+   * change events.
+   *
+   * When creating a case, warns the user if an active case already exists for
+   * the customer, as the single active case plug-in would reject the new case
+   * on save. Where only the case contact has an active case, as its customer or
+   * contact, the user is told about it instead, as the plug-in allows the new
+   * case. The notification names the existing case and offers an action to open
+   * it. The notification is cleared once no active case is found. Responses for
+   * a customer or contact that has since changed are discarded.
+   *
+   * This handler applies to the case table only and always uses the default
+   * field mapping.
+   *
+   * @param {Object} executionContext  Execution context passed as a first
+   *                                   parameter for a form event
+   */
+  async function notifyOfActiveCaseForCustomer(executionContext) {
+    const log = _logger.startHandler(
+      notifyOfActiveCaseForCustomer.name,
+      executionContext
+    );
+    const isLatestRequest = _startRequest(notifyOfActiveCaseForCustomer.name);
+    const mapping = _defaultFieldMapping;
+    try {
+      _guardExecutionContextIsValid(executionContext);
+      const formContext = _tryReadValidFormContextOrThrow(
+        executionContext,
+        mapping
+      );
+
+      const customer = _readCustomerField(formContext, mapping);
+      const contact = _readContactField(formContext, mapping);
+      const activeCase = await _getActiveCaseForCustomerOrContact(
+        formContext,
+        customer,
+        contact
+      );
+
+      if (
+        !isLatestRequest() ||
+        !_isSameLookupValue(
+          customer,
+          _readCustomerField(formContext, mapping)
+        ) ||
+        !_isSameLookupValue(contact, _readContactField(formContext, mapping))
+      ) {
+        return;
+      }
+
+      _updateActiveCaseNotifications(formContext, activeCase);
+      _notifications.clearHandlerError(
+        formContext,
+        notifyOfActiveCaseForCustomer.name
+      );
+    } catch (error) {
+      log.fail(error);
+      if (isLatestRequest()) {
+        _notifications.reportHandlerError(
+          executionContext,
+          notifyOfActiveCaseForCustomer.name,
+          error,
+          mapping.customerField
+        );
+      }
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Case form handler, designed for use with the form on save event.
+   *
+   * Where the customer is an account and a contact is set, checks that the
+   * contact's parent customer is that account, or one of its parent accounts up
+   * to the depth searched by populateContactOnCustomerChange, mirroring the
+   * server side contact validation plug-in. On a mismatch the save is cancelled
+   * and a notification on the contact control explains why, rather than the
+   * user receiving the plug-in error.
+   *
+   * The check is asynchronous, so async save handlers must be enabled for the
+   * app for the save to wait for it. If the check itself fails the save is not
+   * cancelled and the plug-in remains the final check.
+   *
+   * @param {Object} executionContext  Execution context passed as a first
+   *                                   parameter for a form event
+   * @param {Object|string} [fieldMapping]  A field mapping, or the name of a
+   *                                        JSON web resource containing one
+   */
+  async function validateContactBelongsToCustomer(
+    executionContext,
+    fieldMapping
+  ) {
+    const log = _logger.startHandler(
+      validateContactBelongsToCustomer.name,
+      executionContext
+    );
+    let mapping;
+    try {
+      _guardExecutionContextIsValid(executionContext);
+      mapping = await _readFieldMappingOrThrow(fieldMapping);
+      const formContext = _tryReadValidFormContextOrThrow(
+        executionContext,
+        mapping
+      );
+
+      _notifications.clear(formContext, _notificationIds.contactNotOfCustomer);
+      _notifications.clearHandlerError(
+        formContext,
+        validateContactBelongsToCustomer.name
+      );
+
+      const customer = _readCustomerField(formContext, mapping);
+      const contact = _readContactField(formContext, mapping);
+      if (
+        await _isContactOfCustomer(
+          customer,
+          contact,
+          _readParentAccountDepth(mapping)
+        )
+      ) {
+        return;
+      }
+
+      executionContext.getEventArgs().preventDefault();
+      _addContactNotOfCustomerNotification(
+        formContext,
+        mapping,
+        customer,
+        contact
+      );
+    } catch (error) {
+      log.fail(error);
+      _notifications.reportHandlerError(
+        executionContext,
+        validateContactBelongsToCustomer.name,
+        error,
+        mapping?.contactField
+      );
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Case form handler, designed for use with the form on load and the customer
+   * and contact on change events.
+   *
+   * Shows the communication channels of the case contact, see
+   * contactChannels.buildModel, in a notification at the top of the form, so
+   * that agents can see how to reach the contact without a quick view form.
+   * Channels that may not be used are marked as such, and the notification is a
+   * warning where no channel may be used. The notification is cleared when
+   * there is no contact. Responses for a contact that has since changed are
+   * discarded.
+   *
+   * @param {Object} executionContext  Execution context passed as a first
+   *                                   parameter for a form event
+   * @param {Object|string} [fieldMapping]  A field mapping, or the name of a
+   *                                        JSON web resource containing one
+   */
+  async function displayContactChannels(executionContext, fieldMapping) {
+    const log = _logger.startHandler(
+      displayContactChannels.name,
+      executionContext
+    );
+    const isLatestRequest = _startRequest(displayContactChannels.name);
+    let mapping;
+    try {
+      _guardExecutionContextIsValid(executionContext);
+      mapping = await _readFieldMappingOrThrow(fieldMapping);
+      const formContext = _tryReadValidFormContextOrThrow(
+        executionContext,
+        mapping
+      );
+
+      const contact = _readContactField(formContext, mapping);
+      const contactRecord = contact
+        ? await _getContactChannelsRecord(contact.id)
+        : null;
+
+      if (
+        !isLatestRequest() ||
+        !_isSameLookupValue(contact, _readContactField(formContext, mapping))
+      ) {
+        return;
+      }
+
+      _updateContactChannelsNotification(formContext, contact, contactRecord);
+      _notifications.clearHandlerError(
+        formContext,
+        displayContactChannels.name
+      );
+    } catch (error) {
+      log.fail(error);
+      if (isLatestRequest()) {
+        _notifications.reportHandlerError(
+          executionContext,
+          displayContactChannels.name,
+          error,
+          mapping?.contactField
+        );
+      }
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Case form handler, designed for use with the form on load event.
+   *
+   * On an existing record whose customer is an account, checks whether the
+   * contact has drifted since the record was saved: either the contact has
+   * been deactivated, or it is no longer the account's primary contact. Any
+   * drift is shown in a notification at the top of the form. Where there is a
+   * contact to recommend instead, chosen as populateContactOnCustomerChange
+   * would, a notification on the contact control offers to update the
+   * contact, unless the form is read-only or disabled. Responses for a
+   * customer or contact that has since changed are discarded.
+   *
    * @param {Object} executionContext  Execution context passed as a first
    *                                   parameter for a form event
+   * @param {Object|string} [fieldMapping]  A field mapping, or the name of a
+   *                                        JSON web resource containing one
+   */
+  async function notifyOfContactDrift(executionContext, fieldMapping) {
+    const log = _logger.startHandler(
+      notifyOfContactDrift.name,
+      executionContext
+    );
+    const isLatestRequest = _startRequest(notifyOfContactDrift.name);
+    let mapping;
+    try {
+      _guardExecutionContextIsValid(executionContext);
+      mapping = await _readFieldMappingOrThrow(fieldMapping);
+      const formContext = _tryReadValidFormContextOrThrow(
+        executionContext,
+        mapping
+      );
+
+      const customer = _readCustomerField(formContext, mapping);
+      const contact = _readContactField(formContext, mapping);
+      const drift =
+        _isExistingRecordForm(formContext) &&
+        customer?.entityType === _logicalNames.tables.account &&
+        contact
+          ? await _findContactDrift(
+              customer,
+              contact,
+              _readParentAccountDepth(mapping)
+            )
+          : null;
+
+      if (
+        !isLatestRequest() ||
+        !_isSameLookupValue(
+          customer,
+          _readCustomerField(formContext, mapping)
+        ) ||
+        !_isSameLookupValue(contact, _readContactField(formContext, mapping))
+      ) {
+        return;
+      }
+
+      _updateContactDriftNotifications(
+        formContext,
+        mapping,
+        customer,
+        contact,
+        drift
+      );
+      _notifications.clearHandlerError(formContext, notifyOfContactDrift.name);
+    } catch (error) {
+      log.fail(error);
+      if (isLatestRequest()) {
+        _notifications.reportHandlerError(
+          executionContext,
+          notifyOfContactDrift.name,
+          error,
+          mapping?.contactField
+        );
+      }
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Editable grid handler, designed for use with the OnChange event of an
+   * editable grid of cases, such as the Cases view, and with its
+   * OnRecordSelect event. Register it with "pass execution context as first
+   * parameter" ticked, and the field mapping as a parameter where the grid
+   * does not show cases.
+   *
+   * Where the customer cell of the row changed, the contact cell is populated
+   * with the contact populateContactOnCustomerChange would choose. A grid
+   * cannot ask the user, so a contact the user chose is always replaced.
+   *
+   * The form rules are then applied to the row, without their notifications,
+   * see _applyFormRules. Cells cannot be hidden, so the contact cell is locked
+   * where the rules hide the contact field, e.g. for a contact customer, and
+   * unlocked where they show it.
+   *
+   * The contact is checked as validateContactBelongsToCustomer does, and an
+   * error shown on the contact cell where it does not belong to the customer,
+   * which prevents the row from being saved. Errors, including a grid that
+   * does not show the mapped table or columns, are also shown on the contact
+   * cell, or on the customer cell where the grid has no contact column.
+   *
+   * @param {Object} executionContext  Execution context passed as a first
+   *                                   parameter for a grid event
+   * @param {Object|string} [fieldMapping]  A field mapping, or the name of a
+   *                                        JSON web resource containing one
+   */
+  async function populateContactOnGridRowChange(
+    executionContext,
+    fieldMapping
+  ) {
+    const log = _logger.startHandler(
+      populateContactOnGridRowChange.name,
+      executionContext
+    );
+    let isLatestRequest = () => true;
+    let gridRow = null;
+    let mapping;
+    try {
+      _guardExecutionContextIsValid(executionContext);
+      mapping = await _readFieldMappingOrThrow(fieldMapping);
+      gridRow = _readGridRow(executionContext);
+      _guardGridRowIsValid(gridRow, mapping);
+      isLatestRequest = _startRequest(
+        `${populateContactOnGridRowChange.name}_${gridRow.data.entity.getId()}`
+      );
+
+      const customer = _readCustomerField(gridRow, mapping);
+      if (_isEventSourceField(executionContext, mapping.customerField)) {
+        const contactChoice = await _chooseContactForCustomer(
+          customer,
+          _readParentAccountDepth(mapping)
+        );
+        if (
+          !isLatestRequest() ||
+          !_isSameLookupValue(customer, _readCustomerField(gridRow, mapping))
+        ) {
+          return;
+        }
+        gridRow
+          .getAttribute(mapping.contactField)
+          .setValue(contactChoice.contact);
+      }
+
+      const contact = _readContactField(gridRow, mapping);
+      const [isContactOfCustomer] = await Promise.all([
+        _isContactOfCustomer(
+          customer,
+          contact,
+          _readParentAccountDepth(mapping)
+        ),
+        _applyFormRules(gridRow, {
+          ...mapping,
+          rules: _readGridRules(mapping),
+        }),
+      ]);
+
+      if (
+        !isLatestRequest() ||
+        !_isSameLookupValue(customer, _readCustomerField(gridRow, mapping)) ||
+        !_isSameLookupValue(contact, _readContactField(gridRow, mapping))
+      ) {
+        return;
+      }
+
+      _updateContactNotOfCustomerCellNotification(
+        gridRow,
+        mapping,
+        isContactOfCustomer ? null : { customer, contact }
+      );
+      _readGridRowErrorCell(gridRow, mapping)?.clearNotification(
+        _notificationIds.gridRowError
+      );
+    } catch (error) {
+      log.fail(error);
+      if (isLatestRequest()) {
+        _reportGridRowError(
+          gridRow,
+          mapping,
+          populateContactOnGridRowChange.name,
+          error
+        );
+      }
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Cases view command, designed for a command bar button on the Cases view
+   * passing the SelectedControlSelectedItemIds and SelectedControl
+   * parameters. Only the case table is supported.
+   *
+   * For each selected case that is active and has an account customer, sets
+   * the contact to the contact populateContactOnCustomerChange would choose
+   * for the account. The contact is resolved once per account. Cases are
+   * processed in batches: each batch is retrieved with one request and its
+   * updates are sent in one executeMultiple request, and the progress is
+   * shown between batches.
+   * Cases whose contact would not change are skipped, as are inactive cases
+   * and cases without an account customer or a contact to apply.
+   *
+   * Ends with a summary dialog listing the cases updated, skipped and failed,
+   * then refreshes the grid. A case that fails does not stop the other
+   * batches, but an update that fails stops the updates after it in its
+   * batch, which then fail too.
+   *
+   * @param {string[]} selectedCaseIds  The ids of the selected cases
+   * @param {Object} [selectedControl]  The grid of the view
+   * @returns {Promise<Object>}  A promise that resolves to the updated,
+   *                             skipped and failed cases, each with an id,
+   *                             title and message
+   */
+  async function applyAccountPrimaryContactToCases(
+    selectedCaseIds,
+    selectedControl
+  ) {
+    const log = _logger.startHandler(applyAccountPrimaryContactToCases.name);
+    const summary = { updated: [], skipped: [], failed: [] };
+    const caseIds = [...new Set((selectedCaseIds ?? []).map(_formatId))];
+    try {
+      if (!caseIds.length) {
+        await _xrm.Navigation.openAlertDialog({
+          text: _localisation.getString("BulkContactNoCasesSelected"),
+        });
+        return summary;
+      }
+
+      const contactChoices = new Map();
+      for (
+        let start = 0;
+        start < caseIds.length;
+        start += _bulkUpdateBatchSize
+      ) {
+        _xrm.Utility.showProgressIndicator(
+          _localisation.getString("BulkContactProgress", {
+            processed: start,
+            total: caseIds.length,
+          })
+        );
+        await _applyAccountPrimaryContactToBatch(
+          caseIds.slice(start, start + _bulkUpdateBatchSize),
+          contactChoices,
+          summary,
+          log
+        );
+      }
+      log.info("cases processed", {
+        updated: summary.updated.length,
+        skipped: summary.skipped.length,
+        failed: summary.failed.length,
+      });
+    } catch (error) {
+      log.fail(error);
+      _notifications.reportHandlerError(
+        null,
+        applyAccountPrimaryContactToCases.name,
+        error
+      );
+      return summary;
+    } finally {
+      _xrm.Utility.closeProgressIndicator();
+      log.end();
+    }
+
+    await _xrm.Navigation.openAlertDialog({
+      title: _localisation.getString("BulkContactSummaryTitle"),
+      text: _buildBulkUpdateSummaryText(summary),
+    });
+    selectedControl?.refresh();
+    return summary;
+  }
+
+  /**
+   * Account form command, designed for a command bar button on the account
+   * form passing the PrimaryControl parameter.
+   *
+   * Opens a new case for the account, in the case quick create form where one
+   * is enabled and the main form otherwise. The customer is set to the
+   * account, and the contact to the contact populateContactOnCustomerChange
+   * would choose, with the case email set to that contact's email address.
+   *
+   * The single active case plug-in rejects a new case for an account that
+   * already has an active case. In that case no form is opened, and the user
+   * is offered the active case instead. An account that has not been saved
+   * is asked to be saved first.
+   *
+   * @param {Object} primaryControl  The form context of the account form
+   * @returns {Promise<void>}  A promise that resolves once the case form, or
+   *                           a dialog, is open
+   */
+  async function openNewCaseForPrimaryContact(primaryControl) {
+    const log = _logger.startHandler(openNewCaseForPrimaryContact.name);
+    try {
+      const accountId = _formatId(primaryControl.data.entity.getId());
+      if (!accountId) {
+        await _xrm.Navigation.openAlertDialog({
+          text: _localisation.getString("SaveAccountBeforeNewCase"),
+        });
+        return;
+      }
+
+      const account = {
+        id: accountId,
+        name:
+          primaryControl
+            .getAttribute(_logicalNames.accountFields.name)
+            ?.getValue() ?? null,
+        entityType: _logicalNames.tables.account,
+      };
+      const [activeCase, contactChoice] = await Promise.all([
+        _getActiveCaseOfAccount(account),
+        _chooseContactForCustomer(account, _defaultParentAccountDepth),
+      ]);
+      if (activeCase) {
+        await _offerToOpenActiveCaseOfAccount(account, activeCase);
+        return;
+      }
+
+      const [contact] = contactChoice.contact ?? [];
+      const contactRecord = contact
+        ? await _getContactChannelsRecord(contact.id)
+        : null;
+      await _xrm.Navigation.openForm(
+        { entityName: _logicalNames.tables.case, useQuickCreateForm: true },
+        _buildNewCaseFormParameters(
+          account,
+          contact,
+          contactRecord?.[_logicalNames.contactFields.emailAddress]
+        )
+      );
+    } catch (error) {
+      log.fail(error);
+      _notifications.reportHandlerError(
+        null,
+        openNewCaseForPrimaryContact.name,
+        error
+      );
+    } finally {
+      log.end();
+    }
+  }
+
+  /**
+   * Attaches the connector's handlers to a form's events, see initialize.
+   *
+   * @param {Object} formContext  The form context object
+   * @param {Object} fieldMapping  The validated field mapping
+   * @returns {Object}  The field mapping, and a detachAll function removing
+   *                    every attached handler
+   */
+  function _attachHandlers(formContext, fieldMapping) {
+    const detachFunctions = [];
+    const attach = (eventTarget, eventName, handler) => {
+      if (typeof eventTarget?.[`add${eventName}`] !== "function") {
+        return;
+      }
+      const boundHandler = (executionContext) =>
+        handler(executionContext, fieldMapping);
+      eventTarget[`add${eventName}`](boundHandler);
+      detachFunctions.push(() =>
+        eventTarget[`remove${eventName}`](boundHandler)
+      );
+    };
+
+    const isCaseForm = fieldMapping.table === _logicalNames.tables.case;
+    const customerAttribute = formContext.getAttribute(
+      fieldMapping.customerField
+    );
+    const contactAttribute = formContext.getAttribute(
+      fieldMapping.contactField
+    );
+
+    attach(customerAttribute, "OnChange", populateContactOnCustomerChange);
+    attach(contactAttribute, "OnChange", updateContactField);
+    attach(contactAttribute, "OnChange", populateCustomerOnContactChange);
+    if (isCaseForm) {
+      attach(customerAttribute, "OnChange", notifyOfActiveCaseForCustomer);
+      attach(contactAttribute, "OnChange", notifyOfActiveCaseForCustomer);
+    }
+    attach(customerAttribute, "OnChange", displayContactChannels);
+    attach(contactAttribute, "OnChange", displayContactChannels);
+    attach(customerAttribute, "OnChange", notifyOfContactDrift);
+    attach(contactAttribute, "OnChange", notifyOfContactDrift);
+    attach(formContext.data.entity, "OnSave", _recordCache.clear);
+    attach(formContext.data.entity, "OnSave", validateContactBelongsToCustomer);
+    attach(formContext.data, "OnLoad", _recordCache.clear);
+    attach(formContext.data, "OnLoad", _syncFormState);
+
+    return {
+      fieldMapping,
+      detachAll: () => detachFunctions.forEach((detach) => detach()),
+    };
+  }
+
+  /**
+   * Syncs the form state with the customer and contact, as on load: updates
+   * the contact control, shows the contact's channels, checks an existing
+   * record's contact for drift and, on the case form, checks for an active
+   * case.
+   *
+   * @param {Object} executionContext  The execution context of the event
+   * @param {Object} fieldMapping  The validated field mapping
+   * @returns {Promise<void>}
+   */
+  async function _syncFormState(executionContext, fieldMapping) {
+    const syncs = [
+      updateContactField(executionContext, fieldMapping),
+      displayContactChannels(executionContext, fieldMapping),
+      notifyOfContactDrift(executionContext, fieldMapping),
+    ];
+    if (fieldMapping.table === _logicalNames.tables.case) {
+      syncs.push(notifyOfActiveCaseForCustomer(executionContext));
+    }
+    await Promise.all(syncs);
+  }
+
+  /**
+   * Chooses the contact for a customer. If the customer field references an
+   * account, its primary contact is chosen where one exists and is active.
+   * Where the primary contact is inactive, the best ranked of the account's
+   * active contacts is chosen instead, see _rankActiveContacts. Where there is
+   * no primary contact, the active primary contact of the nearest parent
+   * account is chosen, see _findParentAccountWithActivePrimaryContact. For all
+   * other situations, no contact is chosen.
+   *
+   * @param {Object|null} customerFieldValue  The customer field value
+   * @param {number} parentAccountDepth  The number of parent accounts to
+   *                                     search
+   * @returns {Promise<Object>}   A promise that resolves to the contact choice:
+   *                              the chosen contact lookup value and, where
+   *                              applicable, the customer's active primary
+   *                              contact, the inactive primary contact the
+   *                              choice replaces, whether that replacement has
+   *                              a usable channel, and the parent account the
+   *                              contact came from.
+   */
+  async function _chooseContactForCustomer(
+    customerFieldValue,
+    parentAccountDepth
+  ) {
+    const contactChoice = {
+      contact: null,
+      primaryContact: null,
+      inactivePrimaryContact: null,
+      hasUsableChannel: false,
+      parentAccount: null,
+    };
+    if (customerFieldValue?.entityType !== _logicalNames.tables.account) {
+      return contactChoice;
+    }
+
+    const account = await _getAccountWithPrimaryContact(customerFieldValue.id);
+    const primaryContact = _buildPrimaryContactLookupFromAccountRecord(account);
+    if (!primaryContact) {
+      const parentAccount = await _findParentAccountWithActivePrimaryContact(
+        account,
+        parentAccountDepth
+      );
+      return {
+        ...contactChoice,
+        contact: parentAccount?.primaryContact ?? null,
+        parentAccount,
+      };
+    }
+
+    if (_isActiveContact(account[_logicalNames.accountFields.primaryContact])) {
+      return {
+        ...contactChoice,
+        contact: primaryContact,
+        primaryContact: primaryContact[0],
+      };
+    }
+
+    const [fallbackContact] = _rankActiveContacts(
+      await _getActiveContactsOfAccount(customerFieldValue.id)
+    );
+    return {
+      ...contactChoice,
+      contact: fallbackContact ? [_buildContactLookup(fallbackContact)] : null,
+      inactivePrimaryContact: primaryContact[0],
+      hasUsableChannel: fallbackContact
+        ? _hasUsableChannel(fallbackContact)
+        : false,
+    };
+  }
+
+  /**
+   * Searches the parent accounts of an account, nearest first, for one with an
+   * active primary contact. The search stops at the given depth, or if an
+   * account is reached twice, as a hierarchy may contain a cycle.
+   *
+   * @param {Object} accountRecord  The account record, with its parent account
+   * @param {number} parentAccountDepth  The number of parent accounts to
+   *                                     search
+   * @returns {Promise<Object|null>}  A promise that resolves to the parent
+   *                                  account, with its id, name, primary
+   *                                  contact lookup value and depth, or null if
+   *                                  none is found.
+   * @throws {Error}  If there is an error retrieving an account record.
+   */
+  async function _findParentAccountWithActivePrimaryContact(
+    accountRecord,
+    parentAccountDepth
+  ) {
+    const parentAccountColumn = _toLookupValueColumn(
+      _logicalNames.accountFields.parentAccount
+    );
+    const visitedAccountIds = new Set([
+      _formatId(accountRecord[_logicalNames.accountFields.id]),
+    ]);
+    let parentAccountId = accountRecord[parentAccountColumn];
+
+    for (
+      let depth = 1;
+      parentAccountId && depth <= parentAccountDepth;
+      depth++
+    ) {
+      if (visitedAccountIds.has(_formatId(parentAccountId))) {
+        return null;
+      }
+      visitedAccountIds.add(_formatId(parentAccountId));
+
+      const parentAccount = await _getAccountWithPrimaryContact(
+        parentAccountId
+      );
+      const primaryContact =
+        parentAccount[_logicalNames.accountFields.primaryContact];
+      if (primaryContact && _isActiveContact(primaryContact)) {
+        return {
+          id: parentAccount[_logicalNames.accountFields.id],
+          name: parentAccount[_logicalNames.accountFields.name],
+          primaryContact:
+            _buildPrimaryContactLookupFromAccountRecord(parentAccount),
+          depth,
+        };
+      }
+      parentAccountId = parentAccount[parentAccountColumn];
+    }
+    return null;
+  }
+
+  /**
+   * Checks whether an account is a parent account of another, searching the
+   * parent accounts upwards to the given depth and stopping at a cycle.
+   *
+   * @param {string|null} parentAccountId  The ID of the possible parent
+   * @param {string} accountId  The ID of the account to search from
+   * @param {number} parentAccountDepth  The number of parent accounts to
+   *                                     search
+   * @returns {Promise<boolean>}  A promise that resolves to true if the
+   *                              account is a parent account.
+   * @throws {Error}  If there is an error retrieving an account record.
+   */
+  async function _isParentAccountOf(
+    parentAccountId,
+    accountId,
+    parentAccountDepth
+  ) {
+    if (!parentAccountId) {
+      return false;
+    }
+
+    const visitedAccountIds = new Set([_formatId(accountId)]);
+    let currentAccountId = accountId;
+    for (let depth = 1; depth <= parentAccountDepth; depth++) {
+      currentAccountId = await _getParentAccountIdOfAccount(currentAccountId);
+      if (
+        !currentAccountId ||
+        visitedAccountIds.has(_formatId(currentAccountId))
+      ) {
+        return false;
+      }
+      if (_formatId(currentAccountId) === _formatId(parentAccountId)) {
+        return true;
+      }
+      visitedAccountIds.add(_formatId(currentAccountId));
+    }
+    return false;
+  }
+
+  /**
+   * Retrieves the ID of an account's parent account.
+   *
+   * @param {string} accountId  The ID of the account
+   * @returns {Promise<string|null>}  A promise that resolves to the ID of the
+   *                                  parent account, or null.
+   * @throws {Error}  If there is an error retrieving the account record.
+   */
+  async function _getParentAccountIdOfAccount(accountId) {
+    const parentAccountColumn = _toLookupValueColumn(
+      _logicalNames.accountFields.parentAccount
+    );
+    const account = await _recordCache.retrieveRecord(
+      _logicalNames.tables.account,
+      _formatId(accountId),
+      "?$select=" + parentAccountColumn
+    );
+    return account?.[parentAccountColumn] ?? null;
+  }
+
+  /**
+   * Reads the number of parent accounts to search for a contact from a field
+   * mapping, falling back to the default.
+   *
+   * @param {Object} fieldMapping  The validated field mapping
+   * @returns {number}  The number of parent accounts to search
+   */
+  function _readParentAccountDepth(fieldMapping) {
+    return fieldMapping.parentAccountDepth ?? _defaultParentAccountDepth;
+  }
+
+  /**
+   * Retrieves an account record with its name, parent account and primary
+   * contact expanded.
+   *
+   * @param {string} accountId  The ID of the account to retrieve
+   * @returns {Promise<Object>}  A promise that resolves to the account record.
+   * @throws {Error}  If there is an error retrieving the account record.
+   */
+  async function _getAccountWithPrimaryContact(accountId) {
+    return await _recordCache.retrieveRecord(
+      _logicalNames.tables.account,
+      accountId,
+      _buildSelectQueryStringForPrimaryContact()
+    );
+  }
+
+  /**
+   * Builds a query string to fetch the name and parent account, and expand the
+   * primary contact, from an account record.
+   *
+   * @returns {string} The query string to fetch and expand the primary contact.
+   */
+  function _buildSelectQueryStringForPrimaryContact() {
+    return (
+      "?$select=" +
+      _logicalNames.accountFields.name +
+      "," +
+      _toLookupValueColumn(_logicalNames.accountFields.parentAccount) +
+      "&$expand=" +
+      _logicalNames.accountFields.primaryContact +
+      "($select=" +
+      _logicalNames.contactFields.fullname +
+      "," +
+      _logicalNames.contactFields.state +
+      ")"
+    );
+  }
+
+  /**
+   * Format the expanded primary contact field of an account record as a contact
+   * lookup value. Returns bull if the account record or primary contact field
+   * are null.
+   *
+   * @param {Object} accountRecord  The account record containing the primary
+   *                                contact field.
+   * @returns {Object|null}  A contact lookup object with id, name, and
+   *                         entityType properties, or null if no primary
+   *                         contact is found.
+   */
+  function _buildPrimaryContactLookupFromAccountRecord(accountRecord) {
+    const contact =
+      accountRecord &&
+      accountRecord[_logicalNames.accountFields.primaryContact];
+
+    if (!contact) {
+      return null;
+    }
+
+    return [_buildContactLookup(contact)];
+  }
+
+  /**
+   * Formats a contact record as a single contact lookup value.
+   *
+   * @param {Object} contactRecord  The contact record, with the full name
+   * @returns {Object}  A contact lookup object with id, name, and entityType
+   *                    properties.
+   */
+  function _buildContactLookup(contactRecord) {
+    return {
+      id: contactRecord[_logicalNames.contactFields.id],
+      name: contactRecord[_logicalNames.contactFields.fullname],
+      entityType: _logicalNames.tables.contact,
+    };
+  }
+
+  /**
+   * Checks whether a contact record is active.
+   *
+   * @param {Object} contactRecord  The contact record, with the state
+   * @returns {boolean}  True if the contact is active
+   */
+  function _isActiveContact(contactRecord) {
+    return (
+      contactRecord[_logicalNames.contactFields.state] ===
+      _contactActiveStateCode
+    );
+  }
+
+  /**
+   * Retrieves the active contacts of an account, with their channel columns,
+   * most recently modified first.
+   *
+   * @param {string} accountId  The ID of the account
+   * @returns {Promise<Object[]>}  A promise that resolves to the contact
+   *                               records.
+   * @throws {Error}  If there is an error retrieving the contact records.
+   */
+  async function _getActiveContactsOfAccount(accountId) {
+    const result = await _webApi.retrieveMultipleRecords(
+      _logicalNames.tables.contact,
+      "?$select=" +
+        [
+          _logicalNames.contactFields.fullname,
+          ..._contactChannels.columns,
+        ].join(",") +
+        "&$filter=" +
+        _toLookupValueColumn(_logicalNames.contactFields.parentCustomer) +
+        ` eq ${_formatId(accountId)} and ` +
+        `${_logicalNames.contactFields.state} eq ${_contactActiveStateCode}` +
+        "&$orderby=" +
+        _logicalNames.contactFields.modifiedOn +
+        " desc"
+    );
+    return result?.entities ?? [];
+  }
+
+  /**
+   * Ranks contacts as a replacement for an inactive primary contact. Contacts
+   * with a usable communication channel rank first, otherwise the order of
+   * the contacts, most recently modified first, is kept.
+   *
+   * @param {Object[]} contactRecords  The contact records, most recently
+   *                                   modified first
+   * @returns {Object[]}  The contact records, best ranked first
+   */
+  function _rankActiveContacts(contactRecords) {
+    return [...contactRecords].sort(
+      (first, second) =>
+        Number(_hasUsableChannel(second)) - Number(_hasUsableChannel(first))
+    );
+  }
+
+  /**
+   * Checks whether a contact may be contacted through any channel, see
+   * contactChannels.buildModel.
+   *
+   * @param {Object} contactRecord  The contact's channel columns
+   * @returns {boolean}  True if any channel may be used
+   */
+  function _hasUsableChannel(contactRecord) {
+    return (
+      _contactChannels.buildModel(contactRecord).recommendedChannel !== null
+    );
+  }
+
+  /**
+   * Shows, or clears, the notifications telling the user why a contact other
+   * than the customer's primary contact was chosen.
+   *
+   * @param {Object} formContext  The form context object.
+   * @param {Object} fieldMapping  The validated field mapping
+   * @param {Object|null} customer  The customer lookup value
+   * @param {Object|null} contactChoice  The contact chosen for the customer,
+   *                                     see _chooseContactForCustomer, or
+   *                                     null if it was not applied
+   */
+  function _updateContactChoiceNotifications(
+    formContext,
+    fieldMapping,
+    customer,
+    contactChoice
+  ) {
+    _updateInactivePrimaryContactNotification(
+      formContext,
+      fieldMapping,
+      customer,
+      contactChoice
+    );
+    _updateContactFromParentAccountNotification(
+      formContext,
+      fieldMapping,
+      customer,
+      contactChoice
+    );
+  }
+
+  /**
+   * Shows, or clears, the notification telling the user that the primary
+   * contact was skipped as inactive, and why another contact was chosen.
+   *
+   * @param {Object} formContext  The form context object.
+   * @param {Object} fieldMapping  The validated field mapping
+   * @param {Object|null} customer  The customer lookup value
+   * @param {Object|null} contactChoice  The contact chosen for the customer,
+   *                                     see _chooseContactForCustomer, or
+   *                                     null if it was not applied
+   */
+  function _updateInactivePrimaryContactNotification(
+    formContext,
+    fieldMapping,
+    customer,
+    contactChoice
+  ) {
+    const inactivePrimaryContact = contactChoice?.inactivePrimaryContact;
+    if (!inactivePrimaryContact) {
+      _notifications.clear(
+        formContext,
+        _notificationIds.inactivePrimaryContact
+      );
+      return;
+    }
+
+    const contact = contactChoice.contact?.[0];
+    let choice;
+    if (!contact) {
+      choice = _localisation.getString("NoActiveContactToChoose", {
+        accountName: customer.name,
+      });
+    } else {
+      choice = _localisation.getString(
+        contactChoice.hasUsableChannel
+          ? "ContactChosenWithUsableChannel"
+          : "ContactChosen",
+        { contactName: contact.name }
+      );
+    }
+    _notifications.show(formContext, {
+      id: _notificationIds.inactivePrimaryContact,
+      message:
+        _localisation.getString("PrimaryContactInactive", {
+          primaryContactName: inactivePrimaryContact.name,
+          accountName: customer.name,
+        }) +
+        " " +
+        choice,
+      severity: _notifications.severities.warning,
+      fieldName: fieldMapping.contactField,
+    });
+  }
+
+  /**
+   * Shows, or clears, the notification telling the user which parent account
+   * the contact was chosen from.
+   *
+   * @param {Object} formContext  The form context object.
+   * @param {Object} fieldMapping  The validated field mapping
+   * @param {Object|null} customer  The customer lookup value
+   * @param {Object|null} contactChoice  The contact chosen for the customer,
+   *                                     see _chooseContactForCustomer, or
+   *                                     null if it was not applied
+   */
+  function _updateContactFromParentAccountNotification(
+    formContext,
+    fieldMapping,
+    customer,
+    contactChoice
+  ) {
+    const parentAccount = contactChoice?.parentAccount;
+    if (!parentAccount) {
+      _notifications.clear(
+        formContext,
+        _notificationIds.contactFromParentAccount
+      );
+      return;
+    }
+
+    _notifications.show(formContext, {
+      id: _notificationIds.contactFromParentAccount,
+      message: _localisation.getString(
+        parentAccount.depth === 1
+          ? "ContactFromParentAccount"
+          : "ContactFromAncestorAccount",
+        {
+          accountName: customer.name,
+          contactName: parentAccount.primaryContact[0].name,
+          depth: parentAccount.depth,
+          parentAccountName: parentAccount.name,
+        }
+      ),
+      severity: _notifications.severities.info,
+      fieldName: fieldMapping.contactField,
+    });
+  }
+
+  /**
+   * Sets the contact field on the case form to the provided contact lookup
+   * value and fires an on change event on this field.
+   *
+   * @param {Object} formContext  The form context object.
+   * @param {Object} fieldMapping  The validated field mapping
+   * @param {Object|null} contactLookup  The lookup value for the contact to be set.
+   */
+  function _setCaseContactField(formContext, fieldMapping, contactLookup) {
+    const contactField = formContext.getAttribute(fieldMapping.contactField);
+    contactField.setValue(contactLookup);
+    _readFormValues(_contactsSetByConnector, formContext).set(
+      fieldMapping.contactField,
+      contactLookup?.[0] ?? null
+    );
+    contactField.fireOnChange();
+  }
+
+  /**
+   * Decides whether the contact field should be replaced for a new customer.
+   *
+   * The contact is replaced unless the customer is an account and the current
+   * contact was chosen by the user and still belongs to that account. A chosen
+   * contact that is also the primary contact, or that belongs to an account
+   * without a primary contact, is kept. Otherwise the user decides.
+   *
+   * @param {Object} formContext  The form context object.
+   * @param {Object} fieldMapping  The validated field mapping
+   * @param {Object|null} customer  The customer lookup value
+   * @param {Object|null} currentContact  The contact currently in the field
+   * @param {Object|null} primaryContact  The account's primary contact
+   * @returns {Promise<boolean>}  A promise that resolves to true if the
+   *                              contact should be replaced
+   */
+  async function _shouldReplaceContact(
+    formContext,
+    fieldMapping,
+    customer,
+    currentContact,
+    primaryContact
+  ) {
+    if (
+      !currentContact ||
+      customer?.entityType !== _logicalNames.tables.account ||
+      _isSameLookupValue(
+        currentContact,
+        _readFormValues(_contactsSetByConnector, formContext).get(
+          fieldMapping.contactField
+        ) ?? null
+      )
+    ) {
+      return true;
+    }
+
+    if (_isSameLookupValue(currentContact, primaryContact)) {
+      return false;
+    }
+
+    const parentCustomerId = await _getParentCustomerIdOfContact(
+      currentContact.id
+    );
+    if (_formatId(parentCustomerId) !== _formatId(customer.id)) {
+      return true;
+    }
+
+    if (!primaryContact) {
+      return false;
+    }
+    return await _confirmReplaceChosenContact(
+      formContext,
+      fieldMapping,
+      customer,
+      currentContact,
+      primaryContact
+    );
+  }
+
+  /**
+   * Asks the user whether to replace a contact they chose with the account's
+   * primary contact. The answer is remembered and reused for the rest of the
+   * form session.
+   *
+   * @param {Object} formContext  The form context object.
+   * @param {Object} fieldMapping  The validated field mapping
+   * @param {Object} customer  The customer lookup value
+   * @param {Object} chosenContact  The contact chosen by the user
+   * @param {Object} primaryContact  The account's primary contact
+   * @returns {Promise<boolean>}  A promise that resolves to true if the
+   *                              contact should be replaced
+   */
+  async function _confirmReplaceChosenContact(
+    formContext,
+    fieldMapping,
+    customer,
+    chosenContact,
+    primaryContact
+  ) {
+    const decisions = _readFormValues(
+      _replaceChosenContactDecisions,
+      formContext
+    );
+    if (decisions.has(fieldMapping.contactField)) {
+      return decisions.get(fieldMapping.contactField);
+    }
+
+    const result = await _xrm.Navigation.openConfirmDialog({
+      title: _localisation.getString("ReplaceContactTitle"),
+      text: _localisation.getString("ReplaceContactText", {
+        chosenContactName: chosenContact.name,
+        accountName: customer.name,
+        primaryContactName: primaryContact.name,
+      }),
+      confirmButtonLabel: _localisation.getString(
+        "ReplaceContactConfirmLabel",
+        { contactName: primaryContact.name }
+      ),
+      cancelButtonLabel: _localisation.getString("ReplaceContactCancelLabel", {
+        contactName: chosenContact.name,
+      }),
+    });
+
+    const shouldReplace = Boolean(result?.confirmed);
+    decisions.set(fieldMapping.contactField, shouldReplace);
+    return shouldReplace;
+  }
+
+  /**
+   * Reads the values a form session keeps in a map keyed by form context,
+   * keyed in turn by contact field, adding them for a new form.
+   *
+   * @param {WeakMap<Object, Map>} valuesByForm  The values, keyed by form
+   *                                             context
+   * @param {Object} formContext  The form context object.
+   * @returns {Map<string, *>}  The values of the form, keyed by contact field
+   */
+  function _readFormValues(valuesByForm, formContext) {
+    if (!valuesByForm.has(formContext)) {
+      valuesByForm.set(formContext, new Map());
+    }
+    return valuesByForm.get(formContext);
+  }
+
+  /**
+   * Retrieves the lookup value for a contact's parent customer, where the
+   * parent customer is an account. Returns null if the contact has no parent
+   * customer or the parent customer is a contact.
+   *
+   * @param {string} contactId  The ID of the contact
+   * @returns {Promise<Object|null>}  A promise that resolves to the account
+   *                                  lookup value.
+   * @throws {Error}  If there is an error retrieving the contact record.
+   */
+  async function _getParentAccountLookupValueOfContact(contactId) {
+    const parentAccountProperty =
+      _logicalNames.contactFields.parentCustomer +
+      "_" +
+      _logicalNames.tables.account;
+    const contact = await _recordCache.retrieveRecord(
+      _logicalNames.tables.contact,
+      _formatId(contactId),
+      "?$select=" +
+        _toLookupValueColumn(_logicalNames.contactFields.parentCustomer) +
+        "&$expand=" +
+        parentAccountProperty +
+        "($select=" +
+        _logicalNames.accountFields.name +
+        ")"
+    );
+
+    const account = contact?.[parentAccountProperty];
+    if (!account) {
+      return null;
+    }
+    return {
+      id: account[_logicalNames.accountFields.id],
+      name: account[_logicalNames.accountFields.name],
+      entityType: _logicalNames.tables.account,
+    };
+  }
+
+  /**
+   * Offers to set the customer to the contact's parent account, through a
+   * notification on the customer control.
+   *
+   * @param {Object} formContext  The form context object.
+   * @param {Object} fieldMapping  The validated field mapping
+   * @param {Object} contact  The contact lookup value
+   * @param {Object} account  The parent account lookup value
+   */
+  function _offerToSetCustomerToAccount(
+    formContext,
+    fieldMapping,
+    contact,
+    account
+  ) {
+    _notifications.show(formContext, {
+      id: _notificationIds.customerFromContact,
+      message: _localisation.getString("ContactOfAccount", {
+        contactName: contact.name,
+        accountName: account.name,
+      }),
+      severity: _notifications.severities.info,
+      fieldName: fieldMapping.customerField,
+      actions: [
+        {
+          message: _localisation.getString("SetCustomerAction", {
+            accountName: account.name,
+          }),
+          action: () =>
+            _setCustomerKeepingContact(formContext, fieldMapping, account),
+        },
+      ],
+    });
+  }
+
+  /**
+   * Sets the customer field to an account, keeping the contact. The customer
+   * on change event is not fired, as the contact should not be replaced with
+   * the account's primary contact. The contact control is updated for the new
+   * customer instead.
+   *
+   * @param {Object} formContext  The form context object.
+   * @param {Object} fieldMapping  The validated field mapping
+   * @param {Object} account  The account lookup value
+   */
+  function _setCustomerKeepingContact(formContext, fieldMapping, account) {
+    _notifications.clear(formContext, _notificationIds.customerFromContact);
+    formContext.getAttribute(fieldMapping.customerField).setValue([account]);
+    _updateContactFieldControl(formContext, fieldMapping).catch((error) =>
+      _logger.error("Applying the form rules failed", {
+        error: error?.message,
+        stack: error?.stack,
+      })
+    );
+  }
+
+  /**
+   * Retrieves the ID of a contact's parent customer. Returns null if the
+   * contact has no parent customer.
+   *
+   * @param {string} contactId  The ID of the contact
+   * @returns {Promise<string|null>}  A promise that resolves to the ID of the
+   *                                  parent customer
+   * @throws {Error}  If there is an error retrieving the contact record.
+   */
+  async function _getParentCustomerIdOfContact(contactId) {
+    const parentCustomerColumn = _toLookupValueColumn(
+      _logicalNames.contactFields.parentCustomer
+    );
+    const contact = await _recordCache.retrieveRecord(
+      _logicalNames.tables.contact,
+      _formatId(contactId),
+      `?$select=${parentCustomerColumn}`
+    );
+    return contact?.[parentCustomerColumn] ?? null;
+  }
+
+  /**
+   * Checks that a contact belongs to a customer account, i.e. that its parent
+   * customer is the account, or one of its parent accounts up to the given
+   * depth. A contact of a customer that is not an account, and no contact,
+   * are accepted.
+   *
+   * @param {Object|null} customer  The customer lookup value
+   * @param {Object|null} contact  The contact lookup value
+   * @param {number} parentAccountDepth  The number of parent accounts to
+   *                                     search
+   * @returns {Promise<boolean>}  A promise that resolves to true if the
+   *                              contact belongs to the customer
+   * @throws {Error}  If there is an error retrieving a record
+   */
+  async function _isContactOfCustomer(customer, contact, parentAccountDepth) {
+    if (customer?.entityType !== _logicalNames.tables.account || !contact) {
+      return true;
+    }
+
+    const parentCustomerId = await _getParentCustomerIdOfContact(contact.id);
+    return (
+      _formatId(parentCustomerId) === _formatId(customer.id) ||
+      (await _isParentAccountOf(
+        parentCustomerId,
+        customer.id,
+        parentAccountDepth
+      ))
+    );
+  }
+
+  /**
+   * Shows an error on the contact control explaining that the contact is not
+   * associated with the customer account.
+   *
+   * @param {Object} formContext  The form context object.
+   * @param {Object} fieldMapping  The validated field mapping
+   * @param {Object} customer  The customer lookup value
+   * @param {Object} contact  The contact lookup value
+   */
+  function _addContactNotOfCustomerNotification(
+    formContext,
+    fieldMapping,
+    customer,
+    contact
+  ) {
+    _notifications.show(formContext, {
+      id: _notificationIds.contactNotOfCustomer,
+      message: _localisation.getString("ContactNotOfCustomer", {
+        contactName: contact.name,
+        customerName: customer.name,
+      }),
+      severity: _notifications.severities.error,
+      fieldName: fieldMapping.contactField,
+    });
+  }
+
+  /**
+   * Applies the account primary contact to a batch of cases, see
+   * applyAccountPrimaryContactToCases, adding each case to the summary. The
+   * updates of the batch are sent in one executeMultiple request, see
+   * _sendCaseUpdates. Where the batch cannot be retrieved, every case in it
+   * fails, and a case to update fails where its update was not applied.
+   *
+   * @param {string[]} caseIds  The formatted ids of the cases
+   * @param {Map<string, Promise>} contactChoices  The contact choices made
+   *                                               so far, keyed by account id
+   * @param {Object} summary  The updated, skipped and failed cases
+   * @param {Object} log  The handler log, see cr4fd.logger.startHandler
+   * @returns {Promise<void>}
+   */
+  async function _applyAccountPrimaryContactToBatch(
+    caseIds,
+    contactChoices,
+    summary,
+    log
+  ) {
+    let caseRecords;
+    try {
+      caseRecords = await _getCasesForBulkUpdate(caseIds);
+    } catch (error) {
+      log.warn("cases not retrieved", { caseIds, error: error.message });
+      const message = _localisation.getString("CaseNotRetrieved");
+      caseIds.forEach((id) => summary.failed.push({ id, title: id, message }));
+      return;
+    }
+
+    const results = await Promise.all(
+      caseIds.map((id) =>
+        _chooseAccountPrimaryContactForCase(
+          id,
+          caseRecords.get(id),
+          contactChoices,
+          log
+        )
+      )
+    );
+    const appliedUpdates = await _sendCaseUpdates(
+      results.filter(({ update }) => update),
+      log
+    );
+
+    for (const { outcome, update, ...result } of results) {
+      const isApplied = update ? appliedUpdates.get(result.id) : true;
+      if (isApplied) {
+        summary[outcome].push(result);
+      } else {
+        summary.failed.push({
+          ...result,
+          message: _localisation.getString(
+            isApplied === false
+              ? "CaseContactNotApplied"
+              : "CaseContactNotConfirmed"
+          ),
+        });
+      }
+    }
+  }
+
+  /**
+   * Retrieves the customer and contact of a batch of cases with one request.
+   *
+   * @param {string[]} caseIds  The formatted ids of the cases
+   * @returns {Promise<Map<string, Object>>}  A promise that resolves to the
+   *                                          case records, keyed by id
+   * @throws {Error}  If there is an error retrieving the cases
+   */
+  async function _getCasesForBulkUpdate(caseIds) {
+    const idColumn = _logicalNames.caseFields.id;
+    const result = await _webApi.retrieveMultipleRecords(
+      _logicalNames.tables.case,
+      "?$select=" +
+        [
+          _logicalNames.caseFields.title,
+          _logicalNames.caseFields.status,
+          _toLookupValueColumn(_logicalNames.caseFields.customer),
+          _toLookupValueColumn(_logicalNames.caseFields.contact),
+        ].join(",") +
+        "&$filter=" +
+        caseIds.map((id) => `${idColumn} eq ${id}`).join(" or "),
+      caseIds.length
+    );
+    return new Map(
+      (result?.entities ?? []).map((caseRecord) => [
+        _formatId(caseRecord[idColumn]),
+        caseRecord,
+      ])
+    );
+  }
+
+  /**
+   * Chooses the account primary contact to apply to a case, see
+   * applyAccountPrimaryContactToCases. Where the contact would change, the
+   * outcome is updated, with an update holding the id of the contact and the
+   * request that sets it.
+   *
+   * @param {string} caseId  The formatted id of the case
+   * @param {Object|undefined} caseRecord  The case, see
+   *                                       _getCasesForBulkUpdate
+   * @param {Map<string, Promise>} contactChoices  The contact choices made
+   *                                               so far, keyed by account id
+   * @param {Object} log  The handler log, see cr4fd.logger.startHandler
+   * @returns {Promise<Object>}  A promise that resolves to the outcome, one
+   *                             of updated, skipped or failed, with the case
+   *                             id and title, a message describing it and,
+   *                             where updated, the update
+   */
+  async function _chooseAccountPrimaryContactForCase(
+    caseId,
+    caseRecord,
+    contactChoices,
+    log
+  ) {
+    const title = caseRecord?.[_logicalNames.caseFields.title] || caseId;
+    const result = (outcome, message, values) => ({
+      outcome,
+      id: caseId,
+      title,
+      message: _localisation.getString(message, values),
+    });
+
+    if (!caseRecord) {
+      return result("failed", "CaseNotFound");
+    }
+    if (caseRecord[_logicalNames.caseFields.status] !== _caseActiveStatusCode) {
+      return result("skipped", "CaseNotActive");
+    }
+    const customer = _readLookupColumn(
+      caseRecord,
+      _logicalNames.caseFields.customer
+    );
+    if (customer?.entityType !== _logicalNames.tables.account) {
+      return result("skipped", "CaseCustomerNotAccount");
+    }
+
+    try {
+      const accountId = _formatId(customer.id);
+      if (!contactChoices.has(accountId)) {
+        contactChoices.set(
+          accountId,
+          _chooseContactForCustomer(customer, _defaultParentAccountDepth)
+        );
+      }
+      const [contact] = (await contactChoices.get(accountId)).contact ?? [];
+      if (!contact) {
+        return result("skipped", "AccountHasNoContactToApply", {
+          accountName: customer.name,
+        });
+      }
+
+      const currentContact = _readLookupColumn(
+        caseRecord,
+        _logicalNames.caseFields.contact
+      );
+      if (_formatId(currentContact?.id) === _formatId(contact.id)) {
+        return result("skipped", "CaseContactUnchanged", {
+          contactName: contact.name,
+        });
+      }
+
+      const contactId = _formatId(contact.id);
+      const contactBinding = `/contacts(${contactId})`;
+      return {
+        ...result("updated", "CaseContactApplied", {
+          contactName: contact.name,
+        }),
+        update: {
+          contactId,
+          request: _webApi.createUpdateRequest(
+            _logicalNames.tables.case,
+            caseId,
+            {
+              [`${_logicalNames.caseFields.contact}@odata.bind`]:
+                contactBinding,
+            }
+          ),
+        },
+      };
+    } catch (error) {
+      log.warn("contact not chosen", { caseId, error: error.message });
+      return result("failed", "AccountContactNotChosen", {
+        accountName: customer.name,
+      });
+    }
+  }
+
+  /**
+   * Sends the case updates of a batch in one executeMultiple request.
+   * Dataverse stops a batch at the first update that fails, having applied
+   * the updates before it, so where the batch fails the contacts of its cases
+   * are read again to find out which updates were applied.
+   *
+   * @param {Object[]} updates  The updated outcomes, each with the case id
+   *                            and the update, see
+   *                            _chooseAccountPrimaryContactForCase
+   * @param {Object} log  The handler log, see cr4fd.logger.startHandler
+   * @returns {Promise<Map<string, boolean|null>>}  A promise that resolves to
+   *                                                whether each update was
+   *                                                applied, keyed by case id,
+   *                                                or null where the case
+   *                                                could not be read again
+   */
+  async function _sendCaseUpdates(updates, log) {
+    if (!updates.length) {
+      return new Map();
+    }
+
+    try {
+      await _webApi.executeMultiple(
+        updates.map(({ update }) => update.request)
+      );
+      return new Map(updates.map(({ id }) => [id, true]));
+    } catch (error) {
+      log.warn("case updates stopped", { error: error.message });
+    }
+
+    let caseRecords;
+    try {
+      caseRecords = await _getCasesForBulkUpdate(updates.map(({ id }) => id));
+    } catch (error) {
+      log.warn("case updates not confirmed", { error: error.message });
+      return new Map(updates.map(({ id }) => [id, null]));
+    }
+    return new Map(
+      updates.map(({ id, update }) => {
+        const contact = _readLookupColumn(
+          caseRecords.get(id),
+          _logicalNames.caseFields.contact
+        );
+        const isApplied = _formatId(contact?.id) === update.contactId;
+        if (!isApplied) {
+          log.warn("case update not applied", { caseId: id });
+        }
+        return [id, isApplied];
+      })
+    );
+  }
+
+  /**
+   * Builds the text of the summary dialog of
+   * applyAccountPrimaryContactToCases, with a heading and a line per case for
+   * the updated, skipped and failed cases.
+   *
+   * @param {Object} summary  The updated, skipped and failed cases
+   * @returns {string}  The localised summary
+   */
+  function _buildBulkUpdateSummaryText(summary) {
+    const sections = [
+      ["BulkContactUpdatedHeading", summary.updated],
+      ["BulkContactSkippedHeading", summary.skipped],
+      ["BulkContactFailedHeading", summary.failed],
+    ];
+    return sections
+      .map(([heading, cases]) =>
+        [
+          _localisation.getString(heading, { count: cases.length }),
+          ...cases.map((caseResult) =>
+            _localisation.getString("BulkContactSummaryLine", caseResult)
+          ),
+        ].join("\n")
+      )
+      .join("\n\n");
+  }
+
+  /**
+   * Shows an error on the contact cell of an editable grid row explaining
+   * that the contact is not associated with the customer account, or clears
+   * it.
+   *
+   * @param {Object} gridRow  The grid row, see _readGridRow
+   * @param {Object} fieldMapping  The validated field mapping
+   * @param {Object|null} mismatch  The customer and contact lookup values
+   *                                that do not match, or null to clear the
+   *                                error
+   */
+  function _updateContactNotOfCustomerCellNotification(
+    gridRow,
+    fieldMapping,
+    mismatch
+  ) {
+    const contactCell = gridRow.getControl(fieldMapping.contactField);
+    if (!mismatch) {
+      contactCell.clearNotification(_notificationIds.contactNotOfCustomer);
+      return;
+    }
+
+    contactCell.setNotification(
+      _localisation.getString("ContactNotOfCustomer", {
+        contactName: mismatch.contact.name,
+        customerName: mismatch.customer.name,
+      }),
+      _notificationIds.contactNotOfCustomer
+    );
+  }
+
+  /**
+   * Retrieves the communication channel columns of a contact record, see
+   * contactChannels.columns.
+   *
+   * @param {string} contactId  The ID of the contact
+   * @returns {Promise<Object>}  A promise that resolves to the contact record
+   * @throws {Error}  If there is an error retrieving the contact record.
+   */
+  async function _getContactChannelsRecord(contactId) {
+    return await _recordCache.retrieveRecord(
+      _logicalNames.tables.contact,
+      _formatId(contactId),
+      "?$select=" + _contactChannels.columns.join(",")
+    );
+  }
+
+  /**
+   * Shows, or clears, the notification listing the contact's communication
+   * channels.
+   *
+   * @param {Object} formContext  The form context object.
+   * @param {Object|null} contact  The contact lookup value
+   * @param {Object|null} contactRecord  The contact's channel columns
+   */
+  function _updateContactChannelsNotification(
+    formContext,
+    contact,
+    contactRecord
+  ) {
+    if (!contact || !contactRecord) {
+      _notifications.clear(formContext, _notificationIds.contactChannels);
+      return;
+    }
+
+    const channelModel = _contactChannels.buildModel(contactRecord);
+    const isAnyChannelAvailable = channelModel.recommendedChannel !== null;
+
+    _notifications.show(formContext, {
+      id: _notificationIds.contactChannels,
+      message: _localisation.getString(
+        isAnyChannelAvailable
+          ? "ContactChannels"
+          : "ContactChannelsUnavailable",
+        {
+          contactName: contact.name,
+          channels: Object.values(channelModel.channels)
+            .map(_describeChannel)
+            .join(", "),
+        }
+      ),
+      severity: isAnyChannelAvailable
+        ? _notifications.severities.info
+        : _notifications.severities.warning,
+    });
+  }
+
+  /**
+   * Describes a channel of a contact's channel model for display, marking
+   * channels that are not provided, not well formed, opted out of, or whose
+   * do not contact preference is not set, as these may not be used.
+   *
+   * @param {Object} channel  The channel, see contactChannels.buildModel
+   * @returns {string}  The description of the channel
+   */
+  function _describeChannel(channel) {
+    if (!channel.value) {
+      return _localisation.getString("ChannelNotProvided", {
+        channel: channel.label,
+      });
+    }
+    const values = { channel: channel.label, value: channel.value };
+    if (!channel.isValid) {
+      return _localisation.getString("ChannelNotValid", values);
+    }
+    if (channel.isOptedOut) {
+      return _localisation.getString("ChannelOptedOut", values);
+    }
+    if (!channel.isAvailable) {
+      return _localisation.getString("ChannelConsentUnknown", values);
+    }
+    return _localisation.getString("ChannelAvailable", values);
+  }
+
+  /**
+   * Compares a record's contact with the contact that would be chosen for its
+   * customer account now, and with the contact's state.
+   *
+   * @param {Object} customer  The customer account lookup value
+   * @param {Object} contact  The contact lookup value
+   * @param {number} parentAccountDepth  The number of parent accounts to
+   *                                     search, see _chooseContactForCustomer
+   * @returns {Promise<Object|null>}  A promise that resolves to the drift,
+   *                                  with whether the contact is active and
+   *                                  the contact to recommend, or null if the
+   *                                  contact has not drifted.
+   * @throws {Error}  If there is an error retrieving a record.
+   */
+  async function _findContactDrift(customer, contact, parentAccountDepth) {
+    const [contactChoice, contactRecord] = await Promise.all([
+      _chooseContactForCustomer(customer, parentAccountDepth),
+      _getContactStateRecord(contact.id),
+    ]);
+    const isContactActive = _isActiveContact(contactRecord);
+
+    if (
+      isContactActive &&
+      (!contactChoice.primaryContact ||
+        _isSameLookupValue(contact, contactChoice.primaryContact))
+    ) {
+      return null;
+    }
+
+    const recommendedContact = contactChoice.contact?.[0] ?? null;
+    return {
+      isContactActive,
+      recommendedContact: _isSameLookupValue(recommendedContact, contact)
+        ? null
+        : recommendedContact,
+    };
+  }
+
+  /**
+   * Retrieves the state of a contact.
+   *
+   * @param {string} contactId  The ID of the contact
+   * @returns {Promise<Object>}  A promise that resolves to the contact record
+   * @throws {Error}  If there is an error retrieving the contact record.
+   */
+  async function _getContactStateRecord(contactId) {
+    return await _recordCache.retrieveRecord(
+      _logicalNames.tables.contact,
+      _formatId(contactId),
+      "?$select=" + _logicalNames.contactFields.state
+    );
+  }
+
+  /**
+   * Shows, or clears, the notifications describing a contact's drift. The
+   * notification on the contact control offers to update the contact to the
+   * recommended contact, through _setCaseContactField.
+   *
+   * @param {Object} formContext  The form context object.
+   * @param {Object} fieldMapping  The validated field mapping
+   * @param {Object|null} customer  The customer lookup value
+   * @param {Object|null} contact  The contact lookup value
+   * @param {Object|null} drift  The drift, see _findContactDrift, or null
+   */
+  function _updateContactDriftNotifications(
+    formContext,
+    fieldMapping,
+    customer,
+    contact,
+    drift
+  ) {
+    _notifications.clear(formContext, _notificationIds.contactDriftUpdate);
+    if (!drift) {
+      _notifications.clear(formContext, _notificationIds.contactDrift);
+      return;
+    }
+
+    const recommendedContact = drift.recommendedContact;
+    const message =
+      _localisation.getString(
+        drift.isContactActive ? "ContactNoLongerPrimary" : "ContactDeactivated",
+        { contactName: contact.name, customerName: customer.name }
+      ) +
+      (recommendedContact
+        ? " " +
+          _localisation.getString("RecommendedContact", {
+            contactName: recommendedContact.name,
+          })
+        : "");
+    _notifications.show(formContext, {
+      id: _notificationIds.contactDrift,
+      message,
+      severity: _notifications.severities.warning,
+    });
+
+    if (!recommendedContact || !_isWritableForm(formContext)) {
+      return;
+    }
+    _notifications.show(formContext, {
+      id: _notificationIds.contactDriftUpdate,
+      message,
+      severity: _notifications.severities.info,
+      fieldName: fieldMapping.contactField,
+      actions: [
+        {
+          message: _localisation.getString("UpdateContactAction", {
+            contactName: recommendedContact.name,
+          }),
+          action: () => {
+            _notifications.clear(formContext, _notificationIds.contactDrift);
+            _notifications.clear(
+              formContext,
+              _notificationIds.contactDriftUpdate
+            );
+            _setCaseContactField(formContext, fieldMapping, [
+              recommendedContact,
+            ]);
+          },
+        },
+      ],
+    });
+  }
+
+  /**
+   * Retrieves an active case whose customer is the case customer, which the
+   * single active case plug-in would reject the new case for. Where there is
+   * none, retrieves an active case whose customer or contact is the case
+   * contact. Returns null when the form is not creating a case or there is no
+   * customer or contact to check.
+   *
+   * @param {Object} formContext  The form context object.
+   * @param {Object|null} customer  The customer field value
+   * @param {Object|null} contact  The contact field value
+   * @returns {Promise<Object|null>}  A promise that resolves to the active
+   *                                  case record, or null if none is found.
+   */
+  async function _getActiveCaseForCustomerOrContact(
+    formContext,
+    customer,
+    contact
+  ) {
+    if (!_isCreateForm(formContext)) {
+      return null;
+    }
+
+    const [customerCase, contactCase] = await Promise.all([
+      customer ? _getActiveCase(_buildActiveCaseFilter(customer)) : null,
+      contact && !_isSameLookupValue(customer, contact)
+        ? _getActiveCase(_buildActiveCaseForContactFilter(contact))
+        : null,
+    ]);
+    return customerCase ?? contactCase;
+  }
+
+  /**
+   * Retrieves the first active case matching a filter.
+   *
+   * @param {string} filter  The filter matching active cases
+   * @returns {Promise<Object|null>}  A promise that resolves to the active
+   *                                  case record, or null if none is found.
+   * @throws {Error}  If there is an error retrieving the case
+   */
+  async function _getActiveCase(filter) {
+    const result = await _webApi.retrieveMultipleRecords(
+      _logicalNames.tables.case,
+      _buildSelectQueryStringForActiveCase(filter)
+    );
+    return result?.entities?.[0] ?? null;
+  }
+
+  /**
+   * Builds a filter matching active cases of a customer, as checked by the
+   * single active case plug-in.
+   *
+   * @param {Object} customer  The customer lookup value
+   * @returns {string}  The filter
+   */
+  function _buildActiveCaseFilter(customer) {
+    return (
+      `${_logicalNames.caseFields.status} eq ${_caseActiveStatusCode} and ` +
+      `${_toLookupValueColumn(_logicalNames.caseFields.customer)} eq ` +
+      _formatId(customer.id)
+    );
+  }
+
+  /**
+   * Builds a filter matching active cases whose customer or contact is a
+   * contact. The single active case plug-in does not reject a new case for
+   * these.
+   *
+   * @param {Object} contact  The contact lookup value
+   * @returns {string}  The filter
+   */
+  function _buildActiveCaseForContactFilter(contact) {
+    const contactId = _formatId(contact.id);
+    return (
+      `${_logicalNames.caseFields.status} eq ${_caseActiveStatusCode} and ` +
+      `(${_toLookupValueColumn(_logicalNames.caseFields.customer)} eq ` +
+      `${contactId} or ` +
+      `${_toLookupValueColumn(_logicalNames.caseFields.contact)} eq ` +
+      `${contactId})`
+    );
+  }
+
+  /**
+   * Builds a query string to fetch the first active case matching a filter.
+   *
+   * @param {string} filter  The filter matching active cases
+   * @returns {string}  The query string
+   */
+  function _buildSelectQueryStringForActiveCase(filter) {
+    return (
+      "?$select=" +
+      [
+        _logicalNames.caseFields.title,
+        _toLookupValueColumn(_logicalNames.caseFields.customer),
+      ].join(",") +
+      "&$filter=" +
+      filter +
+      "&$top=1"
+    );
+  }
+
+  /**
+   * Shows, or clears, the notifications that an active case already exists.
+   * The notification is shown on the form, as a warning where the case is the
+   * customer's and as info where it is the contact's, and on the customer
+   * control with an action to open the existing case.
+   *
+   * @param {Object} formContext  The form context object.
+   * @param {Object|null} activeCase  The active case record, or null
+   */
+  function _updateActiveCaseNotifications(formContext, activeCase) {
+    if (!activeCase) {
+      _notifications.clear(formContext, _notificationIds.activeCase);
+      _notifications.clear(formContext, _notificationIds.activeCaseAction);
+      return;
+    }
+
+    const isCustomerCase = _isActiveCaseOfCustomer(formContext, activeCase);
+    const message = _localisation.getString(
+      isCustomerCase ? "ActiveCaseForCustomer" : "ActiveCaseForContact",
+      { title: activeCase[_logicalNames.caseFields.title] }
+    );
+    _notifications.show(formContext, {
+      id: _notificationIds.activeCase,
+      message,
+      severity: isCustomerCase
+        ? _notifications.severities.warning
+        : _notifications.severities.info,
+    });
+    _notifications.show(formContext, {
+      id: _notificationIds.activeCaseAction,
+      message,
+      severity: _notifications.severities.info,
+      fieldName: _logicalNames.caseFields.customer,
+      actions: [
+        {
+          message: _localisation.getString("OpenActiveCaseAction"),
+          action: () => _openCase(activeCase[_logicalNames.caseFields.id]),
+        },
+      ],
+    });
+  }
+
+  /**
+   * Checks whether an active case belongs to the case customer, so that the
+   * single active case plug-in would reject the new case, rather than to the
+   * case contact.
+   *
+   * @param {Object} formContext  The form context object.
+   * @param {Object} activeCase  The active case record
+   * @returns {boolean}  True if the active case is the customer's
+   */
+  function _isActiveCaseOfCustomer(formContext, activeCase) {
+    const customer = _readCustomerField(formContext, _defaultFieldMapping);
+    const activeCaseCustomerId =
+      activeCase[_toLookupValueColumn(_logicalNames.caseFields.customer)];
+
+    return Boolean(
+      customer && _formatId(customer.id) === _formatId(activeCaseCustomerId)
+    );
+  }
+
+  /**
+   * Retrieves an active case whose customer is an account, which the single
+   * active case plug-in allows one of.
+   *
+   * @param {Object} account  The account lookup value
+   * @returns {Promise<Object|null>}  A promise that resolves to the active
+   *                                  case, or null
+   * @throws {Error}  If there is an error retrieving the case
+   */
+  async function _getActiveCaseOfAccount(account) {
+    return await _getActiveCase(_buildActiveCaseFilter(account));
+  }
+
+  /**
+   * Tells the user that an account already has an active case, so that a new
+   * case cannot be saved, and offers to open the active case.
+   *
+   * @param {Object} account  The account lookup value
+   * @param {Object} activeCase  The active case
+   * @returns {Promise<void>}  A promise that resolves once the user answers
+   */
+  async function _offerToOpenActiveCaseOfAccount(account, activeCase) {
+    const { confirmed } = await _xrm.Navigation.openConfirmDialog({
+      title: _localisation.getString("ActiveCaseForAccountTitle"),
+      text: _localisation.getString("ActiveCaseForAccount", {
+        accountName: account.name,
+        title: activeCase[_logicalNames.caseFields.title],
+      }),
+      confirmButtonLabel: _localisation.getString("OpenActiveCaseAction"),
+    });
+    if (confirmed) {
+      _openCase(activeCase[_logicalNames.caseFields.id]);
+    }
+  }
+
+  /**
+   * Builds the parameters of a new case form, setting the customer, contact
+   * and case email. Lookups are passed as their id, name and type.
+   *
+   * @param {Object} account  The account lookup value
+   * @param {Object|undefined} contact  The contact lookup value
+   * @param {string|null|undefined} emailAddress  The contact's email address
+   * @returns {Object}  The form parameters
+   */
+  function _buildNewCaseFormParameters(account, contact, emailAddress) {
+    const lookupParameters = (field, lookupValue) => ({
+      [field]: lookupValue.id,
+      [`${field}name`]: lookupValue.name,
+      [`${field}type`]: lookupValue.entityType,
+    });
+
+    return {
+      ...lookupParameters(_logicalNames.caseFields.customer, account),
+      ...(contact
+        ? lookupParameters(_logicalNames.caseFields.contact, contact)
+        : {}),
+      ...(emailAddress
+        ? { [_logicalNames.caseFields.email]: emailAddress }
+        : {}),
+    };
+  }
+
+  /**
+   * Opens a case form in a new window.
+   *
+   * @param {string} caseId  The ID of the case to open
+   */
+  function _openCase(caseId) {
+    _xrm.Navigation.openForm({
+      entityName: _logicalNames.tables.case,
+      entityId: caseId,
+      openInNewWindow: true,
+    });
+  }
+
+  /**
+   * Main control for the logic updating the visibility, requirement level and
+   * lookup filter of the contact field
+   *
+   * The form rules are applied, see _applyFormRules. By default, if the
+   * customer is a contact the field is hidden, else it is visible, and if the
+   * customer is an account the field is required, else it is optional
+   * If the customer is an account the lookup only offers the account's
+   * contacts, else it is unfiltered
+   * Any notification that the contact is not associated with the customer is
+   * cleared, as either field may have changed since the form was saved
+   *
+   * @param {Object} formContext  The form context object.
+   * @param {Object} fieldMapping  The validated field mapping
+   * @returns {Promise<void>}  A promise that resolves once the form rules are
+   *                           applied
+   */
+  function _updateContactFieldControl(formContext, fieldMapping) {
+    const customerFieldValue = _readCustomerField(formContext, fieldMapping);
+    const filterAccount =
+      customerFieldValue?.entityType === _logicalNames.tables.account
+        ? customerFieldValue
+        : null;
+
+    _setContactLookupAccountFilter(formContext, fieldMapping, filterAccount);
+    _notifications.clear(formContext, _notificationIds.contactNotOfCustomer);
+    if (
+      !_isSameLookupValue(
+        _readContactField(formContext, fieldMapping),
+        _readFormValues(_contactsSetByConnector, formContext).get(
+          fieldMapping.contactField
+        ) ?? null
+      )
+    ) {
+      _notifications.clear(
+        formContext,
+        _notificationIds.inactivePrimaryContact
+      );
+      _notifications.clear(
+        formContext,
+        _notificationIds.contactFromParentAccount
+      );
+    }
+    return _applyFormRules(formContext, fieldMapping);
+  }
+
+  /**
+   * Applies the rules of the field mapping, or the default rules, to the form,
+   * see formRules.apply. Effects may name the customerField or contactField
+   * of the field mapping in place of a logical name. The facts are:
+   *
+   * - customer and contact: the lookup values of the mapped fields, with the
+   *   columns of the contact record that the rules use, e.g. contact.donotemail
+   * - account: the customer, where it is an account, with the columns of the
+   *   account record that the rules use, e.g. account.primarycontactid
+   * - fields: the values of the form's fields, e.g. fields.title
+   *
+   * Lookup columns of the records are facts with an id, name and entityType.
+   * Rules that use only the customer and contact lookup values and the form's
+   * fields are applied at once. Otherwise the records are retrieved first,
+   * and the rules are not applied where the customer or contact has changed
+   * since, as the change applies them again. Retrievals are tracked per
+   * record, so that the rows of an editable grid, see
+   * populateContactOnGridRowChange, do not discard each other's rules.
+   *
+   * @param {Object} formContext  The form context object
+   * @param {Object} fieldMapping  The validated field mapping
+   * @returns {Promise<void>}  A promise that resolves once the rules are
+   *                           applied
+   * @throws {Error}  If there is an error retrieving a record
    */
-  async function populateContactOnCustomerChange(executionContext) {
-    try {
-      _guardExecutionContextIsValid(executionContext);
-      const formContext = _tryReadValidFormContextOrThrow(executionContext);
-
-      const contact = await _getContactLookupValueFromCustomerField(
-        formContext
+  function _applyFormRules(formContext, fieldMapping) {
+    const rules = fieldMapping.rules ?? _defaultRules;
+    const factPaths = _formRules.readFactPaths(rules);
+    const customer = _readCustomerField(formContext, fieldMapping);
+    const contact = _readContactField(formContext, fieldMapping);
+    const account =
+      customer?.entityType === _logicalNames.tables.account ? customer : null;
+    const facts = {
+      customer,
+      contact,
+      account,
+      fields: _readFieldFacts(formContext, factPaths),
+    };
+    const applyRules = () =>
+      _formRules.apply(formContext, rules, facts, (fieldName) =>
+        _ruleMappedFields.includes(fieldName)
+          ? fieldMapping[fieldName]
+          : fieldName
       );
 
-      _setCaseContactField(formContext, contact);
-    } catch (error) {
-      console.error(error);
-      _notifyUserOfError(error, populateContactOnCustomerChange.name);
+    const contactColumns = _readRecordFactColumns(factPaths, "contact");
+    const accountColumns = _readRecordFactColumns(factPaths, "account");
+    if (
+      (!contact || !contactColumns.length) &&
+      (!account || !accountColumns.length)
+    ) {
+      applyRules();
+      return Promise.resolve();
     }
+
+    const isLatestRequest = _startRequest(
+      `${_applyFormRules.name}_${formContext.data.entity.getId()}`
+    );
+    return Promise.all([
+      _retrieveRuleFacts(_logicalNames.tables.contact, contact, contactColumns),
+      _retrieveRuleFacts(_logicalNames.tables.account, account, accountColumns),
+    ]).then(([contactFacts, accountFacts]) => {
+      if (
+        !isLatestRequest() ||
+        !_isSameLookupValue(
+          customer,
+          _readCustomerField(formContext, fieldMapping)
+        ) ||
+        !_isSameLookupValue(
+          contact,
+          _readContactField(formContext, fieldMapping)
+        )
+      ) {
+        return;
+      }
+      facts.contact = contactFacts;
+      facts.account = accountFacts;
+      applyRules();
+    });
   }
 
   /**
-   * Case form event handler, designed for use with the case form on load and
-   * contact on change events.
+   * Reads the rules of the field mapping, or the default rules, for an
+   * editable grid row, i.e. without the notification effects, which a grid
+   * cannot show.
    *
-   * This handler, updates the visibility and requirement level of the contact
-   * control in a case form based on the value of the customer field.
+   * @param {Object} fieldMapping  The validated field mapping
+   * @returns {Object[]}  The rules
+   */
+  function _readGridRules(fieldMapping) {
+    const isFieldEffect = (effect) => !effect.notification;
+    return (fieldMapping.rules ?? _defaultRules).map((rule) => ({
+      ...rule,
+      then: rule.then.filter(isFieldEffect),
+      otherwise: rule.otherwise?.filter(isFieldEffect),
+    }));
+  }
+
+  /**
+   * Reads the values of the form's fields that rules use, as facts.
    *
-   * If the customer is a contact the field is hidden, else it is visible
-   * If the customer is an account the field is required, else it is optional
+   * @param {Object} formContext  The form context object
+   * @param {string[]} factPaths  The paths of the facts the rules use
+   * @returns {Object}  The field values, keyed by logical name
+   */
+  function _readFieldFacts(formContext, factPaths) {
+    return Object.fromEntries(
+      _readRecordFactColumns(factPaths, "fields").map((fieldName) => [
+        fieldName,
+        formContext.getAttribute(fieldName)?.getValue() ?? null,
+      ])
+    );
+  }
+
+  /**
+   * Reads the columns of a record that rules use, i.e. the second part of the
+   * fact paths starting with the record's fact, other than the properties of
+   * its lookup value.
    *
-   * @param {Object} executionContext  Execution context passed as a first
-   *                                   parameter for a form event
+   * @param {string[]} factPaths  The paths of the facts the rules use
+   * @param {string} factName  The fact holding the record, e.g. contact
+   * @returns {string[]}  The distinct column names
    */
-  async function updateContactField(executionContext) {
-    try {
-      _guardExecutionContextIsValid(executionContext);
-      const formContext = _tryReadValidFormContextOrThrow(executionContext);
+  function _readRecordFactColumns(factPaths, factName) {
+    const columns = factPaths
+      .map((path) => path.split("."))
+      .filter(([name, column]) => name === factName && column)
+      .map(([, column]) => column)
+      .filter((column) => !_ruleLookupFacts.includes(column));
+    return [...new Set(columns)];
+  }
 
-      _updateContactFieldControl(formContext);
-    } catch (error) {
-      console.error(error);
-      _notifyUserOfError(error, updateContactField.name);
+  /**
+   * Retrieves the columns of a record that rules use, as facts added to its
+   * lookup value. Lookup columns are read as lookup values.
+   *
+   * @param {string} tableName  The logical name of the table
+   * @param {Object|null} lookupValue  The lookup value of the record
+   * @param {string[]} columns  The columns to retrieve
+   * @returns {Promise<Object|null>}  A promise that resolves to the facts, or
+   *                                  null where there is no record
+   * @throws {Error}  If there is an error retrieving the record
+   */
+  async function _retrieveRuleFacts(tableName, lookupValue, columns) {
+    if (!lookupValue || !columns.length) {
+      return lookupValue;
+    }
+
+    const lookupColumns = _ruleFactLookupColumns[tableName] ?? [];
+    const record = await _recordCache.retrieveRecord(
+      tableName,
+      _formatId(lookupValue.id),
+      "?$select=" +
+        columns
+          .map((column) =>
+            lookupColumns.includes(column)
+              ? _toLookupValueColumn(column)
+              : column
+          )
+          .join(",")
+    );
+
+    const facts = { ...lookupValue };
+    for (const column of columns) {
+      facts[column] = lookupColumns.includes(column)
+        ? _readLookupColumn(record, column)
+        : record[column] ?? null;
     }
+    return facts;
   }
 
   /**
-   * Retrieve the lookup value for a contact based on the customer field.
-   * If the customer field references an account entity, it extracts the primary
-   * contact where one exists. For all other situations, null is returned
+   * Reads a lookup column of a retrieved record as a lookup value.
    *
-   * @param {Object} formContext  The form context object.
-   * @returns {Promise<Object|null>}   A promise that resolves to the contact
-   *                                   lookup value.
+   * @param {Object} record  The record, with the lookup value column
+   * @param {string} column  The logical name of the lookup column
+   * @returns {Object|null}  The lookup value with id, name and entityType
+   *                         properties, or null where the lookup is empty
    */
-  async function _getContactLookupValueFromCustomerField(formContext) {
-    const customerFieldValue = _readCustomerField(formContext);
-    if (customerFieldValue?.entityType !== _logicalNames.tables.account) {
+  function _readLookupColumn(record, column) {
+    const valueColumn = _toLookupValueColumn(column);
+    if (!record?.[valueColumn]) {
       return null;
     }
-    return await _getPrimaryContactLookupValueFromAccount(
-      customerFieldValue.id
-    );
+    return {
+      id: record[valueColumn],
+      name: record[valueColumn + _formattedValueAnnotation] ?? null,
+      entityType: record[valueColumn + _lookupLogicalNameAnnotation],
+    };
   }
 
   /**
-   * Retrieves the primary contact lookup value from an account record. Returns
-   * null if the primary contact field is not populated
+   * Filters the contact lookup to contacts whose parent customer is the given
+   * account. Any filter previously added for the contact field is removed
+   * first, so passing null leaves the lookup unfiltered.
    *
-   * @param {string} accountId  The ID of the account to retrieve the primary
-   *                            contact from.
-   * @returns {Promise<Object|null>}  A promise that resolves to the primary
-   *                                  contact lookup value.
-   * @throws {Error}  If there is an error retrieving the account record.
+   * @param {Object} formContext  The form context object
+   * @param {Object} fieldMapping  The validated field mapping
+   * @param {Object|null} account  The account lookup value to filter by
    */
-  async function _getPrimaryContactLookupValueFromAccount(accountId) {
-    const account = await _xrm.WebApi.retrieveRecord(
-      _logicalNames.tables.account,
-      accountId,
-      _buildSelectQueryStringForPrimaryContact()
+  function _setContactLookupAccountFilter(formContext, fieldMapping, account) {
+    const contactControl = formContext.getControl(fieldMapping.contactField);
+    const previousHandler = _contactLookupFilterHandlers.get(
+      fieldMapping.contactField
+    );
+
+    if (previousHandler) {
+      contactControl?.removePreSearch(previousHandler);
+      _contactLookupFilterHandlers.delete(fieldMapping.contactField);
+    }
+
+    if (!account || !contactControl) {
+      return;
+    }
+
+    const filter = _buildContactsOfAccountFilter(account.id);
+    const preSearchHandler = () => {
+      contactControl.addCustomFilter(filter, _logicalNames.tables.contact);
+    };
+
+    contactControl.addPreSearch(preSearchHandler);
+    _contactLookupFilterHandlers.set(
+      fieldMapping.contactField,
+      preSearchHandler
     );
-    return _buildPrimaryContactLookupFromAccountRecord(account);
   }
 
   /**
-   * Builds a query string to fetch and expand the primary contact from an
-   * account record.
+   * Builds a FetchXML filter matching contacts whose parent customer is the
+   * given account.
    *
-   * @returns {string} The query string to fetch and expand the primary contact.
+   * @param {string} accountId  The ID of the account
+   * @returns {string}  The FetchXML filter
    */
-  function _buildSelectQueryStringForPrimaryContact() {
+  function _buildContactsOfAccountFilter(accountId) {
     return (
-      "?$expand=" +
-      _logicalNames.accountFields.primaryContact +
-      "($select=" +
-      _logicalNames.contactFields.fullname +
-      ")"
+      '<filter type="and">' +
+      `<condition attribute="${_logicalNames.contactFields.parentCustomer}" ` +
+      `operator="eq" value="${_formatId(accountId)}" />` +
+      "</filter>"
     );
   }
 
   /**
-   * Format the expanded primary contact field of an account record as a contact
-   * lookup value. Returns bull if the account record or primary contact field
-   * are null.
+   * Reads the customer field value from the form context.
    *
-   * @param {Object} accountRecord  The account record containing the primary
-   *                                contact field.
-   * @returns {Object|null}  A contact lookup object with id, name, and
-   *                         entityType properties, or null if no primary
-   *                         contact is found.
+   * @param {Object} formContext  The form context object.
+   * @param {Object} fieldMapping  The validated field mapping
+   * @returns {Object|null}  The customer field value if it exists, otherwise
+   *                         null.
    */
-  function _buildPrimaryContactLookupFromAccountRecord(accountRecord) {
-    const contact =
-      accountRecord &&
-      accountRecord[_logicalNames.accountFields.primaryContact];
+  function _readCustomerField(formContext, fieldMapping) {
+    const customerFieldValue = formContext
+      .getAttribute(fieldMapping.customerField)
+      .getValue();
 
-    if (!contact) {
-      return null;
+    if (customerFieldValue && customerFieldValue.length > 0) {
+      return customerFieldValue[0];
     }
+    return null;
+  }
 
-    return [
-      {
-        id: contact[_logicalNames.contactFields.id],
-        name: contact[_logicalNames.contactFields.fullname],
-        entityType: _logicalNames.tables.contact,
-      },
-    ];
+  /**
+   * Reads the contact field value from the form context.
+   *
+   * @param {Object} formContext  The form context object.
+   * @param {Object} fieldMapping  The validated field mapping
+   * @returns {Object|null}  The contact field value if it exists, otherwise
+   *                         null.
+   */
+  function _readContactField(formContext, fieldMapping) {
+    const contactFieldValue = formContext
+      .getAttribute(fieldMapping.contactField)
+      .getValue();
+
+    if (contactFieldValue && contactFieldValue.length > 0) {
+      return contactFieldValue[0];
+    }
+    return null;
   }
 
   /**
-   * Sets the contact field on the case form to the provided contact lookup
-   * value and fires an on change event on this field.
+   * Decides whether the contact should be populated for the customer. It is
+   * not populated on a read-only or disabled form, or on an existing record
+   * whose customer has not changed since the form was loaded or saved.
    *
    * @param {Object} formContext  The form context object.
-   * @param {Object|null} contactLookup  The lookup value for the contact to be set.
+   * @param {Object} fieldMapping  The validated field mapping
+   * @returns {boolean}  True if the contact should be populated
    */
-  function _setCaseContactField(formContext, contactLookup) {
-    const contactField = formContext.getAttribute(
-      _logicalNames.caseFields.contact
+  function _shouldPopulateContact(formContext, fieldMapping) {
+    if (!_isWritableForm(formContext)) {
+      return false;
+    }
+    return (
+      formContext.ui.getFormType() !== _formTypes.update ||
+      formContext.getAttribute(fieldMapping.customerField).getIsDirty()
     );
-    contactField.setValue(contactLookup);
-    contactField.fireOnChange();
   }
 
   /**
-   * Main control for the logic updating the visibility and requirement
-   * level of the contact field
-   *
-   * If the customer is a contact the field is hidden, else it is visible
-   * If the customer is an account the field is required, else it is optional
+   * Checks whether the form shows an existing record, whether or not it may be
+   * edited.
    *
    * @param {Object} formContext  The form context object.
+   * @returns {boolean}  True if the form shows an existing record
    */
-  function _updateContactFieldControl(formContext) {
-    const customerFieldValue = _readCustomerField(formContext);
-    const customerType = customerFieldValue?.entityType;
+  function _isExistingRecordForm(formContext) {
+    const formType = formContext.ui.getFormType();
+    return (
+      formType === _formTypes.update ||
+      formType === _formTypes.readOnly ||
+      formType === _formTypes.disabled
+    );
+  }
 
-    const isVisible = customerType !== _logicalNames.tables.contact;
-    const isRequired = customerType === _logicalNames.tables.account;
+  /**
+   * Checks whether the form creates a new record, including quick create
+   * forms.
+   *
+   * @param {Object} formContext  The form context object.
+   * @returns {boolean}  True if the form creates a new record
+   */
+  function _isCreateForm(formContext) {
+    const formType = formContext.ui.getFormType();
+    return (
+      formType === _formTypes.create || formType === _formTypes.quickCreate
+    );
+  }
 
-    _setContactFieldVisibility(formContext, isVisible);
-    _setContactFieldIsRequired(formContext, isRequired);
+  /**
+   * Checks whether the script may write field values on the form, which it
+   * may not on a read-only or disabled form.
+   *
+   * @param {Object} formContext  The form context object.
+   * @returns {boolean}  True if field values may be written
+   */
+  function _isWritableForm(formContext) {
+    const formType = formContext.ui.getFormType();
+    return formType !== _formTypes.readOnly && formType !== _formTypes.disabled;
   }
 
   /**
-   * Sets the visibility of the contact field on the case form.
+   * Compares two lookup values by entity type and ID, treating IDs that differ
+   * only in braces or case as equal. Two empty values are considered the same.
    *
-   * @param {Object} formContext  The form context object
-   * @param {boolean} isVisible  A boolean indicating whether the contact field
-   *                             should be visible
+   * @param {Object|null} first  The first lookup value
+   * @param {Object|null} second  The second lookup value
+   * @returns {boolean}  True if both values reference the same record
    */
-  function _setContactFieldVisibility(formContext, isVisible) {
-    const contactControl = formContext.getControl(
-      _logicalNames.caseFields.contact
+  function _isSameLookupValue(first, second) {
+    return (
+      first?.entityType === second?.entityType &&
+      _formatId(first?.id) === _formatId(second?.id)
     );
-    contactControl?.setVisible(isVisible);
   }
 
   /**
-   * Sets the requirement level of the contact field on the case form.
+   * Starts a request on behalf of a handler, superseding any request
+   * previously started by the same handler. The returned function reports
+   * whether the request is still the latest, so that responses to superseded
+   * requests can be discarded rather than overwrite newer values.
    *
-   * @param {Object} formContext  A valid form context containing the contact
-   *                              control
-   * @param {boolean} isRequired  A boolean indicating whether the contact
-   *                               field should be required
+   * @param {string} handlerName  The name of the handler making the request
+   * @returns {Function}  A function returning true while the request has not
+   *                      been superseded
    */
-  function _setContactFieldIsRequired(formContext, isRequired) {
-    const requiredLevel = isRequired
-      ? _requirementLevels.required
-      : _requirementLevels.optional;
+  function _startRequest(handlerName) {
+    const requestNumber = (_latestRequestNumbers.get(handlerName) ?? 0) + 1;
+    _latestRequestNumbers.set(handlerName, requestNumber);
+    return () => _latestRequestNumbers.get(handlerName) === requestNumber;
+  }
 
-    const contactAttribute = formContext.getAttribute(
-      _logicalNames.caseFields.contact
-    );
-    contactAttribute?.setRequiredLevel(requiredLevel);
+  /**
+   * Returns the Web API column holding the value of a lookup field.
+   *
+   * @param {string} lookupField  The logical name of the lookup field
+   * @returns {string}  The lookup value column, e.g. _customerid_value
+   */
+  function _toLookupValueColumn(lookupField) {
+    return `_${lookupField}_value`;
   }
 
   /**
-   * Reads the customer field value from the form context.
+   * Formats a record ID for use in a query or comparison. Form lookup values
+   * hold braced, upper case IDs whereas the Web API returns bare, lower case
+   * IDs.
    *
-   * @param {Object} formContext  The form context object.
-   * @returns {Object|null}  The customer field value if it exists, otherwise
-   *                         null.
+   * @param {string} id  The record ID
+   * @returns {string}  The ID without braces, in lower case
    */
-  function _readCustomerField(formContext) {
-    const customerFieldValue = formContext
-      .getAttribute(_logicalNames.caseFields.customer)
-      .getValue();
+  function _formatId(id) {
+    return (id ?? "").replace(/[{}]/g, "").toLowerCase();
+  }
 
-    if (customerFieldValue && customerFieldValue.length > 0) {
-      return customerFieldValue[0];
-    }
-    return null;
+  /**
+   * Checks whether the event was raised by a change to a field, as opposed to
+   * another field or, e.g., the selection of a grid row.
+   *
+   * @param {Object} executionContext  The execution context
+   * @param {string} fieldName  The logical name of the field
+   * @returns {boolean}  True if the field raised the event
+   */
+  function _isEventSourceField(executionContext, fieldName) {
+    return executionContext.getEventSource?.()?.getName?.() === fieldName;
   }
 
   /**
@@ -264,83 +3131,390 @@ this.cr4fd.caseFormCustomerContactConnector = (function () {
    */
   function _guardExecutionContextIsValid(executionContext) {
     if (typeof executionContext?.getFormContext !== "function") {
-      throw new Error(
-        "Invalid execution context. Ensure that execution context is passed " +
-          "as the first parameter"
+      throw new Error(_localisation.getString("InvalidExecutionContext"));
+    }
+  }
+
+  /**
+   * Reads the field mapping passed as a handler parameter. The parameter may
+   * be a field mapping object or the name of a JSON web resource containing
+   * one. Properties that are not set fall back to the default field mapping,
+   * so that, for example, an opportunity form may be configured with:
+   *
+   * { "table": "opportunity", "contactField": "parentcontactid" }
+   *
+   * The mapping may also set parentAccountDepth, the number of parent accounts
+   * searched for a primary contact, see populateContactOnCustomerChange, and
+   * rules, which replace the default rules for the form, see _applyFormRules.
+   *
+   * The mapping is validated by _tryReadValidFormContextOrThrow.
+   *
+   * @param {Object|string|undefined} fieldMapping  The handler parameter
+   * @returns {Promise<Object>}  A promise that resolves to the field mapping
+   * @throws {Error}  If the configuration web resource cannot be read
+   */
+  async function _readFieldMappingOrThrow(fieldMapping) {
+    if (fieldMapping === undefined || fieldMapping === null) {
+      return _defaultFieldMapping;
+    }
+
+    const configuredMapping =
+      typeof fieldMapping === "string"
+        ? await _loadFieldMappingFromWebResource(fieldMapping)
+        : fieldMapping;
+
+    if (!_isPlainObject(configuredMapping)) {
+      return configuredMapping;
+    }
+    return { ..._defaultFieldMapping, ...configuredMapping };
+  }
+
+  /**
+   * Loads a field mapping from a JSON web resource. Mappings are loaded once
+   * per web resource and reused by later events.
+   *
+   * @param {string} webResourceName  The name of the web resource
+   * @returns {Promise<Object>}  A promise that resolves to the field mapping
+   * @throws {Error}  If the web resource does not exist or is not valid JSON
+   */
+  function _loadFieldMappingFromWebResource(webResourceName) {
+    if (!_fieldMappingsByWebResource.has(webResourceName)) {
+      const loading = _retrieveWebResourceJson(webResourceName);
+      loading.catch(() => _fieldMappingsByWebResource.delete(webResourceName));
+      _fieldMappingsByWebResource.set(webResourceName, loading);
+    }
+    return _fieldMappingsByWebResource.get(webResourceName);
+  }
+
+  /**
+   * Retrieves a web resource by name and parses its content as JSON.
+   *
+   * @param {string} webResourceName  The name of the web resource
+   * @returns {Promise<Object>}  A promise that resolves to the parsed content
+   * @throws {Error}  If the web resource does not exist or is not valid JSON
+   */
+  async function _retrieveWebResourceJson(webResourceName) {
+    const result = await _webApi.retrieveMultipleRecords(
+      _logicalNames.tables.webResource,
+      "?$select=" +
+        _logicalNames.webResourceFields.content +
+        "&$filter=" +
+        _logicalNames.webResourceFields.name +
+        ` eq '${webResourceName.replace(/'/g, "''")}'`
+    );
+
+    const content =
+      result?.entities?.[0]?.[_logicalNames.webResourceFields.content];
+    if (!content) {
+      throw _notifications.createFormConfigurationError(
+        _localisation.getString("FieldMappingWebResourceNotFound", {
+          webResourceName,
+        })
+      );
+    }
+
+    try {
+      return JSON.parse(_decodeBase64(content));
+    } catch {
+      throw _notifications.createFormConfigurationError(
+        _localisation.getString("FieldMappingWebResourceNotJson", {
+          webResourceName,
+        })
       );
     }
   }
 
+  /**
+   * Decodes base64 encoded UTF-8 text, as held in web resource content.
+   *
+   * @param {string} content  The base64 encoded content
+   * @returns {string}  The decoded text
+   */
+  function _decodeBase64(content) {
+    const bytes = Uint8Array.from(atob(content), (character) =>
+      character.charCodeAt(0)
+    );
+    return new TextDecoder().decode(bytes);
+  }
+
+  /**
+   * Checks whether a value is an object other than an array or null.
+   *
+   * @param {*} value  The value to check
+   * @returns {boolean}  True if the value is a plain object
+   */
+  function _isPlainObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+  }
+
   /**
    * Reads and validates the form context from the execution context.
    *
    * @param {Object} executionContext  The execution context
-   * @throws {Error}  Throws an error the form is not associated with the case
-   *                  entity or is missing the contact control
+   * @param {Object} fieldMapping  The field mapping to validate the form
+   *                               against
+   * @throws {Error}  Throws an error if the field mapping is invalid, the form
+   *                  is not associated with the mapped table or is missing the
+   *                  customer field or contact control
    */
-  function _tryReadValidFormContextOrThrow(executionContext) {
+  function _tryReadValidFormContextOrThrow(executionContext, fieldMapping) {
     const formContext = executionContext?.getFormContext();
     const errorHandler = (message) => {
-      throw new Error(`Invalid form configuration: ${message}`);
+      throw _notifications.createFormConfigurationError(message);
     };
 
-    _guardFormIsAssociatedWithTheCaseEntity(formContext, errorHandler);
-    _guardContactControlIsPresent(formContext, errorHandler);
+    _guardFieldMappingIsValid(fieldMapping, errorHandler);
+    _guardFormIsAssociatedWithTheMappedTable(
+      formContext,
+      fieldMapping,
+      errorHandler
+    );
+    _guardCustomerFieldIsPresent(formContext, fieldMapping, errorHandler);
+    _guardContactControlIsPresent(formContext, fieldMapping, errorHandler);
 
     return formContext;
   }
 
   /**
-   * Validates that the form is associated with the case entity. Calls the error
-   * handler if the form is not associated with the case entity
+   * Reads the editable grid row raising an event, in the shape of a form
+   * context, so that it can be read and updated as a form is. A grid row only
+   * exposes its entity, whose attributes each hold a single cell, so
+   * getControl returns the cell of a column.
    *
-   * @param {Object} formContext  The form context
+   * @param {Object} executionContext  The execution context of a grid event
+   * @returns {Object}  The grid row, with data.entity, getAttribute and
+   *                    getControl
+   */
+  function _readGridRow(executionContext) {
+    const gridEntity = executionContext.getFormContext()?.data?.entity;
+    const readAttribute = (name) => gridEntity?.attributes?.get(name) ?? null;
+    return {
+      data: { entity: gridEntity },
+      getAttribute: readAttribute,
+      getControl: (name) => readAttribute(name)?.controls.get(0) ?? null,
+    };
+  }
+
+  /**
+   * Validates the field mapping and an editable grid row against it.
+   *
+   * @param {Object} gridRow  The grid row, see _readGridRow
+   * @param {Object} fieldMapping  The field mapping to validate the grid
+   *                               against
+   * @throws {Error}  Throws an error if the field mapping is invalid, the grid
+   *                  does not show the mapped table or is missing the customer
+   *                  or contact column
+   */
+  function _guardGridRowIsValid(gridRow, fieldMapping) {
+    const errorHandler = (details) => {
+      throw new Error(
+        _localisation.getString("InvalidGridConfiguration", { details })
+      );
+    };
+
+    _guardFieldMappingIsValid(fieldMapping, errorHandler);
+    if (gridRow.data.entity?.getEntityName() !== fieldMapping.table) {
+      errorHandler(
+        _localisation.getString("GridNotAssociatedWithTable", {
+          table: fieldMapping.table,
+        })
+      );
+    }
+    for (const field of [
+      fieldMapping.customerField,
+      fieldMapping.contactField,
+    ]) {
+      if (!gridRow.getControl(field)) {
+        errorHandler(
+          _localisation.getString("ColumnMissingFromGrid", { field })
+        );
+      }
+    }
+  }
+
+  /**
+   * Reads the cell of an editable grid row on which errors are shown: the
+   * contact cell, or the customer cell where the grid has no contact column.
+   *
+   * @param {Object|null} gridRow  The grid row, see _readGridRow
+   * @param {Object|undefined} fieldMapping  The field mapping
+   * @returns {Object|null}  The cell, or null where the row has neither
+   */
+  function _readGridRowErrorCell(gridRow, fieldMapping) {
+    return (
+      [fieldMapping?.contactField, fieldMapping?.customerField]
+        .filter((fieldName) => typeof fieldName === "string")
+        .map((fieldName) => gridRow?.getControl(fieldName))
+        .find(Boolean) ?? null
+    );
+  }
+
+  /**
+   * Reports an error caught by a grid handler on the row's error cell, see
+   * _readGridRowErrorCell. Without that cell, e.g. where the execution
+   * context was not passed, the error is fatal and an error dialog is opened,
+   * see formNotifications.reportHandlerError.
+   *
+   * @param {Object|null} gridRow  The grid row, see _readGridRow
+   * @param {Object|undefined} fieldMapping  The field mapping
+   * @param {string} handlerName  The name of the handler
+   * @param {Error} error  The error caught by the handler
+   */
+  function _reportGridRowError(gridRow, fieldMapping, handlerName, error) {
+    const errorCell = _readGridRowErrorCell(gridRow, fieldMapping);
+    if (!errorCell) {
+      _notifications.reportHandlerError(null, handlerName, error);
+      return;
+    }
+
+    errorCell.setNotification(
+      _localisation.getString("HandlerError", {
+        handlerName,
+        message: error.message,
+      }),
+      _notificationIds.gridRowError
+    );
+  }
+
+  /**
+   * Validates that the field mapping is an object in which each property is a
+   * logical name, other than the optional parentAccountDepth, which is a
+   * number, and rules, which are form rules. Calls the error handler if the
+   * mapping is not an object or a property is missing or is not valid
+   *
+   * @param {Object} fieldMapping  The field mapping
    * @param {Function} errorHandler  The function to call with an error message
    *                                 if validation fails
    */
-  function _guardFormIsAssociatedWithTheCaseEntity(formContext, errorHandler) {
+  function _guardFieldMappingIsValid(fieldMapping, errorHandler) {
+    if (!_isPlainObject(fieldMapping)) {
+      errorHandler(_localisation.getString("FieldMappingNotObject"));
+    }
+
+    for (const property of Object.keys(_defaultFieldMapping)) {
+      const logicalName = fieldMapping?.[property];
+      if (
+        typeof logicalName !== "string" ||
+        !/^[a-z0-9_]+$/.test(logicalName)
+      ) {
+        errorHandler(
+          _localisation.getString("FieldMappingPropertyNotLogicalName", {
+            property,
+            value: JSON.stringify(logicalName),
+          })
+        );
+      }
+    }
+
+    if (fieldMapping.customerField === fieldMapping.contactField) {
+      errorHandler(_localisation.getString("FieldMappingFieldsNotDistinct"));
+    }
+
+    const parentAccountDepth = fieldMapping.parentAccountDepth;
     if (
-      formContext?.contextToken?.entityTypeName !== _logicalNames.tables.case
+      parentAccountDepth !== undefined &&
+      (!Number.isInteger(parentAccountDepth) || parentAccountDepth < 0)
     ) {
       errorHandler(
-        `Form must be associated with ${_logicalNames.tables.case} entity`
+        _localisation.getString("FieldMappingParentAccountDepthNotValid", {
+          value: JSON.stringify(parentAccountDepth),
+        })
       );
     }
+
+    const rulesError =
+      fieldMapping.rules === undefined
+        ? null
+        : _formRules.findRuleSetError(fieldMapping.rules);
+    if (rulesError) {
+      errorHandler(rulesError);
+    }
   }
 
   /**
-   * Validates that the form contains the contact field control. Calls the error
-   * handler if this control is missing
+   * Validates that the form is associated with the mapped table. Calls the
+   * error handler if the form is associated with a different table
    *
    * @param {Object} formContext  The form context
+   * @param {Object} fieldMapping  The field mapping
    * @param {Function} errorHandler  The function to call with an error message
    *                                 if validation fails
    */
-  function _guardContactControlIsPresent(formContext, errorHandler) {
-    const contactField = formContext?.getControl(
-      _logicalNames.caseFields.contact
-    );
-    if (!contactField) {
-      errorHandler("The contact field control must be present in the form");
+  function _guardFormIsAssociatedWithTheMappedTable(
+    formContext,
+    fieldMapping,
+    errorHandler
+  ) {
+    if (formContext?.data?.entity?.getEntityName() !== fieldMapping.table) {
+      errorHandler(
+        _localisation.getString("FormNotAssociatedWithTable", {
+          table: fieldMapping.table,
+        })
+      );
     }
   }
 
   /**
-   * Displays an error dialog to the user with a specified error message and
-   * details.
+   * Validates that the form contains the mapped customer field. Calls the
+   * error handler if this field is missing
    *
-   * @param {Error} error  The error object to display
+   * @param {Object} formContext  The form context
+   * @param {Object} fieldMapping  The field mapping
+   * @param {Function} errorHandler  The function to call with an error message
+   *                                 if validation fails
    */
-  function _notifyUserOfError(error, handlerName) {
-    _xrm?.Navigation?.openErrorDialog({
-      message: `${handlerName} has encountered an error. ${error.message}`,
-      details: error.stack,
-    });
+  function _guardCustomerFieldIsPresent(
+    formContext,
+    fieldMapping,
+    errorHandler
+  ) {
+    const customerField = formContext?.getAttribute(fieldMapping.customerField);
+    if (!customerField) {
+      errorHandler(
+        _localisation.getString("CustomerFieldMissingFromForm", {
+          field: fieldMapping.customerField,
+        })
+      );
+    }
+  }
+
+  /**
+   * Validates that the form contains the contact field control. Calls the error
+   * handler if this control is missing
+   *
+   * @param {Object} formContext  The form context
+   * @param {Object} fieldMapping  The field mapping
+   * @param {Function} errorHandler  The function to call with an error message
+   *                                 if validation fails
+   */
+  function _guardContactControlIsPresent(
+    formContext,
+    fieldMapping,
+    errorHandler
+  ) {
+    const contactField = formContext?.getControl(fieldMapping.contactField);
+    if (!contactField) {
+      errorHandler(
+        _localisation.getString("MappedContactControlMissingFromForm", {
+          field: fieldMapping.contactField,
+        })
+      );
+    }
   }
 
   // Return the API
   return {
+    initialize,
+    teardown,
     populateContactOnCustomerChange,
+    populateCustomerOnContactChange,
     updateContactField,
+    notifyOfActiveCaseForCustomer,
+    validateContactBelongsToCustomer,
+    displayContactChannels,
+    notifyOfContactDrift,
+    populateContactOnGridRowChange,
+    applyAccountPrimaryContactToCases,
+    openNewCaseForPrimaryContact,
   };
 })();
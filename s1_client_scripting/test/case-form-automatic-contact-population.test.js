@@ -0,0 +1,149 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { lookup } = require("../xrm-simulator");
+const {
+  createCaseFormSimulator,
+  webResources,
+} = require("../xrm-simulator/case-form");
+
+//Records shared by the scenarios
+const records = {
+  account: [
+    {
+      accountid: "account-contoso",
+      name: "Contoso",
+      primarycontactid: lookup("contact", "contact-alex", "Alex Wu"),
+    },
+    { accountid: "account-fabrikam", name: "Fabrikam", primarycontactid: null },
+  ],
+  contact: [{ contactid: "contact-alex", fullname: "Alex Wu" }],
+};
+
+/**
+ * Runs populateContactOnCustomerChange for a customer value.
+ *
+ * @param {Object[]|null} customer  The customer lookup value
+ * @param {Object} [options]  Case form options, see createCaseFormSimulator
+ * @returns {Promise<Object>}  The simulator after the handler has completed
+ */
+async function runForCustomer(customer, options = {}) {
+  const simulator = createCaseFormSimulator({ records, customer, ...options });
+  const cr4fd = simulator.loadScripts(
+    webResources.logger,
+    webResources.localisation,
+    webResources.formNotifications,
+    webResources.webApi,
+    webResources.recordCache,
+    webResources.automaticContactPopulation
+  );
+  if (options.failWebApi) {
+    simulator.failNextWebApiCall();
+  }
+  await simulator.run(
+    cr4fd.caseFormAutomaticContactPopulation.populateContactOnCustomerChange
+  );
+  return simulator;
+}
+
+/**
+ * Reads the case contact lookup value.
+ *
+ * @param {Object} simulator  The simulator
+ * @returns {Object[]|null}  The contact lookup value
+ */
+function readContact(simulator) {
+  return simulator.formContext.getAttribute("primarycontactid").getValue();
+}
+
+describe("caseFormAutomaticContactPopulation", () => {
+  describe("populateContactOnCustomerChange", () => {
+    it("sets the contact to the account's primary contact", async () => {
+      const simulator = await runForCustomer([
+        lookup("account", "account-contoso"),
+      ]);
+
+      assert.deepEqual(readContact(simulator), [
+        { id: "contact-alex", name: "Alex Wu", entityType: "contact" },
+      ]);
+    });
+
+    it("clears the contact when the account has no primary contact", async () => {
+      const simulator = await runForCustomer([
+        lookup("account", "account-fabrikam"),
+      ]);
+
+      assert.equal(readContact(simulator), null);
+    });
+
+    it("copies a contact customer into the contact field", async () => {
+      const customer = [lookup("contact", "contact-alex", "Alex Wu")];
+
+      const simulator = await runForCustomer(customer);
+
+      assert.deepEqual(readContact(simulator), customer);
+      assert.equal(simulator.webApiCalls.length, 0);
+    });
+
+    it("clears the contact when there is no customer", async () => {
+      const simulator = await runForCustomer(null, {
+        contact: [lookup("contact", "contact-alex")],
+      });
+
+      assert.equal(readContact(simulator), null);
+    });
+
+    it("reports a failure to retrieve the account", async () => {
+      const simulator = await runForCustomer(
+        [lookup("account", "account-contoso")],
+        { failWebApi: true }
+      );
+
+      assert.equal(readContact(simulator), null);
+      assert.deepEqual(simulator.dialogs.errors, []);
+      assert.match(
+        simulator.getControlNotifications("primarycontactid")[0].message,
+        /The form may not behave as expected/
+      );
+    });
+
+    it("leaves the contact unchanged when the account is not synced offline", async () => {
+      const currentContact = [lookup("contact", "contact-alex", "Alex Wu")];
+
+      const simulator = await runForCustomer(
+        [lookup("account", "account-contoso")],
+        {
+          contact: currentContact,
+          offline: {
+            tables: ["account", "contact"],
+            records: { contact: records.contact },
+          },
+        }
+      );
+
+      assert.deepEqual(readContact(simulator), currentContact);
+      assert.equal(
+        simulator.getControlNotifications("primarycontactid")[0].message,
+        "The related records are not available offline, so this " +
+          "information was not updated. It will be updated once the device " +
+          "is online or has synced"
+      );
+    });
+
+    it("reports a form that is not associated with the case table", async () => {
+      const simulator = await runForCustomer(null, { entityName: "contact" });
+
+      assert.deepEqual(simulator.getFormNotifications(), [
+        {
+          message:
+            "populateContactOnCustomerChange has encountered an error. " +
+            "Invalid form configuration: Form must be associated with " +
+            "incident entity",
+          level: "ERROR",
+          uniqueId: "cr4fd_populateContactOnCustomerChange_error",
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,2990 @@
+"use strict";
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createXrmSimulator, lookup, FORM_TYPES } = require("../xrm-simulator");
+const {
+  createCaseFormSimulator,
+  createCaseGridRowSimulator,
+  caseFormSchema,
+  readResourceWebResources,
+  webResources,
+} = require("../xrm-simulator/case-form");
+
+//Record ids shared by the scenarios
+const ids = {
+  contoso: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0a001",
+  fabrikam: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0a002",
+  northwind: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0a003",
+  alex: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0c001",
+  sam: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0c002",
+  jo: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0c003",
+  kim: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0c004",
+  contosoCase: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0e001",
+  samCase: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0e002",
+};
+
+//Records shared by the scenarios
+const records = {
+  account: [
+    {
+      accountid: ids.contoso,
+      name: "Contoso",
+      primarycontactid: lookup("contact", ids.alex, "Alex Wu"),
+    },
+    { accountid: ids.fabrikam, name: "Fabrikam", primarycontactid: null },
+    {
+      accountid: ids.northwind,
+      name: "Northwind",
+      primarycontactid: lookup("contact", ids.sam, "Sam Lee"),
+    },
+  ],
+  contact: [
+    {
+      contactid: ids.alex,
+      fullname: "Alex Wu",
+      statecode: 0,
+      parentcustomerid: lookup("account", ids.contoso, "Contoso"),
+      emailaddress1: "alex@contoso.com",
+      donotemail: false,
+      mobilephone: "07700 900001",
+      donotphone: true,
+    },
+    {
+      contactid: ids.sam,
+      fullname: "Sam Lee",
+      statecode: 0,
+      parentcustomerid: null,
+      emailaddress1: "sam@northwind.com",
+      donotemail: true,
+      mobilephone: null,
+      donotphone: false,
+    },
+    {
+      contactid: ids.jo,
+      fullname: "Jo Park",
+      statecode: 0,
+      parentcustomerid: lookup("account", ids.contoso, "Contoso"),
+    },
+    {
+      contactid: ids.kim,
+      fullname: "Kim Ito",
+      statecode: 0,
+      parentcustomerid: lookup("account", ids.fabrikam, "Fabrikam"),
+    },
+  ],
+  incident: [
+    {
+      incidentid: ids.contosoCase,
+      title: "Printer on fire",
+      statecode: 0,
+      customerid: lookup("account", ids.contoso, "Contoso"),
+      primarycontactid: lookup("contact", ids.alex, "Alex Wu"),
+    },
+    {
+      incidentid: ids.samCase,
+      title: "Billing query",
+      statecode: 0,
+      customerid: lookup("contact", ids.sam, "Sam Lee"),
+      primarycontactid: null,
+    },
+    {
+      incidentid: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0e003",
+      title: "Resolved query",
+      statecode: 1,
+      customerid: lookup("account", ids.fabrikam, "Fabrikam"),
+      primarycontactid: null,
+    },
+  ],
+};
+
+/**
+ * Creates a lookup value as held by a form, with a braced upper case id.
+ *
+ * @param {string} entityType  The logical name of the referenced table
+ * @param {string} id  The id of the referenced record
+ * @param {string} name  The display name of the referenced record
+ * @returns {Object[]}  The lookup value
+ */
+function formLookup(entityType, id, name) {
+  return [lookup(entityType, `{${id.toUpperCase()}}`, name)];
+}
+
+const contoso = formLookup("account", ids.contoso, "Contoso");
+const fabrikam = formLookup("account", ids.fabrikam, "Fabrikam");
+const northwind = formLookup("account", ids.northwind, "Northwind");
+const alex = formLookup("contact", ids.alex, "Alex Wu");
+const sam = formLookup("contact", ids.sam, "Sam Lee");
+const jo = formLookup("contact", ids.jo, "Jo Park");
+const kim = formLookup("contact", ids.kim, "Kim Ito");
+
+/**
+ * Creates a case form simulator with the connector loaded.
+ *
+ * @param {Object} [options]  Case form options, see createCaseFormSimulator
+ * @returns {Object}  The simulator, the connector API and the logger API
+ */
+function setUp(options = {}) {
+  const simulator = createCaseFormSimulator({ records, ...options });
+  const cr4fd = simulator.loadScripts(
+    webResources.logger,
+    webResources.localisation,
+    webResources.formNotifications,
+    webResources.formRules,
+    webResources.webApi,
+    webResources.recordCache,
+    webResources.contactChannels,
+    webResources.customerContactConnector
+  );
+  return {
+    simulator,
+    connector: cr4fd.caseFormCustomerContactConnector,
+    logger: cr4fd.logger,
+  };
+}
+
+/**
+ * Reads the id of the first item in a lookup attribute.
+ *
+ * @param {Object} simulator  The simulator
+ * @param {string} attributeName  The lookup attribute name
+ * @returns {string|null}  The id or null if the lookup is empty
+ */
+function readLookupId(simulator, attributeName) {
+  return (
+    simulator.formContext.getAttribute(attributeName).getValue()?.[0]?.id ??
+    null
+  );
+}
+
+describe("caseFormCustomerContactConnector", () => {
+  describe("publisher namespace", () => {
+    it("holds the libraries without adding them to the window", () => {
+      const simulator = createCaseFormSimulator({ records });
+      const cr4fd = simulator.loadScripts(...Object.values(webResources));
+
+      assert.deepEqual(Object.keys(cr4fd).sort(), [
+        "caseFormAutomaticContactPopulation",
+        "caseFormAvailableCommunicationChannelsUpdate",
+        "caseFormCustomerContactConnector",
+        "contactChannels",
+        "formNotifications",
+        "formRules",
+        "localisation",
+        "logger",
+        "recordCache",
+        "webApi",
+      ]);
+    });
+  });
+
+  describe("populateContactOnCustomerChange", () => {
+    let simulator;
+    let connector;
+    let contactOnChangeCount;
+
+    beforeEach(() => {
+      ({ simulator, connector } = setUp({ contact: sam }));
+      contactOnChangeCount = 0;
+      simulator.registerOnChange("primarycontactid", () => {
+        contactOnChangeCount++;
+      });
+    });
+
+    it("sets the contact to the account's primary contact", async () => {
+      simulator.formContext.getAttribute("customerid").setValue(contoso);
+
+      await simulator.run(
+        connector.populateContactOnCustomerChange,
+        "customerid"
+      );
+
+      assert.deepEqual(
+        simulator.formContext.getAttribute("primarycontactid").getValue(),
+        [{ id: ids.alex, name: "Alex Wu", entityType: "contact" }]
+      );
+      assert.equal(contactOnChangeCount, 1);
+    });
+
+    it("selects the account's name and parent and the primary contact's full name and state", async () => {
+      simulator.formContext.getAttribute("customerid").setValue(contoso);
+
+      await simulator.run(connector.populateContactOnCustomerChange);
+
+      assert.deepEqual(simulator.webApiCalls[0], {
+        operation: "retrieveRecord",
+        args: [
+          "account",
+          `{${ids.contoso.toUpperCase()}}`,
+          "?$select=name,_parentaccountid_value&$expand=primarycontactid($select=fullname,statecode)",
+        ],
+      });
+    });
+
+    it("clears the contact when the account has no primary contact", async () => {
+      simulator.formContext.getAttribute("customerid").setValue(fabrikam);
+
+      await simulator.run(connector.populateContactOnCustomerChange);
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), null);
+      assert.equal(contactOnChangeCount, 1);
+    });
+
+    it("clears the contact without a lookup when the customer is a contact", async () => {
+      simulator.formContext.getAttribute("customerid").setValue(sam);
+
+      await simulator.run(connector.populateContactOnCustomerChange);
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), null);
+      assert.equal(simulator.webApiCalls.length, 0);
+      assert.equal(contactOnChangeCount, 1);
+    });
+
+    it("clears the contact when the customer is cleared", async () => {
+      await simulator.run(connector.populateContactOnCustomerChange);
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), null);
+      assert.equal(simulator.webApiCalls.length, 0);
+    });
+
+    it("reports Web API failures and leaves the contact unchanged", async () => {
+      simulator.formContext.getAttribute("customerid").setValue(contoso);
+      simulator.failNextWebApiCall();
+
+      await simulator.run(connector.populateContactOnCustomerChange);
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), sam[0].id);
+      assert.equal(contactOnChangeCount, 0);
+      assert.deepEqual(simulator.dialogs.errors, []);
+      assert.match(
+        simulator.getControlNotifications("primarycontactid")[0].message,
+        /^populateContactOnCustomerChange has encountered an error/
+      );
+    });
+
+    it("retries a throttled request before populating the contact", async () => {
+      simulator.formContext.getAttribute("customerid").setValue(contoso);
+      simulator.failNextWebApiCall(
+        Object.assign(new Error("Too many requests"), {
+          status: 429,
+          retryAfter: "2",
+        })
+      );
+
+      await simulator.run(connector.populateContactOnCustomerChange);
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), ids.alex);
+      assert.equal(
+        simulator.webApiCalls.filter(({ args }) => args[0] === "account")
+          .length,
+        2
+      );
+      assert.deepEqual(
+        simulator.getControlNotifications("primarycontactid"),
+        []
+      );
+    });
+
+    it("clears the reported failure once the contact is populated", async () => {
+      simulator.formContext.getAttribute("customerid").setValue(contoso);
+      simulator.failNextWebApiCall();
+      await simulator.run(connector.populateContactOnCustomerChange);
+
+      await simulator.run(connector.populateContactOnCustomerChange);
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), ids.alex);
+      assert.deepEqual(
+        simulator.getControlNotifications("primarycontactid"),
+        []
+      );
+    });
+
+    it("reads the primary contact from the offline store", async () => {
+      ({ simulator, connector } = setUp({
+        contact: sam,
+        offline: { tables: ["account", "contact"], records },
+      }));
+      simulator.formContext.getAttribute("customerid").setValue(contoso);
+
+      await simulator.run(connector.populateContactOnCustomerChange);
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), ids.alex);
+      assert.equal(
+        simulator.webApiCalls[0].operation,
+        "offline.retrieveRecord"
+      );
+    });
+
+    it("leaves the contact unchanged when the account is not synced offline", async () => {
+      ({ simulator, connector } = setUp({
+        contact: sam,
+        offline: {
+          tables: ["account", "contact"],
+          records: { contact: records.contact },
+        },
+      }));
+      simulator.formContext.getAttribute("customerid").setValue(contoso);
+
+      await simulator.run(connector.populateContactOnCustomerChange);
+
+      assert.deepEqual(
+        simulator.formContext.getAttribute("primarycontactid").getValue(),
+        sam
+      );
+      assert.deepEqual(simulator.dialogs.errors, []);
+      assert.match(
+        simulator.getControlNotifications("primarycontactid")[0].message,
+        /^The related records are not available offline/
+      );
+    });
+
+    it("reports a missing execution context", async () => {
+      await connector.populateContactOnCustomerChange();
+
+      assert.match(
+        simulator.dialogs.errors[0].message,
+        /Invalid execution context/
+      );
+    });
+
+    it("reports a form that is not associated with the case table", async () => {
+      ({ simulator, connector } = setUp({ entityName: "account" }));
+
+      await simulator.run(connector.populateContactOnCustomerChange);
+
+      assert.match(
+        simulator.getFormNotifications()[0].message,
+        /Form must be associated with incident entity/
+      );
+    });
+
+    it("reports a form without the contact control", async () => {
+      ({ simulator, connector } = setUp({ withoutContactControl: true }));
+
+      await simulator.run(connector.populateContactOnCustomerChange);
+
+      assert.match(
+        simulator.getFormNotifications()[0].message,
+        /The contact field control \(primarycontactid\) must be present/
+      );
+    });
+  });
+
+  describe("populateContactOnCustomerChange with overlapping requests", () => {
+    let simulator;
+    let connector;
+
+    beforeEach(() => {
+      ({ simulator, connector } = setUp());
+      simulator.registerOnChange(
+        "customerid",
+        connector.populateContactOnCustomerChange
+      );
+      simulator.holdWebApiResponses();
+    });
+
+    it("keeps the latest customer's contact when responses arrive out of order", async () => {
+      simulator.setValueAsUser("customerid", contoso);
+      await simulator.whenWebApiCallsMade(1);
+      simulator.setValueAsUser("customerid", northwind);
+      await simulator.whenWebApiCallsMade(2);
+
+      simulator.releaseWebApiResponses([1, 0]);
+      await simulator.whenIdle();
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), ids.sam);
+    });
+
+    it("discards a superseded response that arrives last", async () => {
+      simulator.setValueAsUser("customerid", contoso);
+      await simulator.whenWebApiCallsMade(1);
+      simulator.setValueAsUser("customerid", northwind);
+      await simulator.whenWebApiCallsMade(2);
+
+      simulator.releaseWebApiResponses([0, 1]);
+      await simulator.whenIdle();
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), ids.sam);
+    });
+
+    it("does not write the contact if the customer changed without an event", async () => {
+      simulator.setValueAsUser("customerid", contoso);
+      await simulator.whenWebApiCallsMade(1);
+      simulator.formContext.getAttribute("customerid").setValue(northwind);
+
+      simulator.releaseWebApiResponses();
+      await simulator.whenIdle();
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), null);
+    });
+
+    it("does not report failures of superseded requests", async () => {
+      simulator.failNextWebApiCall();
+      simulator.setValueAsUser("customerid", contoso);
+      await simulator.whenWebApiCallsMade(1);
+      simulator.setValueAsUser("customerid", northwind);
+      await simulator.whenWebApiCallsMade(2);
+
+      simulator.releaseWebApiResponses();
+      await simulator.whenIdle();
+
+      assert.deepEqual(
+        simulator.getControlNotifications("primarycontactid"),
+        []
+      );
+      assert.equal(readLookupId(simulator, "primarycontactid"), ids.sam);
+    });
+  });
+
+  describe("populateContactOnCustomerChange with an inactive primary contact", () => {
+    //Records of an account whose primary contact has been deactivated
+    const adatumIds = {
+      adatum: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0a004",
+      lee: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0c005",
+      max: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0c006",
+      ana: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0c007",
+    };
+    const adatum = formLookup("account", adatumIds.adatum, "Adatum");
+    const max = formLookup("contact", adatumIds.max, "Max Ho");
+
+    /**
+     * Creates the records of Adatum and its contacts, alongside the shared
+     * records.
+     *
+     * @param {Object} [contactOverrides]  Columns to override, per contact
+     * @returns {Object}  The records
+     */
+    function adatumRecords(contactOverrides = {}) {
+      const parent = lookup("account", adatumIds.adatum, "Adatum");
+      return {
+        ...records,
+        account: [
+          ...records.account,
+          {
+            accountid: adatumIds.adatum,
+            name: "Adatum",
+            primarycontactid: lookup("contact", adatumIds.lee, "Lee Ray"),
+          },
+        ],
+        contact: [
+          ...records.contact,
+          {
+            contactid: adatumIds.lee,
+            fullname: "Lee Ray",
+            statecode: 1,
+            parentcustomerid: parent,
+            emailaddress1: "lee@adatum.com",
+            modifiedon: "2026-05-01T09:00:00Z",
+          },
+          {
+            contactid: adatumIds.max,
+            fullname: "Max Ho",
+            statecode: 0,
+            parentcustomerid: parent,
+            emailaddress1: null,
+            mobilephone: null,
+            modifiedon: "2026-03-01T09:00:00Z",
+            ...contactOverrides.max,
+          },
+          {
+            contactid: adatumIds.ana,
+            fullname: "Ana Diaz",
+            statecode: 0,
+            parentcustomerid: parent,
+            emailaddress1: "ana@adatum.com",
+            donotemail: false,
+            modifiedon: "2026-01-01T09:00:00Z",
+            ...contactOverrides.ana,
+          },
+        ],
+      };
+    }
+
+    /**
+     * Creates a case form with the handler registered on the customer.
+     *
+     * @param {Object} [options]  Case form options, see
+     *                            createCaseFormSimulator
+     * @returns {Object}  The simulator
+     */
+    function setUpWithAdatum(options = {}) {
+      const { simulator, connector } = setUp({
+        records: adatumRecords(),
+        ...options,
+      });
+      simulator.registerOnChange(
+        "customerid",
+        connector.populateContactOnCustomerChange
+      );
+      simulator.registerOnChange(
+        "primarycontactid",
+        connector.updateContactField
+      );
+      return simulator;
+    }
+
+    /**
+     * Changes the customer as a user would and waits for the handlers.
+     *
+     * @param {Object} simulator  The simulator
+     * @param {Object[]} customer  The customer lookup value
+     * @returns {Promise<void>}
+     */
+    async function changeCustomer(simulator, customer) {
+      simulator.setValueAsUser("customerid", customer);
+      await simulator.whenIdle();
+    }
+
+    it("chooses an active contact with a usable channel instead", async () => {
+      const simulator = setUpWithAdatum();
+
+      await changeCustomer(simulator, adatum);
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), adatumIds.ana);
+      const [notification] =
+        simulator.getControlNotifications("primarycontactid");
+      assert.equal(
+        notification.message,
+        "Lee Ray, the primary contact of Adatum, is inactive. Ana Diaz was " +
+          "chosen instead, as the most recently modified active contact with " +
+          "a usable channel."
+      );
+      assert.equal(notification.notificationLevel, "RECOMMENDATION");
+    });
+
+    it("queries only the account's active contacts, latest first", async () => {
+      const simulator = setUpWithAdatum();
+
+      await changeCustomer(simulator, adatum);
+
+      assert.deepEqual(simulator.webApiCalls[1].args.slice(0, 2), [
+        "contact",
+        "?$select=fullname,mobilephone,donotphone,emailaddress1,donotemail," +
+          "telephone1,emailaddress2,preferredcontactmethodcode," +
+          "donotbulkemail,donotsendmm" +
+          `&$filter=_parentcustomerid_value eq ${adatumIds.adatum} and ` +
+          "statecode eq 0&$orderby=modifiedon desc",
+      ]);
+    });
+
+    it("chooses the most recently modified contact when none can be contacted", async () => {
+      const simulator = setUpWithAdatum({
+        records: adatumRecords({ ana: { donotemail: true } }),
+      });
+
+      await changeCustomer(simulator, adatum);
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), adatumIds.max);
+      assert.match(
+        simulator.getControlNotifications("primarycontactid")[0].message,
+        /Max Ho was chosen instead, as the most recently modified active contact\.$/
+      );
+    });
+
+    it("leaves the contact empty when the account has no active contacts", async () => {
+      const simulator = setUpWithAdatum({
+        records: adatumRecords({
+          max: { statecode: 1 },
+          ana: { statecode: 1 },
+        }),
+      });
+
+      await changeCustomer(simulator, adatum);
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), null);
+      assert.equal(
+        simulator.getControlNotifications("primarycontactid")[0].message,
+        "Lee Ray, the primary contact of Adatum, is inactive. Adatum has no " +
+          "active contacts to choose instead."
+      );
+    });
+
+    it("keeps a chosen contact of the account without asking", async () => {
+      const simulator = setUpWithAdatum({ contact: max });
+
+      await changeCustomer(simulator, adatum);
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), max[0].id);
+      assert.deepEqual(simulator.dialogs.confirms, []);
+      assert.deepEqual(
+        simulator.getControlNotifications("primarycontactid"),
+        []
+      );
+    });
+
+    it("clears the explanation when the user chooses another contact", async () => {
+      const simulator = setUpWithAdatum();
+      await changeCustomer(simulator, adatum);
+
+      simulator.setValueAsUser("primarycontactid", max);
+      await simulator.whenIdle();
+
+      assert.deepEqual(
+        simulator.getControlNotifications("primarycontactid"),
+        []
+      );
+    });
+
+    it("clears the explanation when the customer changes", async () => {
+      const simulator = setUpWithAdatum();
+      await changeCustomer(simulator, adatum);
+
+      await changeCustomer(simulator, contoso);
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), ids.alex);
+      assert.deepEqual(
+        simulator.getControlNotifications("primarycontactid"),
+        []
+      );
+    });
+  });
+
+  describe("populateContactOnCustomerChange with parent accounts", () => {
+    //Records of an account hierarchy, in which only the top account has a
+    //primary contact, and of two accounts that are each other's parent
+    const litwareIds = {
+      retail: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0a010",
+      europe: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0a011",
+      group: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0a012",
+      loopA: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0a013",
+      loopB: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0a014",
+      pat: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0c010",
+      ray: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0c011",
+    };
+    const retail = formLookup("account", litwareIds.retail, "Litware Retail");
+    const europe = formLookup("account", litwareIds.europe, "Litware Europe");
+    const loopA = formLookup("account", litwareIds.loopA, "Loop A");
+    const pat = formLookup("contact", litwareIds.pat, "Pat Kay");
+
+    /**
+     * Creates the records of the account hierarchy, alongside the shared
+     * records.
+     *
+     * @param {Object} [europeOverrides]  Columns to override on Litware Europe
+     * @returns {Object}  The records
+     */
+    function litwareRecords(europeOverrides = {}) {
+      return {
+        ...records,
+        account: [
+          ...records.account,
+          {
+            accountid: litwareIds.retail,
+            name: "Litware Retail",
+            primarycontactid: null,
+            parentaccountid: lookup("account", litwareIds.europe),
+          },
+          {
+            accountid: litwareIds.europe,
+            name: "Litware Europe",
+            primarycontactid: null,
+            parentaccountid: lookup("account", litwareIds.group),
+            ...europeOverrides,
+          },
+          {
+            accountid: litwareIds.group,
+            name: "Litware Group",
+            primarycontactid: lookup("contact", litwareIds.pat, "Pat Kay"),
+            parentaccountid: null,
+          },
+          {
+            accountid: litwareIds.loopA,
+            name: "Loop A",
+            primarycontactid: null,
+            parentaccountid: lookup("account", litwareIds.loopB),
+          },
+          {
+            accountid: litwareIds.loopB,
+            name: "Loop B",
+            primarycontactid: null,
+            parentaccountid: lookup("account", litwareIds.loopA),
+          },
+        ],
+        contact: [
+          ...records.contact,
+          {
+            contactid: litwareIds.pat,
+            fullname: "Pat Kay",
+            statecode: 0,
+            parentcustomerid: lookup("account", litwareIds.group),
+          },
+          {
+            contactid: litwareIds.ray,
+            fullname: "Ray Li",
+            statecode: 1,
+            parentcustomerid: lookup("account", litwareIds.europe),
+          },
+        ],
+      };
+    }
+
+    /**
+     * Runs populateContactOnCustomerChange for a customer.
+     *
+     * @param {Object[]} customer  The customer lookup value
+     * @param {Object} [options]  Test options
+     * @param {Object} [options.fieldMapping]  The handler parameter
+     * @param {Object} [options.records]  The records to seed
+     * @returns {Promise<Object>}  The simulator after the handler completes
+     */
+    async function runForCustomer(customer, options = {}) {
+      const { simulator, connector } = setUp({
+        customer,
+        records: options.records ?? litwareRecords(),
+      });
+      await simulator.run((executionContext) =>
+        connector.populateContactOnCustomerChange(
+          executionContext,
+          options.fieldMapping
+        )
+      );
+      return simulator;
+    }
+
+    it("chooses the primary contact of the nearest parent account with one", async () => {
+      const simulator = await runForCustomer(retail);
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), litwareIds.pat);
+      const [notification] =
+        simulator.getControlNotifications("primarycontactid");
+      assert.equal(
+        notification.message,
+        "Litware Retail has no primary contact. Pat Kay was chosen as the " +
+          "primary contact of its parent account 2 levels up, Litware Group."
+      );
+      assert.equal(notification.notificationLevel, "RECOMMENDATION");
+    });
+
+    it("names the parent account the contact came from", async () => {
+      const simulator = await runForCustomer(europe);
+
+      assert.equal(
+        simulator.getControlNotifications("primarycontactid")[0].message,
+        "Litware Europe has no primary contact. Pat Kay was chosen as the " +
+          "primary contact of its parent account Litware Group."
+      );
+    });
+
+    it("skips a parent account whose primary contact is inactive", async () => {
+      const simulator = await runForCustomer(retail, {
+        records: litwareRecords({
+          primarycontactid: lookup("contact", litwareIds.ray, "Ray Li"),
+        }),
+      });
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), litwareIds.pat);
+    });
+
+    it("searches no further than the configured depth", async () => {
+      const simulator = await runForCustomer(retail, {
+        fieldMapping: { parentAccountDepth: 1 },
+      });
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), null);
+      assert.deepEqual(
+        simulator.getControlNotifications("primarycontactid"),
+        []
+      );
+      assert.equal(simulator.webApiCalls.length, 2);
+    });
+
+    it("stops when the hierarchy contains a cycle", async () => {
+      const simulator = await runForCustomer(loopA, {
+        fieldMapping: { parentAccountDepth: 10 },
+      });
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), null);
+      assert.equal(simulator.webApiCalls.length, 2);
+    });
+
+    it("saves a contact of a parent account", async () => {
+      const { simulator, connector } = setUp({
+        customer: retail,
+        contact: pat,
+        records: litwareRecords(),
+      });
+      simulator.registerOnSave(connector.validateContactBelongsToCustomer);
+
+      assert.equal(await simulator.save(), true);
+    });
+
+    it("reports a depth that is not a whole number", async () => {
+      const simulator = await runForCustomer(retail, {
+        fieldMapping: { parentAccountDepth: "2" },
+      });
+
+      assert.match(
+        simulator.getFormNotifications()[0].message,
+        /Field mapping property "parentAccountDepth" must be a whole number of zero or more, received "2"/
+      );
+    });
+  });
+
+  describe("populateContactOnCustomerChange with a chosen contact", () => {
+    /**
+     * Creates a case form with a contact chosen by the user and the handler
+     * registered on the customer.
+     *
+     * @param {Object[]} contact  The chosen contact lookup value
+     * @returns {Object}  The simulator
+     */
+    function setUpWithChosenContact(contact) {
+      const { simulator, connector } = setUp({ contact });
+      simulator.registerOnChange(
+        "customerid",
+        connector.populateContactOnCustomerChange
+      );
+      return simulator;
+    }
+
+    /**
+     * Changes the customer as a user would and waits for the handler.
+     *
+     * @param {Object} simulator  The simulator
+     * @param {Object[]} customer  The customer lookup value
+     * @returns {Promise<void>}
+     */
+    async function changeCustomer(simulator, customer) {
+      simulator.setValueAsUser("customerid", customer);
+      await simulator.whenIdle();
+    }
+
+    it("keeps a chosen contact that is the primary contact", async () => {
+      const simulator = setUpWithChosenContact(alex);
+
+      await changeCustomer(simulator, contoso);
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), alex[0].id);
+      assert.deepEqual(simulator.dialogs.confirms, []);
+    });
+
+    it("keeps a chosen contact of an account without a primary contact", async () => {
+      const simulator = setUpWithChosenContact(kim);
+
+      await changeCustomer(simulator, fabrikam);
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), kim[0].id);
+      assert.deepEqual(simulator.dialogs.confirms, []);
+    });
+
+    it("asks before replacing a chosen contact of the account", async () => {
+      const simulator = setUpWithChosenContact(jo);
+
+      await changeCustomer(simulator, contoso);
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), ids.alex);
+      assert.equal(simulator.dialogs.confirms.length, 1);
+      assert.deepEqual(simulator.dialogs.confirms[0], {
+        title: "Replace the contact?",
+        text:
+          "Jo Park is a contact of Contoso, whose primary contact is Alex " +
+          "Wu. Replace Jo Park with Alex Wu? Your choice will be used for " +
+          "the rest of this session.",
+        confirmButtonLabel: "Use Alex Wu",
+        cancelButtonLabel: "Keep Jo Park",
+        options: undefined,
+      });
+    });
+
+    it("keeps the chosen contact when the user declines", async () => {
+      const simulator = setUpWithChosenContact(jo);
+      simulator.answerNextConfirmDialog(false);
+
+      await changeCustomer(simulator, contoso);
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), jo[0].id);
+    });
+
+    it("remembers the decision for the rest of the session", async () => {
+      const simulator = setUpWithChosenContact(jo);
+      simulator.answerNextConfirmDialog(false);
+      await changeCustomer(simulator, contoso);
+
+      await changeCustomer(simulator, contoso);
+
+      assert.equal(simulator.dialogs.confirms.length, 1);
+      assert.equal(readLookupId(simulator, "primarycontactid"), jo[0].id);
+    });
+
+    it("asks again after the user moves to another record", async () => {
+      const { simulator, connector } = setUp({ contact: jo });
+      simulator.registerOnChange(
+        "customerid",
+        connector.populateContactOnCustomerChange
+      );
+      simulator.answerNextConfirmDialog(false);
+      await changeCustomer(simulator, contoso);
+      //The script stays loaded on the next record, whose form has a new form
+      //context
+      const nextRecord = createCaseFormSimulator({
+        records,
+        customer: contoso,
+        contact: jo,
+      });
+
+      await nextRecord.run(
+        connector.populateContactOnCustomerChange,
+        "customerid"
+      );
+
+      assert.equal(simulator.dialogs.confirms.length, 2);
+      assert.equal(readLookupId(nextRecord, "primarycontactid"), ids.alex);
+      assert.equal(readLookupId(simulator, "primarycontactid"), jo[0].id);
+    });
+
+    it("replaces a chosen contact of another customer without asking", async () => {
+      const simulator = setUpWithChosenContact(jo);
+
+      await changeCustomer(simulator, northwind);
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), ids.sam);
+      assert.deepEqual(simulator.dialogs.confirms, []);
+    });
+
+    it("replaces a contact it set without checking the contact", async () => {
+      const simulator = setUpWithChosenContact(null);
+      await changeCustomer(simulator, contoso);
+
+      await changeCustomer(simulator, northwind);
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), ids.sam);
+      assert.deepEqual(
+        simulator.webApiCalls.map(({ args }) => args[0]),
+        ["account", "account"]
+      );
+    });
+  });
+
+  describe("updateContactField", () => {
+    /**
+     * Runs updateContactField for a customer value and returns the contact
+     * control state.
+     *
+     * @param {Object[]|null} customer  The customer lookup value
+     * @returns {Promise<Object>}  The visibility and requirement level
+     */
+    async function runForCustomer(customer) {
+      const { simulator, connector } = setUp({ customer });
+      await simulator.run(connector.updateContactField);
+      return {
+        isVisible: simulator.formContext
+          .getControl("primarycontactid")
+          .getVisible(),
+        requiredLevel: simulator.formContext
+          .getAttribute("primarycontactid")
+          .getRequiredLevel(),
+      };
+    }
+
+    it("shows and requires the contact when the customer is an account", async () => {
+      assert.deepEqual(await runForCustomer(contoso), {
+        isVisible: true,
+        requiredLevel: "required",
+      });
+    });
+
+    it("hides the contact when the customer is a contact", async () => {
+      assert.deepEqual(await runForCustomer(sam), {
+        isVisible: false,
+        requiredLevel: "none",
+      });
+    });
+
+    it("shows an optional contact when there is no customer", async () => {
+      assert.deepEqual(await runForCustomer(null), {
+        isVisible: true,
+        requiredLevel: "none",
+      });
+    });
+
+    it("reports a form without the contact control", async () => {
+      const { simulator, connector } = setUp({ withoutContactControl: true });
+
+      await simulator.run(connector.updateContactField);
+
+      assert.match(
+        simulator.getFormNotifications()[0].message,
+        /^updateContactField has encountered an error/
+      );
+    });
+
+    it("reports a missing execution context", async () => {
+      const { simulator, connector } = setUp();
+
+      await connector.updateContactField({});
+
+      assert.match(
+        simulator.dialogs.errors[0].message,
+        /Invalid execution context/
+      );
+    });
+  });
+
+  describe("updateContactField lookup filter", () => {
+    /**
+     * Builds the filter expected for the contacts of an account.
+     *
+     * @param {string} accountId  The id of the account
+     * @returns {Object}  The expected custom filter
+     */
+    function contactsOf(accountId) {
+      return {
+        filter:
+          '<filter type="and">' +
+          `<condition attribute="parentcustomerid" operator="eq" value="${accountId}" />` +
+          "</filter>",
+        entityLogicalName: "contact",
+      };
+    }
+
+    it("offers only the account's contacts", async () => {
+      const { simulator, connector } = setUp({ customer: contoso });
+
+      await simulator.run(connector.updateContactField);
+
+      assert.deepEqual(simulator.searchLookup("primarycontactid"), [
+        contactsOf(ids.contoso),
+      ]);
+    });
+
+    it("replaces the filter when the account changes", async () => {
+      const { simulator, connector } = setUp({ customer: contoso });
+      await simulator.run(connector.updateContactField);
+
+      simulator.formContext.getAttribute("customerid").setValue(northwind);
+      await simulator.run(connector.updateContactField);
+
+      assert.deepEqual(simulator.searchLookup("primarycontactid"), [
+        contactsOf(ids.northwind),
+      ]);
+    });
+
+    it("removes the filter when the customer is a contact", async () => {
+      const { simulator, connector } = setUp({ customer: contoso });
+      await simulator.run(connector.updateContactField);
+
+      simulator.formContext.getAttribute("customerid").setValue(sam);
+      await simulator.run(connector.updateContactField);
+
+      assert.deepEqual(simulator.searchLookup("primarycontactid"), []);
+    });
+
+    it("removes the filter when the customer is cleared", async () => {
+      const { simulator, connector } = setUp({ customer: contoso });
+      await simulator.run(connector.updateContactField);
+
+      simulator.formContext.getAttribute("customerid").setValue(null);
+      await simulator.run(connector.updateContactField);
+
+      assert.deepEqual(simulator.searchLookup("primarycontactid"), []);
+    });
+  });
+
+  describe("with a field mapping", () => {
+    const opportunityMapping = {
+      table: "opportunity",
+      contactField: "parentcontactid",
+    };
+
+    /**
+     * Creates an opportunity form simulator with the connector loaded.
+     *
+     * @param {Object} [options]  Simulator options
+     * @param {Object[]} [options.customer]  Initial customerid lookup value
+     * @param {Object[]} [options.configuration]  Web resource records to seed
+     * @returns {Object}  The simulator and the connector API
+     */
+    function setUpOpportunity({ customer, configuration } = {}) {
+      const simulator = createXrmSimulator({
+        form: {
+          entityName: "opportunity",
+          attributes: {
+            customerid: { type: "lookup", value: customer ?? null },
+            parentcontactid: { type: "lookup", value: null },
+          },
+        },
+        schema: caseFormSchema,
+        records: { ...records, webresource: configuration ?? [] },
+        resources: readResourceWebResources(),
+      });
+      const cr4fd = simulator.loadScripts(
+        webResources.logger,
+        webResources.localisation,
+        webResources.formNotifications,
+        webResources.formRules,
+        webResources.webApi,
+        webResources.recordCache,
+        webResources.contactChannels,
+        webResources.customerContactConnector
+      );
+      return { simulator, connector: cr4fd.caseFormCustomerContactConnector };
+    }
+
+    /**
+     * Creates a web resource record holding JSON content.
+     *
+     * @param {string} name  The web resource name
+     * @param {string} content  The text content
+     * @returns {Object}  The web resource record
+     */
+    function jsonWebResource(name, content) {
+      return {
+        webresourceid: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0f001",
+        name,
+        content: Buffer.from(content).toString("base64"),
+      };
+    }
+
+    it("populates the mapped contact field from a handler parameter", async () => {
+      const { simulator, connector } = setUpOpportunity({ customer: contoso });
+
+      await simulator.run((executionContext) =>
+        connector.populateContactOnCustomerChange(
+          executionContext,
+          opportunityMapping
+        )
+      );
+
+      assert.equal(readLookupId(simulator, "parentcontactid"), ids.alex);
+    });
+
+    it("updates the mapped contact control from a handler parameter", async () => {
+      const { simulator, connector } = setUpOpportunity({ customer: sam });
+
+      await simulator.run((executionContext) =>
+        connector.updateContactField(executionContext, opportunityMapping)
+      );
+
+      assert.equal(
+        simulator.formContext.getControl("parentcontactid").getVisible(),
+        false
+      );
+    });
+
+    it("reads the mapping from a JSON web resource once", async () => {
+      const { simulator, connector } = setUpOpportunity({
+        customer: contoso,
+        configuration: [
+          jsonWebResource(
+            "cr4fd_/configuration/opportunity.json",
+            JSON.stringify(opportunityMapping)
+          ),
+        ],
+      });
+      const handler = (executionContext) =>
+        connector.populateContactOnCustomerChange(
+          executionContext,
+          "cr4fd_/configuration/opportunity.json"
+        );
+
+      await simulator.run(handler);
+      await simulator.run(handler);
+
+      assert.equal(readLookupId(simulator, "parentcontactid"), ids.alex);
+      assert.equal(
+        simulator.webApiCalls.filter(({ args }) => args[0] === "webresource")
+          .length,
+        1
+      );
+    });
+
+    it("reports a missing configuration web resource", async () => {
+      const { simulator, connector } = setUpOpportunity();
+
+      await simulator.run((executionContext) =>
+        connector.updateContactField(executionContext, "cr4fd_/missing.json")
+      );
+
+      assert.match(
+        simulator.getFormNotifications()[0].message,
+        /The field mapping web resource "cr4fd_\/missing.json" was not found/
+      );
+    });
+
+    it("reports a configuration web resource that is not JSON", async () => {
+      const { simulator, connector } = setUpOpportunity({
+        configuration: [jsonWebResource("cr4fd_/invalid.json", "{ table: ")],
+      });
+
+      await simulator.run((executionContext) =>
+        connector.updateContactField(executionContext, "cr4fd_/invalid.json")
+      );
+
+      assert.match(
+        simulator.getFormNotifications()[0].message,
+        /"cr4fd_\/invalid.json" does not contain valid JSON/
+      );
+    });
+
+    it("reports a mapping property that is not a logical name", async () => {
+      const { simulator, connector } = setUpOpportunity();
+
+      await simulator.run((executionContext) =>
+        connector.updateContactField(executionContext, {
+          table: "opportunity",
+          contactField: "Parent Contact",
+        })
+      );
+
+      assert.match(
+        simulator.getFormNotifications()[0].message,
+        /Invalid form configuration: Field mapping property "contactField" must be a logical name, received "Parent Contact"/
+      );
+    });
+
+    it("reports a mapping that is not an object", async () => {
+      const { simulator, connector } = setUpOpportunity();
+
+      await simulator.run((executionContext) =>
+        connector.updateContactField(executionContext, 42)
+      );
+
+      assert.match(
+        simulator.getFormNotifications()[0].message,
+        /Field mapping must be an object/
+      );
+    });
+
+    it("reports a form that is not associated with the mapped table", async () => {
+      const { simulator, connector } = setUpOpportunity();
+
+      await simulator.run((executionContext) =>
+        connector.updateContactField(executionContext, {
+          table: "quote",
+          contactField: "parentcontactid",
+        })
+      );
+
+      assert.match(
+        simulator.getFormNotifications()[0].message,
+        /Form must be associated with quote entity/
+      );
+    });
+
+    it("reports a form without the mapped customer field", async () => {
+      const { simulator, connector } = setUpOpportunity();
+
+      await simulator.run((executionContext) =>
+        connector.updateContactField(executionContext, {
+          ...opportunityMapping,
+          customerField: "parentaccountid",
+        })
+      );
+
+      assert.match(
+        simulator.getFormNotifications()[0].message,
+        /The customer field \(parentaccountid\) must be present in the form/
+      );
+    });
+  });
+
+  describe("updateContactField with form rules", () => {
+    //Rules disabling the contact field for contacts who opted out of email
+    const optedOutOfEmailRules = [
+      {
+        id: "contactDisabledWhenOptedOutOfEmail",
+        when: { fact: "contact.donotemail", equals: true },
+        then: [
+          { field: "contactField", disabled: true },
+          {
+            notification: "cr4fd_test",
+            message: "ContactOfAccount",
+            values: {
+              contactName: "contact.name",
+              accountName: "account.name",
+            },
+            severity: "warning",
+            field: "contactField",
+          },
+        ],
+        otherwise: [{ field: "contactField", disabled: false }],
+      },
+    ];
+
+    /**
+     * Runs updateContactField with rules for a customer and contact.
+     *
+     * @param {Object[]} rules  The rules of the field mapping
+     * @param {Object} [options]  Case form options, see
+     *                            createCaseFormSimulator
+     * @returns {Promise<Object>}  The simulator and the connector API after
+     *                             the handler completes
+     */
+    async function runHandler(rules, options) {
+      const { simulator, connector } = setUp(options);
+      await simulator.run((executionContext) =>
+        connector.updateContactField(executionContext, { rules })
+      );
+      return { simulator, connector };
+    }
+
+    it("applies rules over the contact record", async () => {
+      const { simulator } = await runHandler(optedOutOfEmailRules, {
+        customer: northwind,
+        contact: sam,
+      });
+
+      assert.equal(
+        simulator.formContext.getControl("primarycontactid").getDisabled(),
+        true
+      );
+      assert.equal(
+        simulator.getControlNotifications("primarycontactid")[0].message,
+        "Sam Lee is a contact of Northwind."
+      );
+      assert.deepEqual(simulator.webApiCalls[0].args, [
+        "contact",
+        ids.sam,
+        "?$select=donotemail",
+      ]);
+    });
+
+    it("clears a rule's notification once its condition is not met", async () => {
+      const { simulator, connector } = await runHandler(optedOutOfEmailRules, {
+        customer: northwind,
+        contact: sam,
+      });
+
+      simulator.formContext.getAttribute("primarycontactid").setValue(alex);
+      await simulator.run((executionContext) =>
+        connector.updateContactField(executionContext, {
+          rules: optedOutOfEmailRules,
+        })
+      );
+
+      assert.equal(
+        simulator.formContext.getControl("primarycontactid").getDisabled(),
+        false
+      );
+      assert.deepEqual(
+        simulator.getControlNotifications("primarycontactid"),
+        []
+      );
+    });
+
+    it("reads lookup columns of the account as lookup values", async () => {
+      const { simulator } = await runHandler(
+        [
+          {
+            when: { fact: "account.primarycontactid.id", equals: ids.alex },
+            then: [{ field: "contactField", requiredLevel: "recommended" }],
+          },
+        ],
+        { customer: contoso }
+      );
+
+      assert.equal(
+        simulator.formContext
+          .getAttribute("primarycontactid")
+          .getRequiredLevel(),
+        "recommended"
+      );
+      assert.deepEqual(simulator.webApiCalls[0].args, [
+        "account",
+        ids.contoso,
+        "?$select=_primarycontactid_value",
+      ]);
+    });
+
+    it("replaces the default rules", async () => {
+      const { simulator } = await runHandler([], { customer: sam });
+
+      assert.equal(
+        simulator.formContext.getControl("primarycontactid").getVisible(),
+        true
+      );
+    });
+
+    it("reports rules that are not valid", async () => {
+      const { simulator } = await runHandler([
+        { when: { fact: "customer.entityType", like: "acc" }, then: [] },
+      ]);
+
+      assert.match(
+        simulator.getFormNotifications()[0].message,
+        /Invalid form configuration: Rule 1 must have a when condition/
+      );
+    });
+  });
+
+  describe("notifyOfActiveCaseForCustomer", () => {
+    /**
+     * Runs notifyOfActiveCaseForCustomer for a customer and contact.
+     *
+     * @param {Object} [options]  Case form options, see
+     *                            createCaseFormSimulator
+     * @returns {Promise<Object>}  The simulator after the handler completes
+     */
+    async function runHandler(options) {
+      const { simulator, connector } = setUp(options);
+      await simulator.run(connector.notifyOfActiveCaseForCustomer);
+      return simulator;
+    }
+
+    it("warns when the customer has an active case", async () => {
+      const simulator = await runHandler({ customer: contoso });
+
+      assert.deepEqual(simulator.getFormNotifications(), [
+        {
+          message:
+            "An active case already exists for this customer: " +
+            "'Printer on fire'. A new case cannot be saved while it remains " +
+            "active.",
+          level: "WARNING",
+          uniqueId: "cr4fd_active_case_for_customer",
+        },
+      ]);
+    });
+
+    it("offers an action to open the active case", async () => {
+      const simulator = await runHandler({ customer: contoso });
+      const [notification] = simulator.getControlNotifications("customerid");
+
+      notification.actions[0].actions[0]();
+
+      assert.equal(notification.notificationLevel, "RECOMMENDATION");
+      assert.deepEqual(simulator.dialogs.forms[0].entityFormOptions, {
+        entityName: "incident",
+        entityId: ids.contosoCase,
+        openInNewWindow: true,
+      });
+    });
+
+    it("does not raise the notifications again for the same case", async () => {
+      const { simulator, connector } = setUp({ customer: contoso });
+      const notificationCalls = [];
+      const { ui } = simulator.formContext;
+      const setFormNotification = ui.setFormNotification;
+      ui.setFormNotification = (...args) => {
+        notificationCalls.push(args[2]);
+        return setFormNotification(...args);
+      };
+      const customerControl = simulator.formContext.getControl("customerid");
+      const addNotification = customerControl.addNotification;
+      customerControl.addNotification = (notification) => {
+        notificationCalls.push(notification.uniqueId);
+        return addNotification(notification);
+      };
+
+      await simulator.run(connector.notifyOfActiveCaseForCustomer);
+      await simulator.run(connector.notifyOfActiveCaseForCustomer);
+
+      assert.deepEqual(notificationCalls, [
+        "cr4fd_active_case_for_customer",
+        "cr4fd_active_case_action",
+      ]);
+      assert.equal(simulator.getControlNotifications("customerid").length, 1);
+    });
+
+    it("does not warn about inactive cases", async () => {
+      const simulator = await runHandler({ customer: fabrikam });
+
+      assert.deepEqual(simulator.getFormNotifications(), []);
+      assert.deepEqual(simulator.getControlNotifications("customerid"), []);
+    });
+
+    it("tells the user when the contact is the customer of an active case", async () => {
+      const simulator = await runHandler({ customer: fabrikam, contact: sam });
+
+      assert.deepEqual(simulator.getFormNotifications(), [
+        {
+          message:
+            "An active case already exists for this contact: " +
+            "'Billing query'. Check whether it covers this request before " +
+            "saving a new case.",
+          level: "INFO",
+          uniqueId: "cr4fd_active_case_for_customer",
+        },
+      ]);
+    });
+
+    it("tells the user when the contact is the contact of an active case", async () => {
+      const simulator = await runHandler({ customer: fabrikam, contact: alex });
+
+      assert.equal(simulator.getFormNotifications()[0].level, "INFO");
+      assert.match(
+        simulator.getFormNotifications()[0].message,
+        /^An active case already exists for this contact: 'Printer on fire'/
+      );
+    });
+
+    it("warns about the customer's active case before the contact's", async () => {
+      const simulator = await runHandler({ customer: contoso, contact: sam });
+
+      assert.equal(simulator.getFormNotifications()[0].level, "WARNING");
+      assert.match(
+        simulator.getFormNotifications()[0].message,
+        /^An active case already exists for this customer: 'Printer on fire'/
+      );
+    });
+
+    it("matches the customer's active cases on the customer only", async () => {
+      const simulator = await runHandler({ customer: contoso });
+
+      assert.equal(simulator.webApiCalls.length, 1);
+      assert.match(
+        simulator.webApiCalls[0].args[1],
+        new RegExp(
+          `\\$filter=statecode eq 0 and _customerid_value eq ${ids.contoso}&`
+        )
+      );
+    });
+
+    it("clears the warning once the customer has no active case", async () => {
+      const { simulator, connector } = setUp({ customer: contoso });
+      simulator.registerOnChange(
+        "customerid",
+        connector.notifyOfActiveCaseForCustomer
+      );
+      await simulator.run(connector.notifyOfActiveCaseForCustomer);
+
+      simulator.setValueAsUser("customerid", fabrikam);
+      await simulator.whenIdle();
+
+      assert.deepEqual(simulator.getFormNotifications(), []);
+      assert.deepEqual(simulator.getControlNotifications("customerid"), []);
+    });
+
+    it("discards the result for a superseded customer", async () => {
+      const { simulator, connector } = setUp();
+      simulator.registerOnChange(
+        "customerid",
+        connector.notifyOfActiveCaseForCustomer
+      );
+      simulator.holdWebApiResponses();
+
+      simulator.setValueAsUser("customerid", contoso);
+      simulator.setValueAsUser("customerid", fabrikam);
+      await simulator.whenWebApiCallsMade(2);
+      simulator.releaseWebApiResponses([1, 0]);
+      await simulator.whenIdle();
+
+      assert.deepEqual(simulator.getFormNotifications(), []);
+    });
+
+    it("does not check existing cases", async () => {
+      const simulator = await runHandler({
+        customer: contoso,
+        formType: FORM_TYPES.update,
+        entityId: ids.contosoCase,
+      });
+
+      assert.equal(simulator.webApiCalls.length, 0);
+      assert.deepEqual(simulator.getFormNotifications(), []);
+    });
+
+    it("does not query when there is no customer or contact", async () => {
+      const simulator = await runHandler();
+
+      assert.equal(simulator.webApiCalls.length, 0);
+    });
+
+    it("reports Web API failures", async () => {
+      const { simulator, connector } = setUp({ customer: contoso });
+      simulator.failNextWebApiCall();
+
+      await simulator.run(connector.notifyOfActiveCaseForCustomer);
+
+      assert.match(
+        simulator.getControlNotifications("customerid")[0].message,
+        /^notifyOfActiveCaseForCustomer has encountered an error/
+      );
+    });
+  });
+
+  describe("validateContactBelongsToCustomer", () => {
+    /**
+     * Saves a case form with the handler registered on save.
+     *
+     * @param {Object} [options]  Case form options, see
+     *                            createCaseFormSimulator
+     * @returns {Promise<Object>}  The simulator and whether the form saved
+     */
+    async function save(options) {
+      const { simulator, connector } = setUp(options);
+      simulator.registerOnSave(connector.validateContactBelongsToCustomer);
+      const isSaved = await simulator.save();
+      return { simulator, isSaved };
+    }
+
+    it("saves when the contact belongs to the account", async () => {
+      const { simulator, isSaved } = await save({
+        customer: contoso,
+        contact: alex,
+      });
+
+      assert.equal(isSaved, true);
+      assert.deepEqual(
+        simulator.getControlNotifications("primarycontactid"),
+        []
+      );
+      assert.deepEqual(simulator.webApiCalls[0].args, [
+        "contact",
+        ids.alex,
+        "?$select=_parentcustomerid_value",
+      ]);
+    });
+
+    it("cancels the save when the contact belongs to another customer", async () => {
+      const { simulator, isSaved } = await save({
+        customer: northwind,
+        contact: alex,
+      });
+
+      assert.equal(isSaved, false);
+      assert.deepEqual(simulator.getControlNotifications("primarycontactid"), [
+        {
+          message:
+            "Alex Wu is not a contact of Northwind. Select one of the " +
+            "account's contacts, or change the customer, before saving.",
+          uniqueId: "cr4fd_contact_not_of_customer",
+        },
+      ]);
+    });
+
+    it("cancels the save when the contact has no parent customer", async () => {
+      const { isSaved } = await save({ customer: northwind, contact: sam });
+
+      assert.equal(isSaved, false);
+    });
+
+    it("does not check when the customer is a contact", async () => {
+      const { simulator, isSaved } = await save({ customer: sam });
+
+      assert.equal(isSaved, true);
+      assert.equal(simulator.webApiCalls.length, 0);
+    });
+
+    it("does not check when there is no contact", async () => {
+      const { simulator, isSaved } = await save({ customer: fabrikam });
+
+      assert.equal(isSaved, true);
+      assert.equal(simulator.webApiCalls.length, 0);
+    });
+
+    it("clears the notification once the contact is corrected", async () => {
+      const { simulator, connector } = setUp({
+        customer: northwind,
+        contact: alex,
+      });
+      simulator.registerOnSave(connector.validateContactBelongsToCustomer);
+      simulator.registerOnChange(
+        "primarycontactid",
+        connector.updateContactField
+      );
+      await simulator.save();
+
+      simulator.setValueAsUser("primarycontactid", sam);
+      await simulator.whenIdle();
+
+      assert.deepEqual(
+        simulator.getControlNotifications("primarycontactid"),
+        []
+      );
+    });
+
+    it("reports Web API failures without cancelling the save", async () => {
+      const { simulator, connector } = setUp({
+        customer: northwind,
+        contact: alex,
+      });
+      simulator.registerOnSave(connector.validateContactBelongsToCustomer);
+      simulator.failNextWebApiCall();
+
+      assert.equal(await simulator.save(), true);
+      assert.match(
+        simulator.getControlNotifications("primarycontactid")[0].message,
+        /^validateContactBelongsToCustomer has encountered an error/
+      );
+    });
+  });
+
+  describe("displayContactChannels", () => {
+    /**
+     * Runs displayContactChannels for a contact.
+     *
+     * @param {Object} [options]  Case form options, see
+     *                            createCaseFormSimulator
+     * @returns {Promise<Object>}  The simulator after the handler completes
+     */
+    async function runHandler(options) {
+      const { simulator, connector } = setUp(options);
+      await simulator.run(connector.displayContactChannels);
+      return simulator;
+    }
+
+    it("shows the contact's channels, marking those opted out of", async () => {
+      const simulator = await runHandler({ contact: alex });
+
+      assert.deepEqual(simulator.getFormNotifications(), [
+        {
+          message:
+            "Contact channels for Alex Wu: Mobile 07700 900001 (opted out, " +
+            "do not use), Email alex@contoso.com, Business phone not " +
+            "provided, Email 2 not provided",
+          level: "INFO",
+          uniqueId: "cr4fd_contact_channels",
+        },
+      ]);
+    });
+
+    it("shows the channels in the user's language", async () => {
+      const simulator = await runHandler({
+        contact: alex,
+        globalContext: { languageId: 1036 },
+      });
+
+      assert.equal(
+        simulator.getFormNotifications()[0].message,
+        "Canaux de communication de Alex Wu : Mobile 07700 900001 (refusé, " +
+          "ne pas utiliser), E-mail alex@contoso.com, Téléphone " +
+          "professionnel non renseigné, E-mail 2 non renseigné"
+      );
+    });
+
+    it("selects only the channel columns", async () => {
+      const simulator = await runHandler({ contact: alex });
+
+      assert.deepEqual(simulator.webApiCalls[0].args, [
+        "contact",
+        ids.alex,
+        "?$select=mobilephone,donotphone,emailaddress1,donotemail," +
+          "telephone1,emailaddress2,preferredcontactmethodcode," +
+          "donotbulkemail,donotsendmm",
+      ]);
+    });
+
+    it("warns when no channel may be used", async () => {
+      const simulator = await runHandler({ contact: sam });
+
+      assert.deepEqual(simulator.getFormNotifications(), [
+        {
+          message:
+            "Contact channels for Sam Lee: Mobile not provided, Email " +
+            "sam@northwind.com (opted out, do not use), Business phone not " +
+            "provided, Email 2 not provided. No channel may be used",
+          level: "WARNING",
+          uniqueId: "cr4fd_contact_channels",
+        },
+      ]);
+    });
+
+    it("marks channels that are not well formed or without consent", async () => {
+      const { simulator, connector } = setUp({ contact: jo });
+      simulator.store.updateRecord("contact", ids.jo, {
+        mobilephone: "call reception",
+        donotphone: false,
+        emailaddress1: "jo@contoso.com",
+        telephone1: "020 7946 0001",
+      });
+
+      await simulator.run(connector.displayContactChannels);
+
+      assert.equal(
+        simulator.getFormNotifications()[0].message,
+        "Contact channels for Jo Park: Mobile call reception (not valid, do " +
+          "not use), Email jo@contoso.com (consent unknown, do not use), " +
+          "Business phone 020 7946 0001, Email 2 not provided"
+      );
+    });
+
+    it("clears the channels when the contact is cleared", async () => {
+      const { simulator, connector } = setUp({ contact: alex });
+      await simulator.run(connector.displayContactChannels);
+
+      simulator.formContext.getAttribute("primarycontactid").setValue(null);
+      await simulator.run(connector.displayContactChannels);
+
+      assert.deepEqual(simulator.getFormNotifications(), []);
+    });
+
+    it("refreshes when the customer changes the contact", async () => {
+      const { simulator, connector } = setUp();
+      simulator.registerOnChange(
+        "customerid",
+        connector.populateContactOnCustomerChange
+      );
+      simulator.registerOnChange(
+        "primarycontactid",
+        connector.displayContactChannels
+      );
+
+      simulator.setValueAsUser("customerid", contoso);
+      await simulator.whenIdle();
+      simulator.setValueAsUser("customerid", northwind);
+      await simulator.whenIdle();
+
+      assert.match(
+        simulator.getFormNotifications()[0].message,
+        /^Contact channels for Sam Lee/
+      );
+    });
+
+    it("reports a failure to retrieve the contact on the contact field", async () => {
+      const { simulator, connector } = setUp({ contact: alex });
+      simulator.failNextWebApiCall();
+
+      await simulator.run(connector.displayContactChannels);
+
+      assert.deepEqual(simulator.getFormNotifications(), []);
+      assert.match(
+        simulator.getControlNotifications("primarycontactid")[0].message,
+        /^displayContactChannels has encountered an error/
+      );
+    });
+  });
+
+  describe("populateCustomerOnContactChange", () => {
+    /**
+     * Runs populateCustomerOnContactChange for a customer and contact.
+     *
+     * @param {Object} [options]  Case form options, see
+     *                            createCaseFormSimulator
+     * @returns {Promise<Object>}  The simulator after the handler completes
+     */
+    async function runHandler(options) {
+      const { simulator, connector } = setUp(options);
+      await simulator.run(connector.populateCustomerOnContactChange);
+      return simulator;
+    }
+
+    it("offers the contact's account when the customer is empty", async () => {
+      const simulator = await runHandler({ contact: kim });
+
+      const [notification] = simulator.getControlNotifications("customerid");
+      assert.equal(notification.message, "Kim Ito is a contact of Fabrikam.");
+      assert.equal(notification.notificationLevel, "RECOMMENDATION");
+      assert.equal(
+        notification.actions[0].message,
+        "Set the customer to Fabrikam"
+      );
+    });
+
+    it("offers the contact's account when the customer is the contact", async () => {
+      const simulator = await runHandler({ customer: jo, contact: jo });
+
+      assert.equal(
+        simulator.getControlNotifications("customerid")[0].message,
+        "Jo Park is a contact of Contoso."
+      );
+    });
+
+    it("sets the customer and keeps the contact when the offer is taken", async () => {
+      const simulator = await runHandler({ contact: kim });
+
+      simulator
+        .getControlNotifications("customerid")[0]
+        .actions[0].actions[0]();
+
+      assert.equal(readLookupId(simulator, "customerid"), ids.fabrikam);
+      assert.equal(readLookupId(simulator, "primarycontactid"), kim[0].id);
+      assert.equal(
+        simulator.formContext.getControl("primarycontactid").getVisible(),
+        true
+      );
+      assert.equal(
+        simulator.formContext
+          .getAttribute("primarycontactid")
+          .getRequiredLevel(),
+        "required"
+      );
+      assert.deepEqual(simulator.getControlNotifications("customerid"), []);
+    });
+
+    it("makes no offer when the contact has no parent account", async () => {
+      const simulator = await runHandler({ contact: sam });
+
+      assert.deepEqual(simulator.getControlNotifications("customerid"), []);
+    });
+
+    it("makes no offer when the customer is an account", async () => {
+      const simulator = await runHandler({ customer: contoso, contact: kim });
+
+      assert.deepEqual(simulator.getControlNotifications("customerid"), []);
+      assert.equal(simulator.webApiCalls.length, 0);
+    });
+
+    it("withdraws the offer when the contact is cleared", async () => {
+      const { simulator, connector } = setUp({ contact: kim });
+      await simulator.run(connector.populateCustomerOnContactChange);
+
+      simulator.formContext.getAttribute("primarycontactid").setValue(null);
+      await simulator.run(connector.populateCustomerOnContactChange);
+
+      assert.deepEqual(simulator.getControlNotifications("customerid"), []);
+    });
+
+    it("reports a failure to retrieve the contact on the customer field", async () => {
+      const { simulator, connector } = setUp({ contact: kim });
+      simulator.failNextWebApiCall();
+
+      await simulator.run(connector.populateCustomerOnContactChange);
+
+      assert.match(
+        simulator.getControlNotifications("customerid")[0].message,
+        /^populateCustomerOnContactChange has encountered an error/
+      );
+    });
+  });
+
+  describe("initialize", () => {
+    /**
+     * Creates a case form with initialize registered on load, and loads it.
+     *
+     * @param {Object} [options]  Case form options, see
+     *                            createCaseFormSimulator
+     * @returns {Promise<Object>}  The simulator, the connector API and the
+     *                            logger API
+     */
+    async function loadForm(options) {
+      const loaded = setUp(options);
+      loaded.simulator.registerOnLoad(loaded.connector.initialize);
+      await loaded.simulator.triggerLoad();
+      return loaded;
+    }
+
+    /**
+     * Counts the Web API calls retrieving an account.
+     *
+     * @param {Object} simulator  The simulator
+     * @returns {number}  The number of calls
+     */
+    function countAccountCalls(simulator) {
+      return simulator.webApiCalls.filter(({ args }) => args[0] === "account")
+        .length;
+    }
+
+    /**
+     * Reads the message of the contact channels notification.
+     *
+     * @param {Object} simulator  The simulator
+     * @returns {string|undefined}  The message, if the notification is shown
+     */
+    function readChannelsMessage(simulator) {
+      return simulator
+        .getFormNotifications()
+        .find(({ uniqueId }) => uniqueId === "cr4fd_contact_channels")?.message;
+    }
+
+    it("syncs the contact control and channels on load", async () => {
+      const { simulator } = await loadForm({
+        customer: contoso,
+        contact: alex,
+      });
+
+      assert.equal(
+        simulator.formContext
+          .getAttribute("primarycontactid")
+          .getRequiredLevel(),
+        "required"
+      );
+      assert.match(
+        readChannelsMessage(simulator),
+        /^Contact channels for Alex Wu/
+      );
+    });
+
+    it("populates the contact as the user changes the customer", async () => {
+      const { simulator } = await loadForm();
+
+      simulator.setValueAsUser("customerid", northwind);
+      await simulator.whenIdle();
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), ids.sam);
+      assert.match(
+        readChannelsMessage(simulator),
+        /^Contact channels for Sam Lee/
+      );
+      assert.deepEqual(simulator.scriptErrors, []);
+    });
+
+    it("validates the contact on save", async () => {
+      const { simulator } = await loadForm({
+        customer: northwind,
+        contact: alex,
+      });
+
+      assert.equal(await simulator.save(), false);
+    });
+
+    it("syncs the form state after a save", async () => {
+      const { simulator } = await loadForm({ contact: alex });
+      simulator.store.updateRecord("contact", ids.alex, {
+        mobilephone: "07700 900002",
+      });
+
+      assert.equal(await simulator.save(), true);
+
+      assert.match(readChannelsMessage(simulator), /Mobile 07700 900002/);
+    });
+
+    it("syncs the form state once per save", async () => {
+      const { simulator, logger } = await loadForm({ contact: alex });
+      const countSyncs = () =>
+        logger
+          .getEntries()
+          .filter(({ message }) =>
+            /^displayContactChannels: completed in \d+ ms$/.test(message)
+          ).length;
+      const syncsBeforeSave = countSyncs();
+
+      assert.equal(await simulator.save(), true);
+
+      assert.equal(countSyncs() - syncsBeforeSave, 1);
+    });
+
+    it("attaches the handlers once when run again", async () => {
+      const { simulator, connector } = await loadForm();
+      await simulator.run(connector.initialize);
+
+      simulator.setValueAsUser("customerid", contoso);
+      await simulator.whenIdle();
+
+      assert.equal(countAccountCalls(simulator), 1);
+    });
+
+    it("syncs, without attaching the handlers again, when the data is refreshed", async () => {
+      const { simulator } = await loadForm({ contact: alex });
+      simulator.store.updateRecord("contact", ids.alex, {
+        emailaddress1: "alex.wu@contoso.com",
+      });
+
+      await simulator.formContext.data.refresh();
+      await simulator.whenIdle();
+      simulator.setValueAsUser("customerid", contoso);
+      await simulator.whenIdle();
+
+      assert.match(readChannelsMessage(simulator), /Email alex.wu@contoso.com/);
+      assert.equal(countAccountCalls(simulator), 1);
+    });
+
+    it("reuses a retrieved account when the customer is changed back", async () => {
+      const { simulator } = await loadForm();
+
+      for (const customer of [contoso, northwind, contoso]) {
+        simulator.setValueAsUser("customerid", customer);
+        await simulator.whenIdle();
+      }
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), ids.alex);
+      assert.equal(countAccountCalls(simulator), 2);
+    });
+
+    it("logs the handlers of a change with one correlation id", async () => {
+      const { simulator, logger } = await loadForm();
+
+      simulator.setValueAsUser("customerid", contoso);
+      await simulator.whenIdle();
+
+      const completions = Array.from(logger.getEntries()).filter(
+        ({ message }) => / completed in \d+ ms$/.test(message)
+      );
+      const { correlationId } = completions.find(({ message }) =>
+        message.startsWith("populateContactOnCustomerChange:")
+      ).details;
+      assert.deepEqual(
+        completions
+          .filter(({ details }) => details.correlationId === correlationId)
+          .map(({ message }) => message.split(":")[0])
+          .sort(),
+        [
+          "displayContactChannels",
+          "notifyOfActiveCaseForCustomer",
+          "notifyOfContactDrift",
+          "populateContactOnCustomerChange",
+        ]
+      );
+    });
+
+    it("detaches the handlers on teardown", async () => {
+      const { simulator, connector } = await loadForm();
+      const callCount = simulator.webApiCalls.length;
+
+      connector.teardown(simulator.formContext);
+      simulator.setValueAsUser("customerid", contoso);
+      await simulator.whenIdle();
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), null);
+      assert.equal(simulator.webApiCalls.length, callCount);
+    });
+
+    it("reports a form without the customer field", async () => {
+      const { simulator, connector } = setUp();
+
+      await simulator.run((executionContext) =>
+        connector.initialize(executionContext, {
+          customerField: "parentaccountid",
+        })
+      );
+
+      assert.match(
+        simulator.getFormNotifications()[0].message,
+        /^initialize has encountered an error. Invalid form configuration/
+      );
+    });
+  });
+
+  describe("notifyOfContactDrift", () => {
+    /**
+     * Runs notifyOfContactDrift on an existing Contoso case.
+     *
+     * @param {Object} [options]  Case form options, see
+     *                            createCaseFormSimulator
+     * @returns {Promise<Object>}  The simulator after the handler completes
+     */
+    async function runHandler(options) {
+      const { simulator, connector } = setUp({
+        formType: FORM_TYPES.update,
+        entityId: ids.contosoCase,
+        customer: contoso,
+        contact: jo,
+        ...options,
+      });
+      await simulator.run(connector.notifyOfContactDrift);
+      return simulator;
+    }
+
+    /**
+     * Reads the drift notification shown at the top of the form.
+     *
+     * @param {Object} simulator  The simulator
+     * @returns {Object|undefined}  The notification, if shown
+     */
+    function readDriftNotification(simulator) {
+      return simulator
+        .getFormNotifications()
+        .find(({ uniqueId }) => uniqueId === "cr4fd_contact_drift");
+    }
+
+    it("notifies when the contact is not the account's primary contact", async () => {
+      const simulator = await runHandler();
+
+      const notification = readDriftNotification(simulator);
+      assert.equal(
+        notification.message,
+        "The contact, Jo Park, is no longer the primary contact of Contoso. " +
+          "The recommended contact is Alex Wu."
+      );
+      assert.equal(notification.level, "WARNING");
+      assert.equal(
+        simulator.getControlNotifications("primarycontactid")[0].actions[0]
+          .message,
+        "Update the contact to Alex Wu"
+      );
+    });
+
+    it("updates the contact when the action is taken", async () => {
+      const simulator = await runHandler();
+
+      simulator
+        .getControlNotifications("primarycontactid")[0]
+        .actions[0].actions[0]();
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), ids.alex);
+      assert.equal(readDriftNotification(simulator), undefined);
+      assert.deepEqual(
+        simulator.getControlNotifications("primarycontactid"),
+        []
+      );
+    });
+
+    it("notifies when the contact has been deactivated", async () => {
+      const simulator = await runHandler({
+        records: {
+          ...records,
+          contact: records.contact.map((record) =>
+            record.contactid === ids.alex ? { ...record, statecode: 1 } : record
+          ),
+        },
+        contact: alex,
+      });
+
+      assert.equal(
+        readDriftNotification(simulator).message,
+        "The contact, Alex Wu, has been deactivated. " +
+          "The recommended contact is Jo Park."
+      );
+    });
+
+    it("does not notify when the contact is the primary contact", async () => {
+      const simulator = await runHandler({ contact: alex });
+
+      assert.equal(readDriftNotification(simulator), undefined);
+      assert.deepEqual(
+        simulator.getControlNotifications("primarycontactid"),
+        []
+      );
+    });
+
+    it("does not check a new case", async () => {
+      const simulator = await runHandler({
+        formType: FORM_TYPES.create,
+        entityId: undefined,
+      });
+
+      assert.equal(simulator.webApiCalls.length, 0);
+      assert.equal(readDriftNotification(simulator), undefined);
+    });
+
+    it("does not offer to update the contact on a read-only form", async () => {
+      const simulator = await runHandler({ formType: FORM_TYPES.readOnly });
+
+      assert.notEqual(readDriftNotification(simulator), undefined);
+      assert.deepEqual(
+        simulator.getControlNotifications("primarycontactid"),
+        []
+      );
+    });
+  });
+
+  describe("on each form type", () => {
+    /**
+     * Creates a case form of a type with the handlers registered on the
+     * customer and contact.
+     *
+     * @param {number} formType  One of FORM_TYPES
+     * @param {Object} [options]  Case form options, see
+     *                            createCaseFormSimulator
+     * @returns {Object}  The simulator and the connector API
+     */
+    function setUpFormType(formType, options = {}) {
+      const { simulator, connector } = setUp({ formType, ...options });
+      simulator.registerOnChange(
+        "customerid",
+        connector.populateContactOnCustomerChange
+      );
+      simulator.registerOnChange(
+        "primarycontactid",
+        connector.populateCustomerOnContactChange
+      );
+      return { simulator, connector };
+    }
+
+    it("does not populate an existing case whose customer has not changed", async () => {
+      const { simulator, connector } = setUpFormType(FORM_TYPES.update, {
+        customer: contoso,
+        entityId: ids.contosoCase,
+      });
+
+      await simulator.run(connector.populateContactOnCustomerChange);
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), null);
+      assert.equal(simulator.webApiCalls.length, 0);
+      assert.equal(
+        simulator.formContext
+          .getAttribute("primarycontactid")
+          .getRequiredLevel(),
+        "required"
+      );
+    });
+
+    it("populates an existing case once the customer changes", async () => {
+      const { simulator } = setUpFormType(FORM_TYPES.update, {
+        customer: fabrikam,
+        entityId: ids.contosoCase,
+      });
+
+      simulator.setValueAsUser("customerid", contoso);
+      await simulator.whenIdle();
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), ids.alex);
+    });
+
+    for (const [formTypeName, formType] of [
+      ["read-only", FORM_TYPES.readOnly],
+      ["disabled", FORM_TYPES.disabled],
+    ]) {
+      it(`does not write the contact on a ${formTypeName} form`, async () => {
+        const { simulator } = setUpFormType(formType);
+
+        simulator.setValueAsUser("customerid", contoso);
+        await simulator.whenIdle();
+
+        assert.equal(readLookupId(simulator, "primarycontactid"), null);
+        assert.equal(simulator.webApiCalls.length, 0);
+      });
+
+      it(`does not offer to set the customer on a ${formTypeName} form`, async () => {
+        const { simulator } = setUpFormType(formType);
+
+        simulator.setValueAsUser("primarycontactid", kim);
+        await simulator.whenIdle();
+
+        assert.deepEqual(simulator.getControlNotifications("customerid"), []);
+      });
+    }
+
+    it("supports the quick create form", async () => {
+      const { simulator, connector } = setUp({
+        withoutEmailField: true,
+        withoutQuickView: true,
+      });
+      simulator.registerOnLoad(connector.initialize);
+      await simulator.triggerLoad();
+
+      simulator.setValueAsUser("customerid", contoso);
+      await simulator.whenIdle();
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), ids.alex);
+      assert.ok(
+        simulator
+          .getFormNotifications()
+          .some(({ uniqueId }) => uniqueId === "cr4fd_active_case_for_customer")
+      );
+      assert.deepEqual(simulator.scriptErrors, []);
+    });
+
+    it("treats a saved case as existing", async () => {
+      const { simulator, connector } = setUpFormType(FORM_TYPES.create, {
+        customer: fabrikam,
+      });
+      await simulator.save();
+
+      await simulator.run(connector.populateContactOnCustomerChange);
+
+      assert.equal(simulator.formContext.ui.getFormType(), FORM_TYPES.update);
+      assert.equal(simulator.webApiCalls.length, 0);
+    });
+  });
+
+  describe("populateContactOnGridRowChange", () => {
+    /**
+     * Creates a case grid row simulator with the connector loaded, and the
+     * handler registered for the customer and contact columns.
+     *
+     * @param {Object} [options]  Grid row options, see
+     *                            createCaseGridRowSimulator
+     * @returns {Object}  The simulator and the connector API
+     */
+    function setUpGridRow(options = {}) {
+      const simulator = createCaseGridRowSimulator({ records, ...options });
+      const connector = simulator.loadScripts(
+        webResources.logger,
+        webResources.localisation,
+        webResources.formNotifications,
+        webResources.formRules,
+        webResources.webApi,
+        webResources.recordCache,
+        webResources.contactChannels,
+        webResources.customerContactConnector
+      ).caseFormCustomerContactConnector;
+
+      const columns = options.withoutContactColumn
+        ? ["customerid"]
+        : ["customerid", "primarycontactid"];
+      for (const column of columns) {
+        simulator.registerOnChange(
+          column,
+          connector.populateContactOnGridRowChange
+        );
+      }
+      return { simulator, connector };
+    }
+
+    /**
+     * Reads a grid attribute of the simulated row.
+     *
+     * @param {Object} simulator  The grid row simulator
+     * @param {string} attributeName  The attribute logical name
+     * @returns {Object}  The grid attribute
+     */
+    function readGridAttribute(simulator, attributeName) {
+      return simulator.formContext.data.entity.attributes.get(attributeName);
+    }
+
+    /**
+     * Reads whether the contact cell of the simulated row is locked.
+     *
+     * @param {Object} simulator  The grid row simulator
+     * @returns {boolean}  True if the contact cell is locked
+     */
+    function isContactCellLocked(simulator) {
+      return readGridAttribute(simulator, "primarycontactid")
+        .controls.get(0)
+        .getDisabled();
+    }
+
+    it("populates the contact cell when the customer changes to an account", async () => {
+      const { simulator } = setUpGridRow();
+
+      simulator.setValueAsUser("customerid", contoso);
+      await simulator.whenIdle();
+
+      const contactAttribute = readGridAttribute(simulator, "primarycontactid");
+      assert.equal(contactAttribute.getValue()[0].id, ids.alex);
+      assert.equal(contactAttribute.getRequiredLevel(), "required");
+      assert.equal(isContactCellLocked(simulator), false);
+      assert.deepEqual(simulator.scriptErrors, []);
+    });
+
+    it("clears and locks the contact cell for a contact customer", async () => {
+      const { simulator } = setUpGridRow({ customer: contoso, contact: alex });
+
+      simulator.setValueAsUser("customerid", sam);
+      await simulator.whenIdle();
+
+      const contactAttribute = readGridAttribute(simulator, "primarycontactid");
+      assert.equal(contactAttribute.getValue(), null);
+      assert.equal(contactAttribute.getRequiredLevel(), "none");
+      assert.equal(isContactCellLocked(simulator), true);
+    });
+
+    it("unlocks the contact cell it locked once the customer is an account", async () => {
+      const { simulator } = setUpGridRow({ customer: contoso, contact: alex });
+      simulator.setValueAsUser("customerid", sam);
+      await simulator.whenIdle();
+
+      simulator.setValueAsUser("customerid", contoso);
+      await simulator.whenIdle();
+
+      assert.equal(isContactCellLocked(simulator), false);
+    });
+
+    it("leaves a read-only contact cell locked for an account customer", async () => {
+      const { simulator, connector } = setUpGridRow({
+        customer: contoso,
+        contact: alex,
+        readOnlyContactColumn: true,
+      });
+
+      await simulator.run(connector.populateContactOnGridRowChange);
+      simulator.setValueAsUser("customerid", sam);
+      await simulator.whenIdle();
+      simulator.setValueAsUser("customerid", contoso);
+      await simulator.whenIdle();
+
+      assert.equal(isContactCellLocked(simulator), true);
+    });
+
+    it("updates the contact cell without populating it when the row is selected", async () => {
+      const { simulator, connector } = setUpGridRow({ customer: contoso });
+
+      await simulator.run(connector.populateContactOnGridRowChange);
+
+      const contactAttribute = readGridAttribute(simulator, "primarycontactid");
+      assert.equal(contactAttribute.getValue(), null);
+      assert.equal(contactAttribute.getRequiredLevel(), "required");
+      assert.equal(isContactCellLocked(simulator), false);
+      assert.equal(simulator.webApiCalls.length, 0);
+    });
+
+    it("shows an error on the contact cell for a contact of another account", async () => {
+      const { simulator } = setUpGridRow({ customer: contoso, contact: alex });
+
+      simulator.setValueAsUser("primarycontactid", kim);
+      await simulator.whenIdle();
+
+      assert.deepEqual(simulator.getControlNotifications("primarycontactid"), [
+        {
+          message:
+            "Kim Ito is not a contact of Contoso. Select one of the " +
+            "account's contacts, or change the customer, before saving.",
+          uniqueId: "cr4fd_contact_not_of_customer",
+        },
+      ]);
+
+      simulator.setValueAsUser("primarycontactid", jo);
+      await simulator.whenIdle();
+
+      assert.deepEqual(
+        simulator.getControlNotifications("primarycontactid"),
+        []
+      );
+    });
+
+    it("shows a failed retrieval on the contact cell", async () => {
+      const { simulator } = setUpGridRow();
+      simulator.failNextWebApiCall();
+
+      simulator.setValueAsUser("customerid", contoso);
+      await simulator.whenIdle();
+
+      const [notification] =
+        simulator.getControlNotifications("primarycontactid");
+      assert.equal(notification.uniqueId, "cr4fd_grid_row_error");
+      assert.match(
+        notification.message,
+        /^populateContactOnGridRowChange has encountered an error\./
+      );
+      assert.deepEqual(simulator.scriptErrors, []);
+    });
+
+    it("shows a grid without a contact column on the customer cell", async () => {
+      const { simulator } = setUpGridRow({ withoutContactColumn: true });
+
+      simulator.setValueAsUser("customerid", contoso);
+      await simulator.whenIdle();
+
+      assert.deepEqual(simulator.getControlNotifications("customerid"), [
+        {
+          message:
+            "populateContactOnGridRowChange has encountered an error. " +
+            "Invalid grid configuration: The primarycontactid column must " +
+            "be present in the editable grid",
+          uniqueId: "cr4fd_grid_row_error",
+        },
+      ]);
+    });
+  });
+
+  describe("applyAccountPrimaryContactToCases", () => {
+    //Ids of the cases added for the command
+    const caseIds = {
+      jo: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0e101",
+      kim: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0e102",
+      missing: "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0e1ff",
+    };
+
+    /**
+     * Creates an active case record.
+     *
+     * @param {string} id  The id of the case
+     * @param {string} title  The title of the case
+     * @param {Object} customer  The customer lookup reference
+     * @param {Object} contact  The contact lookup reference
+     * @returns {Object}  The case record
+     */
+    function activeCase(id, title, customer, contact) {
+      return {
+        incidentid: id,
+        title,
+        statecode: 0,
+        customerid: customer,
+        primarycontactid: contact,
+      };
+    }
+
+    /**
+     * Creates a case form simulator, standing in for the Cases view, with the
+     * connector loaded and the given cases added.
+     *
+     * @param {Object[]} cases  The case records to add
+     * @returns {Object}  The simulator and the connector API
+     */
+    function setUpView(cases) {
+      return setUp({
+        records: { ...records, incident: [...records.incident, ...cases] },
+      });
+    }
+
+    /**
+     * Creates a stand-in for the view's grid, counting refreshes.
+     *
+     * @returns {Object}  The grid, with a refreshCount property
+     */
+    function createSelectedControl() {
+      const selectedControl = {
+        refreshCount: 0,
+        refresh: () => selectedControl.refreshCount++,
+      };
+      return selectedControl;
+    }
+
+    it("applies the account primary contact to the selected cases", async () => {
+      const { simulator, connector } = setUpView([
+        activeCase(
+          caseIds.jo,
+          "Paper jam",
+          lookup("account", ids.contoso, "Contoso"),
+          lookup("contact", ids.jo, "Jo Park")
+        ),
+        activeCase(
+          caseIds.kim,
+          "Broken hinge",
+          lookup("account", ids.fabrikam, "Fabrikam"),
+          lookup("contact", ids.kim, "Kim Ito")
+        ),
+      ]);
+      const selectedControl = createSelectedControl();
+
+      const summary = await connector.applyAccountPrimaryContactToCases(
+        [
+          `{${caseIds.jo.toUpperCase()}}`,
+          ids.contosoCase,
+          ids.samCase,
+          "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0e003",
+          caseIds.kim,
+          caseIds.missing,
+        ],
+        selectedControl
+      );
+
+      assert.equal(
+        simulator.store.getRecord("incident", caseIds.jo)
+          ._primarycontactid_value,
+        ids.alex
+      );
+      assert.deepEqual(
+        Array.from(summary.updated, ({ id }) => id),
+        [caseIds.jo]
+      );
+      assert.deepEqual(simulator.dialogs.alerts, [
+        {
+          title: "Account primary contact applied",
+          text: [
+            "Updated (1)",
+            "Paper jam: Contact set to Alex Wu",
+            "",
+            "Skipped (4)",
+            "Printer on fire: The contact is already Alex Wu",
+            "Billing query: The customer is not an account",
+            "Resolved query: The case is not active",
+            "Broken hinge: Fabrikam has no active contact to apply",
+            "",
+            "Failed (1)",
+            `${caseIds.missing}: The case was not found`,
+          ].join("\n"),
+          options: undefined,
+        },
+      ]);
+      assert.deepEqual(simulator.dialogs.progress, [
+        "Applying the account primary contact to cases: 0 of 6 done",
+        null,
+      ]);
+      assert.equal(selectedControl.refreshCount, 1);
+    });
+
+    it("retrieves and updates the cases in batches", async () => {
+      const cases = Array.from({ length: 12 }, (_, index) =>
+        activeCase(
+          `0f9b7c1e-3a55-4c53-9d6e-1b2a40c0e2${String(index).padStart(2, "0")}`,
+          `Case ${index + 1}`,
+          lookup("account", ids.contoso, "Contoso"),
+          lookup("contact", ids.jo, "Jo Park")
+        )
+      );
+      const { simulator, connector } = setUpView(cases);
+
+      const summary = await connector.applyAccountPrimaryContactToCases(
+        cases.map((caseRecord) => caseRecord.incidentid)
+      );
+
+      assert.equal(summary.updated.length, 12);
+      const callCount = (operation, table) =>
+        simulator.webApiCalls.filter(
+          (call) => call.operation === operation && call.args[0] === table
+        ).length;
+      assert.equal(callCount("retrieveMultipleRecords", "incident"), 2);
+      assert.equal(callCount("retrieveRecord", "account"), 1);
+      assert.equal(callCount("updateRecord", "incident"), 0);
+      assert.deepEqual(
+        simulator.webApiCalls
+          .filter(({ operation }) => operation === "executeMultiple")
+          .map(({ args: [requests] }) => requests.length),
+        [10, 2]
+      );
+      assert.deepEqual(simulator.dialogs.progress, [
+        "Applying the account primary contact to cases: 0 of 12 done",
+        "Applying the account primary contact to cases: 10 of 12 done",
+        null,
+      ]);
+    });
+
+    /**
+     * Creates a view simulator with two Contoso cases whose contact would
+     * change, Paper jam and Broken hinge.
+     *
+     * @returns {Object}  The simulator and the connector API
+     */
+    function setUpViewWithTwoUpdates() {
+      return setUpView([
+        activeCase(
+          caseIds.jo,
+          "Paper jam",
+          lookup("account", ids.contoso, "Contoso"),
+          lookup("contact", ids.jo, "Jo Park")
+        ),
+        activeCase(
+          caseIds.kim,
+          "Broken hinge",
+          lookup("account", ids.contoso, "Contoso"),
+          null
+        ),
+      ]);
+    }
+
+    it("reads the cases again where a batch stops at a failed update", async () => {
+      const { simulator, connector } = setUpViewWithTwoUpdates();
+      simulator.failNextBatchedRequest(1);
+
+      const summary = await connector.applyAccountPrimaryContactToCases([
+        caseIds.jo,
+        caseIds.kim,
+      ]);
+
+      assert.deepEqual(
+        Array.from(summary.updated, ({ id }) => id),
+        [caseIds.jo]
+      );
+      assert.deepEqual(
+        Array.from(summary.failed, ({ title, message }) => [title, message]),
+        [["Broken hinge", "The contact could not be applied"]]
+      );
+      assert.equal(
+        simulator.store.getRecord("incident", caseIds.jo)
+          ._primarycontactid_value,
+        ids.alex
+      );
+      assert.equal(
+        simulator.store.getRecord("incident", caseIds.kim)
+          ._primarycontactid_value,
+        null
+      );
+      assert.deepEqual(
+        simulator.webApiCalls.map(({ operation }) => operation),
+        [
+          "retrieveMultipleRecords",
+          "retrieveRecord",
+          "executeMultiple",
+          "retrieveMultipleRecords",
+        ]
+      );
+      assert.equal(simulator.dialogs.alerts.length, 1);
+    });
+
+    it("fails every update of a batch that stops at its first update", async () => {
+      const { simulator, connector } = setUpViewWithTwoUpdates();
+      simulator.failNextBatchedRequest(0);
+
+      const summary = await connector.applyAccountPrimaryContactToCases([
+        caseIds.jo,
+        caseIds.kim,
+      ]);
+
+      assert.deepEqual(
+        Array.from(summary.failed, ({ title, message }) => [title, message]),
+        [
+          ["Paper jam", "The contact could not be applied"],
+          ["Broken hinge", "The contact could not be applied"],
+        ]
+      );
+      assert.equal(summary.updated.length, 0);
+    });
+
+    it("fails the updates it cannot confirm where the cases cannot be read again", async () => {
+      const { simulator, connector } = setUpViewWithTwoUpdates();
+      simulator.failNextBatchedRequest(1);
+
+      const applying = connector.applyAccountPrimaryContactToCases([
+        caseIds.jo,
+        caseIds.kim,
+      ]);
+      await simulator.whenWebApiCallsMade(3);
+      simulator.failNextWebApiCall();
+      const summary = await applying;
+
+      assert.deepEqual(
+        Array.from(summary.failed, ({ title, message }) => [title, message]),
+        [
+          [
+            "Paper jam",
+            "The contact may not have been applied, check the case",
+          ],
+          [
+            "Broken hinge",
+            "The contact may not have been applied, check the case",
+          ],
+        ]
+      );
+      assert.equal(summary.updated.length, 0);
+    });
+
+    it("fails the cases to update where the batch cannot be sent", async () => {
+      const { simulator, connector } = setUpViewWithTwoUpdates();
+
+      const applying = connector.applyAccountPrimaryContactToCases([
+        caseIds.jo,
+        caseIds.kim,
+      ]);
+      await simulator.whenWebApiCallsMade(2);
+      simulator.failNextWebApiCall();
+      const summary = await applying;
+
+      assert.deepEqual(
+        Array.from(summary.failed, ({ title, message }) => [title, message]),
+        [
+          ["Paper jam", "The contact could not be applied"],
+          ["Broken hinge", "The contact could not be applied"],
+        ]
+      );
+      assert.equal(summary.updated.length, 0);
+    });
+
+    it("fails every case of a batch that cannot be retrieved", async () => {
+      const { simulator, connector } = setUpViewWithTwoUpdates();
+      simulator.failNextWebApiCall();
+
+      const summary = await connector.applyAccountPrimaryContactToCases([
+        caseIds.jo,
+      ]);
+
+      assert.deepEqual(
+        Array.from(summary.failed, ({ title, message }) => [title, message]),
+        [[caseIds.jo, "The case could not be retrieved"]]
+      );
+    });
+
+    it("asks for a selection where no case is selected", async () => {
+      const { simulator, connector } = setUp();
+      const selectedControl = createSelectedControl();
+
+      await connector.applyAccountPrimaryContactToCases([], selectedControl);
+
+      assert.deepEqual(
+        Array.from(simulator.dialogs.alerts, ({ text }) => text),
+        ["Select one or more cases to apply the account primary contact to."]
+      );
+      assert.equal(simulator.webApiCalls.length, 0);
+      assert.equal(selectedControl.refreshCount, 0);
+    });
+  });
+
+  describe("openNewCaseForPrimaryContact", () => {
+    /**
+     * Creates an account form simulator with the connector loaded.
+     *
+     * @param {string} [accountId]  The id of the account, omitted for a new
+     *                              account
+     * @param {string} [accountName]  The name of the account
+     * @returns {Object}  The simulator and the connector API
+     */
+    function setUpAccountForm(accountId, accountName) {
+      const simulator = createXrmSimulator({
+        form: {
+          entityName: "account",
+          entityId: accountId && `{${accountId.toUpperCase()}}`,
+          formType: accountId ? FORM_TYPES.update : FORM_TYPES.create,
+          attributes: { name: { value: accountName ?? null } },
+        },
+        schema: caseFormSchema,
+        records,
+        resources: readResourceWebResources(),
+      });
+      const cr4fd = simulator.loadScripts(
+        webResources.logger,
+        webResources.localisation,
+        webResources.formNotifications,
+        webResources.formRules,
+        webResources.webApi,
+        webResources.recordCache,
+        webResources.contactChannels,
+        webResources.customerContactConnector
+      );
+      return { simulator, connector: cr4fd.caseFormCustomerContactConnector };
+    }
+
+    it("opens a case form with the customer, contact and email", async () => {
+      const { simulator, connector } = setUpAccountForm(
+        ids.northwind,
+        "Northwind"
+      );
+
+      await connector.openNewCaseForPrimaryContact(simulator.formContext);
+
+      assert.deepEqual(simulator.dialogs.forms, [
+        {
+          entityFormOptions: {
+            entityName: "incident",
+            useQuickCreateForm: true,
+          },
+          formParameters: {
+            customerid: ids.northwind,
+            customeridname: "Northwind",
+            customeridtype: "account",
+            primarycontactid: ids.sam,
+            primarycontactidname: "Sam Lee",
+            primarycontactidtype: "contact",
+            emailaddress: "sam@northwind.com",
+          },
+        },
+      ]);
+      assert.deepEqual(simulator.dialogs.confirms, []);
+    });
+
+    it("opens a case form with only the customer for an account without a contact", async () => {
+      const { simulator, connector } = setUpAccountForm(
+        ids.fabrikam,
+        "Fabrikam"
+      );
+
+      await connector.openNewCaseForPrimaryContact(simulator.formContext);
+
+      assert.deepEqual(simulator.dialogs.forms[0].formParameters, {
+        customerid: ids.fabrikam,
+        customeridname: "Fabrikam",
+        customeridtype: "account",
+      });
+    });
+
+    it("offers the active case of the account instead of a new case", async () => {
+      const { simulator, connector } = setUpAccountForm(ids.contoso, "Contoso");
+
+      await connector.openNewCaseForPrimaryContact(simulator.formContext);
+
+      assert.equal(simulator.dialogs.confirms.length, 1);
+      assert.equal(
+        simulator.dialogs.confirms[0].text,
+        "Contoso already has an active case: 'Printer on fire'. A new case " +
+          "cannot be saved while it remains active."
+      );
+      assert.deepEqual(simulator.dialogs.forms, [
+        {
+          entityFormOptions: {
+            entityName: "incident",
+            entityId: ids.contosoCase,
+            openInNewWindow: true,
+          },
+          formParameters: undefined,
+        },
+      ]);
+    });
+
+    it("asks for a new account to be saved first", async () => {
+      const { simulator, connector } = setUpAccountForm();
+
+      await connector.openNewCaseForPrimaryContact(simulator.formContext);
+
+      assert.deepEqual(
+        Array.from(simulator.dialogs.alerts, ({ text }) => text),
+        ["Save the account before creating a case for it."]
+      );
+      assert.deepEqual(simulator.dialogs.forms, []);
+      assert.equal(simulator.webApiCalls.length, 0);
+    });
+  });
+
+  describe("when registered on the case form", () => {
+    it("populates and updates the contact as the user changes the customer", async () => {
+      const { simulator, connector } = setUp();
+      simulator.registerOnChange(
+        "customerid",
+        connector.populateContactOnCustomerChange
+      );
+      simulator.registerOnChange(
+        "primarycontactid",
+        connector.updateContactField
+      );
+
+      simulator.setValueAsUser("customerid", contoso);
+      await simulator.whenIdle();
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), ids.alex);
+      assert.equal(
+        simulator.formContext
+          .getAttribute("primarycontactid")
+          .getRequiredLevel(),
+        "required"
+      );
+
+      simulator.setValueAsUser("customerid", sam);
+      await simulator.whenIdle();
+
+      assert.equal(readLookupId(simulator, "primarycontactid"), null);
+      assert.equal(
+        simulator.formContext.getControl("primarycontactid").getVisible(),
+        false
+      );
+      assert.deepEqual(simulator.scriptErrors, []);
+    });
+  });
+});
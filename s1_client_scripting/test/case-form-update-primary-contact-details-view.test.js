@@ -0,0 +1,415 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { lookup } = require("../xrm-simulator");
+const {
+  createCaseFormSimulator,
+  contactQuickViewName,
+  webResources,
+} = require("../xrm-simulator/case-form");
+
+//Records shared by the scenarios
+const records = {
+  contact: [
+    {
+      contactid: "contact-both",
+      fullname: "Both Channels",
+      emailaddress1: "both@example.com",
+      donotemail: false,
+      mobilephone: "07700 900000",
+      donotphone: false,
+    },
+    {
+      contactid: "contact-no-email",
+      fullname: "No Email",
+      emailaddress1: "no-email@example.com",
+      donotemail: true,
+      mobilephone: "07700 900001",
+      donotphone: false,
+    },
+    {
+      contactid: "contact-blank-mobile",
+      fullname: "Blank Mobile",
+      emailaddress1: "blank-mobile@example.com",
+      donotemail: false,
+      mobilephone: "  ",
+      donotphone: false,
+    },
+    {
+      contactid: "contact-none",
+      fullname: "No Channels",
+      emailaddress1: null,
+      donotemail: false,
+      mobilephone: "07700 900002",
+      donotphone: true,
+    },
+    {
+      contactid: "contact-prefers-phone",
+      fullname: "Prefers Phone",
+      emailaddress1: "prefers-phone@example.com",
+      emailaddress2: "prefers-phone@example.org",
+      donotemail: false,
+      donotbulkemail: true,
+      mobilephone: null,
+      telephone1: "+44 (20) 7946-0000",
+      donotphone: false,
+      preferredcontactmethodcode: 3,
+    },
+    {
+      contactid: "contact-telephone-only",
+      fullname: "Telephone Only",
+      emailaddress1: null,
+      donotemail: false,
+      mobilephone: null,
+      telephone1: "+44 20 7946 0001",
+      donotphone: false,
+    },
+    {
+      contactid: "contact-second-email-only",
+      fullname: "Second Email Only",
+      emailaddress1: null,
+      emailaddress2: "second-email-only@example.org",
+      donotemail: false,
+      mobilephone: null,
+      donotphone: false,
+    },
+    {
+      contactid: "contact-malformed",
+      fullname: "Malformed Channels",
+      emailaddress1: "malformed@example",
+      emailaddress2: "malformed@example.com",
+      donotemail: false,
+      mobilephone: "n/a",
+      donotphone: false,
+    },
+  ],
+};
+
+/**
+ * Runs updateAvailableChannelsSection against a case form.
+ *
+ * @param {Object} [options]  Case form options, see createCaseFormSimulator
+ * @returns {Promise<Object>}  The simulator after the handler has completed
+ */
+async function runHandler(options = {}) {
+  const simulator = createCaseFormSimulator({ records, ...options });
+  const cr4fd = simulator.loadScripts(
+    webResources.logger,
+    webResources.localisation,
+    webResources.formNotifications,
+    webResources.formRules,
+    webResources.webApi,
+    webResources.recordCache,
+    webResources.contactChannels,
+    webResources.availableCommunicationChannelsUpdate
+  );
+  await simulator.run(
+    cr4fd.caseFormAvailableCommunicationChannelsUpdate
+      .updateAvailableChannelsSection
+  );
+  return simulator;
+}
+
+/**
+ * Reads the visibility of the quick view, its controls and the case email
+ * field, along with the email requirement level.
+ *
+ * @param {Object} simulator  The simulator
+ * @returns {Object}  The channel section state
+ */
+function readChannelSection(simulator) {
+  const quickView =
+    simulator.formContext.ui.quickForms.get(contactQuickViewName);
+  return {
+    quickView: quickView.getVisible(),
+    mobilePhone: quickView.getControl("mobilephone").getVisible(),
+    telephone: quickView.getControl("telephone1").getVisible(),
+    emailAddress: quickView.getControl("emailaddress1").getVisible(),
+    emailAddress2: quickView.getControl("emailaddress2").getVisible(),
+    caseEmail: simulator.formContext.getControl("emailaddress").getVisible(),
+    caseEmailRequiredLevel: simulator.formContext
+      .getAttribute("emailaddress")
+      .getRequiredLevel(),
+  };
+}
+
+/**
+ * Creates a contact lookup value for a seeded contact.
+ *
+ * @param {string} contactId  The id of the seeded contact
+ * @returns {Object[]}  The lookup value
+ */
+function contact(contactId) {
+  return [lookup("contact", contactId)];
+}
+
+describe("caseFormAvailableCommunicationChannelsUpdate", () => {
+  describe("updateAvailableChannelsSection", () => {
+    it("shows both channels and hides the case email", async () => {
+      const simulator = await runHandler({ contact: contact("contact-both") });
+
+      assert.deepEqual(readChannelSection(simulator), {
+        quickView: true,
+        mobilePhone: true,
+        telephone: false,
+        emailAddress: true,
+        emailAddress2: false,
+        caseEmail: false,
+        caseEmailRequiredLevel: "none",
+      });
+    });
+
+    it("selects only the channel columns", async () => {
+      const simulator = await runHandler({ contact: contact("contact-both") });
+
+      assert.deepEqual(simulator.webApiCalls[0].args, [
+        "contact",
+        "contact-both",
+        "?$select=mobilephone,donotphone,emailaddress1,donotemail," +
+          "telephone1,emailaddress2,preferredcontactmethodcode," +
+          "donotbulkemail,donotsendmm",
+      ]);
+    });
+
+    it("hides channels the contact has opted out of", async () => {
+      const simulator = await runHandler({
+        contact: contact("contact-no-email"),
+      });
+
+      assert.equal(readChannelSection(simulator).emailAddress, false);
+      assert.equal(readChannelSection(simulator).mobilePhone, true);
+    });
+
+    it("hides blank channels", async () => {
+      const simulator = await runHandler({
+        contact: contact("contact-blank-mobile"),
+      });
+
+      assert.equal(readChannelSection(simulator).mobilePhone, false);
+      assert.equal(readChannelSection(simulator).emailAddress, true);
+    });
+
+    it("shows the business phone and second email", async () => {
+      const simulator = await runHandler({
+        contact: contact("contact-prefers-phone"),
+      });
+
+      assert.equal(readChannelSection(simulator).telephone, true);
+      assert.equal(readChannelSection(simulator).emailAddress2, true);
+      assert.equal(readChannelSection(simulator).mobilePhone, false);
+    });
+
+    it("shows only the business phone where it is the only channel", async () => {
+      const simulator = await runHandler({
+        contact: contact("contact-telephone-only"),
+      });
+
+      assert.deepEqual(readChannelSection(simulator), {
+        quickView: true,
+        mobilePhone: false,
+        telephone: true,
+        emailAddress: false,
+        emailAddress2: false,
+        caseEmail: false,
+        caseEmailRequiredLevel: "none",
+      });
+    });
+
+    it("shows only the second email where it is the only channel", async () => {
+      const simulator = await runHandler({
+        contact: contact("contact-second-email-only"),
+      });
+
+      assert.deepEqual(readChannelSection(simulator), {
+        quickView: true,
+        mobilePhone: false,
+        telephone: false,
+        emailAddress: false,
+        emailAddress2: true,
+        caseEmail: false,
+        caseEmailRequiredLevel: "none",
+      });
+    });
+
+    it("hides channels that are not well formed", async () => {
+      const simulator = await runHandler({
+        contact: contact("contact-malformed"),
+      });
+
+      assert.equal(readChannelSection(simulator).mobilePhone, false);
+      assert.equal(readChannelSection(simulator).emailAddress, false);
+      assert.equal(readChannelSection(simulator).emailAddress2, true);
+      assert.equal(readChannelSection(simulator).caseEmail, false);
+    });
+
+    it("recommends the first available channel", async () => {
+      const simulator = await runHandler({ contact: contact("contact-both") });
+
+      assert.deepEqual(simulator.getFormNotifications(), [
+        {
+          message: "Recommended channel: Mobile 07700 900000",
+          level: "INFO",
+          uniqueId: "cr4fd_recommended_channel",
+        },
+      ]);
+    });
+
+    it("recommends a channel of the contact's preferred contact method", async () => {
+      const simulator = await runHandler({
+        contact: contact("contact-prefers-phone"),
+      });
+
+      assert.equal(
+        simulator.getFormNotifications()[0].message,
+        "Recommended channel: Business phone +44 (20) 7946-0000, the " +
+          "contact's preferred contact method"
+      );
+    });
+
+    it("does not recommend a channel when none is available", async () => {
+      const simulator = await runHandler({ contact: contact("contact-none") });
+
+      assert.deepEqual(simulator.getFormNotifications(), []);
+    });
+
+    it("requires the case email when the contact has no channels", async () => {
+      const simulator = await runHandler({ contact: contact("contact-none") });
+
+      assert.deepEqual(readChannelSection(simulator), {
+        quickView: false,
+        mobilePhone: false,
+        telephone: false,
+        emailAddress: false,
+        emailAddress2: false,
+        caseEmail: true,
+        caseEmailRequiredLevel: "required",
+      });
+    });
+
+    it("requires the case email when there is no contact", async () => {
+      const simulator = await runHandler();
+
+      assert.equal(simulator.webApiCalls.length, 0);
+      assert.equal(readChannelSection(simulator).quickView, false);
+      assert.equal(
+        readChannelSection(simulator).caseEmailRequiredLevel,
+        "required"
+      );
+    });
+
+    it("reflects the latest contact when responses arrive out of order", async () => {
+      const simulator = createCaseFormSimulator({ records });
+      const cr4fd = simulator.loadScripts(
+        webResources.logger,
+        webResources.localisation,
+        webResources.formNotifications,
+        webResources.formRules,
+        webResources.webApi,
+        webResources.recordCache,
+        webResources.contactChannels,
+        webResources.availableCommunicationChannelsUpdate
+      );
+      simulator.registerOnChange(
+        "primarycontactid",
+        cr4fd.caseFormAvailableCommunicationChannelsUpdate
+          .updateAvailableChannelsSection
+      );
+      simulator.holdWebApiResponses();
+
+      simulator.setValueAsUser("primarycontactid", contact("contact-both"));
+      simulator.setValueAsUser("primarycontactid", contact("contact-none"));
+      await simulator.whenWebApiCallsMade(2);
+      simulator.releaseWebApiResponses([1, 0]);
+      await simulator.whenIdle();
+
+      assert.equal(readChannelSection(simulator).quickView, false);
+      assert.equal(
+        readChannelSection(simulator).caseEmailRequiredLevel,
+        "required"
+      );
+    });
+
+    it("reports a failure to retrieve the contact", async () => {
+      const simulator = createCaseFormSimulator({
+        records,
+        contact: contact("contact-both"),
+      });
+      const cr4fd = simulator.loadScripts(
+        webResources.logger,
+        webResources.localisation,
+        webResources.formNotifications,
+        webResources.formRules,
+        webResources.webApi,
+        webResources.recordCache,
+        webResources.contactChannels,
+        webResources.availableCommunicationChannelsUpdate
+      );
+      simulator.failNextWebApiCall();
+
+      await simulator.run(
+        cr4fd.caseFormAvailableCommunicationChannelsUpdate
+          .updateAvailableChannelsSection
+      );
+
+      assert.deepEqual(simulator.dialogs.errors, []);
+      assert.match(
+        simulator.getControlNotifications("primarycontactid")[0].message,
+        /The form may not behave as expected/
+      );
+    });
+
+    it("reads the contact from the offline store", async () => {
+      const simulator = await runHandler({
+        contact: contact("contact-no-email"),
+        offline: { tables: ["contact"], records },
+      });
+
+      assert.equal(
+        simulator.webApiCalls[0].operation,
+        "offline.retrieveRecord"
+      );
+      assert.equal(readChannelSection(simulator).emailAddress, false);
+    });
+
+    it("leaves the section unchanged when the contact is not synced offline", async () => {
+      const simulator = await runHandler({
+        contact: contact("contact-none"),
+        offline: { tables: ["contact"], records: {} },
+      });
+
+      assert.equal(readChannelSection(simulator).caseEmail, false);
+      assert.match(
+        simulator.getControlNotifications("primarycontactid")[0].message,
+        /not available offline/
+      );
+    });
+
+    it("reports a form without the contact quick view", async () => {
+      const simulator = await runHandler({ withoutQuickView: true });
+
+      assert.match(
+        simulator.getFormNotifications()[0].message,
+        new RegExp(`quick view form with the name "${contactQuickViewName}"`)
+      );
+    });
+
+    it("reports a form without the case email field", async () => {
+      const simulator = await runHandler({ withoutEmailField: true });
+
+      assert.match(
+        simulator.getFormNotifications()[0].message,
+        /Form must contain emailaddress field/
+      );
+    });
+
+    it("reports a form that is not associated with the case table", async () => {
+      const simulator = await runHandler({ entityName: "account" });
+
+      assert.match(
+        simulator.getFormNotifications()[0].message,
+        /^updateAvailableChannelsSection has encountered an error/
+      );
+    });
+  });
+});
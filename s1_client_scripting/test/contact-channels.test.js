@@ -0,0 +1,181 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createCaseFormSimulator,
+  webResources,
+} = require("../xrm-simulator/case-form");
+
+/**
+ * Creates a case form simulator with the contact channels library loaded.
+ *
+ * @param {Object} [options]  Case form options, see createCaseFormSimulator
+ * @returns {Object}  The contact channels API
+ */
+function setUp(options = {}) {
+  const simulator = createCaseFormSimulator(options);
+  const { contactChannels } = simulator.loadScripts(
+    webResources.logger,
+    webResources.localisation,
+    webResources.contactChannels
+  );
+  return contactChannels;
+}
+
+/**
+ * Reads the names of the available channels of a channel model.
+ *
+ * @param {Object} channelModel  The channel model
+ * @returns {string[]}  The names of the available channels
+ */
+function readAvailableChannelNames(channelModel) {
+  return Object.values(channelModel.channels)
+    .filter((channel) => channel.isAvailable)
+    .map((channel) => channel.name);
+}
+
+describe("contactChannels", () => {
+  describe("columns", () => {
+    it("lists each channel, opt out, preference and consent column once", () => {
+      const contactChannels = setUp();
+
+      assert.deepEqual(Array.from(contactChannels.columns), [
+        "mobilephone",
+        "donotphone",
+        "emailaddress1",
+        "donotemail",
+        "telephone1",
+        "emailaddress2",
+        "preferredcontactmethodcode",
+        "donotbulkemail",
+        "donotsendmm",
+      ]);
+    });
+  });
+
+  describe("buildModel", () => {
+    it("builds every channel of a contact", () => {
+      const contactChannels = setUp();
+
+      const channelModel = contactChannels.buildModel({
+        mobilephone: " 07700 900001 ",
+        donotphone: false,
+        emailaddress1: "alex@contoso.com",
+        donotemail: true,
+      });
+
+      assert.deepEqual(Object.keys(channelModel.channels), [
+        "mobilePhone",
+        "emailAddress",
+        "telephone",
+        "emailAddress2",
+      ]);
+      assert.deepEqual(
+        { ...channelModel.channels.mobilePhone },
+        {
+          name: "mobilePhone",
+          type: "phone",
+          column: "mobilephone",
+          label: "Mobile",
+          value: "07700 900001",
+          isValid: true,
+          isOptedOut: false,
+          isAvailable: true,
+        }
+      );
+      assert.equal(channelModel.channels.emailAddress.isOptedOut, true);
+      assert.equal(channelModel.channels.emailAddress.isAvailable, false);
+      assert.equal(channelModel.recommendedChannel.name, "mobilePhone");
+    });
+
+    it("does not make a value that is not well formed available", () => {
+      const contactChannels = setUp();
+
+      const channelModel = contactChannels.buildModel({
+        mobilephone: "call reception",
+        donotphone: false,
+        emailaddress1: "alex.contoso.com",
+        donotemail: false,
+      });
+
+      assert.equal(channelModel.channels.mobilePhone.isValid, false);
+      assert.equal(channelModel.channels.emailAddress.isValid, false);
+      assert.deepEqual(readAvailableChannelNames(channelModel), []);
+      assert.equal(channelModel.recommendedChannel, null);
+    });
+
+    it("does not make a channel without a do not contact preference available", () => {
+      const contactChannels = setUp();
+
+      const channelModel = contactChannels.buildModel({
+        emailaddress1: "alex@contoso.com",
+      });
+
+      assert.equal(channelModel.channels.emailAddress.isValid, true);
+      assert.equal(channelModel.channels.emailAddress.isOptedOut, false);
+      assert.equal(channelModel.channels.emailAddress.isAvailable, false);
+    });
+
+    it("recommends a channel of the preferred contact method first", () => {
+      const contactChannels = setUp();
+
+      const channelModel = contactChannels.buildModel({
+        mobilephone: "07700 900001",
+        donotphone: false,
+        emailaddress2: "alex@contoso.com",
+        donotemail: false,
+        preferredcontactmethodcode: 2,
+      });
+
+      assert.equal(channelModel.preferredChannelType, "email");
+      assert.equal(channelModel.recommendedChannel.name, "emailAddress2");
+    });
+
+    it("holds the bulk email and marketing material consents", () => {
+      const contactChannels = setUp();
+
+      const channelModel = contactChannels.buildModel({
+        emailaddress1: "alex@contoso.com",
+        donotemail: false,
+        donotbulkemail: true,
+        donotsendmm: false,
+      });
+
+      assert.equal(channelModel.isBulkEmailAllowed, false);
+      assert.equal(channelModel.isMarketingMaterialAllowed, true);
+      assert.equal(channelModel.channels.emailAddress.isAvailable, true);
+      assert.equal(channelModel.recommendedChannel.name, "emailAddress");
+    });
+
+    it("does not give a consent without a do not contact preference", () => {
+      const contactChannels = setUp();
+
+      const channelModel = contactChannels.buildModel({ donotsendmm: null });
+
+      assert.equal(channelModel.isBulkEmailAllowed, false);
+      assert.equal(channelModel.isMarketingMaterialAllowed, false);
+    });
+
+    it("builds unavailable channels without a contact", () => {
+      const contactChannels = setUp();
+
+      const channelModel = contactChannels.buildModel(undefined);
+
+      assert.deepEqual(readAvailableChannelNames(channelModel), []);
+      assert.equal(channelModel.preferredChannelType, null);
+      assert.equal(channelModel.recommendedChannel, null);
+    });
+
+    it("labels the channels in the user's language", () => {
+      const contactChannels = setUp({ globalContext: { languageId: 1031 } });
+
+      const channelModel = contactChannels.buildModel(null);
+
+      assert.equal(
+        channelModel.channels.telephone.label,
+        "Telefon (geschäftlich)"
+      );
+    });
+  });
+});
@@ -0,0 +1,250 @@
+"use strict";
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createCaseFormSimulator,
+  webResources,
+} = require("../xrm-simulator/case-form");
+
+describe("formNotifications", () => {
+  let simulator;
+  let notifications;
+
+  beforeEach(() => {
+    simulator = createCaseFormSimulator();
+    notifications = simulator.loadScripts(
+      webResources.logger,
+      webResources.localisation,
+      webResources.formNotifications
+    ).formNotifications;
+  });
+
+  describe("show", () => {
+    it("shows a notification without a field at the top of the form", () => {
+      notifications.show(simulator.formContext, {
+        id: "cr4fd_test",
+        message: "Saved as a draft",
+        severity: notifications.severities.info,
+      });
+
+      assert.deepEqual(simulator.getFormNotifications(), [
+        { message: "Saved as a draft", level: "INFO", uniqueId: "cr4fd_test" },
+      ]);
+    });
+
+    it("shows an error on the field's control", () => {
+      notifications.show(simulator.formContext, {
+        id: "cr4fd_test",
+        message: "Contact is not valid",
+        severity: notifications.severities.error,
+        fieldName: "primarycontactid",
+      });
+
+      assert.deepEqual(simulator.getFormNotifications(), []);
+      assert.deepEqual(simulator.getControlNotifications("primarycontactid"), [
+        { message: "Contact is not valid", uniqueId: "cr4fd_test" },
+      ]);
+    });
+
+    it("shows a warning on the field's control as a recommendation", () => {
+      notifications.show(simulator.formContext, {
+        id: "cr4fd_test",
+        message: "Contact could not be checked",
+        severity: notifications.severities.warning,
+        fieldName: "primarycontactid",
+      });
+
+      assert.equal(
+        simulator.getControlNotifications("primarycontactid")[0]
+          .notificationLevel,
+        "RECOMMENDATION"
+      );
+    });
+
+    it("falls back to the form when the field's control is missing", () => {
+      notifications.show(simulator.formContext, {
+        id: "cr4fd_test",
+        message: "Contact is not valid",
+        severity: notifications.severities.error,
+        fieldName: "parentcontactid",
+      });
+
+      assert.equal(simulator.getFormNotifications()[0].level, "ERROR");
+    });
+
+    it("does not show an identical notification again", () => {
+      const formNotificationCalls = [];
+      const setFormNotification = simulator.formContext.ui.setFormNotification;
+      simulator.formContext.ui.setFormNotification = (...args) => {
+        formNotificationCalls.push(args);
+        return setFormNotification(...args);
+      };
+      const notification = {
+        id: "cr4fd_test",
+        message: "Saved as a draft",
+        severity: notifications.severities.info,
+      };
+
+      notifications.show(simulator.formContext, notification);
+      notifications.show(simulator.formContext, { ...notification });
+
+      assert.equal(formNotificationCalls.length, 1);
+    });
+
+    it("moves a notification when its field changes", () => {
+      notifications.show(simulator.formContext, {
+        id: "cr4fd_test",
+        message: "Check the customer",
+        severity: notifications.severities.warning,
+        fieldName: "customerid",
+      });
+      notifications.show(simulator.formContext, {
+        id: "cr4fd_test",
+        message: "Check the contact",
+        severity: notifications.severities.warning,
+        fieldName: "primarycontactid",
+      });
+
+      assert.deepEqual(simulator.getControlNotifications("customerid"), []);
+      assert.equal(
+        simulator.getControlNotifications("primarycontactid").length,
+        1
+      );
+    });
+  });
+
+  describe("clear", () => {
+    it("clears a notification wherever it is shown", () => {
+      notifications.show(simulator.formContext, {
+        id: "cr4fd_test",
+        message: "Contact is not valid",
+        severity: notifications.severities.error,
+        fieldName: "primarycontactid",
+      });
+
+      notifications.clear(simulator.formContext, "cr4fd_test");
+
+      assert.deepEqual(
+        simulator.getControlNotifications("primarycontactid"),
+        []
+      );
+    });
+  });
+
+  describe("reportHandlerError", () => {
+    it("shows form configuration errors at the top of the form", () => {
+      notifications.reportHandlerError(
+        simulator.createExecutionContext(),
+        "testHandler",
+        notifications.createFormConfigurationError(
+          "Form must contain title field"
+        ),
+        "primarycontactid"
+      );
+
+      assert.deepEqual(simulator.getFormNotifications(), [
+        {
+          message:
+            "testHandler has encountered an error. Invalid form " +
+            "configuration: Form must contain title field",
+          level: "ERROR",
+          uniqueId: "cr4fd_testHandler_error",
+        },
+      ]);
+    });
+
+    it("shows errors in the user's language", () => {
+      simulator = createCaseFormSimulator({
+        globalContext: { languageId: 1031 },
+      });
+      notifications = simulator.loadScripts(
+        webResources.logger,
+        webResources.localisation,
+        webResources.formNotifications
+      ).formNotifications;
+
+      notifications.reportHandlerError(
+        simulator.createExecutionContext(),
+        "testHandler",
+        notifications.createFormConfigurationError(
+          "Das Formular muss das Feld title enthalten"
+        )
+      );
+
+      assert.equal(
+        simulator.getFormNotifications()[0].message,
+        "Bei testHandler ist ein Fehler aufgetreten. Ungültige " +
+          "Formularkonfiguration: Das Formular muss das Feld title enthalten"
+      );
+    });
+
+    it("shows other errors as a warning on the affected field", () => {
+      notifications.reportHandlerError(
+        simulator.createExecutionContext(),
+        "testHandler",
+        new Error("Network failure"),
+        "primarycontactid"
+      );
+
+      assert.deepEqual(simulator.getFormNotifications(), []);
+      assert.equal(
+        simulator.getControlNotifications("primarycontactid")[0].message,
+        "testHandler has encountered an error. Network failure"
+      );
+    });
+
+    it("shows records not available offline as info", () => {
+      notifications.reportHandlerError(
+        simulator.createExecutionContext(),
+        "testHandler",
+        Object.assign(new Error("The account table is not available offline"), {
+          name: "WebApiOfflineUnavailableError",
+        })
+      );
+
+      assert.deepEqual(simulator.getFormNotifications(), [
+        {
+          message:
+            "The related records are not available offline, so this " +
+            "information was not updated. It will be updated once the " +
+            "device is online or has synced",
+          level: "INFO",
+          uniqueId: "cr4fd_testHandler_error",
+        },
+      ]);
+    });
+
+    it("opens an error dialog when there is no form context", async () => {
+      notifications.reportHandlerError(
+        undefined,
+        "testHandler",
+        new Error("Invalid execution context")
+      );
+      notifications.reportHandlerError(
+        undefined,
+        "testHandler",
+        new Error("Invalid execution context")
+      );
+      await simulator.whenIdle();
+
+      assert.equal(simulator.dialogs.errors.length, 1);
+      assert.equal(
+        simulator.dialogs.errors[0].message,
+        "testHandler has encountered an error. Invalid execution context"
+      );
+    });
+
+    it("is cleared once the handler succeeds", () => {
+      notifications.reportHandlerError(
+        simulator.createExecutionContext(),
+        "testHandler",
+        new Error("Network failure")
+      );
+
+      notifications.clearHandlerError(simulator.formContext, "testHandler");
+
+      assert.deepEqual(simulator.getFormNotifications(), []);
+    });
+  });
+});
@@ -0,0 +1,267 @@
+"use strict";
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createCaseFormSimulator,
+  webResources,
+} = require("../xrm-simulator/case-form");
+
+/**
+ * Creates a rule setting the visibility of the title field.
+ *
+ * @param {Object} when  The rule's condition
+ * @returns {Object}  The rule
+ */
+function titleVisibleRule(when) {
+  return {
+    when,
+    then: [{ field: "title", visible: true }],
+    otherwise: [{ field: "title", visible: false }],
+  };
+}
+
+describe("formRules", () => {
+  let simulator;
+  let formRules;
+
+  beforeEach(() => {
+    simulator = createCaseFormSimulator();
+    formRules = simulator.loadScripts(
+      webResources.logger,
+      webResources.localisation,
+      webResources.formNotifications,
+      webResources.formRules
+    ).formRules;
+  });
+
+  /**
+   * Applies a rule for the title field and reads its visibility.
+   *
+   * @param {Object} when  The rule's condition
+   * @param {Object} facts  The facts
+   * @returns {boolean}  True if the rule made the title visible
+   */
+  function isTitleVisible(when, facts) {
+    formRules.apply(simulator.formContext, [titleVisibleRule(when)], facts);
+    return simulator.formContext.getControl("title").getVisible();
+  }
+
+  describe("apply", () => {
+    it("applies the effects of a rule whose condition is met", () => {
+      formRules.apply(
+        simulator.formContext,
+        [
+          {
+            when: { fact: "customer.entityType", equals: "account" },
+            then: [
+              {
+                field: "primarycontactid",
+                visible: false,
+                requiredLevel: "recommended",
+                disabled: true,
+              },
+            ],
+          },
+        ],
+        { customer: { entityType: "account" } }
+      );
+
+      const control = simulator.formContext.getControl("primarycontactid");
+      assert.equal(control.getVisible(), false);
+      assert.equal(control.getDisabled(), true);
+      assert.equal(
+        simulator.formContext
+          .getAttribute("primarycontactid")
+          .getRequiredLevel(),
+        "recommended"
+      );
+    });
+
+    it("compares facts", () => {
+      const facts = {
+        customer: { entityType: "account", name: " " },
+        contact: null,
+      };
+
+      assert.equal(
+        isTitleVisible({ fact: "customer.entityType", notEquals: "x" }, facts),
+        true
+      );
+      assert.equal(
+        isTitleVisible(
+          { fact: "customer.entityType", in: ["contact", "lead"] },
+          facts
+        ),
+        false
+      );
+      assert.equal(
+        isTitleVisible({ fact: "customer.name", isBlank: true }, facts),
+        true
+      );
+      assert.equal(
+        isTitleVisible({ fact: "contact.donotemail", isBlank: false }, facts),
+        false
+      );
+    });
+
+    it("combines conditions", () => {
+      const facts = { contact: { donotemail: true, donotphone: false } };
+      const optedOutOfEmail = { fact: "contact.donotemail", equals: true };
+      const optedOutOfPhone = { fact: "contact.donotphone", equals: true };
+
+      assert.equal(
+        isTitleVisible({ all: [optedOutOfEmail, optedOutOfPhone] }, facts),
+        false
+      );
+      assert.equal(
+        isTitleVisible({ any: [optedOutOfEmail, optedOutOfPhone] }, facts),
+        true
+      );
+      assert.equal(isTitleVisible({ not: optedOutOfPhone }, facts), true);
+    });
+
+    it("lets the effects of a later rule win", () => {
+      const always = { fact: "customer", isBlank: true };
+
+      formRules.apply(
+        simulator.formContext,
+        [
+          { when: always, then: [{ field: "title", visible: false }] },
+          { when: always, then: [{ field: "title", visible: true }] },
+        ],
+        {}
+      );
+
+      assert.equal(
+        simulator.formContext.getControl("title").getVisible(),
+        true
+      );
+    });
+
+    it("shows and clears notifications with localised messages", () => {
+      const rules = [
+        {
+          when: { fact: "contact.name", isBlank: false },
+          then: [
+            {
+              notification: "cr4fd_test",
+              message: "ContactOfAccount",
+              values: {
+                contactName: "contact.name",
+                accountName: "account.name",
+              },
+              severity: "info",
+            },
+          ],
+        },
+      ];
+
+      formRules.apply(simulator.formContext, rules, {
+        contact: { name: "Jo Park" },
+        account: { name: "Contoso" },
+      });
+      assert.deepEqual(simulator.getFormNotifications(), [
+        {
+          message: "Jo Park is a contact of Contoso.",
+          level: "INFO",
+          uniqueId: "cr4fd_test",
+        },
+      ]);
+
+      formRules.apply(simulator.formContext, rules, { contact: null });
+      assert.deepEqual(simulator.getFormNotifications(), []);
+    });
+
+    it("resolves the fields named by effects", () => {
+      formRules.apply(
+        simulator.formContext,
+        [
+          {
+            when: { fact: "customer", isBlank: true },
+            then: [{ field: "contactField", visible: false }],
+          },
+        ],
+        {},
+        (fieldName) =>
+          fieldName === "contactField" ? "primarycontactid" : fieldName
+      );
+
+      assert.equal(
+        simulator.formContext.getControl("primarycontactid").getVisible(),
+        false
+      );
+    });
+  });
+
+  describe("readFactPaths", () => {
+    it("reads the facts used by conditions and notifications", () => {
+      const paths = formRules.readFactPaths([
+        {
+          when: {
+            all: [
+              { fact: "customer.entityType", equals: "account" },
+              { not: { fact: "contact.donotemail", equals: true } },
+            ],
+          },
+          then: [
+            {
+              notification: "cr4fd_test",
+              message: "ContactOfAccount",
+              values: { contactName: "contact.name" },
+              severity: "info",
+            },
+          ],
+        },
+      ]);
+
+      assert.deepEqual(Array.from(paths), [
+        "customer.entityType",
+        "contact.donotemail",
+        "contact.name",
+      ]);
+    });
+  });
+
+  describe("findRuleSetError", () => {
+    it("accepts well formed rules", () => {
+      assert.equal(
+        formRules.findRuleSetError([
+          titleVisibleRule({ fact: "customer.entityType", equals: "account" }),
+        ]),
+        null
+      );
+    });
+
+    it("describes rules that are not an array", () => {
+      assert.equal(
+        formRules.findRuleSetError({}),
+        'Field mapping property "rules" must be an array of rules'
+      );
+    });
+
+    it("describes a condition that is not valid", () => {
+      assert.equal(
+        formRules.findRuleSetError([
+          titleVisibleRule({ fact: "customer.entityType", matches: "acc" }),
+        ]),
+        "Rule 1 must have a when condition comparing a fact, or combining " +
+          'conditions with all, any or not, received {"fact":' +
+          '"customer.entityType","matches":"acc"}'
+      );
+    });
+
+    it("describes an effect that is not valid", () => {
+      assert.match(
+        formRules.findRuleSetError([
+          {
+            id: "titleHidden",
+            when: { fact: "customer", isBlank: true },
+            then: [{ field: "title", requiredLevel: "mandatory" }],
+          },
+        ]),
+        /^Rule titleHidden has an effect that neither sets .* received \{"field":"title","requiredLevel":"mandatory"\}$/
+      );
+    });
+  });
+});
@@ -0,0 +1,153 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const {
+  createCaseFormSimulator,
+  readResourceWebResources,
+  resourceWebResources,
+  webResources,
+} = require("../xrm-simulator/case-form");
+
+//Names of the RESX web resources of each language
+const englishResource = "cr4fd_/resources/case-form-messages.1033.resx";
+const frenchResource = "cr4fd_/resources/case-form-messages.1036.resx";
+
+/**
+ * Creates a case form simulator with the localisation library loaded.
+ *
+ * @param {Object} [options]  Case form options, see createCaseFormSimulator
+ * @returns {Object}  The simulator, the logger API and the localisation API
+ */
+function setUp(options = {}) {
+  const simulator = createCaseFormSimulator(options);
+  const { logger, localisation } = simulator.loadScripts(
+    webResources.logger,
+    webResources.localisation
+  );
+  return { simulator, logger, localisation };
+}
+
+/**
+ * Reads the placeholder names of a message, in alphabetical order.
+ *
+ * @param {string} message  The message
+ * @returns {string[]}  The placeholder names
+ */
+function readPlaceholders(message) {
+  return [...message.matchAll(/\{(\w+)\}/g)].map(([, name]) => name).sort();
+}
+
+describe("localisation", () => {
+  describe("resources", () => {
+    const resources = readResourceWebResources();
+    const englishKeys = Object.keys(resources[englishResource]).sort();
+
+    it("has every message in every language", () => {
+      for (const name of Object.keys(resourceWebResources)) {
+        assert.deepEqual(
+          Object.keys(resources[name]).sort(),
+          englishKeys,
+          name
+        );
+      }
+    });
+
+    it("has the same placeholders in every language", () => {
+      for (const [name, strings] of Object.entries(resources)) {
+        for (const key of englishKeys) {
+          assert.deepEqual(
+            readPlaceholders(strings[key]),
+            readPlaceholders(resources[englishResource][key]),
+            `${key} in ${name}`
+          );
+        }
+      }
+    });
+
+    it("has every message read by the scripts", () => {
+      const keys = Object.values(webResources).flatMap((filePath) =>
+        [
+          ...fs
+            .readFileSync(filePath, "utf8")
+            .matchAll(/getString\(\s*"(\w+)"/g),
+        ].map(([, key]) => key)
+      );
+
+      assert.ok(keys.length > 0);
+      for (const key of keys) {
+        assert.ok(englishKeys.includes(key), key);
+      }
+    });
+  });
+
+  describe("getString", () => {
+    it("reads the message in the user's language", () => {
+      const { localisation } = setUp({ globalContext: { languageId: 1036 } });
+
+      assert.equal(
+        localisation.getString("ReplaceContactTitle"),
+        "Remplacer le contact ?"
+      );
+    });
+
+    it("substitutes the placeholders", () => {
+      const { localisation } = setUp();
+
+      assert.equal(
+        localisation.getString("ContactOfAccount", {
+          contactName: "Jo Park",
+          accountName: "Contoso",
+        }),
+        "Jo Park is a contact of Contoso."
+      );
+    });
+
+    it("leaves placeholders without a value", () => {
+      const { localisation } = setUp();
+
+      assert.equal(
+        localisation.getString("ContactOfAccount", { contactName: "Jo Park" }),
+        "Jo Park is a contact of {accountName}."
+      );
+    });
+
+    it("uses English for a language without a translation", () => {
+      const { localisation } = setUp({ globalContext: { languageId: 1043 } });
+
+      assert.equal(localisation.getLanguageId(), 1033);
+      assert.equal(
+        localisation.getString("ReplaceContactTitle"),
+        "Replace the contact?"
+      );
+    });
+
+    it("uses English for a message missing from the translation", () => {
+      const { localisation, logger } = setUp({
+        globalContext: { languageId: 1036 },
+        resources: { [frenchResource]: {} },
+      });
+
+      assert.equal(
+        localisation.getString("ReplaceContactTitle"),
+        "Replace the contact?"
+      );
+      const [entry] = logger.getEntries();
+      assert.equal(entry.level, "warn");
+      assert.equal(
+        entry.message,
+        "Message ReplaceContactTitle is missing for language 1036"
+      );
+    });
+
+    it("returns the key of a message missing from every language", () => {
+      const { localisation, logger } = setUp();
+
+      assert.equal(localisation.getString("UnknownMessage"), "UnknownMessage");
+      const [entry] = logger.getEntries();
+      assert.equal(entry.level, "error");
+      assert.equal(entry.message, "Message UnknownMessage is missing");
+    });
+  });
+});
@@ -0,0 +1,324 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createCaseFormSimulator,
+  webResources,
+} = require("../xrm-simulator/case-form");
+
+//App setting that enables diagnostics mode
+const diagnosticsAppSettingName = "cr4fd_FormScriptDiagnostics";
+
+/**
+ * Creates a case form simulator with the logger, and the localisation library
+ * its diagnostics messages are read through, loaded.
+ *
+ * @param {Object} [options]  Case form options, see createCaseFormSimulator
+ * @returns {Object}  The simulator and the logger API
+ */
+function setUp(options = {}) {
+  const simulator = createCaseFormSimulator(options);
+  const { logger } = simulator.loadScripts(
+    webResources.logger,
+    webResources.localisation
+  );
+  return { simulator, logger };
+}
+
+/**
+ * Reads the messages of the logged entries.
+ *
+ * @param {Object} logger  The logger API
+ * @returns {string[]}  The messages, oldest first
+ */
+function readMessages(logger) {
+  return Array.from(logger.getEntries(), ({ message }) => message);
+}
+
+describe("logger", () => {
+  describe("log", () => {
+    it("writes warnings and errors to the console", () => {
+      const { simulator, logger } = setUp();
+
+      logger.debug("Record cache hit");
+      logger.info("Contact populated");
+      logger.warn("Web API call failed", { attempt: 0 });
+      logger.error("Handler failed");
+
+      assert.deepEqual(
+        simulator.consoleEntries.map(({ level, args }) => [level, args[0]]),
+        [
+          ["warn", "WARN Web API call failed"],
+          ["error", "ERROR Handler failed"],
+        ]
+      );
+    });
+
+    it("keeps the most recent entries at every level", () => {
+      const { logger } = setUp();
+
+      for (let number = 1; number <= 101; number++) {
+        logger.debug(`Entry ${number}`);
+      }
+
+      const messages = readMessages(logger);
+      assert.equal(messages.length, 100);
+      assert.equal(messages[0], "Entry 2");
+      assert.equal(messages[99], "Entry 101");
+    });
+  });
+
+  describe("startHandler", () => {
+    it("shares a correlation id between the handlers of an event", () => {
+      const { simulator, logger } = setUp();
+      const executionContext = simulator.createExecutionContext();
+
+      const first = logger.startHandler("first", executionContext);
+      const second = logger.startHandler("second", executionContext);
+      const other = logger.startHandler(
+        "other",
+        simulator.createExecutionContext()
+      );
+
+      assert.equal(first.correlationId, second.correlationId);
+      assert.notEqual(first.correlationId, other.correlationId);
+    });
+
+    it("logs the record id and the field that changed, without its value outside diagnostics mode", () => {
+      const { simulator, logger } = setUp({
+        entityId: "{CA5E0000-0000-0000-0000-000000000001}",
+        customer: [
+          {
+            id: "{ACC00000-0000-0000-0000-000000000001}",
+            name: "Contoso",
+            entityType: "account",
+          },
+        ],
+      });
+      const customerAttribute =
+        simulator.formContext.getAttribute("customerid");
+
+      const log = logger.startHandler(
+        "populate",
+        simulator.createExecutionContext(customerAttribute)
+      );
+
+      const [entry] = logger.getEntries();
+      assert.equal(entry.message, "populate: started");
+      assert.deepEqual(
+        { ...entry.details },
+        {
+          correlationId: log.correlationId,
+          recordId: "{CA5E0000-0000-0000-0000-000000000001}",
+          field: "customerid",
+        }
+      );
+    });
+
+    it("logs the value of the field that changed in diagnostics mode", () => {
+      const customer = [
+        {
+          id: "{ACC00000-0000-0000-0000-000000000001}",
+          name: "Contoso",
+          entityType: "account",
+        },
+      ];
+      const { simulator, logger } = setUp({
+        customer,
+        globalContext: { appSettings: { [diagnosticsAppSettingName]: true } },
+      });
+      const customerAttribute =
+        simulator.formContext.getAttribute("customerid");
+
+      logger.startHandler(
+        "populate",
+        simulator.createExecutionContext(customerAttribute)
+      );
+
+      const [entry] = logger.getEntries();
+      assert.equal(entry.details.field, "customerid");
+      assert.deepEqual(
+        Array.from(entry.details.value, (item) => ({ ...item })),
+        customer
+      );
+    });
+
+    it("logs a null record id for a new record", () => {
+      const { simulator, logger } = setUp();
+
+      logger.startHandler("populate", simulator.createExecutionContext());
+
+      const [entry] = logger.getEntries();
+      assert.deepEqual(Object.keys(entry.details), [
+        "correlationId",
+        "recordId",
+      ]);
+      assert.equal(entry.details.recordId, null);
+    });
+
+    it("logs how long the handler took", async () => {
+      const { simulator, logger } = setUp();
+
+      await simulator.run(async (executionContext) => {
+        const log = logger.startHandler("populate", executionContext);
+        await new Promise((resolve) =>
+          simulator.clock.setTimeout(resolve, 250)
+        );
+        log.end();
+      });
+
+      const entry = logger.getEntries()[1];
+      assert.equal(entry.level, "info");
+      assert.equal(entry.message, "populate: completed in 250 ms");
+      assert.equal(entry.details.durationMs, 250);
+    });
+
+    it("logs the error the handler failed with", () => {
+      const { simulator, logger } = setUp();
+      const log = logger.startHandler(
+        "populate",
+        simulator.createExecutionContext()
+      );
+
+      log.fail(new Error("Simulated failure"));
+      log.end();
+
+      const entry = logger.getEntries()[1];
+      assert.equal(entry.level, "error");
+      assert.equal(entry.message, "populate: failed after 0 ms");
+      assert.equal(entry.details.error, "Simulated failure");
+      assert.equal(entry.details.correlationId, log.correlationId);
+    });
+
+    it("does not notify outside diagnostics mode", () => {
+      const { simulator, logger } = setUp();
+
+      logger.startHandler("populate", simulator.createExecutionContext()).end();
+
+      assert.deepEqual(simulator.getFormNotifications(), []);
+    });
+  });
+
+  describe("diagnostics mode", () => {
+    it("is enabled by the app setting", () => {
+      const { logger } = setUp({
+        globalContext: { appSettings: { [diagnosticsAppSettingName]: true } },
+      });
+
+      assert.equal(logger.isDiagnosticsEnabled(), true);
+    });
+
+    it("is enabled by the URL query parameter", () => {
+      const { logger } = setUp({
+        url: "https://contoso.crm.dynamics.com/main.aspx?cr4fd_diagnostics=1",
+      });
+
+      assert.equal(logger.isDiagnosticsEnabled(), true);
+    });
+
+    it("is disabled by default", () => {
+      const { logger } = setUp();
+
+      assert.equal(logger.isDiagnosticsEnabled(), false);
+    });
+
+    it("writes every level to the console", () => {
+      const { simulator, logger } = setUp({
+        globalContext: { appSettings: { [diagnosticsAppSettingName]: true } },
+      });
+
+      logger.debug("Record cache hit", { key: "contact(1)" });
+
+      assert.deepEqual(simulator.consoleEntries[0].args, [
+        "DEBUG Record cache hit",
+        { key: "contact(1)" },
+      ]);
+    });
+
+    it("shows the most recent entries once a handler ends", () => {
+      const { simulator, logger } = setUp({
+        globalContext: { appSettings: { [diagnosticsAppSettingName]: true } },
+      });
+
+      const log = logger.startHandler(
+        "populate",
+        simulator.createExecutionContext()
+      );
+      log.end();
+
+      const [notification] = simulator.getFormNotifications();
+      assert.equal(notification.uniqueId, "cr4fd_diagnostics");
+      assert.equal(notification.level, "INFO");
+      assert.equal(
+        notification.message,
+        `Diagnostics: DEBUG [${log.correlationId}] populate: started | ` +
+          `INFO [${log.correlationId}] populate: completed in 0 ms. Select ` +
+          "Copy diagnostics at the top of the app to copy the last 2 entries"
+      );
+    });
+
+    it("shows the notification in the user's language", () => {
+      const { simulator, logger } = setUp({
+        globalContext: {
+          languageId: 1031,
+          appSettings: { [diagnosticsAppSettingName]: true },
+        },
+      });
+
+      logger.startHandler("populate", simulator.createExecutionContext()).end();
+
+      const [notification] = simulator.getFormNotifications();
+      assert.match(notification.message, /^Diagnose: DEBUG /);
+      assert.match(notification.message, /die letzten 2 Einträge zu kopieren$/);
+    });
+
+    it("offers the diagnostics panel at the top of the app once", async () => {
+      const { simulator, logger } = setUp({
+        globalContext: { appSettings: { [diagnosticsAppSettingName]: true } },
+      });
+
+      logger.startHandler("populate", simulator.createExecutionContext()).end();
+      logger.startHandler("sync", simulator.createExecutionContext()).end();
+
+      assert.equal(simulator.appNotifications.length, 1);
+      const [notification] = simulator.appNotifications;
+      assert.equal(notification.type, 2);
+      assert.equal(notification.level, 4);
+      assert.equal(
+        notification.message,
+        "Form script diagnostics mode is on, and the values of changed " +
+          "fields are logged"
+      );
+      assert.equal(notification.action.actionLabel, "Copy diagnostics");
+
+      await notification.action.eventHandler();
+
+      const [alert] = simulator.dialogs.alerts;
+      assert.equal(alert.title, "Form script diagnostics");
+      assert.match(alert.text, /populate: started[^]*sync: completed/);
+    });
+
+    it("does not offer the diagnostics panel outside diagnostics mode", () => {
+      const { simulator, logger } = setUp();
+
+      logger.startHandler("populate", simulator.createExecutionContext()).end();
+
+      assert.deepEqual(simulator.appNotifications, []);
+    });
+
+    it("opens a panel listing the entries with their details", async () => {
+      const { simulator, logger } = setUp();
+      logger.warn("Web API call failed", { attempt: 0 });
+
+      await logger.openDiagnosticsPanel();
+
+      const [alert] = simulator.dialogs.alerts;
+      assert.equal(alert.title, "Form script diagnostics");
+      assert.match(
+        alert.text,
+        /^\S+Z WARN Web API call failed \{"attempt":0\}$/
+      );
+    });
+  });
+});
@@ -0,0 +1,153 @@
+"use strict";
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createCaseFormSimulator,
+  webResources,
+} = require("../xrm-simulator/case-form");
+
+//Id of the contact seeded for the scenarios
+const contactId = "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0c001";
+
+describe("recordCache", () => {
+  let simulator;
+  let logger;
+  let recordCache;
+
+  beforeEach(() => {
+    simulator = createCaseFormSimulator({
+      records: {
+        contact: [
+          {
+            contactid: contactId,
+            fullname: "Alex Wu",
+            emailaddress1: "alex@contoso.com",
+          },
+        ],
+      },
+    });
+    ({ logger, recordCache } = simulator.loadScripts(
+      webResources.logger,
+      webResources.webApi,
+      webResources.recordCache
+    ));
+  });
+
+  /**
+   * Retrieves the seeded contact through the cache.
+   *
+   * @param {string} [select]  The columns to select
+   * @param {string} [id]  The id of the contact, as held by a form or not
+   * @returns {Promise<Object>}  The contact, or the error it failed with
+   */
+  async function retrieveContact(select = "fullname", id = contactId) {
+    let outcome;
+    await simulator.run(async () => {
+      try {
+        outcome = await recordCache.retrieveRecord(
+          "contact",
+          id,
+          `?$select=${select}`
+        );
+      } catch (error) {
+        outcome = error;
+      }
+    });
+    return outcome;
+  }
+
+  /**
+   * Advances the simulated clock.
+   *
+   * @param {number} delayMs  The time to advance by, in milliseconds
+   * @returns {Promise<void>}
+   */
+  async function advanceClock(delayMs) {
+    await simulator.run(
+      () =>
+        new Promise((resolve) => simulator.clock.setTimeout(resolve, delayMs))
+    );
+  }
+
+  it("reuses a retrieved record", async () => {
+    await retrieveContact();
+    const contact = await retrieveContact();
+
+    assert.equal(contact.fullname, "Alex Wu");
+    assert.equal(simulator.webApiCalls.length, 1);
+  });
+
+  it("matches a record id held by a form", async () => {
+    await retrieveContact();
+    await retrieveContact("fullname", `{${contactId.toUpperCase()}}`);
+
+    assert.equal(simulator.webApiCalls.length, 1);
+  });
+
+  it("retrieves other query options separately", async () => {
+    await retrieveContact();
+    const contact = await retrieveContact("emailaddress1");
+
+    assert.equal(contact.emailaddress1, "alex@contoso.com");
+    assert.equal(simulator.webApiCalls.length, 2);
+  });
+
+  it("shares a request that is in flight", async () => {
+    simulator.holdWebApiResponses();
+    const retrievals = [retrieveContact(), retrieveContact()];
+    await simulator.whenWebApiCallsMade(1);
+
+    simulator.releaseWebApiResponses();
+    const contacts = await Promise.all(retrievals);
+
+    assert.deepEqual(contacts[0], contacts[1]);
+    assert.equal(simulator.webApiCalls.length, 1);
+  });
+
+  it("retrieves the record again once its time to live has passed", async () => {
+    await retrieveContact();
+    await advanceClock(59999);
+    await retrieveContact();
+    await advanceClock(1);
+    await retrieveContact();
+
+    assert.equal(simulator.webApiCalls.length, 2);
+  });
+
+  it("does not cache a failed request", async () => {
+    simulator.failNextWebApiCall();
+
+    const error = await retrieveContact();
+    const contact = await retrieveContact();
+
+    assert.equal(error.message, "Simulated failure");
+    assert.equal(contact.fullname, "Alex Wu");
+  });
+
+  it("retrieves the record again once cleared", async () => {
+    await retrieveContact();
+    simulator.store.updateRecord("contact", contactId, { fullname: "Alex Li" });
+
+    recordCache.clear();
+    const contact = await retrieveContact();
+
+    assert.equal(contact.fullname, "Alex Li");
+  });
+
+  it("logs hits and misses", async () => {
+    await retrieveContact();
+    await retrieveContact();
+
+    assert.deepEqual(
+      Array.from(logger.getEntries(), ({ level, message }) => [
+        level,
+        message,
+      ]).filter(([, message]) => message.startsWith("Record cache")),
+      [
+        ["debug", `Record cache miss: contact(${contactId})?$select=fullname`],
+        ["debug", `Record cache hit: contact(${contactId})?$select=fullname`],
+      ]
+    );
+  });
+});
@@ -0,0 +1,321 @@
+"use strict";
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createCaseFormSimulator,
+  webResources,
+} = require("../xrm-simulator/case-form");
+
+//Id of the contact seeded for the scenarios
+const contactId = "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0c001";
+
+/**
+ * Creates an error as returned by a failed Web API request.
+ *
+ * @param {Object} properties  The error code, status and Retry-After interval
+ * @returns {Error}  The error
+ */
+function webApiError(properties) {
+  return Object.assign(new Error("Request failed"), properties);
+}
+
+describe("webApi", () => {
+  let simulator;
+  let logger;
+  let webApi;
+
+  beforeEach(() => {
+    simulator = createCaseFormSimulator({
+      records: { contact: [{ contactid: contactId, fullname: "Alex Wu" }] },
+    });
+    ({ logger, webApi } = simulator.loadScripts(
+      webResources.logger,
+      webResources.webApi
+    ));
+  });
+
+  /**
+   * Retrieves the seeded contact through the wrapper, waiting for any retries.
+   *
+   * @param {Object} [callOptions]  Overrides for the call options
+   * @returns {Promise<Object>}  The contact, or the error it failed with
+   */
+  async function retrieveContact(callOptions) {
+    let outcome;
+    await simulator.run(async () => {
+      try {
+        outcome = await webApi.retrieveRecord(
+          "contact",
+          contactId,
+          "?$select=fullname",
+          callOptions
+        );
+      } catch (error) {
+        outcome = error;
+      }
+    });
+    return outcome;
+  }
+
+  it("retries a connectivity drop", async () => {
+    simulator.failNextWebApiCall(webApiError({ status: 0 }));
+
+    const contact = await retrieveContact();
+
+    assert.equal(contact.fullname, "Alex Wu");
+    assert.equal(simulator.webApiCalls.length, 2);
+    assert.equal(simulator.clock.now(), 500);
+  });
+
+  it("traces each attempt with its duration", async () => {
+    simulator.failNextWebApiCall(webApiError({ status: 503 }));
+
+    await retrieveContact();
+
+    const [failure, success] = logger.getEntries();
+    assert.equal(
+      failure.message,
+      `Web API retrieveRecord contact(${contactId})?$select=fullname failed`
+    );
+    assert.equal(failure.level, "warn");
+    assert.equal(failure.details.status, 503);
+    assert.equal(failure.details.retryDelayMs, 500);
+    assert.equal(success.level, "debug");
+    assert.equal(success.details.attempt, 1);
+    assert.equal(typeof success.details.durationMs, "number");
+  });
+
+  it("backs off exponentially between retries", async () => {
+    for (let attempt = 0; attempt < 4; attempt++) {
+      simulator.failNextWebApiCall(webApiError({ status: 503 }));
+    }
+
+    const error = await retrieveContact();
+
+    assert.equal(error.status, 503);
+    assert.equal(simulator.webApiCalls.length, 4);
+    assert.equal(simulator.clock.now(), 500 + 1000 + 2000);
+  });
+
+  it("bounds the delay between retries", async () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      simulator.failNextWebApiCall(webApiError({ status: 503 }));
+    }
+
+    await retrieveContact({ maxDelayMs: 800 });
+
+    assert.equal(simulator.clock.now(), 500 + 800 + 800);
+  });
+
+  it("waits for the Retry-After interval when throttled", async () => {
+    simulator.failNextWebApiCall(webApiError({ status: 429, retryAfter: "5" }));
+
+    const contact = await retrieveContact();
+
+    assert.equal(contact.fullname, "Alex Wu");
+    assert.equal(simulator.clock.now(), 5000);
+  });
+
+  it("does not wait for a Retry-After interval that is too long", async () => {
+    simulator.failNextWebApiCall(
+      webApiError({ status: 429, retryAfter: "120" })
+    );
+
+    const error = await retrieveContact();
+
+    assert.equal(error.status, 429);
+    assert.equal(simulator.webApiCalls.length, 1);
+  });
+
+  it("retries service protection errors with a signed error code", async () => {
+    simulator.failNextWebApiCall(webApiError({ errorCode: -2147015902 }));
+
+    const contact = await retrieveContact();
+
+    assert.equal(contact.fullname, "Alex Wu");
+    assert.equal(simulator.webApiCalls.length, 2);
+  });
+
+  it("does not retry a record that does not exist", async () => {
+    let error;
+    await simulator.run(async () => {
+      await webApi
+        .retrieveRecord("contact", "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0c999")
+        .catch((caught) => (error = caught));
+    });
+
+    assert.match(error.message, /Does Not Exist/);
+    assert.equal(simulator.webApiCalls.length, 1);
+  });
+
+  it("does not retry an error without a status or error code", async () => {
+    simulator.failNextWebApiCall(new TypeError("request is not a function"));
+
+    const error = await retrieveContact();
+
+    assert.equal(error.message, "request is not a function");
+    assert.equal(simulator.webApiCalls.length, 1);
+    assert.equal(simulator.clock.now(), 0);
+  });
+
+  it("does not retry a request that is forbidden", async () => {
+    simulator.failNextWebApiCall(webApiError({ status: 403 }));
+
+    const error = await retrieveContact();
+
+    assert.equal(error.status, 403);
+    assert.equal(simulator.webApiCalls.length, 1);
+  });
+
+  it("fails a request that does not complete in time", async () => {
+    simulator.holdWebApiResponses();
+
+    const error = await retrieveContact({ timeoutMs: 1000, maxRetries: 0 });
+
+    assert.equal(error.name, "WebApiTimeoutError");
+    assert.equal(simulator.clock.now(), 1000);
+  });
+
+  it("retries a request that timed out", async () => {
+    simulator.holdWebApiResponses();
+
+    const error = await retrieveContact({ timeoutMs: 1000, maxRetries: 1 });
+
+    assert.equal(error.name, "WebApiTimeoutError");
+    assert.equal(simulator.webApiCalls.length, 2);
+    assert.equal(simulator.clock.now(), 1000 + 500 + 1000);
+  });
+
+  describe("executeMultiple", () => {
+    /**
+     * Renames the seeded contact through the wrapper in one batch, waiting
+     * for any retries.
+     *
+     * @returns {Promise<Object[]>}  The responses, or the error the batch
+     *                               failed with
+     */
+    async function renameContact() {
+      let outcome;
+      await simulator.run(async () => {
+        try {
+          outcome = await webApi.executeMultiple([
+            webApi.createUpdateRequest("contact", contactId, {
+              fullname: "Alex Wu-Park",
+            }),
+          ]);
+        } catch (error) {
+          outcome = error;
+        }
+      });
+      return outcome;
+    }
+
+    it("sends the requests in one batch", async () => {
+      const responses = await renameContact();
+
+      assert.deepEqual(
+        Array.from(responses, ({ ok }) => ok),
+        [true]
+      );
+      assert.deepEqual(
+        simulator.webApiCalls.map(({ operation, args: [requests] }) => [
+          operation,
+          requests.map(({ etn, id, payload }) => ({ etn, id, payload })),
+        ]),
+        [
+          [
+            "executeMultiple",
+            [
+              {
+                etn: "contact",
+                id: contactId,
+                payload: { fullname: "Alex Wu-Park" },
+              },
+            ],
+          ],
+        ]
+      );
+      assert.equal(
+        simulator.store.getRecord("contact", contactId).fullname,
+        "Alex Wu-Park"
+      );
+    });
+
+    it("retries a batch that was throttled", async () => {
+      simulator.failNextWebApiCall(webApiError({ status: 429 }));
+
+      const responses = await renameContact();
+
+      assert.equal(responses[0].ok, true);
+      assert.equal(simulator.webApiCalls.length, 2);
+    });
+
+    it("raises an offline unavailable error while offline", async () => {
+      simulator = createCaseFormSimulator({ offline: { tables: ["contact"] } });
+      webApi = simulator.loadScripts(
+        webResources.logger,
+        webResources.webApi
+      ).webApi;
+
+      const error = await renameContact();
+
+      assert.equal(webApi.isOfflineUnavailableError(error), true);
+      assert.equal(simulator.webApiCalls.length, 0);
+    });
+  });
+
+  describe("offline", () => {
+    /**
+     * Reloads the wrapper in a simulation of the mobile app working offline.
+     *
+     * @param {Object} offline  The tables available offline and the records
+     *                          synced to the device
+     */
+    function goOffline(offline) {
+      simulator = createCaseFormSimulator({ offline });
+      webApi = simulator.loadScripts(
+        webResources.logger,
+        webResources.webApi
+      ).webApi;
+    }
+
+    it("reads records from the offline store", async () => {
+      goOffline({
+        tables: ["contact"],
+        records: { contact: [{ contactid: contactId, fullname: "Alex Wu" }] },
+      });
+
+      const contact = await retrieveContact();
+
+      assert.equal(contact.fullname, "Alex Wu");
+      assert.deepEqual(
+        simulator.webApiCalls.map((call) => call.operation),
+        ["offline.retrieveRecord"]
+      );
+    });
+
+    it("raises an offline unavailable error for a table not available offline", async () => {
+      goOffline({ tables: ["account"] });
+
+      const error = await retrieveContact();
+
+      assert.equal(webApi.isOfflineUnavailableError(error), true);
+      assert.equal(error.message, "The contact table is not available offline");
+      assert.equal(simulator.webApiCalls.length, 0);
+    });
+
+    it("raises an offline unavailable error for a record not synced", async () => {
+      goOffline({ tables: ["contact"] });
+
+      const error = await retrieveContact();
+
+      assert.equal(webApi.isOfflineUnavailableError(error), true);
+      assert.equal(
+        error.message,
+        "The contact record has not been synced to this device"
+      );
+      assert.equal(simulator.webApiCalls.length, 1);
+    });
+  });
+});
@@ -0,0 +1,197 @@
+"use strict";
+
+const path = require("node:path");
+const { createXrmSimulator, FORM_TYPES } = require("./index");
+const { readResx } = require("./resx");
+
+//Absolute paths of the case form web resources
+const webResources = {
+  logger: path.join(__dirname, "../shared/logger.js"),
+  localisation: path.join(__dirname, "../shared/localisation.js"),
+  formNotifications: path.join(__dirname, "../shared/form-notifications.js"),
+  formRules: path.join(__dirname, "../shared/form-rules.js"),
+  webApi: path.join(__dirname, "../shared/web-api.js"),
+  recordCache: path.join(__dirname, "../shared/record-cache.js"),
+  contactChannels: path.join(__dirname, "../shared/contact-channels.js"),
+  customerContactConnector: path.join(
+    __dirname,
+    "../solution/case-form-customer-contact-connector.js"
+  ),
+  automaticContactPopulation: path.join(
+    __dirname,
+    "../reference_only_alternate_approach/scripts",
+    "case-form-automatic-contact-population.js"
+  ),
+  availableCommunicationChannelsUpdate: path.join(
+    __dirname,
+    "../reference_only_alternate_approach/scripts",
+    "case-form-update-primary-contact-details-view.js"
+  ),
+};
+
+//Absolute paths of the case form RESX web resources, keyed by web resource
+//name
+const resourceWebResources = Object.fromEntries(
+  [1033, 1036, 1031].map((languageId) => [
+    `cr4fd_/resources/case-form-messages.${languageId}.resx`,
+    path.join(__dirname, `../resources/case-form-messages.${languageId}.resx`),
+  ])
+);
+
+//Lookup columns used by the case form scripts
+const caseFormSchema = {
+  account: { primarycontactid: "contact", parentaccountid: "account" },
+  contact: { parentcustomerid: ["account", "contact"] },
+  incident: {
+    customerid: ["account", "contact"],
+    primarycontactid: "contact",
+  },
+};
+
+//Name of the quick view form used by the communication channels script
+const contactQuickViewName = "contact_available_contact_methods_view";
+
+/**
+ * Creates a simulator for the case (incident) main form, containing the
+ * customer, contact and email fields and the contact quick view form used by
+ * the communication channels script.
+ *
+ * @param {Object} [options]  The case form options
+ * @param {Object[]} [options.customer]  Initial customerid lookup value
+ * @param {Object[]} [options.contact]  Initial primarycontactid lookup value
+ * @param {Object} [options.records]  Records to seed, keyed by table name
+ * @param {string} [options.entityName]  Overrides the form's table
+ * @param {number} [options.formType]  One of FORM_TYPES
+ * @param {string} [options.entityId]  The case id for existing records
+ * @param {boolean} [options.withoutContactControl]  Omits the contact control
+ * @param {boolean} [options.withoutEmailField]  Omits the email field
+ * @param {boolean} [options.withoutQuickView]  Omits the contact quick view
+ * @param {Object} [options.globalContext]  Values for getGlobalContext
+ * @param {Object} [options.offline]  Simulates the mobile app offline, with
+ *                                    the tables available offline and the
+ *                                    records synced, see createXrmSimulator
+ * @param {string} [options.url]  The URL of the page
+ * @param {Object} [options.resources]  Strings replacing those of the RESX
+ *                                      web resources, keyed by web resource
+ *                                      name and then string name
+ * @returns {Object}  The simulator
+ */
+function createCaseFormSimulator(options = {}) {
+  const attributes = {
+    title: { value: "Simulated case" },
+    customerid: {
+      type: "lookup",
+      value: options.customer ?? null,
+      requiredLevel: "required",
+    },
+    primarycontactid: {
+      type: "lookup",
+      value: options.contact ?? null,
+      control: !options.withoutContactControl,
+    },
+  };
+
+  if (!options.withoutEmailField) {
+    attributes.emailaddress = { value: null, visible: false };
+  }
+
+  const quickForms = options.withoutQuickView
+    ? {}
+    : {
+        [contactQuickViewName]: {
+          controls: {
+            mobilephone: {},
+            telephone1: {},
+            emailaddress1: {},
+            emailaddress2: {},
+          },
+        },
+      };
+
+  return createXrmSimulator({
+    form: {
+      entityName: options.entityName ?? "incident",
+      entityId: options.entityId,
+      formType: options.formType ?? FORM_TYPES.create,
+      attributes,
+      quickForms,
+    },
+    schema: caseFormSchema,
+    records: options.records,
+    globalContext: options.globalContext,
+    offline: options.offline,
+    url: options.url,
+    resources: { ...readResourceWebResources(), ...options.resources },
+  });
+}
+
+/**
+ * Creates a simulator for a row of an editable grid of cases, e.g. the Cases
+ * view, showing the title, customer and contact columns.
+ *
+ * @param {Object} [options]  The grid row options
+ * @param {Object[]} [options.customer]  Initial customerid lookup value
+ * @param {Object[]} [options.contact]  Initial primarycontactid lookup value
+ * @param {Object} [options.records]  Records to seed, keyed by table name
+ * @param {string} [options.entityName]  Overrides the grid's table
+ * @param {string} [options.entityId]  The case id of the row
+ * @param {boolean} [options.withoutContactColumn]  Omits the contact column
+ * @param {boolean} [options.readOnlyContactColumn]  Locks the contact cell, as
+ *                                                 for a user who cannot
+ *                                                 update the column
+ * @param {Object} [options.globalContext]  Values for getGlobalContext
+ * @param {Object} [options.resources]  Strings replacing those of the RESX
+ *                                      web resources, see
+ *                                      createCaseFormSimulator
+ * @returns {Object}  The simulator
+ */
+function createCaseGridRowSimulator(options = {}) {
+  const attributes = {
+    title: { value: "Simulated case" },
+    customerid: { value: options.customer ?? null, requiredLevel: "required" },
+  };
+
+  if (!options.withoutContactColumn) {
+    attributes.primarycontactid = {
+      value: options.contact ?? null,
+      disabled: options.readOnlyContactColumn ?? false,
+    };
+  }
+
+  return createXrmSimulator({
+    gridRow: {
+      entityName: options.entityName ?? "incident",
+      entityId: options.entityId ?? "0f9b7c1e-3a55-4c53-9d6e-1b2a40c0f001",
+      attributes,
+    },
+    schema: caseFormSchema,
+    records: options.records,
+    globalContext: options.globalContext,
+    resources: { ...readResourceWebResources(), ...options.resources },
+  });
+}
+
+/**
+ * Reads the strings of the case form RESX web resources.
+ *
+ * @returns {Object}  The strings, keyed by web resource name and then string
+ *                    name
+ */
+function readResourceWebResources() {
+  return Object.fromEntries(
+    Object.entries(resourceWebResources).map(([name, filePath]) => [
+      name,
+      readResx(filePath),
+    ])
+  );
+}
+
+module.exports = {
+  createCaseFormSimulator,
+  createCaseGridRowSimulator,
+  caseFormSchema,
+  contactQuickViewName,
+  webResources,
+  resourceWebResources,
+  readResourceWebResources,
+};
@@ -0,0 +1,85 @@
+"use strict";
+
+/**
+ * Creates a virtual clock for the timers used by web resources.
+ *
+ * Timers never fire on their own. The simulator runs them in order of their
+ * due time, advancing the clock, once handlers can make no other progress, so
+ * that delays such as retry backoff and request timeouts are honoured in order
+ * without tests waiting for real time to pass.
+ *
+ * @returns {Object}  The clock
+ */
+function createClock() {
+  const _timers = new Map();
+  const _scheduledDelays = [];
+  let _now = 0;
+  let _nextTimerId = 1;
+
+  /**
+   * Schedules a callback, as window.setTimeout.
+   *
+   * @param {Function} callback  The callback
+   * @param {number} [delay]  The delay in milliseconds
+   * @param {...*} args  Arguments passed to the callback
+   * @returns {number}  The timer id
+   */
+  function setTimeout(callback, delay = 0, ...args) {
+    const timerId = _nextTimerId++;
+    const normalisedDelay = Math.max(0, Number(delay) || 0);
+    _timers.set(timerId, {
+      callback,
+      args,
+      dueTime: _now + normalisedDelay,
+      timerId,
+    });
+    _scheduledDelays.push(normalisedDelay);
+    return timerId;
+  }
+
+  /**
+   * Cancels a scheduled callback, as window.clearTimeout.
+   *
+   * @param {number} timerId  The timer id
+   */
+  function clearTimeout(timerId) {
+    _timers.delete(timerId);
+  }
+
+  /**
+   * Advances the clock to the earliest pending timer and runs it. Timers due
+   * at the same time run in the order they were scheduled.
+   *
+   * @returns {boolean}  True if a timer was run
+   */
+  function runNextTimer() {
+    let nextTimer = null;
+    for (const timer of _timers.values()) {
+      if (!nextTimer || timer.dueTime < nextTimer.dueTime) {
+        nextTimer = timer;
+      }
+    }
+    if (!nextTimer) {
+      return false;
+    }
+
+    _timers.delete(nextTimer.timerId);
+    _now = nextTimer.dueTime;
+    nextTimer.callback(...nextTimer.args);
+    return true;
+  }
+
+  // Return the clock
+  return {
+    setTimeout,
+    clearTimeout,
+    runNextTimer,
+    hasPendingTimers: () => _timers.size > 0,
+    now: () => _now,
+    scheduledDelays: _scheduledDelays,
+  };
+}
+
+module.exports = {
+  createClock,
+};
@@ -0,0 +1,443 @@
+"use strict";
+
+//Form types returned by formContext.ui.getFormType
+const FORM_TYPES = {
+  undefined: 0,
+  create: 1,
+  update: 2,
+  readOnly: 3,
+  disabled: 4,
+  bulkEdit: 6,
+};
+
+//Save modes returned by getEventArgs().getSaveMode for save events
+const SAVE_MODES = {
+  save: 1,
+  saveAndClose: 2,
+  autoSave: 70,
+};
+
+//Requirement levels accepted by attribute.setRequiredLevel
+const REQUIRED_LEVELS = ["none", "required", "recommended"];
+
+/**
+ * Creates the execution context passed as the first parameter to form event
+ * handlers. As in a browser, the handlers of one event share an execution
+ * context, and so its shared variables.
+ *
+ * @param {Object} formContext  The form context returned by getFormContext
+ * @param {Object} [eventSource]  The attribute, control or entity that raised
+ *                                the event
+ * @param {Object} [eventArgs]  The event arguments, e.g. for save events
+ * @param {number} [depth]  The event depth
+ * @returns {Object}  The execution context
+ */
+function createExecutionContext(formContext, eventSource, eventArgs, depth) {
+  const _sharedVariables = new Map();
+  return {
+    getFormContext: () => formContext,
+    getEventSource: () => eventSource ?? null,
+    getEventArgs: () => eventArgs ?? null,
+    getDepth: () => depth ?? 1,
+    getSharedVariable: (key) => _sharedVariables.get(key),
+    setSharedVariable: (key, value) => _sharedVariables.set(key, value),
+  };
+}
+
+/**
+ * Creates an in-process form context from a form definition.
+ *
+ * Attributes are created from definition.attributes. Each attribute receives a
+ * control of the same name unless its definition sets control to false. Quick
+ * view forms are created from definition.quickForms and contain the named
+ * controls.
+ *
+ * Event handlers are invoked through the supplied invoker so that the caller
+ * can track asynchronous handlers and script errors.
+ *
+ * @param {Object} definition  The form definition
+ * @param {string} definition.entityName  Logical name of the form's table
+ * @param {string} [definition.entityId]  Id of the record, null when creating
+ * @param {number} [definition.formType]  One of FORM_TYPES
+ * @param {Object} [definition.attributes]  Attribute definitions by name
+ * @param {Object} [definition.quickForms]  Quick view definitions by name
+ * @param {Function} invokeHandler  Called with (handler, executionContext)
+ *                                  for every event handler invocation
+ * @returns {Object}  The form context and simulator only inspection helpers
+ */
+function createFormContext(definition, invokeHandler) {
+  const _attributes = new Map();
+  const _controls = new Map();
+  const _quickForms = new Map();
+  const _formNotifications = new Map();
+  const _onLoadHandlers = [];
+  const _onDataLoadHandlers = [];
+  const _onSaveHandlers = [];
+  const _onPostSaveHandlers = [];
+  let _formType = definition.formType ?? FORM_TYPES.create;
+
+  const formContext = {
+    getAttribute: (name) => _getFromCollection(_attributes, name),
+    getControl: (name) => _getFromCollection(_controls, name),
+    data: {
+      entity: {
+        getEntityName: () => definition.entityName,
+        getId: () => definition.entityId ?? "",
+        getIsDirty: () =>
+          Array.from(_attributes.values()).some((attribute) =>
+            attribute.getIsDirty()
+          ),
+        addOnSave: (handler) => _onSaveHandlers.push(handler),
+        removeOnSave: (handler) => _removeFromArray(_onSaveHandlers, handler),
+        addOnPostSave: (handler) => _onPostSaveHandlers.push(handler),
+        removeOnPostSave: (handler) =>
+          _removeFromArray(_onPostSaveHandlers, handler),
+      },
+      addOnLoad: (handler) => _onDataLoadHandlers.push(handler),
+      removeOnLoad: (handler) => _removeFromArray(_onDataLoadHandlers, handler),
+      refresh: () => {
+        _triggerDataLoad();
+        return Promise.resolve();
+      },
+    },
+    ui: {
+      addOnLoad: (handler) => _onLoadHandlers.push(handler),
+      removeOnLoad: (handler) => _removeFromArray(_onLoadHandlers, handler),
+      getFormType: () => _formType,
+      controls: _createCollection(_controls),
+      quickForms: _createCollection(_quickForms),
+      setFormNotification: (message, level, uniqueId) => {
+        _formNotifications.set(uniqueId, { message, level, uniqueId });
+        return true;
+      },
+      clearFormNotification: (uniqueId) => _formNotifications.delete(uniqueId),
+    },
+  };
+
+  for (const [name, attributeDefinition] of Object.entries(
+    definition.attributes ?? {}
+  )) {
+    const attribute = _createAttribute(name, attributeDefinition);
+    _attributes.set(name, attribute);
+
+    if (attributeDefinition?.control !== false) {
+      const control = _createControl(name, attributeDefinition, attribute);
+      attribute.controls.push(control);
+      _controls.set(name, control);
+    }
+  }
+
+  for (const [name, quickFormDefinition] of Object.entries(
+    definition.quickForms ?? {}
+  )) {
+    _quickForms.set(name, _createQuickForm(name, quickFormDefinition));
+  }
+
+  /**
+   * Creates a form attribute.
+   *
+   * @param {string} name  The attribute logical name
+   * @param {Object} [attributeDefinition]  The initial value and requirement
+   * @returns {Object}  The attribute
+   */
+  function _createAttribute(name, attributeDefinition) {
+    let value = _cloneValue(attributeDefinition?.value ?? null);
+    let requiredLevel = attributeDefinition?.requiredLevel ?? "none";
+    let isDirty = false;
+    const onChangeHandlers = [];
+
+    const attribute = {
+      controls: [],
+      getName: () => name,
+      getAttributeType: () => attributeDefinition?.type ?? "string",
+      getValue: () => _cloneValue(value),
+      setValue: (newValue) => {
+        value = _cloneValue(newValue ?? null);
+        isDirty = true;
+      },
+      getIsDirty: () => isDirty,
+      _markSaved: () => {
+        isDirty = false;
+      },
+      getRequiredLevel: () => requiredLevel,
+      setRequiredLevel: (level) => {
+        if (!REQUIRED_LEVELS.includes(level)) {
+          throw new Error(`Invalid requirement level: ${level}`);
+        }
+        requiredLevel = level;
+      },
+      addOnChange: (handler) => onChangeHandlers.push(handler),
+      removeOnChange: (handler) => _removeFromArray(onChangeHandlers, handler),
+      fireOnChange: () => {
+        const executionContext = createExecutionContext(formContext, attribute);
+        for (const handler of [...onChangeHandlers]) {
+          invokeHandler(handler, executionContext);
+        }
+      },
+    };
+    return attribute;
+  }
+
+  /**
+   * Creates a control bound to an attribute.
+   *
+   * @param {string} name  The control name
+   * @param {Object} [controlDefinition]  The initial visibility and disabled
+   *                                      state
+   * @param {Object|null} attribute  The bound attribute
+   * @returns {Object}  The control
+   */
+  function _createControl(name, controlDefinition, attribute) {
+    let isVisible = controlDefinition?.visible ?? true;
+    let isDisabled = controlDefinition?.disabled ?? false;
+    const notifications = new Map();
+    const preSearchHandlers = [];
+    let customFilters = [];
+
+    const control = {
+      getName: () => name,
+      getControlType: () => controlDefinition?.controlType ?? "standard",
+      getAttribute: () => attribute,
+      getVisible: () => isVisible,
+      setVisible: (visible) => {
+        isVisible = Boolean(visible);
+      },
+      getDisabled: () => isDisabled,
+      setDisabled: (disabled) => {
+        isDisabled = Boolean(disabled);
+      },
+      setNotification: (message, uniqueId) => {
+        notifications.set(uniqueId, { message, uniqueId });
+        return true;
+      },
+      addNotification: (notification) => {
+        notifications.set(notification.uniqueId, {
+          message: notification.messages?.join(" "),
+          ...notification,
+          messages: _cloneValue(notification.messages),
+        });
+        return true;
+      },
+      clearNotification: (uniqueId) => {
+        if (uniqueId === undefined) {
+          notifications.clear();
+          return true;
+        }
+        return notifications.delete(uniqueId);
+      },
+      addPreSearch: (handler) => preSearchHandlers.push(handler),
+      removePreSearch: (handler) =>
+        _removeFromArray(preSearchHandlers, handler),
+      addCustomFilter: (filter, entityLogicalName) =>
+        customFilters.push({ filter, entityLogicalName }),
+      _getNotifications: () => Array.from(notifications.values()),
+      _search: () => {
+        customFilters = [];
+        const executionContext = createExecutionContext(formContext, control);
+        for (const handler of [...preSearchHandlers]) {
+          invokeHandler(handler, executionContext);
+        }
+        return customFilters;
+      },
+    };
+    return control;
+  }
+
+  /**
+   * Creates a quick view form control containing unbound controls.
+   *
+   * @param {string} name  The quick view control name
+   * @param {Object} [quickFormDefinition]  The contained controls by name
+   * @returns {Object}  The quick view control
+   */
+  function _createQuickForm(name, quickFormDefinition) {
+    let isVisible = quickFormDefinition?.visible ?? true;
+    const controls = new Map();
+
+    for (const [controlName, controlDefinition] of Object.entries(
+      quickFormDefinition?.controls ?? {}
+    )) {
+      controls.set(
+        controlName,
+        _createControl(controlName, controlDefinition, null)
+      );
+    }
+
+    return {
+      getName: () => name,
+      getControlType: () => "quickform",
+      getControl: (controlName) => _getFromCollection(controls, controlName),
+      getVisible: () => isVisible,
+      setVisible: (visible) => {
+        isVisible = Boolean(visible);
+      },
+      isLoaded: () => true,
+      refresh: () => {},
+    };
+  }
+
+  /**
+   * Runs the data OnLoad handlers and then the form OnLoad handlers, as when
+   * the form is opened.
+   */
+  function triggerLoad() {
+    _triggerDataLoad();
+    const executionContext = createExecutionContext(formContext);
+    for (const handler of [..._onLoadHandlers]) {
+      invokeHandler(handler, executionContext);
+    }
+  }
+
+  /**
+   * Runs the data OnLoad handlers, as when the form is opened, the record is
+   * saved or its data is refreshed by formContext.data.refresh.
+   */
+  function _triggerDataLoad() {
+    const executionContext = createExecutionContext(formContext);
+    for (const handler of [..._onDataLoadHandlers]) {
+      invokeHandler(handler, executionContext);
+    }
+  }
+
+  /**
+   * Runs the form OnSave handlers and returns the save event arguments, so
+   * that the caller can check whether the save was cancelled once any
+   * asynchronous handlers have completed.
+   *
+   * @param {number} [saveMode]  One of SAVE_MODES, defaults to save
+   * @returns {Object}  The save event arguments
+   */
+  function triggerSave(saveMode = SAVE_MODES.save) {
+    let isDefaultPrevented = false;
+    const eventArgs = {
+      getSaveMode: () => saveMode,
+      preventDefault: () => {
+        isDefaultPrevented = true;
+      },
+      isDefaultPrevented: () => isDefaultPrevented,
+    };
+
+    const executionContext = createExecutionContext(
+      formContext,
+      formContext.data.entity,
+      eventArgs
+    );
+    for (const handler of [..._onSaveHandlers]) {
+      invokeHandler(handler, executionContext);
+    }
+    return eventArgs;
+  }
+
+  /**
+   * Marks the record as saved, then runs the data OnLoad handlers and the
+   * form OnPostSave handlers, as after a successful save, which reloads the
+   * form data. Attributes are no longer dirty, and a create form becomes an
+   * update form.
+   */
+  function triggerPostSave() {
+    _attributes.forEach((attribute) => attribute._markSaved());
+    if (_formType === FORM_TYPES.create) {
+      _formType = FORM_TYPES.update;
+    }
+
+    _triggerDataLoad();
+    const eventArgs = {
+      getIsSaveSuccess: () => true,
+      getSaveErrorInfo: () => null,
+    };
+
+    const executionContext = createExecutionContext(
+      formContext,
+      formContext.data.entity,
+      eventArgs
+    );
+    for (const handler of [..._onPostSaveHandlers]) {
+      invokeHandler(handler, executionContext);
+    }
+  }
+
+  // Return the form context and inspection helpers
+  return {
+    formContext,
+    getAttribute: (name) => formContext.getAttribute(name),
+    registerOnChange: (name, handler) =>
+      formContext.getAttribute(name).addOnChange(handler),
+    fireOnChange: (name) => formContext.getAttribute(name).fireOnChange(),
+    triggerLoad,
+    triggerSave,
+    triggerPostSave,
+    getFormNotifications: () => Array.from(_formNotifications.values()),
+    getControlNotifications: (name) =>
+      formContext.getControl(name)?._getNotifications() ?? [],
+    searchLookup: (name) => formContext.getControl(name)._search(),
+  };
+}
+
+/**
+ * Creates an Xrm style collection exposing get and forEach.
+ *
+ * @param {Map<string, Object>} items  The items keyed by name
+ * @returns {Object}  The collection
+ */
+function _createCollection(items) {
+  return {
+    get: (name) => _getFromCollection(items, name),
+    forEach: (callback) => Array.from(items.values()).forEach(callback),
+    getLength: () => items.size,
+  };
+}
+
+/**
+ * Reads an item by name or, when no name is provided, every item, mirroring
+ * formContext.getAttribute and formContext.getControl.
+ *
+ * @param {Map<string, Object>} items  The items keyed by name
+ * @param {string|number} [name]  The item name or index
+ * @returns {Object|Object[]|null}  The item, all items, or null
+ */
+function _getFromCollection(items, name) {
+  if (name === undefined) {
+    return Array.from(items.values());
+  }
+  if (typeof name === "number") {
+    return Array.from(items.values())[name] ?? null;
+  }
+  return items.get(name) ?? null;
+}
+
+/**
+ * Removes the first occurrence of an item from an array.
+ *
+ * @param {Array} array  The array to update
+ * @param {*} item  The item to remove
+ */
+function _removeFromArray(array, item) {
+  const index = array.indexOf(item);
+  if (index !== -1) {
+    array.splice(index, 1);
+  }
+}
+
+/**
+ * Copies attribute values so that callers cannot mutate form state. Copies are
+ * created in this realm so that values set by web resources, which run in
+ * their own global scope, compare structurally equal in assertions.
+ *
+ * @param {*} value  The value to copy
+ * @returns {*}  The copied value
+ */
+function _cloneValue(value) {
+  if (Array.isArray(value)) {
+    return Array.from(value, (item) =>
+      item && typeof item === "object" ? { ...item } : item
+    );
+  }
+  return value;
+}
+
+module.exports = {
+  createExecutionContext,
+  createFormContext,
+  FORM_TYPES,
+  SAVE_MODES,
+};
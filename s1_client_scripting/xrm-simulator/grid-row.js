@@ -0,0 +1,206 @@
+"use strict";
+
+const { createExecutionContext } = require("./form-context");
+
+//Requirement levels accepted by attribute.setRequiredLevel
+const REQUIRED_LEVELS = ["none", "required", "recommended"];
+
+/**
+ * Creates an in-process editable grid row, as passed to the handlers of an
+ * editable grid's OnChange and OnRecordSelect events.
+ *
+ * Unlike a form context, the row's form context only exposes data.entity,
+ * whose attributes collection holds a grid attribute per column. Each grid
+ * attribute has a single cell. Cells cannot be hidden, only locked, and show
+ * error notifications only. OnChange handlers are registered on the grid
+ * rather than on an attribute, so attributes have no addOnChange or
+ * fireOnChange.
+ *
+ * @param {Object} definition  The grid row definition
+ * @param {string} definition.entityName  Logical name of the grid's table
+ * @param {string} [definition.entityId]  Id of the row's record
+ * @param {Object} [definition.attributes]  Column definitions by name, with
+ *                                          an initial value, requiredLevel and
+ *                                          disabled state
+ * @param {Function} invokeHandler  Called with (handler, executionContext)
+ *                                  for every event handler invocation
+ * @returns {Object}  The row's form context and simulator only inspection
+ *                    helpers
+ */
+function createGridRowContext(definition, invokeHandler) {
+  const _attributes = new Map();
+  const _onChangeHandlers = [];
+
+  const formContext = {
+    data: {
+      entity: {
+        attributes: _createCollection(_attributes),
+        getEntityName: () => definition.entityName,
+        getId: () => definition.entityId ?? "",
+        getEntityReference: () => ({
+          id: definition.entityId ?? "",
+          entityType: definition.entityName,
+          name: null,
+        }),
+      },
+    },
+  };
+
+  for (const [name, attributeDefinition] of Object.entries(
+    definition.attributes ?? {}
+  )) {
+    _attributes.set(name, _createAttribute(name, attributeDefinition));
+  }
+
+  /**
+   * Creates a grid attribute and its cell.
+   *
+   * @param {string} name  The attribute logical name
+   * @param {Object} [attributeDefinition]  The initial value, requirement and
+   *                                        disabled state
+   * @returns {Object}  The grid attribute
+   */
+  function _createAttribute(name, attributeDefinition) {
+    let value = _cloneValue(attributeDefinition?.value ?? null);
+    let requiredLevel = attributeDefinition?.requiredLevel ?? "none";
+    const cells = new Map();
+
+    const attribute = {
+      controls: _createCollection(cells),
+      getName: () => name,
+      getValue: () => _cloneValue(value),
+      setValue: (newValue) => {
+        value = _cloneValue(newValue ?? null);
+      },
+      getRequiredLevel: () => requiredLevel,
+      setRequiredLevel: (level) => {
+        if (!REQUIRED_LEVELS.includes(level)) {
+          throw new Error(`Invalid requirement level: ${level}`);
+        }
+        requiredLevel = level;
+      },
+    };
+    cells.set(name, _createCell(name, attributeDefinition));
+    return attribute;
+  }
+
+  /**
+   * Creates a grid cell.
+   *
+   * @param {string} name  The cell name
+   * @param {Object} [cellDefinition]  The initial disabled state
+   * @returns {Object}  The cell
+   */
+  function _createCell(name, cellDefinition) {
+    let isDisabled = cellDefinition?.disabled ?? false;
+    const notifications = new Map();
+
+    return {
+      getName: () => name,
+      getDisabled: () => isDisabled,
+      setDisabled: (disabled) => {
+        isDisabled = Boolean(disabled);
+      },
+      setNotification: (message, uniqueId) => {
+        notifications.set(uniqueId, { message, uniqueId });
+        return true;
+      },
+      clearNotification: (uniqueId) => {
+        if (uniqueId === undefined) {
+          notifications.clear();
+          return true;
+        }
+        return notifications.delete(uniqueId);
+      },
+      _getNotifications: () => Array.from(notifications.values()),
+    };
+  }
+
+  /**
+   * Reads a grid attribute by name.
+   *
+   * @param {string} name  The attribute logical name
+   * @returns {Object|null}  The grid attribute, or null
+   */
+  function getAttribute(name) {
+    return _attributes.get(name) ?? null;
+  }
+
+  /**
+   * Registers an OnChange handler for the grid, as if configured on the
+   * editable grid's events for a column, with "pass execution context as
+   * first parameter" ticked.
+   *
+   * @param {string} attributeName  The column whose changes run the handler
+   * @param {Function} handler  The handler
+   */
+  function registerOnChange(attributeName, handler) {
+    _onChangeHandlers.push({ attributeName, handler });
+  }
+
+  /**
+   * Runs the OnChange handlers registered for a column, as when a user edits
+   * its cell.
+   *
+   * @param {string} attributeName  The attribute logical name
+   */
+  function fireOnChange(attributeName) {
+    const executionContext = createExecutionContext(
+      formContext,
+      getAttribute(attributeName)
+    );
+    for (const { handler } of _onChangeHandlers.filter(
+      (registration) => registration.attributeName === attributeName
+    )) {
+      invokeHandler(handler, executionContext);
+    }
+  }
+
+  // Return the form context and inspection helpers
+  return {
+    formContext,
+    getAttribute,
+    registerOnChange,
+    fireOnChange,
+    getControlNotifications: (name) =>
+      getAttribute(name)?.controls.get(0)?._getNotifications() ?? [],
+  };
+}
+
+/**
+ * Creates an Xrm style collection exposing get, forEach and getLength. Items
+ * are read by name or index.
+ *
+ * @param {Map<string, Object>} items  The items keyed by name
+ * @returns {Object}  The collection
+ */
+function _createCollection(items) {
+  return {
+    get: (nameOrIndex) =>
+      typeof nameOrIndex === "number"
+        ? Array.from(items.values())[nameOrIndex] ?? null
+        : items.get(nameOrIndex) ?? null,
+    forEach: (callback) => Array.from(items.values()).forEach(callback),
+    getLength: () => items.size,
+  };
+}
+
+/**
+ * Copies attribute values so that callers cannot mutate row state, see
+ * form-context.js.
+ *
+ * @param {*} value  The value to copy
+ * @returns {*}  The copied value
+ */
+function _cloneValue(value) {
+  if (Array.isArray(value)) {
+    return Array.from(value, (item) =>
+      item && typeof item === "object" ? { ...item } : item
+    );
+  }
+  return value;
+}
+
+module.exports = {
+  createGridRowContext,
+};
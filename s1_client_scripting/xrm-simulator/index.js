@@ -0,0 +1,301 @@
+"use strict";
+
+const {
+  createFormContext,
+  createExecutionContext,
+  FORM_TYPES,
+  SAVE_MODES,
+} = require("./form-context");
+const { createGridRowContext } = require("./grid-row");
+const { createClock } = require("./clock");
+const { createRecordStore, lookup } = require("./record-store");
+const { loadWebResources } = require("./web-resource-loader");
+const { createXrm } = require("./xrm");
+
+//URL of the simulated page, where none is given
+const _defaultUrl = "https://simulator.crm.dynamics.com/main.aspx";
+
+/**
+ * Creates a headless simulation of a model-driven form, or of a row of an
+ * editable grid.
+ *
+ * The simulator wires together an in-memory record store, an Xrm stand-in and
+ * a form context. Event handlers fired by the form are tracked so that tests
+ * can wait for every asynchronous handler, including those chained through
+ * fireOnChange, with whenIdle. Timers set by web resources run on a virtual
+ * clock, which whenIdle advances once handlers are only waiting on timers.
+ *
+ * @param {Object} options  The simulation options
+ * @param {Object} [options.form]  The form definition, see createFormContext
+ * @param {Object} [options.gridRow]  The editable grid row definition, see
+ *                                    createGridRowContext, simulated in place
+ *                                    of a form. The form only helpers, e.g.
+ *                                    triggerLoad and save, are then not
+ *                                    available
+ * @param {Object} [options.schema]  Lookup columns per table, see
+ *                                   createRecordStore
+ * @param {Object} [options.records]  Records to seed, keyed by table name
+ * @param {Object} [options.globalContext]  Values for getGlobalContext
+ * @param {string} [options.url]  The URL of the page, e.g. with query
+ *                                parameters read by web resources
+ * @param {Object} [options.resources]  Strings of the RESX web resources,
+ *                                      see createXrm
+ * @param {Object} [options.offline]  Simulates the mobile app offline, see
+ *                                    createXrm
+ * @param {string[]} options.offline.tables  Tables available offline
+ * @param {Object} [options.offline.records]  Records synced to the device,
+ *                                            keyed by table name
+ * @returns {Object}  The simulator
+ */
+function createXrmSimulator({
+  form,
+  gridRow,
+  schema,
+  records,
+  globalContext,
+  url,
+  resources,
+  offline,
+}) {
+  const _pendingHandlers = new Set();
+  const _scriptErrors = [];
+  const _consoleEntries = [];
+
+  const store = _createSeededStore(schema, records);
+  const clock = createClock();
+  const xrmController = createXrm(
+    store,
+    globalContext,
+    resources,
+    offline && {
+      store: _createSeededStore(schema, offline.records),
+      tables: offline.tables,
+    }
+  );
+  const _form = gridRow
+    ? createGridRowContext(gridRow, _invokeHandler)
+    : createFormContext(form, _invokeHandler);
+
+  /**
+   * Invokes a form event handler, tracking any returned promise and recording
+   * errors that escape the handler as the form would report a script error.
+   *
+   * @param {Function} handler  The event handler
+   * @param {Object} executionContext  The execution context to pass
+   */
+  function _invokeHandler(handler, executionContext) {
+    try {
+      const result = handler(executionContext);
+      if (result && typeof result.then === "function") {
+        const tracked = Promise.resolve(result)
+          .catch((error) => _scriptErrors.push(error))
+          .finally(() => _pendingHandlers.delete(tracked));
+        _pendingHandlers.add(tracked);
+      }
+    } catch (error) {
+      _scriptErrors.push(error);
+    }
+  }
+
+  /**
+   * Loads web resources into the simulated page.
+   *
+   * @param {...string} filePaths  Absolute paths of the web resources
+   * @returns {Object}  The cr4fd publisher namespace
+   */
+  function loadScripts(...filePaths) {
+    const scope = loadWebResources(
+      xrmController.Xrm,
+      filePaths,
+      _consoleEntries,
+      clock,
+      url ?? _defaultUrl
+    );
+    return scope.cr4fd;
+  }
+
+  /**
+   * Registers an OnChange handler for an attribute, as if configured in the
+   * form editor with "pass execution context as first parameter" ticked.
+   *
+   * @param {string} attributeName  The attribute logical name
+   * @param {Function} handler  The handler
+   */
+  function registerOnChange(attributeName, handler) {
+    _getAttributeOrThrow(attributeName);
+    _form.registerOnChange(attributeName, handler);
+  }
+
+  /**
+   * Registers an OnLoad handler for the form, as if configured in the form
+   * editor. Unlike data OnLoad handlers, it is not run again when the form
+   * data is refreshed.
+   *
+   * @param {Function} handler  The handler
+   */
+  function registerOnLoad(handler) {
+    _form.formContext.ui.addOnLoad(handler);
+  }
+
+  /**
+   * Sets an attribute value and fires its OnChange event, as happens when a
+   * user edits a field.
+   *
+   * @param {string} attributeName  The attribute logical name
+   * @param {*} value  The new value
+   */
+  function setValueAsUser(attributeName, value) {
+    const attribute = _getAttributeOrThrow(attributeName);
+    attribute.setValue(value);
+    _form.fireOnChange(attributeName);
+  }
+
+  /**
+   * Registers an OnSave handler for the form.
+   *
+   * @param {Function} handler  The handler
+   */
+  function registerOnSave(handler) {
+    _form.formContext.data.entity.addOnSave(handler);
+  }
+
+  /**
+   * Saves the form as a user would, running the OnSave handlers and waiting
+   * for them to complete, as when async save handlers are enabled for the app.
+   * Where no handler cancelled the save, the data OnLoad and OnPostSave
+   * handlers are then run and waited for.
+   *
+   * @param {number} [saveMode]  One of SAVE_MODES, defaults to save
+   * @returns {Promise<boolean>}  True if no handler cancelled the save
+   */
+  async function save(saveMode) {
+    const eventArgs = _form.triggerSave(saveMode);
+    await whenIdle();
+    if (eventArgs.isDefaultPrevented()) {
+      return false;
+    }
+
+    _form.triggerPostSave();
+    await whenIdle();
+    return true;
+  }
+
+  /**
+   * Runs a handler directly with a fresh execution context and waits for it,
+   * and any handlers it triggers, to complete.
+   *
+   * @param {Function} handler  The handler
+   * @param {string} [eventSourceName]  Name of the attribute raising the event
+   * @returns {Promise<void>}
+   */
+  async function run(handler, eventSourceName) {
+    const eventSource = eventSourceName
+      ? _getAttributeOrThrow(eventSourceName)
+      : undefined;
+    _invokeHandler(
+      handler,
+      createExecutionContext(_form.formContext, eventSource)
+    );
+    await whenIdle();
+  }
+
+  /**
+   * Resolves once no tracked handler is pending. Where handlers can make no
+   * progress other than by a timer firing, the clock is advanced to the next
+   * timer. Handlers waiting on held Web API responses remain pending until
+   * the responses are released.
+   *
+   * @returns {Promise<void>}
+   */
+  async function whenIdle() {
+    while (_pendingHandlers.size > 0) {
+      await new Promise((resolve) => setImmediate(resolve));
+
+      if (
+        _pendingHandlers.size === 0 ||
+        xrmController.hasScheduledResponses() ||
+        clock.runNextTimer()
+      ) {
+        continue;
+      }
+
+      await Promise.race([
+        Promise.allSettled(Array.from(_pendingHandlers)),
+        xrmController.whenResponseScheduled(),
+      ]);
+    }
+  }
+
+  /**
+   * Reads an attribute from the simulated form or throws.
+   *
+   * @param {string} attributeName  The attribute logical name
+   * @returns {Object}  The attribute
+   */
+  function _getAttributeOrThrow(attributeName) {
+    const attribute = _form.getAttribute(attributeName);
+    if (!attribute) {
+      throw new Error(`The simulated form has no ${attributeName} attribute`);
+    }
+    return attribute;
+  }
+
+  // Return the simulator API
+  return {
+    Xrm: xrmController.Xrm,
+    store,
+    clock,
+    formContext: _form.formContext,
+    webApiCalls: xrmController.webApiCalls,
+    dialogs: xrmController.dialogs,
+    appNotifications: xrmController.appNotifications,
+    consoleEntries: _consoleEntries,
+    scriptErrors: _scriptErrors,
+    failNextWebApiCall: xrmController.failNextWebApiCall,
+    failNextBatchedRequest: xrmController.failNextBatchedRequest,
+    answerNextConfirmDialog: xrmController.answerNextConfirmDialog,
+    holdWebApiResponses: xrmController.holdWebApiResponses,
+    releaseWebApiResponses: xrmController.releaseWebApiResponses,
+    whenWebApiCallsMade: xrmController.whenWebApiCallsMade,
+    getFormNotifications: _form.getFormNotifications,
+    getControlNotifications: _form.getControlNotifications,
+    searchLookup: _form.searchLookup,
+    loadScripts,
+    registerOnChange,
+    registerOnLoad,
+    registerOnSave,
+    setValueAsUser,
+    triggerLoad: async () => {
+      _form.triggerLoad();
+      await whenIdle();
+    },
+    createExecutionContext: (eventSource, eventArgs) =>
+      createExecutionContext(_form.formContext, eventSource, eventArgs),
+    save,
+    run,
+    whenIdle,
+  };
+}
+
+/**
+ * Creates a record store seeded with records.
+ *
+ * @param {Object} [schema]  Lookup columns per table, see createRecordStore
+ * @param {Object} [records]  Records to seed, keyed by table name
+ * @returns {Object}  The record store
+ */
+function _createSeededStore(schema, records) {
+  const store = createRecordStore(schema);
+  for (const [tableName, tableRecords] of Object.entries(records ?? {})) {
+    tableRecords.forEach((record) => store.addRecord(tableName, record));
+  }
+  return store;
+}
+
+module.exports = {
+  createXrmSimulator,
+  createExecutionContext,
+  lookup,
+  FORM_TYPES,
+  SAVE_MODES,
+};
@@ -0,0 +1,194 @@
+"use strict";
+
+//Comparison operators supported in $filter expressions
+const COMPARISON_OPERATORS = {
+  eq: (left, right) => _normalise(left) === _normalise(right),
+  ne: (left, right) => _normalise(left) !== _normalise(right),
+  gt: (left, right) => left !== null && left > right,
+  ge: (left, right) => left !== null && left >= right,
+  lt: (left, right) => left !== null && left < right,
+  le: (left, right) => left !== null && left <= right,
+};
+
+//Patterns of the tokens of a $filter expression, each captured in its own
+//group, in the order they are tried. A quoted string escapes its quotes by
+//doubling them, and a number must not run into a following word or guid
+const TOKEN_PATTERNS = {
+  open: /(\()/,
+  close: /(\))/,
+  text: /'((?:[^']|'')*)'/,
+  guid: /([0-9a-fA-F]{8}(?:-[0-9a-fA-F]{4}){3}-[0-9a-fA-F]{12})/,
+  number: /(-?\d+(?:\.\d+)?)(?![\w-])/,
+  word: /([A-Za-z_][\w.@-]*)/,
+};
+
+/**
+ * Compiles an OData $filter expression into a predicate over records.
+ *
+ * Supports the comparison operators eq, ne, gt, ge, lt and le, the logical
+ * operators and, or and not, parentheses, and string, number, boolean, null
+ * and guid literals. Guids are compared case-insensitively.
+ *
+ * @param {string} expression  The $filter expression
+ * @returns {Function}  A predicate accepting a record
+ * @throws {Error}  If the expression cannot be parsed
+ */
+function compileFilter(expression) {
+  const tokens = _tokenise(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  /**
+   * Parses a sequence of expressions joined by "or".
+   *
+   * @returns {Function}  The predicate
+   */
+  function parseOr() {
+    let left = parseAnd();
+    while (peek()?.value === "or") {
+      next();
+      const right = parseAnd();
+      const previous = left;
+      left = (record) => previous(record) || right(record);
+    }
+    return left;
+  }
+
+  /**
+   * Parses a sequence of expressions joined by "and".
+   *
+   * @returns {Function}  The predicate
+   */
+  function parseAnd() {
+    let left = parseUnary();
+    while (peek()?.value === "and") {
+      next();
+      const right = parseUnary();
+      const previous = left;
+      left = (record) => previous(record) && right(record);
+    }
+    return left;
+  }
+
+  /**
+   * Parses a negated, parenthesised or comparison expression.
+   *
+   * @returns {Function}  The predicate
+   */
+  function parseUnary() {
+    const token = peek();
+    if (token?.value === "not") {
+      next();
+      const operand = parseUnary();
+      return (record) => !operand(record);
+    }
+    if (token?.value === "(") {
+      next();
+      const inner = parseOr();
+      _expect(next(), ")");
+      return inner;
+    }
+    return parseComparison();
+  }
+
+  /**
+   * Parses a "<column> <operator> <literal>" comparison.
+   *
+   * @returns {Function}  The predicate
+   */
+  function parseComparison() {
+    const column = next();
+    const operator = next();
+    const literal = next();
+
+    if (
+      column?.type !== "identifier" ||
+      !COMPARISON_OPERATORS[operator?.value]
+    ) {
+      throw new Error(`Unsupported $filter expression: ${expression}`);
+    }
+    if (literal?.type !== "literal") {
+      throw new Error(
+        `Expected a literal in $filter expression: ${expression}`
+      );
+    }
+
+    const compare = COMPARISON_OPERATORS[operator.value];
+    return (record) => compare(record[column.value] ?? null, literal.value);
+  }
+
+  const predicate = parseOr();
+  if (position !== tokens.length) {
+    throw new Error(`Unexpected token in $filter expression: ${expression}`);
+  }
+  return predicate;
+}
+
+/**
+ * Splits a $filter expression into identifier, literal and punctuation tokens.
+ *
+ * @param {string} expression  The $filter expression
+ * @returns {Object[]}  The tokens
+ */
+function _tokenise(expression) {
+  const alternatives = Object.values(TOKEN_PATTERNS).map(
+    (pattern) => pattern.source
+  );
+  const tokenPattern = new RegExp(`\\s*(?:${alternatives.join("|")})`, "y");
+  const tokens = [];
+  let match;
+
+  while (tokenPattern.lastIndex < expression.length) {
+    match = tokenPattern.exec(expression);
+    if (!match) {
+      if (expression.slice(tokenPattern.lastIndex).trim() === "") {
+        break;
+      }
+      throw new Error(`Unable to parse $filter expression: ${expression}`);
+    }
+
+    const [, open, close, text, guid, number, word] = match;
+    if (open || close) {
+      tokens.push({ type: "punctuation", value: open ?? close });
+    } else if (text !== undefined) {
+      tokens.push({ type: "literal", value: text.replace(/''/g, "'") });
+    } else if (guid) {
+      tokens.push({ type: "literal", value: guid.toLowerCase() });
+    } else if (number) {
+      tokens.push({ type: "literal", value: Number(number) });
+    } else if (["true", "false", "null"].includes(word)) {
+      tokens.push({ type: "literal", value: JSON.parse(word) });
+    } else {
+      tokens.push({ type: "identifier", value: word });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Throws unless a token has the expected value.
+ *
+ * @param {Object} token  The token
+ * @param {string} value  The expected value
+ */
+function _expect(token, value) {
+  if (token?.value !== value) {
+    throw new Error(`Expected "${value}" in $filter expression`);
+  }
+}
+
+/**
+ * Normalises values for equality so that guids match regardless of case.
+ *
+ * @param {*} value  The value to normalise
+ * @returns {*}  The normalised value
+ */
+function _normalise(value) {
+  return typeof value === "string" ? value.toLowerCase() : value;
+}
+
+module.exports = {
+  compileFilter,
+};
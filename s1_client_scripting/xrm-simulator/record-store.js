@@ -0,0 +1,607 @@
+"use strict";
+
+const { compileFilter } = require("./odata-filter");
+
+//Annotation used by the Web API to describe the table a lookup targets
+const LOOKUP_LOGICAL_NAME_ANNOTATION =
+  "@Microsoft.Dynamics.CRM.lookuplogicalname";
+
+//Annotation used by the Web API to hold the display name of a lookup
+const FORMATTED_VALUE_ANNOTATION = "@OData.Community.Display.V1.FormattedValue";
+
+//Annotation used by the Web API to set a lookup, e.g.
+//"primarycontactid@odata.bind": "/contacts(<id>)"
+const ODATA_BIND_ANNOTATION = "@odata.bind";
+
+//Entity set and id of the record bound by an @odata.bind value
+const ODATA_BIND_PATTERN = /^\/?(\w+)\(\{?([0-9a-fA-F-]+)\}?\)$/;
+
+//Error code returned by Dataverse when a record does not exist
+const RECORD_NOT_FOUND_ERROR_CODE = 2147746327;
+
+//Error code returned by Dataverse when a query references an unknown property
+const INVALID_PROPERTY_ERROR_CODE = 2147880072;
+
+/**
+ * Creates an in-memory table store that answers Web API style queries.
+ *
+ * Records are held per table and keyed by their primary id column, which by
+ * convention is the table logical name suffixed with "id". Lookup columns may
+ * be seeded with {@link lookup} references and are stored in the Web API
+ * shape, i.e. as "_<column>_value" with a lookuplogicalname annotation, so
+ * that $select and $expand behave as they would against Dataverse. Updates
+ * may also set lookups with @odata.bind columns, where the entity set name is
+ * the table logical name suffixed with "s".
+ *
+ * The optional schema declares the lookup columns of each table. Expanding a
+ * declared lookup that a record leaves empty resolves to null, while
+ * expanding an undeclared and unseeded property fails as Dataverse would.
+ *
+ * @param {Object} [schema]  Lookup columns per table with their target
+ *                           table, or tables for polymorphic lookups, e.g.
+ *                           { account: { primarycontactid: "contact" } }
+ * @returns {Object}  The record store API
+ */
+function createRecordStore(schema = {}) {
+  const _tables = new Map();
+
+  /**
+   * Adds, or replaces, a record in the store.
+   *
+   * @param {string} tableName  The logical name of the table
+   * @param {Object} record  The record columns. Must include the primary id
+   * @returns {Object}  The normalised record as held by the store
+   */
+  function addRecord(tableName, record) {
+    const idColumn = getPrimaryIdColumn(tableName);
+    const id = _normaliseId(record?.[idColumn]);
+    if (!id) {
+      throw new Error(`Record for ${tableName} must include ${idColumn}`);
+    }
+
+    const normalisedRecord = _normaliseRecord(tableName, record);
+    normalisedRecord[idColumn] = id;
+    _getTable(tableName).set(id, normalisedRecord);
+    return _clone(normalisedRecord);
+  }
+
+  /**
+   * Applies column updates to an existing record.
+   *
+   * @param {string} tableName  The logical name of the table
+   * @param {string} id  The id of the record to update
+   * @param {Object} columns  The column values to apply
+   * @returns {Object}  The updated record
+   * @throws {Error}  If the record does not exist
+   */
+  function updateRecord(tableName, id, columns) {
+    const record = _getRecordOrThrow(tableName, id);
+    Object.assign(record, _normaliseRecord(tableName, columns));
+    return _clone(record);
+  }
+
+  /**
+   * Reads a record without applying any query options.
+   *
+   * @param {string} tableName  The logical name of the table
+   * @param {string} id  The id of the record
+   * @returns {Object|null}  A copy of the record or null if it does not exist
+   */
+  function getRecord(tableName, id) {
+    const record = _getTable(tableName).get(_normaliseId(id));
+    return record ? _clone(record) : null;
+  }
+
+  /**
+   * Retrieves a record applying $select and $expand query options in the same
+   * way as Xrm.WebApi.retrieveRecord.
+   *
+   * @param {string} tableName  The logical name of the table
+   * @param {string} id  The id of the record to retrieve
+   * @param {string} [options]  OData system query options, e.g.
+   *                            "?$select=name&$expand=primarycontactid"
+   * @returns {Object}  The projected record
+   * @throws {Error}  If the record does not exist or the query references a
+   *                  navigation property that the record does not have
+   */
+  function retrieveRecord(tableName, id, options) {
+    const record = _getRecordOrThrow(tableName, id);
+    return _project(tableName, record, parseQueryOptions(options));
+  }
+
+  /**
+   * Retrieves the records of a table applying $filter, $orderby, $select,
+   * $expand and $top.
+   *
+   * @param {string} tableName  The logical name of the table
+   * @param {string} [options]  OData system query options
+   * @returns {Object}  An object with an entities array
+   */
+  function retrieveMultipleRecords(tableName, options) {
+    const queryOptions = parseQueryOptions(options);
+    let records = Array.from(_getTable(tableName).values());
+
+    if (queryOptions.filter) {
+      records = records.filter(compileFilter(queryOptions.filter));
+    }
+
+    if (queryOptions.orderBy.length > 0) {
+      records.sort((first, second) =>
+        _compareRecords(first, second, queryOptions.orderBy)
+      );
+    }
+
+    if (queryOptions.top !== undefined) {
+      records = records.slice(0, queryOptions.top);
+    }
+
+    return {
+      entities: records.map((record) =>
+        _project(tableName, record, queryOptions)
+      ),
+    };
+  }
+
+  /**
+   * Builds a projection of a record for the given query options.
+   *
+   * @param {string} tableName  The logical name of the table
+   * @param {Object} record  The stored record
+   * @param {Object} queryOptions  Parsed query options
+   * @returns {Object}  The projected record
+   */
+  function _project(tableName, record, queryOptions) {
+    const result = _selectColumns(tableName, record, queryOptions.select);
+
+    for (const expansion of queryOptions.expand) {
+      result[expansion.navigationProperty] = _expandNavigationProperty(
+        tableName,
+        record,
+        expansion
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Copies the selected columns, and their annotations, from a record. All
+   * columns are returned when no $select option is provided.
+   *
+   * @param {string} tableName  The logical name of the table
+   * @param {Object} record  The stored record
+   * @param {string[]|undefined} select  The selected columns
+   * @returns {Object}  The selected columns
+   */
+  function _selectColumns(tableName, record, select) {
+    if (!select) {
+      return _clone(record);
+    }
+
+    const idColumn = getPrimaryIdColumn(tableName);
+    const result = { [idColumn]: record[idColumn] };
+
+    for (const column of select) {
+      result[column] = record[column] ?? null;
+      for (const key of Object.keys(record)) {
+        if (key.startsWith(`${column}@`)) {
+          result[key] = record[key];
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Resolves an expanded navigation property to the related record.
+   *
+   * Supports single-valued navigation properties. Polymorphic lookups may be
+   * expanded using the "<column>_<table>" form, e.g. parentcustomerid_account.
+   *
+   * @param {string} tableName  The logical name of the record's table
+   * @param {Object} record  The stored record
+   * @param {Object} expansion  The parsed expansion
+   * @returns {Object|null}  The projected related record or null
+   * @throws {Error}  If the navigation property does not exist on the record
+   */
+  function _expandNavigationProperty(tableName, record, expansion) {
+    const target = _resolveNavigationTarget(
+      tableName,
+      record,
+      expansion.navigationProperty
+    );
+    if (!target) {
+      return null;
+    }
+
+    const relatedRecord = _getTable(target.tableName).get(target.id);
+    if (!relatedRecord) {
+      return null;
+    }
+    return _project(target.tableName, relatedRecord, expansion.options);
+  }
+
+  /**
+   * Identifies the table and id referenced by a navigation property.
+   *
+   * @param {string} tableName  The logical name of the record's table
+   * @param {Object} record  The stored record
+   * @param {string} navigationProperty  The navigation property name
+   * @returns {Object|null}  The table name and id, or null where the lookup is
+   *                         empty or targets a different table
+   * @throws {Error}  If the record has no matching lookup column
+   */
+  function _resolveNavigationTarget(tableName, record, navigationProperty) {
+    const valueKey = `_${navigationProperty}_value`;
+    if (valueKey in record) {
+      return _readLookupTarget(record, valueKey);
+    }
+
+    const polymorphicMatch = /^(.+)_([a-z0-9]+)$/.exec(navigationProperty);
+    const polymorphicValueKey = polymorphicMatch
+      ? `_${polymorphicMatch[1]}_value`
+      : null;
+
+    if (polymorphicValueKey && polymorphicValueKey in record) {
+      const target = _readLookupTarget(record, polymorphicValueKey);
+      return target?.tableName === polymorphicMatch[2] ? target : null;
+    }
+
+    if (_isDeclaredLookup(tableName, navigationProperty)) {
+      return null;
+    }
+
+    throw _createWebApiError(
+      `Could not find a property named '${navigationProperty}'.`,
+      INVALID_PROPERTY_ERROR_CODE
+    );
+  }
+
+  /**
+   * Reads a lookup value, and its target table, from a stored record.
+   *
+   * @param {Object} record  The stored record
+   * @param {string} valueKey  The "_<column>_value" key
+   * @returns {Object|null}  The table name and id or null if empty
+   */
+  function _readLookupTarget(record, valueKey) {
+    const id = record[valueKey];
+    if (!id) {
+      return null;
+    }
+    return {
+      tableName: record[`${valueKey}${LOOKUP_LOGICAL_NAME_ANNOTATION}`],
+      id,
+    };
+  }
+
+  /**
+   * Checks whether the schema declares a lookup column for a table. Both the
+   * plain and the polymorphic "<column>_<table>" forms are recognised.
+   *
+   * @param {string} tableName  The logical name of the table
+   * @param {string} navigationProperty  The navigation property name
+   * @returns {boolean}  True if the lookup is declared
+   */
+  function _isDeclaredLookup(tableName, navigationProperty) {
+    const lookups = schema[tableName] ?? {};
+    return Object.keys(lookups).some(
+      (column) =>
+        column === navigationProperty ||
+        navigationProperty.startsWith(`${column}_`)
+    );
+  }
+
+  /**
+   * Converts lookup references and @odata.bind columns into the Web API
+   * column shape.
+   *
+   * @param {string} tableName  The logical name of the table
+   * @param {Object} record  The record columns as seeded
+   * @returns {Object}  The normalised columns
+   */
+  function _normaliseRecord(tableName, record) {
+    const normalised = {};
+    for (const [column, value] of Object.entries(record ?? {})) {
+      if (column.endsWith(ODATA_BIND_ANNOTATION)) {
+        Object.assign(normalised, _normaliseBinding(column, value));
+      } else if (value && value[_lookupMarker]) {
+        const valueKey = `_${column}_value`;
+        normalised[valueKey] = _normaliseId(value.id);
+        normalised[`${valueKey}${LOOKUP_LOGICAL_NAME_ANNOTATION}`] =
+          value.entityType;
+        normalised[`${valueKey}${FORMATTED_VALUE_ANNOTATION}`] =
+          value.name ?? null;
+      } else if (value === null && _isDeclaredLookup(tableName, column)) {
+        normalised[`_${column}_value`] = null;
+      } else {
+        normalised[column] = _clone(value);
+      }
+    }
+    return normalised;
+  }
+
+  /**
+   * Converts an @odata.bind column into the Web API lookup column shape. The
+   * bound record's name is not known, so its formatted value is null.
+   *
+   * @param {string} column  The column, e.g. primarycontactid@odata.bind
+   * @param {string} value  The bound record, e.g. /contacts(<id>)
+   * @returns {Object}  The normalised lookup columns
+   * @throws {Error}  If the value does not reference a record
+   */
+  function _normaliseBinding(column, value) {
+    const match = ODATA_BIND_PATTERN.exec(value ?? "");
+    if (!match) {
+      throw _createWebApiError(
+        `Invalid value ${JSON.stringify(value)} for ${column}`,
+        INVALID_PROPERTY_ERROR_CODE
+      );
+    }
+
+    const valueKey = `_${column.slice(0, -ODATA_BIND_ANNOTATION.length)}_value`;
+    return {
+      [valueKey]: _normaliseId(match[2]),
+      [`${valueKey}${LOOKUP_LOGICAL_NAME_ANNOTATION}`]: match[1].replace(
+        /s$/,
+        ""
+      ),
+      [`${valueKey}${FORMATTED_VALUE_ANNOTATION}`]: null,
+    };
+  }
+
+  /**
+   * Reads a record from the store or throws a Web API style error.
+   *
+   * @param {string} tableName  The logical name of the table
+   * @param {string} id  The id of the record
+   * @returns {Object}  The stored record
+   * @throws {Error}  If the record does not exist
+   */
+  function _getRecordOrThrow(tableName, id) {
+    const record = _getTable(tableName).get(_normaliseId(id));
+    if (!record) {
+      throw _createWebApiError(
+        `${tableName} With Id = ${_normaliseId(id)} Does Not Exist`,
+        RECORD_NOT_FOUND_ERROR_CODE
+      );
+    }
+    return record;
+  }
+
+  /**
+   * Returns the map holding a table's records, creating it if needed.
+   *
+   * @param {string} tableName  The logical name of the table
+   * @returns {Map<string, Object>}  The table records keyed by id
+   */
+  function _getTable(tableName) {
+    if (!_tables.has(tableName)) {
+      _tables.set(tableName, new Map());
+    }
+    return _tables.get(tableName);
+  }
+
+  // Return the API
+  return {
+    addRecord,
+    updateRecord,
+    getRecord,
+    retrieveRecord,
+    retrieveMultipleRecords,
+  };
+}
+
+//Marker used to identify lookup references passed to addRecord
+const _lookupMarker = Symbol("lookup");
+
+/**
+ * Creates a lookup reference for seeding records and setting lookup field
+ * values. The returned object is also a valid element of a form lookup value.
+ *
+ * @param {string} entityType  The logical name of the referenced table
+ * @param {string} id  The id of the referenced record
+ * @param {string} [name]  The display name of the referenced record
+ * @returns {Object}  A lookup reference
+ */
+function lookup(entityType, id, name) {
+  const reference = { id, name: name ?? null, entityType };
+  Object.defineProperty(reference, _lookupMarker, { value: true });
+  return reference;
+}
+
+/**
+ * Returns the primary id column for a table.
+ *
+ * @param {string} tableName  The logical name of the table
+ * @returns {string}  The primary id column
+ */
+function getPrimaryIdColumn(tableName) {
+  return `${tableName}id`;
+}
+
+/**
+ * Parses OData system query options as passed to Xrm.WebApi.
+ *
+ * @param {string} [options]  The query options, optionally prefixed with "?"
+ * @returns {Object}  The parsed select, expand, filter, orderBy and top
+ *                    options
+ */
+function parseQueryOptions(options) {
+  const parsed = {
+    select: undefined,
+    expand: [],
+    filter: undefined,
+    orderBy: [],
+  };
+  const optionString = (options ?? "").replace(/^\?/, "");
+
+  for (const option of _splitTopLevel(optionString, "&")) {
+    const separatorIndex = option.indexOf("=");
+    const name = option.slice(0, separatorIndex);
+    const value = option.slice(separatorIndex + 1);
+
+    switch (name) {
+      case "$select":
+        parsed.select = value.split(",").map((column) => column.trim());
+        break;
+      case "$expand":
+        parsed.expand = _splitTopLevel(value, ",").map(_parseExpansion);
+        break;
+      case "$filter":
+        parsed.filter = value;
+        break;
+      case "$orderby":
+        parsed.orderBy = value.split(",").map(_parseOrderByItem);
+        break;
+      case "$top":
+        parsed.top = Number(value);
+        break;
+      default:
+        break;
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Parses a single $orderby item, e.g. "modifiedon desc".
+ *
+ * @param {string} item  The order by item
+ * @returns {Object}  The column and whether it is sorted descending
+ */
+function _parseOrderByItem(item) {
+  const [column, direction] = item.trim().split(/\s+/);
+  return { column, isDescending: direction?.toLowerCase() === "desc" };
+}
+
+/**
+ * Compares two records by the parsed $orderby items. Null values sort before
+ * other values, as they do in Dataverse.
+ *
+ * @param {Object} first  The first stored record
+ * @param {Object} second  The second stored record
+ * @param {Object[]} orderBy  The parsed order by items
+ * @returns {number}  A negative number if first sorts before second, a
+ *                    positive number if after, else 0
+ */
+function _compareRecords(first, second, orderBy) {
+  for (const { column, isDescending } of orderBy) {
+    const firstValue = first[column] ?? null;
+    const secondValue = second[column] ?? null;
+    if (firstValue === secondValue) {
+      continue;
+    }
+
+    let comparison;
+    if (firstValue === null) {
+      comparison = -1;
+    } else if (secondValue === null) {
+      comparison = 1;
+    } else {
+      comparison = firstValue < secondValue ? -1 : 1;
+    }
+    return isDescending ? -comparison : comparison;
+  }
+  return 0;
+}
+
+/**
+ * Parses a single $expand item, e.g. "primarycontactid($select=fullname)".
+ *
+ * @param {string} expansion  The expand item
+ * @returns {Object}  The navigation property and nested query options
+ */
+function _parseExpansion(expansion) {
+  const openIndex = expansion.indexOf("(");
+  if (openIndex === -1) {
+    return {
+      navigationProperty: expansion.trim(),
+      options: parseQueryOptions(""),
+    };
+  }
+
+  const nestedOptions = expansion.slice(
+    openIndex + 1,
+    expansion.lastIndexOf(")")
+  );
+  return {
+    navigationProperty: expansion.slice(0, openIndex).trim(),
+    options: parseQueryOptions(_splitTopLevel(nestedOptions, ";").join("&")),
+  };
+}
+
+/**
+ * Splits a string on a separator, ignoring separators nested in parentheses
+ * or quoted strings.
+ *
+ * @param {string} value  The string to split
+ * @param {string} separator  The single character separator
+ * @returns {string[]}  The non-empty parts
+ */
+function _splitTopLevel(value, separator) {
+  const parts = [];
+  let depth = 0;
+  let isQuoted = false;
+  let current = "";
+
+  for (const character of value) {
+    if (character === "'") {
+      isQuoted = !isQuoted;
+    } else if (!isQuoted && character === "(") {
+      depth++;
+    } else if (!isQuoted && character === ")") {
+      depth--;
+    }
+
+    if (!isQuoted && depth === 0 && character === separator) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += character;
+    }
+  }
+  parts.push(current);
+  return parts.filter((part) => part.trim() !== "");
+}
+
+/**
+ * Creates an error in the shape returned by Xrm.WebApi.
+ *
+ * @param {string} message  The error message
+ * @param {number} errorCode  The Dataverse error code
+ * @returns {Error}  The error
+ */
+function _createWebApiError(message, errorCode) {
+  return Object.assign(new Error(message), { errorCode });
+}
+
+/**
+ * Normalises a record id by removing braces and lower casing, matching the
+ * forms in which Dataverse accepts ids.
+ *
+ * @param {string} id  The id to normalise
+ * @returns {string}  The normalised id
+ */
+function _normaliseId(id) {
+  return typeof id === "string" ? id.replace(/[{}]/g, "").toLowerCase() : id;
+}
+
+/**
+ * Deep clones a JSON compatible value.
+ *
+ * @param {*} value  The value to clone
+ * @returns {*}  The cloned value
+ */
+function _clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+module.exports = {
+  createRecordStore,
+  getPrimaryIdColumn,
+  lookup,
+  parseQueryOptions,
+  LOOKUP_LOGICAL_NAME_ANNOTATION,
+  FORMATTED_VALUE_ANNOTATION,
+  RECORD_NOT_FOUND_ERROR_CODE,
+};
@@ -0,0 +1,52 @@
+"use strict";
+
+const fs = require("node:fs");
+
+//Data elements of a RESX file, capturing the name and value
+const DATA_PATTERN =
+  /<data\s+name="([^"]*)"[^>]*>\s*<value>([\s\S]*?)<\/value>[\s\S]*?<\/data>/g;
+
+//XML entities that may appear in names and values
+const XML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+};
+
+/**
+ * Reads the strings of a RESX file, as returned by Xrm.Utility
+ * .getResourceString once the file is deployed as a RESX web resource.
+ *
+ * Only the name and value of each data element are read. Comments and
+ * resource headers are ignored.
+ *
+ * @param {string} filePath  The absolute path of the RESX file
+ * @returns {Object}  The strings, keyed by name
+ */
+function readResx(filePath) {
+  const content = fs.readFileSync(filePath, "utf8");
+  const strings = {};
+  for (const [, name, value] of content.matchAll(DATA_PATTERN)) {
+    strings[_decodeXml(name)] = _decodeXml(value);
+  }
+  return strings;
+}
+
+/**
+ * Decodes the XML entities of a string.
+ *
+ * @param {string} text  The encoded text
+ * @returns {string}  The decoded text
+ */
+function _decodeXml(text) {
+  return text.replace(
+    /&(amp|lt|gt|quot|apos);/g,
+    (entity, name) => XML_ENTITIES[name]
+  );
+}
+
+module.exports = {
+  readResx,
+};
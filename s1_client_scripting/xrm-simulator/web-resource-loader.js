@@ -0,0 +1,69 @@
+"use strict";
+
+const fs = require("node:fs");
+const vm = require("node:vm");
+
+/**
+ * Loads JavaScript web resources into an isolated global scope, in the same
+ * order as libraries registered on a form.
+ *
+ * The scope mirrors a browser window: "this.window" refers to the global
+ * object and Xrm is available as a global. Console output is captured in the
+ * supplied list rather than written to the terminal, and timers are scheduled
+ * on, and performance.now read from, the supplied clock.
+ *
+ * @param {Object} Xrm  The Xrm object exposed to the web resources
+ * @param {string[]} filePaths  Absolute paths of the web resources to load
+ * @param {Object[]} consoleEntries  The list to capture console calls in
+ * @param {Object} clock  A clock created by createClock
+ * @param {string} url  The URL of the page, exposed as location
+ * @returns {Object}  The global scope the web resources were loaded into
+ */
+function loadWebResources(Xrm, filePaths, consoleEntries, clock, url) {
+  const context = vm.createContext({
+    Xrm,
+    console: _createCapturingConsole(consoleEntries),
+    setTimeout: clock.setTimeout,
+    clearTimeout: clock.clearTimeout,
+    performance: { now: clock.now },
+    location: new URL(url),
+    URLSearchParams,
+    atob,
+    btoa,
+    TextDecoder,
+    TextEncoder,
+  });
+  vm.runInContext("this.window = this;", context);
+
+  for (const filePath of filePaths) {
+    vm.runInContext(fs.readFileSync(filePath, "utf8"), context, {
+      filename: filePath,
+    });
+  }
+  return context;
+}
+
+/**
+ * Creates a console that records each call with its level and arguments.
+ *
+ * @param {Object[]} consoleEntries  The list to record calls in
+ * @returns {Object}  The console
+ */
+function _createCapturingConsole(consoleEntries) {
+  const capture =
+    (level) =>
+    (...args) =>
+      consoleEntries.push({ level, args });
+
+  return {
+    debug: capture("debug"),
+    info: capture("info"),
+    log: capture("log"),
+    warn: capture("warn"),
+    error: capture("error"),
+  };
+}
+
+module.exports = {
+  loadWebResources,
+};
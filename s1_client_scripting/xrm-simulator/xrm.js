@@ -0,0 +1,392 @@
+"use strict";
+
+/**
+ * Creates an in-process stand-in for the Xrm global.
+ *
+ * Xrm.WebApi is answered from the supplied record store. Every Web API call is
+ * recorded and resolves asynchronously, on a later turn of the event loop, so
+ * that handlers observe the same ordering as in a browser. Failures can be
+ * queued to exercise error handling, and responses can be held and released
+ * in any order to exercise overlapping requests.
+ *
+ * Xrm.WebApi.online.executeMultiple supports batches of update requests. It
+ * is recorded as one call, and applies the requests in order, resolving to a
+ * response per request. As in Dataverse, without a change set the batch stops
+ * at the first request that fails, e.g. because its record does not exist or
+ * a failure was queued for it, and rejects with its error, leaving the
+ * requests before it applied and those after it unsent. A failure is queued
+ * for the request at a position of the next batch with
+ * failNextBatchedRequest.
+ *
+ * Where an offline store is supplied, the client is simulated as the mobile
+ * app working offline: getGlobalContext().client.getClientState() returns
+ * "Offline", and Xrm.WebApi.offline answers from the offline store and
+ * reports the given tables as available offline. Its calls are recorded with
+ * the operation prefixed "offline.".
+ *
+ * Xrm.Navigation dialogs are recorded rather than displayed. Confirm dialogs
+ * resolve with queued answers, defaulting to confirmed. The messages of the
+ * Xrm.Utility progress indicator are recorded in dialogs.progress, with null
+ * where the indicator was closed.
+ *
+ * Xrm.App global notifications are recorded in appNotifications, with the id
+ * they resolve to, until they are cleared.
+ *
+ * Xrm.Utility.getResourceString reads the strings of the supplied RESX web
+ * resources, returning null where the web resource or string is missing.
+ *
+ * @param {Object} store  A record store created by createRecordStore
+ * @param {Object} [globalContext]  Values for Xrm.Utility.getGlobalContext
+ * @param {number} [globalContext.languageId]  The user's language id
+ * @param {string} [globalContext.userId]  The user's id
+ * @param {Object} [globalContext.appSettings]  App setting values, keyed by
+ *                                              setting name
+ * @param {Object} [resources]  Strings of the RESX web resources, keyed by
+ *                              web resource name and then string name
+ * @param {Object} [offline]  The device's offline store, simulating the
+ *                            mobile app offline
+ * @param {Object} offline.store  A record store created by createRecordStore,
+ *                                holding the records synced to the device
+ * @param {string[]} offline.tables  Tables available offline
+ * @returns {Object}  The Xrm object and simulator only controller
+ */
+function createXrm(store, globalContext = {}, resources = {}, offline) {
+  const _webApiCalls = [];
+  const _queuedFailures = [];
+  const _queuedBatchFailures = [];
+  const _dialogs = {
+    errors: [],
+    alerts: [],
+    confirms: [],
+    forms: [],
+    progress: [],
+  };
+  const _confirmAnswers = [];
+  const _appNotifications = [];
+  const _heldResponses = [];
+  const _callCountWaiters = [];
+  const _scheduledResponseWaiters = [];
+  let _scheduledResponseCount = 0;
+  let _isHoldingResponses = false;
+
+  const Xrm = {
+    WebApi: {
+      ..._createWebApiOperations(store, ""),
+      online: {
+        executeMultiple: (requests) => {
+          const batchFailure = _queuedBatchFailures.shift();
+          return _respond("executeMultiple", [requests], () =>
+            requests.map((request, position) => {
+              if (position === batchFailure?.position) {
+                throw batchFailure.error;
+              }
+              return _executeBatchedRequest(request);
+            })
+          );
+        },
+      },
+    },
+    App: {
+      addGlobalNotification: (notification) => {
+        const id = `notification-${_appNotifications.length + 1}`;
+        _appNotifications.push({ id, ...notification });
+        return Promise.resolve(id);
+      },
+      clearGlobalNotification: (id) => {
+        const index = _appNotifications.findIndex(
+          (notification) => notification.id === id
+        );
+        if (index >= 0) {
+          _appNotifications.splice(index, 1);
+        }
+        return Promise.resolve();
+      },
+    },
+    Navigation: {
+      openErrorDialog: (errorOptions) =>
+        _recordDialog(_dialogs.errors, errorOptions, {}),
+      openAlertDialog: (alertStrings, alertOptions) =>
+        _recordDialog(
+          _dialogs.alerts,
+          { ...alertStrings, options: alertOptions },
+          {}
+        ),
+      openConfirmDialog: (confirmStrings, confirmOptions) =>
+        _recordDialog(
+          _dialogs.confirms,
+          { ...confirmStrings, options: confirmOptions },
+          { confirmed: _confirmAnswers.length ? _confirmAnswers.shift() : true }
+        ),
+      openForm: (entityFormOptions, formParameters) =>
+        _recordDialog(
+          _dialogs.forms,
+          { entityFormOptions, formParameters },
+          { savedEntityReference: [] }
+        ),
+    },
+    Utility: {
+      getGlobalContext: () => ({
+        userSettings: {
+          languageId: globalContext.languageId ?? 1033,
+          userId:
+            globalContext.userId ?? "{00000000-0000-0000-0000-000000000001}",
+        },
+        client: {
+          getClientState: () => (offline ? "Offline" : "Online"),
+        },
+        getClientUrl: () => "https://simulator.crm.dynamics.com",
+        getCurrentAppSetting: (settingName) =>
+          globalContext.appSettings?.[settingName] ?? null,
+      }),
+      getResourceString: (webResourceName, key) =>
+        resources[webResourceName]?.[key] ?? null,
+      showProgressIndicator: (message) => {
+        _dialogs.progress.push(message);
+      },
+      closeProgressIndicator: () => {
+        _dialogs.progress.push(null);
+      },
+    },
+  };
+
+  if (offline) {
+    Xrm.WebApi.offline = {
+      isAvailableOffline: (entityLogicalName) =>
+        offline.tables.includes(entityLogicalName),
+      ..._createWebApiOperations(offline.store, "offline."),
+    };
+  }
+
+  /**
+   * Creates the Xrm.WebApi data operations answered from a record store.
+   *
+   * @param {Object} operationStore  The record store to answer from
+   * @param {string} prefix  Prefixes the operation names recorded for calls
+   * @returns {Object}  The retrieveRecord, retrieveMultipleRecords and
+   *                    updateRecord functions
+   */
+  function _createWebApiOperations(operationStore, prefix) {
+    return {
+      retrieveRecord: (entityLogicalName, id, options) =>
+        _respond(
+          `${prefix}retrieveRecord`,
+          [entityLogicalName, id, options],
+          () => operationStore.retrieveRecord(entityLogicalName, id, options)
+        ),
+      retrieveMultipleRecords: (entityLogicalName, options, maxPageSize) =>
+        _respond(
+          `${prefix}retrieveMultipleRecords`,
+          [entityLogicalName, options, maxPageSize],
+          () =>
+            operationStore.retrieveMultipleRecords(entityLogicalName, options)
+        ),
+      updateRecord: (entityLogicalName, id, data) =>
+        _respond(`${prefix}updateRecord`, [entityLogicalName, id, data], () => {
+          operationStore.updateRecord(entityLogicalName, id, data);
+          return { entityType: entityLogicalName, id };
+        }),
+    };
+  }
+
+  /**
+   * Applies an update request of an executeMultiple batch to the record store.
+   *
+   * @param {Object} request  The request, with the table in etn, the record
+   *                          id and the values to update in payload
+   * @returns {Object}  The response, with ok, status and statusText
+   *                    properties, and a json function
+   * @throws {Error}  If the request is not an update, or its record does not
+   *                  exist
+   */
+  function _executeBatchedRequest(request) {
+    const { operationName } = request.getMetadata();
+    if (operationName !== "Update") {
+      throw new Error(`Batched ${operationName} requests are not simulated`);
+    }
+
+    store.updateRecord(request.etn, request.id, request.payload);
+    return {
+      ok: true,
+      status: 204,
+      statusText: "No Content",
+      json: () => Promise.resolve(null),
+    };
+  }
+
+  /**
+   * Records a Web API call and settles it on a later turn of the event loop,
+   * using a queued failure if one exists.
+   *
+   * @param {string} operation  The Xrm.WebApi function name
+   * @param {Array} args  The arguments passed by the caller
+   * @param {Function} execute  Produces the response from the store
+   * @returns {Promise<Object>}  The response
+   */
+  function _respond(operation, args, execute) {
+    _webApiCalls.push({ operation, args: _copyToThisRealm(args) });
+    _resolveCallCountWaiters();
+    const failure = _queuedFailures.shift();
+
+    return new Promise((resolve, reject) => {
+      const settle = () => {
+        try {
+          if (failure) {
+            throw failure;
+          }
+          resolve(execute());
+        } catch (error) {
+          reject(error);
+        }
+      };
+
+      if (_isHoldingResponses) {
+        _heldResponses.push(settle);
+      } else {
+        _scheduleResponse(settle);
+      }
+    });
+  }
+
+  /**
+   * Resolves once at least the given number of Web API calls have been made.
+   * Useful with held responses, where handlers make their calls after
+   * awaiting other work.
+   *
+   * @param {number} count  The number of calls to wait for
+   * @returns {Promise<void>}
+   */
+  function whenWebApiCallsMade(count) {
+    return new Promise((resolve) => {
+      _callCountWaiters.push({ count, resolve });
+      _resolveCallCountWaiters();
+    });
+  }
+
+  /**
+   * Resolves the waiters whose call count has been reached.
+   */
+  function _resolveCallCountWaiters() {
+    for (const waiter of [..._callCountWaiters]) {
+      if (_webApiCalls.length >= waiter.count) {
+        _callCountWaiters.splice(_callCountWaiters.indexOf(waiter), 1);
+        waiter.resolve();
+      }
+    }
+  }
+
+  /**
+   * Releases held Web API responses in the given order and stops holding
+   * further responses. Responses are settled on separate turns of the event
+   * loop so that each caller resumes before the next response arrives.
+   *
+   * @param {number[]} [order]  Indexes of the held responses, in the order
+   *                            they should settle. Defaults to the order in
+   *                            which the calls were made
+   */
+  function releaseWebApiResponses(order) {
+    const heldResponses = _heldResponses.splice(0);
+    _isHoldingResponses = false;
+
+    const releaseOrder = order ?? heldResponses.map((_, index) => index);
+    for (const index of releaseOrder) {
+      _scheduleResponse(heldResponses[index]);
+    }
+  }
+
+  /**
+   * Settles a response on a later turn of the event loop, tracking it until it
+   * has settled.
+   *
+   * @param {Function} settle  Settles the response
+   */
+  function _scheduleResponse(settle) {
+    _scheduledResponseCount++;
+    _scheduledResponseWaiters.splice(0).forEach((resolve) => resolve());
+    setImmediate(() => {
+      _scheduledResponseCount--;
+      settle();
+    });
+  }
+
+  /**
+   * Resolves once a response is next scheduled to settle, e.g. when held
+   * responses are released.
+   *
+   * @returns {Promise<void>}
+   */
+  function whenResponseScheduled() {
+    return new Promise((resolve) => _scheduledResponseWaiters.push(resolve));
+  }
+
+  /**
+   * Records a dialog request and resolves with the given result.
+   *
+   * @param {Object[]} dialogs  The list to record the dialog in
+   * @param {Object} request  The options passed by the caller
+   * @param {Object} result  The result to resolve with
+   * @returns {Promise<Object>}  The dialog result
+   */
+  function _recordDialog(dialogs, request, result) {
+    dialogs.push(_copyToThisRealm(request));
+    return Promise.resolve(result);
+  }
+
+  // Return Xrm and the controller
+  return {
+    Xrm,
+    webApiCalls: _webApiCalls,
+    dialogs: _dialogs,
+    appNotifications: _appNotifications,
+    failNextWebApiCall: (error) =>
+      _queuedFailures.push(error ?? _createUnexpectedError()),
+    failNextBatchedRequest: (position = 0, error) =>
+      _queuedBatchFailures.push({
+        position,
+        error: error ?? _createUnexpectedError(),
+      }),
+    answerNextConfirmDialog: (confirmed) => _confirmAnswers.push(confirmed),
+    holdWebApiResponses: () => {
+      _isHoldingResponses = true;
+    },
+    releaseWebApiResponses,
+    whenWebApiCallsMade,
+    hasScheduledResponses: () => _scheduledResponseCount > 0,
+    whenResponseScheduled,
+  };
+}
+
+/**
+ * Creates the error used for simulated failures by default, an unexpected
+ * server error that is not worth retrying.
+ *
+ * @returns {Error}  The error
+ */
+function _createUnexpectedError() {
+  return Object.assign(new Error("Simulated failure"), {
+    errorCode: 0x80040216,
+  });
+}
+
+/**
+ * Copies arrays and plain objects passed by web resources, which run in their
+ * own global scope, so that they compare structurally equal in assertions.
+ * Functions and primitives are returned as they are.
+ *
+ * @param {*} value  The value to copy
+ * @returns {*}  The copied value
+ */
+function _copyToThisRealm(value) {
+  if (Array.isArray(value)) {
+    return Array.from(value, _copyToThisRealm);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, _copyToThisRealm(item)])
+    );
+  }
+  return value;
+}
+
+module.exports = {
+  createXrm,
+};